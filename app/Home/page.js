@@ -4,10 +4,21 @@ import { useState } from "react";
 import Head from "next/head";
 import Link from "next/link";
 import { useRouter } from "next/navigation";
+import { useCurrentUser } from "../components/AuthProvider";
+import { useApiQuery } from "../api/hooks";
 
-// Dashboard Preview Component
+// Dashboard Preview Component. The figures are samples, except that a
+// signed-in waiter sees their own tables in the waiter view.
 const DashboardPreview = () => {
   const [selectedRole, setSelectedRole] = useState("ADMIN");
+  const { user } = useCurrentUser();
+  const isWaiter = user?.role === "WAITER";
+  const myTables = useApiQuery("table.myTables", [], {
+    enabled: isWaiter,
+    live: true,
+  });
+  const liveCount = (query, sample) =>
+    isWaiter ? query.data?.length ?? "-" : sample;
 
   const roleData = {
     ADMIN: {
@@ -27,7 +38,7 @@ const DashboardPreview = () => {
     },
     WAITER: {
       metrics: [
-        { value: "8", label: "My Tables" },
+        { value: liveCount(myTables, "8"), label: "My Tables" },
         { value: "4", label: "Pending Orders" },
         { value: "$850", label: "My Sales" },
         { value: "12", label: "Customers Served" },
@@ -492,17 +503,25 @@ const DashboardPreview = () => {
           Quick Actions
         </h4>
         <div className="grid grid-cols-2 gap-3">
-          {currentData.sections.map((section, index) => (
-            <div
-              key={index}
-              className="bg-gray-50 rounded-lg p-3 text-center hover:bg-red-50 transition-colors cursor-pointer flex flex-col items-center"
-            >
-              <div className="bg-red-100 text-red-800 rounded-full w-8 h-8 flex items-center justify-center mb-1">
-                {actionIcons[section]}
-              </div>
-              <div className="text-red-800 font-medium text-sm">{section}</div>
-            </div>
-          ))}
+          {currentData.sections.map((section, index) => {
+            const href =
+              isWaiter && section === "Table View" ? "/waiter/tables" : null;
+            const Tile = href ? Link : "div";
+            return (
+              <Tile
+                key={index}
+                {...(href && { href })}
+                className="bg-gray-50 rounded-lg p-3 text-center hover:bg-red-50 transition-colors cursor-pointer flex flex-col items-center"
+              >
+                <div className="bg-red-100 text-red-800 rounded-full w-8 h-8 flex items-center justify-center mb-1">
+                  {actionIcons[section]}
+                </div>
+                <div className="text-red-800 font-medium text-sm">
+                  {section}
+                </div>
+              </Tile>
+            );
+          })}
         </div>
       </div>
     </div>
@@ -612,6 +631,12 @@ const Home = () => {
 
             {/* Desktop Auth Buttons - Always visible on desktop */}
             <div className="hidden md:flex space-x-4">
+              <Link
+                href="/book"
+                className="px-4 py-2 text-red-800 font-medium hover:underline"
+              >
+                Book a Table
+              </Link>
               <Link href="/login">
                 <button className="px-4 py-2 border-2 border-red-800 text-red-800 font-medium rounded-lg hover:bg-red-50 transition-colors">
                   Login
@@ -0,0 +1,73 @@
+"use client";
+import PageShell from "../../components/PageShell";
+import { ROLES } from "../../api/schemas";
+import { PUBLIC, ROUTE_PERMISSIONS, SIGNED_IN } from "../../lib/permissions";
+import { humanize } from "../../lib/format";
+
+const describe = (access) =>
+  access === PUBLIC
+    ? "Everyone"
+    : access === SIGNED_IN
+    ? "Any signed-in user"
+    : null;
+
+// Read-only view of lib/permissions.js, one row per declared route
+const RouteAccessPage = () => {
+  return (
+    <PageShell
+      title="Route Access"
+      subtitle="Who can open each page. Routes not listed need any signed-in user."
+    >
+      <div className="bg-white rounded-xl shadow-md overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50 text-gray-600 text-xs uppercase">
+              <tr>
+                <th className="text-left font-medium px-4 py-3">Route</th>
+                <th className="text-left font-medium px-4 py-3">Page</th>
+                {ROLES.map((role) => (
+                  <th key={role} className="text-center font-medium px-4 py-3">
+                    {humanize(role)}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {ROUTE_PERMISSIONS.map((route) => (
+                <tr key={route.path} className="hover:bg-red-50 transition-colors">
+                  <td className="px-4 py-3 font-mono text-gray-800">
+                    {route.path}
+                    {!route.exact && route.path !== "/" && (
+                      <span className="text-gray-400">/*</span>
+                    )}
+                  </td>
+                  <td className="px-4 py-3 text-gray-800">{route.label}</td>
+                  {describe(route.access) ? (
+                    <td
+                      colSpan={ROLES.length}
+                      className="px-4 py-3 text-center text-gray-600"
+                    >
+                      {describe(route.access)}
+                    </td>
+                  ) : (
+                    ROLES.map((role) => (
+                      <td key={role} className="px-4 py-3 text-center">
+                        {route.access.includes(role) ? (
+                          <span className="text-green-700 font-bold">✓</span>
+                        ) : (
+                          <span className="text-gray-300">-</span>
+                        )}
+                      </td>
+                    ))
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </PageShell>
+  );
+};
+
+export default RouteAccessPage;
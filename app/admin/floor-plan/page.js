@@ -0,0 +1,647 @@
+"use client";
+import { useEffect, useMemo, useReducer, useRef, useState } from "react";
+import Link from "next/link";
+import api from "../../api/services";
+import { useApiQuery } from "../../api/hooks";
+import {
+  fetchQuery,
+  invalidateQueries,
+  invalidationRules,
+} from "../../api/queryCache";
+import { TABLE_SHAPES } from "../../api/schemas";
+import PageShell from "../../components/PageShell";
+import FloorPlanCanvas from "../../components/FloorPlanCanvas";
+import StatusBadge from "../../components/StatusBadge";
+import {
+  DEFAULT_ZONE,
+  GRID,
+  MAX_SEATS,
+  PLAN_HEIGHT,
+  PLAN_WIDTH,
+  ROTATION_STEP,
+  autoPlace,
+  clampPosition,
+  countChanges,
+  createHistory,
+  diffLayout,
+  historyReducer,
+  parseLayoutDocument,
+  snap,
+  toLayoutDocument,
+  zonesOf,
+} from "../../lib/floorPlan";
+import { downloadFile } from "../../lib/download";
+import { humanize } from "../../lib/format";
+
+const buttonClass =
+  "px-3 py-2 text-sm font-medium rounded-lg transition-colors disabled:opacity-40";
+const outlineButton = `${buttonClass} border-2 border-red-800 text-red-800 hover:bg-red-50`;
+const primaryButton = `${buttonClass} bg-red-800 text-white hover:bg-red-900`;
+const fieldClass =
+  "w-full bg-white border border-gray-200 rounded-lg py-2 px-3 text-gray-700 text-sm focus:outline-none focus:ring-1 focus:ring-red-800";
+
+// Editor rows: the layout fields plus `key` (stable across saves for
+// existing tables) and `id` (missing until a new table is saved)
+const fromServer = (tables) =>
+  autoPlace(tables).map((table) => ({ ...table, key: String(table.id) }));
+
+let newTableCount = 0;
+const newKey = () => `new-${(newTableCount += 1)}`;
+
+// First spot on a coarse grid that is clear of every table in the zone
+const freeSpot = (tables) => {
+  for (let y = 100; y < PLAN_HEIGHT; y += 120) {
+    for (let x = 100; x < PLAN_WIDTH; x += 120) {
+      if (tables.every((t) => Math.hypot(t.x - x, t.y - y) > 100)) {
+        return { x, y };
+      }
+    }
+  }
+  return { x: PLAN_WIDTH / 2, y: PLAN_HEIGHT / 2 };
+};
+
+const isTyping = (target) =>
+  ["INPUT", "SELECT", "TEXTAREA"].includes(target?.tagName);
+
+const Inspector = ({ table, zones, numberTaken, onChange, onDelete }) => (
+  <div className="space-y-4">
+    <div className="flex items-center justify-between">
+      <h2 className="font-bold text-gray-800">Table {table.number}</h2>
+      {table.status && <StatusBadge status={table.status} />}
+    </div>
+    <label className="block text-sm text-gray-700">
+      Number
+      <input
+        type="number"
+        min="1"
+        value={table.number}
+        onChange={(e) => onChange({ number: Number(e.target.value) })}
+        className={`${fieldClass} mt-1 ${numberTaken ? "border-red-600" : ""}`}
+      />
+      {numberTaken && (
+        <span className="text-red-700 text-xs">Another table has this number</span>
+      )}
+    </label>
+    <label className="block text-sm text-gray-700">
+      Seats
+      <input
+        type="number"
+        min="1"
+        max={MAX_SEATS}
+        value={table.capacity}
+        onChange={(e) =>
+          onChange({
+            capacity: Math.min(
+              MAX_SEATS,
+              Math.max(1, Number(e.target.value) || 1)
+            ),
+          })
+        }
+        className={`${fieldClass} mt-1`}
+      />
+    </label>
+    <label className="block text-sm text-gray-700">
+      Shape
+      <select
+        value={table.shape}
+        onChange={(e) => onChange({ shape: e.target.value })}
+        className={`${fieldClass} mt-1`}
+      >
+        {TABLE_SHAPES.map((shape) => (
+          <option key={shape} value={shape}>
+            {humanize(shape)}
+          </option>
+        ))}
+      </select>
+    </label>
+    <div className="text-sm text-gray-700">
+      Rotation: {table.rotation}°
+      <div className="flex gap-2 mt-1">
+        <button
+          onClick={() =>
+            onChange({ rotation: (table.rotation + 360 - ROTATION_STEP) % 360 })
+          }
+          className={outlineButton}
+          aria-label="Rotate left"
+        >
+          ⟲
+        </button>
+        <input
+          type="range"
+          min="0"
+          max={360 - ROTATION_STEP}
+          step={ROTATION_STEP}
+          value={table.rotation}
+          onChange={(e) => onChange({ rotation: Number(e.target.value) })}
+          className="flex-1 accent-red-800"
+        />
+        <button
+          onClick={() =>
+            onChange({ rotation: (table.rotation + ROTATION_STEP) % 360 })
+          }
+          className={outlineButton}
+          aria-label="Rotate right"
+        >
+          ⟳
+        </button>
+      </div>
+    </div>
+    <label className="block text-sm text-gray-700">
+      Zone
+      <select
+        value={table.zone}
+        onChange={(e) => onChange({ zone: e.target.value })}
+        className={`${fieldClass} mt-1`}
+      >
+        {zones.map((zone) => (
+          <option key={zone} value={zone}>
+            {zone}
+          </option>
+        ))}
+      </select>
+    </label>
+    <button onClick={onDelete} className={`${outlineButton} w-full`}>
+      Remove Table
+    </button>
+  </div>
+);
+
+// Admin editor for table placement across zones. Edits stay local, with
+// undo/redo, until Save sends the difference through table.create, update
+// and delete.
+const FloorPlanEditor = () => {
+  const { data, error } = useApiQuery("table.getAll");
+  const saved = useMemo(() => (data ? fromServer(data) : null), [data]);
+
+  const [history, dispatch] = useReducer(historyReducer, createHistory(null));
+  const plan = history.present;
+  const [zone, setZone] = useState(null);
+  const [selectedKey, setSelectedKey] = useState(null);
+  const [snapping, setSnapping] = useState(true);
+  const [newZone, setNewZone] = useState("");
+  const [notice, setNotice] = useState(null);
+  const [problems, setProblems] = useState([]);
+  const [isSaving, setIsSaving] = useState(false);
+  const dragFrom = useRef(null);
+  const importRef = useRef(null);
+
+  // Start from the server's tables once; later refetches only move the
+  // baseline that Save compares against
+  useEffect(() => {
+    if (!saved || plan) return;
+    dispatch({
+      type: "reset",
+      value: { zones: zonesOf(saved), tables: saved },
+    });
+  }, [saved, plan]);
+
+  const zones = plan?.zones.length ? plan.zones : [DEFAULT_ZONE];
+  const activeZone = zones.includes(zone) ? zone : zones[0];
+  const tables = plan?.tables ?? [];
+  const zoneTables = tables.filter((t) => t.zone === activeZone);
+  const selected = tables.find((t) => t.key === selectedKey) ?? null;
+
+  const diff = useMemo(
+    () => (saved && plan ? diffLayout(saved, plan.tables) : null),
+    [saved, plan]
+  );
+  const changeCount = diff ? countChanges(diff) : 0;
+  const duplicateNumbers = useMemo(() => {
+    const seen = new Set();
+    const duplicates = new Set();
+    tables.forEach((t) =>
+      seen.has(t.number) ? duplicates.add(t.number) : seen.add(t.number)
+    );
+    return duplicates;
+  }, [tables]);
+
+  const setPlan = (changes) =>
+    dispatch({ type: "set", value: { ...plan, ...changes } });
+
+  const updateTable = (key, changes) =>
+    setPlan({
+      tables: tables.map((t) => {
+        if (t.key !== key) return t;
+        const next = { ...t, ...changes };
+        // A bigger footprint may no longer fit where it was
+        return { ...next, ...clampPosition(next, next.x, next.y) };
+      }),
+    });
+
+  const handleMove = (key, point, phase) => {
+    if (phase === "start") {
+      dragFrom.current = plan;
+      return;
+    }
+    if (phase === "end") {
+      dispatch({ type: "commit", from: dragFrom.current });
+      dragFrom.current = null;
+      return;
+    }
+    const table = tables.find((t) => t.key === key);
+    const position = clampPosition(
+      table,
+      snapping ? snap(point.x) : point.x,
+      snapping ? snap(point.y) : point.y
+    );
+    if (position.x === table.x && position.y === table.y) return;
+    dispatch({
+      type: "preview",
+      value: {
+        ...plan,
+        tables: tables.map((t) => (t.key === key ? { ...t, ...position } : t)),
+      },
+    });
+  };
+
+  const addTable = () => {
+    const number = Math.max(0, ...tables.map((t) => t.number)) + 1;
+    const table = {
+      key: newKey(),
+      number,
+      capacity: 4,
+      shape: "square",
+      rotation: 0,
+      zone: activeZone,
+      ...freeSpot(zoneTables),
+    };
+    setPlan({ zones, tables: [...tables, table] });
+    setSelectedKey(table.key);
+  };
+
+  const removeSelected = () => {
+    if (!selected) return;
+    setPlan({ tables: tables.filter((t) => t.key !== selected.key) });
+    setSelectedKey(null);
+  };
+
+  const addZone = (e) => {
+    e.preventDefault();
+    const name = newZone.trim();
+    if (!name || zones.includes(name)) return;
+    setPlan({ zones: [...zones, name] });
+    setZone(name);
+    setNewZone("");
+  };
+
+  const removeZone = () => {
+    if (zoneTables.length) return;
+    setPlan({ zones: zones.filter((z) => z !== activeZone) });
+    setZone(null);
+  };
+
+  // Keyboard: undo/redo, Delete, arrows to nudge, R to rotate
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (isTyping(e.target)) return;
+      const mod = e.metaKey || e.ctrlKey;
+      if (mod && e.key.toLowerCase() === "z") {
+        e.preventDefault();
+        dispatch({ type: e.shiftKey ? "redo" : "undo" });
+      } else if (mod && e.key.toLowerCase() === "y") {
+        e.preventDefault();
+        dispatch({ type: "redo" });
+      } else if (!selected) {
+        return;
+      } else if (e.key === "Delete" || e.key === "Backspace") {
+        e.preventDefault();
+        removeSelected();
+      } else if (e.key.toLowerCase() === "r") {
+        updateTable(selected.key, {
+          rotation: (selected.rotation + ROTATION_STEP) % 360,
+        });
+      } else if (e.key.startsWith("Arrow")) {
+        e.preventDefault();
+        const step = e.shiftKey ? 1 : GRID;
+        const [dx, dy] = {
+          ArrowLeft: [-step, 0],
+          ArrowRight: [step, 0],
+          ArrowUp: [0, -step],
+          ArrowDown: [0, step],
+        }[e.key];
+        updateTable(selected.key, { x: selected.x + dx, y: selected.y + dy });
+      }
+    };
+    window.addEventListener("keydown", handleKey);
+    return () => window.removeEventListener("keydown", handleKey);
+  });
+
+  // Warn before leaving with unsaved edits
+  useEffect(() => {
+    if (!changeCount) return;
+    const handleBeforeUnload = (e) => e.preventDefault();
+    window.addEventListener("beforeunload", handleBeforeUnload);
+    return () => window.removeEventListener("beforeunload", handleBeforeUnload);
+  }, [changeCount]);
+
+  const handleExport = () =>
+    downloadFile(
+      `floor-plan-${new Date().toISOString().slice(0, 10)}.json`,
+      JSON.stringify(toLayoutDocument(tables, zones), null, 2),
+      "application/json"
+    );
+
+  // Imported tables replace the plan; numbers that already exist keep their
+  // table, so Save updates them instead of recreating them
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    setProblems([]);
+    try {
+      const imported = parseLayoutDocument(await file.text());
+      const byNumber = new Map(saved.map((t) => [t.number, t]));
+      setPlan({
+        zones: imported.zones,
+        tables: imported.tables.map((table) => {
+          const existing = byNumber.get(table.number);
+          return existing
+            ? { ...existing, ...table, key: existing.key }
+            : { ...table, key: newKey() };
+        }),
+      });
+      setSelectedKey(null);
+      setZone(null);
+      setNotice(
+        `Imported ${imported.tables.length} tables. Review them, then save.`
+      );
+    } catch (err) {
+      setNotice(null);
+      setProblems([err.message]);
+    }
+  };
+
+  // Deletes go first so their numbers are free for the tables that follow.
+  // Numbers are unique, so tables being renumbered move to spare numbers
+  // before any takes its new one; otherwise two tables swapping numbers
+  // would each find the other still holding it.
+  const handleSave = async () => {
+    if (!diff || duplicateNumbers.size) return;
+    setIsSaving(true);
+    setNotice(null);
+    setProblems([]);
+
+    const failures = [];
+    // Resolves the items that failed
+    const runAll = async (items, send, describe) => {
+      const outcomes = await Promise.allSettled(items.map(send));
+      return items.filter((item, index) => {
+        if (outcomes[index].status === "fulfilled") return false;
+        failures.push(`${describe(item)}: ${outcomes[index].reason.message}`);
+        return true;
+      });
+    };
+    const numberOf = (id) => saved.find((t) => t.id === id).number;
+
+    const failedDeletes = await runAll(
+      diff.deleted,
+      (table) => api.table.delete(table.id),
+      (table) => `Removing table ${table.number}`
+    );
+    // A table that cannot move aside fails its own update below instead
+    const spare = Math.max(0, ...[...saved, ...tables].map((t) => t.number)) + 1;
+    await Promise.allSettled(
+      diff.updated
+        .filter(({ changes }) => changes.number !== undefined)
+        .map(({ id }, index) => api.table.update(id, { number: spare + index }))
+    );
+    const failedUpdates = await runAll(
+      diff.updated,
+      ({ id, changes }) => api.table.update(id, changes),
+      ({ id }) => `Updating table ${numberOf(id)}`
+    );
+    const failedCreates = await runAll(
+      diff.created,
+      ({ layout }) => api.table.create(layout),
+      ({ layout }) => `Adding table ${layout.number}`
+    );
+
+    invalidateQueries(invalidationRules["table.update"]);
+    try {
+      const fresh = fromServer(
+        await fetchQuery("table.getAll", [], { force: true })
+      );
+      // Saved rows take the server's copy; failed ones stay as edited, still
+      // unsaved, so they can be fixed and saved again
+      const deletedIds = new Set(failedDeletes.map((table) => table.id));
+      const updatedIds = new Set(failedUpdates.map(({ id }) => id));
+      const createdKeys = new Set(failedCreates.map(({ key }) => key));
+      const edited = new Map(tables.map((table) => [table.id, table]));
+      const merged = [
+        ...fresh
+          .filter((table) => !deletedIds.has(table.id))
+          .map((table) =>
+            updatedIds.has(table.id) ? edited.get(table.id) ?? table : table
+          ),
+        ...tables.filter((table) => createdKeys.has(table.key)),
+      ];
+      dispatch({
+        type: "reset",
+        value: {
+          zones: [...new Set([...zones, ...zonesOf(merged)])],
+          tables: merged,
+        },
+      });
+      if (!merged.some((table) => table.key === selectedKey)) {
+        setSelectedKey(null);
+      }
+    } catch (err) {
+      failures.push(err.message);
+    }
+    setProblems(failures);
+    if (!failures.length) setNotice("Floor plan saved");
+    setIsSaving(false);
+  };
+
+  const handleDiscard = () => {
+    dispatch({
+      type: "reset",
+      value: { zones: zonesOf(saved), tables: saved },
+    });
+    setSelectedKey(null);
+    setNotice(null);
+    setProblems([]);
+  };
+
+  return (
+    <PageShell
+      title="Floor Plan"
+      subtitle="Drag tables into place, then save"
+      actions={
+        <Link href="/admin" className={outlineButton}>
+          Dashboard
+        </Link>
+      }
+    >
+      {error && (
+        <div className="bg-red-50 text-red-800 rounded-lg p-3 mb-4 text-sm">
+          {error.message}
+        </div>
+      )}
+      {!plan ? (
+        !error && <div className="text-center text-gray-500 p-6">Loading...</div>
+      ) : (
+        <>
+          <div className="flex flex-wrap items-center gap-2 mb-4">
+            <button onClick={addTable} className={primaryButton}>
+              Add Table
+            </button>
+            <button
+              onClick={() => dispatch({ type: "undo" })}
+              disabled={!history.past.length}
+              className={outlineButton}
+            >
+              Undo
+            </button>
+            <button
+              onClick={() => dispatch({ type: "redo" })}
+              disabled={!history.future.length}
+              className={outlineButton}
+            >
+              Redo
+            </button>
+            <label className="flex items-center gap-2 text-sm text-gray-700 px-2">
+              <input
+                type="checkbox"
+                checked={snapping}
+                onChange={(e) => setSnapping(e.target.checked)}
+                className="accent-red-800"
+              />
+              Snap to grid
+            </label>
+            <div className="flex-1" />
+            <button onClick={handleExport} className={outlineButton}>
+              Export JSON
+            </button>
+            <button
+              onClick={() => importRef.current?.click()}
+              className={outlineButton}
+            >
+              Import JSON
+            </button>
+            <input
+              ref={importRef}
+              type="file"
+              accept="application/json,.json"
+              onChange={handleImport}
+              className="hidden"
+            />
+            <button
+              onClick={handleDiscard}
+              disabled={!changeCount || isSaving}
+              className={outlineButton}
+            >
+              Discard
+            </button>
+            <button
+              onClick={handleSave}
+              disabled={!changeCount || isSaving || duplicateNumbers.size > 0}
+              className={primaryButton}
+            >
+              {isSaving
+                ? "Saving..."
+                : `Save${changeCount ? ` (${changeCount})` : ""}`}
+            </button>
+          </div>
+
+          {notice && (
+            <div className="bg-green-50 text-green-800 rounded-lg p-3 mb-4 text-sm">
+              {notice}
+            </div>
+          )}
+          {problems.length > 0 && (
+            <ul className="bg-red-50 text-red-800 rounded-lg p-3 mb-4 text-sm space-y-1">
+              {problems.map((problem) => (
+                <li key={problem}>{problem}</li>
+              ))}
+            </ul>
+          )}
+
+          <div className="flex flex-wrap items-center gap-2 mb-4">
+            {zones.map((name) => (
+              <button
+                key={name}
+                onClick={() => {
+                  setZone(name);
+                  setSelectedKey(null);
+                }}
+                className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+                  name === activeZone
+                    ? "bg-red-800 text-white"
+                    : "bg-white text-gray-700 shadow-md hover:bg-red-50"
+                }`}
+              >
+                {name}
+                <span className="ml-2 opacity-70">
+                  {tables.filter((t) => t.zone === name).length}
+                </span>
+              </button>
+            ))}
+            <form onSubmit={addZone} className="flex gap-2">
+              <input
+                value={newZone}
+                onChange={(e) => setNewZone(e.target.value)}
+                placeholder="New zone"
+                className="bg-white border border-gray-200 rounded-lg py-2 px-3 text-gray-700 text-sm focus:outline-none focus:ring-1 focus:ring-red-800 w-32"
+              />
+              <button
+                type="submit"
+                disabled={!newZone.trim()}
+                className={outlineButton}
+              >
+                Add Zone
+              </button>
+            </form>
+            {zones.length > 1 && zoneTables.length === 0 && (
+              <button
+                onClick={removeZone}
+                className="text-sm text-red-800 font-medium hover:underline"
+              >
+                Remove empty zone
+              </button>
+            )}
+          </div>
+
+          <div className="grid grid-cols-1 xl:grid-cols-4 gap-6 items-start">
+            <div className="xl:col-span-3">
+              <FloorPlanCanvas
+                tables={zoneTables}
+                selectedKey={selectedKey}
+                onSelect={setSelectedKey}
+                onMove={handleMove}
+                showGrid={snapping}
+                tableStyle={(table) =>
+                  duplicateNumbers.has(table.number)
+                    ? { fill: "#fee2e2", stroke: "#dc2626" }
+                    : undefined
+                }
+              />
+              <p className="text-gray-500 text-xs mt-2">
+                Drag to move. Arrow keys nudge (Shift for fine steps), R
+                rotates, Delete removes, Ctrl+Z / Ctrl+Shift+Z undo and redo.
+              </p>
+            </div>
+            <aside className="bg-white rounded-xl shadow-md p-4">
+              {selected ? (
+                <Inspector
+                  table={selected}
+                  zones={zones}
+                  numberTaken={duplicateNumbers.has(selected.number)}
+                  onChange={(changes) => updateTable(selected.key, changes)}
+                  onDelete={removeSelected}
+                />
+              ) : (
+                <p className="text-gray-500 text-sm">
+                  Select a table to change its number, seats, shape, rotation
+                  or zone.
+                </p>
+              )}
+            </aside>
+          </div>
+        </>
+      )}
+    </PageShell>
+  );
+};
+
+export default FloorPlanEditor;
@@ -0,0 +1,82 @@
+"use client";
+import RoleDashboard from "../components/RoleDashboard";
+import { useApiQuery } from "../api/hooks";
+import { normalizePage } from "../api/pagination";
+
+const sections = [
+  {
+    label: "User Management",
+    href: "/admin/users",
+    description: "Roles, suspensions and bans",
+  },
+  {
+    label: "Workforce Statistics",
+    href: "/admin/stats",
+    description: "Headcount by role and status, with CSV export",
+  },
+  {
+    label: "Floor Plan",
+    href: "/admin/floor-plan",
+    description: "Arrange tables, seats and zones",
+  },
+  {
+    label: "Table Board",
+    href: "/tables",
+    description: "Live status of every table",
+  },
+  {
+    label: "Waitlist",
+    href: "/waitlist",
+    description: "Walk-ins with quoted waits",
+  },
+  {
+    label: "Reservations",
+    href: "/reservations",
+    description: "Search and filter every booking",
+  },
+  {
+    label: "Reservation Calendar",
+    href: "/reservations/calendar",
+    description: "Day and week timelines with drag-to-reschedule",
+  },
+  { label: "Orders", href: "/orders", description: "All orders across the floor" },
+  {
+    label: "Route Access",
+    href: "/admin/access",
+    description: "Which roles can open each page",
+  },
+];
+
+const AdminDashboard = () => {
+  const stats = useApiQuery("table.stats", [], { live: true });
+  const upcoming = useApiQuery("reservation.upcoming", [{}], { live: true });
+  const orders = useApiQuery("menu.getOrders", [], { live: true });
+  const users = useApiQuery("user.count");
+
+  const occupancy = stats.data?.total
+    ? `${Math.round((stats.data.occupied / stats.data.total) * 100)}%`
+    : undefined;
+  const openOrders = orders.data
+    ? normalizePage(orders.data).items.filter(
+        (order) => !["paid", "cancelled"].includes(order.status)
+      )
+    : undefined;
+
+  return (
+    <RoleDashboard
+      role="ADMIN"
+      metrics={[
+        {
+          value: upcoming.data && normalizePage(upcoming.data).items.length,
+          label: "Upcoming Reservations",
+        },
+        { value: occupancy, label: "Occupancy" },
+        { value: openOrders?.length, label: "Open Orders" },
+        { value: users.data?.count, label: "Accounts" },
+      ]}
+      sections={sections}
+    />
+  );
+};
+
+export default AdminDashboard;
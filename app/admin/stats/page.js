@@ -0,0 +1,251 @@
+"use client";
+import { useState } from "react";
+import Link from "next/link";
+import { useApiQuery } from "../../api/hooks";
+import { normalizePage } from "../../api/pagination";
+import { USER_STATUSES } from "../../api/schemas";
+import PageShell from "../../components/PageShell";
+import BarChart from "../../components/BarChart";
+import DonutChart from "../../components/DonutChart";
+import StatusBadge from "../../components/StatusBadge";
+import { STAFF_ROLES } from "../../lib/roles";
+import { datedFilename, downloadCsv, toCsv } from "../../lib/csv";
+import { formatDateTime, humanize } from "../../lib/format";
+
+const STATUS_COLORS = {
+  active: "#15803d",
+  suspended: "#ea580c",
+  banned: "#991b1b",
+};
+
+const summaryColumns = [
+  { header: "Breakdown", value: (row) => row.breakdown },
+  { header: "Group", value: (row) => row.label },
+  { header: "Count", value: (row) => row.value },
+];
+
+const userColumns = [
+  { header: "Name", value: (user) => user.name },
+  { header: "Email", value: (user) => user.email },
+  { header: "Role", value: (user) => user.role },
+  { header: "Status", value: (user) => user.status },
+  { header: "Suspended until", value: (user) => user.suspendedUntil },
+  { header: "Joined", value: (user) => user.createdAt },
+];
+
+const exportButtonClass =
+  "px-3 py-1 text-sm border-2 border-red-800 text-red-800 font-medium rounded-lg hover:bg-red-50 transition-colors disabled:opacity-40";
+
+// The users behind one status, straight from user.listByStatus
+const StatusDrillDown = ({ status }) => {
+  const { data, error, isLoading } = useApiQuery("user.listByStatus", [
+    status,
+  ]);
+  const users = data ? normalizePage(data).items : [];
+
+  return (
+    <section className="bg-white rounded-xl shadow-md overflow-hidden">
+      <div className="flex items-center justify-between px-4 py-3 border-b border-gray-100">
+        <h2 className="font-bold text-gray-800">
+          {humanize(status)} accounts
+        </h2>
+        <button
+          onClick={() =>
+            downloadCsv(
+              datedFilename(`users-${status}`),
+              toCsv(users, userColumns)
+            )
+          }
+          disabled={!users.length}
+          className={exportButtonClass}
+        >
+          Export CSV
+        </button>
+      </div>
+      {isLoading && !data && (
+        <div className="p-6 text-center text-gray-500">Loading...</div>
+      )}
+      {error && (
+        <div className="p-4 text-center text-red-800 bg-red-50">
+          {error.message}
+        </div>
+      )}
+      {data && users.length === 0 && (
+        <div className="p-6 text-center text-gray-500">
+          No {status} accounts
+        </div>
+      )}
+      {users.length > 0 && (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50 text-gray-600 text-xs uppercase">
+              <tr>
+                <th className="text-left font-medium px-4 py-3">Name</th>
+                <th className="text-left font-medium px-4 py-3">Role</th>
+                <th className="text-left font-medium px-4 py-3">Status</th>
+                <th className="text-left font-medium px-4 py-3">Joined</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {users.map((user) => (
+                <tr key={user.id} className="hover:bg-red-50">
+                  <td className="px-4 py-3 text-gray-800">
+                    <div className="font-medium">{user.name}</div>
+                    <div className="text-gray-500 text-xs">{user.email}</div>
+                  </td>
+                  <td className="px-4 py-3 text-gray-800">
+                    {humanize(user.role)}
+                  </td>
+                  <td className="px-4 py-3">
+                    <StatusBadge status={user.status} />
+                    {user.suspendedUntil && (
+                      <div className="text-gray-500 text-xs mt-1">
+                        until {formatDateTime(user.suspendedUntil)}
+                      </div>
+                    )}
+                  </td>
+                  <td className="px-4 py-3 text-gray-800">
+                    {formatDateTime(user.createdAt)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  );
+};
+
+const WorkforceStatsPage = () => {
+  const total = useApiQuery("user.count");
+  const byRole = useApiQuery("user.countByRole");
+  const byStatus = useApiQuery("user.countByStatus");
+  const [status, setStatus] = useState(null);
+
+  const roleData = STAFF_ROLES.map((role) => ({
+    key: role,
+    label: humanize(role),
+    value: byRole.data?.[role] ?? 0,
+  }));
+  const statusData = USER_STATUSES.map((value) => ({
+    key: value,
+    label: humanize(value),
+    value: byStatus.data?.[value] ?? 0,
+    color: STATUS_COLORS[value],
+  }));
+
+  const staff = byRole.data
+    ? roleData.reduce((sum, item) => sum + item.value, 0)
+    : undefined;
+  const restricted = byStatus.data
+    ? byStatus.data.suspended + byStatus.data.banned
+    : undefined;
+  const activeShare =
+    byStatus.data && total.data?.count
+      ? `${Math.round((byStatus.data.active / total.data.count) * 100)}%`
+      : undefined;
+
+  const metrics = [
+    { value: total.data?.count, label: "Accounts" },
+    { value: staff, label: "Staff" },
+    { value: activeShare, label: "Active" },
+    { value: restricted, label: "Suspended or Banned" },
+  ];
+
+  const error = total.error ?? byRole.error ?? byStatus.error;
+
+  const exportSummary = () =>
+    downloadCsv(
+      datedFilename("workforce"),
+      toCsv(
+        [
+          { breakdown: "Total", label: "Accounts", value: total.data?.count },
+          ...roleData.map((item) => ({ ...item, breakdown: "Role" })),
+          ...(byRole.data?.CUSTOMER !== undefined
+            ? [
+                {
+                  breakdown: "Role",
+                  label: "Customer",
+                  value: byRole.data.CUSTOMER,
+                },
+              ]
+            : []),
+          ...statusData.map((item) => ({ ...item, breakdown: "Status" })),
+        ],
+        summaryColumns
+      )
+    );
+
+  return (
+    <PageShell
+      title="Workforce Statistics"
+      subtitle="Headcount by role and account status"
+      actions={
+        <>
+          <button
+            onClick={exportSummary}
+            disabled={!byRole.data || !byStatus.data}
+            className="px-4 py-2 bg-red-800 text-white font-medium rounded-lg hover:bg-red-900 transition-colors disabled:opacity-60"
+          >
+            Export CSV
+          </button>
+          <Link
+            href="/admin"
+            className="px-4 py-2 border-2 border-red-800 text-red-800 font-medium rounded-lg hover:bg-red-50 transition-colors"
+          >
+            Dashboard
+          </Link>
+        </>
+      }
+    >
+      {error && (
+        <div className="bg-red-50 text-red-800 rounded-lg p-3 mb-6 text-sm">
+          {error.message}
+        </div>
+      )}
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-8">
+        {metrics.map((metric) => (
+          <div
+            key={metric.label}
+            className="bg-white rounded-xl shadow-md p-4 text-center"
+          >
+            <div className="text-2xl font-bold text-gray-800">
+              {metric.value ?? "-"}
+            </div>
+            <div className="text-gray-600 text-sm">{metric.label}</div>
+          </div>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-8">
+        <section className="bg-white rounded-xl shadow-md p-6">
+          <h2 className="font-bold text-gray-800 mb-4">Staff by Role</h2>
+          <BarChart data={roleData} />
+          {byRole.data?.CUSTOMER !== undefined && (
+            <p className="text-gray-500 text-sm mt-4">
+              Plus {byRole.data.CUSTOMER} customer account
+              {byRole.data.CUSTOMER === 1 ? "" : "s"}
+            </p>
+          )}
+        </section>
+        <section className="bg-white rounded-xl shadow-md p-6">
+          <h2 className="font-bold text-gray-800 mb-1">Accounts by Status</h2>
+          <p className="text-gray-500 text-sm mb-4">
+            Select a status to see who is in it
+          </p>
+          <DonutChart
+            data={statusData}
+            selected={status}
+            onSelect={(key) => setStatus(key === status ? null : key)}
+          />
+        </section>
+      </div>
+
+      {status && <StatusDrillDown status={status} />}
+    </PageShell>
+  );
+};
+
+export default WorkforceStatsPage;
@@ -0,0 +1,344 @@
+"use client";
+import { useState } from "react";
+import Link from "next/link";
+import api from "../../api/services";
+import { invalidateQueries, invalidationRules } from "../../api/queryCache";
+import { asc, eq, lists, search } from "../../api/pagination";
+import { ROLES, USER_STATUSES } from "../../api/schemas";
+import PageShell from "../../components/PageShell";
+import DataTable from "../../components/DataTable";
+import StatusBadge from "../../components/StatusBadge";
+import UserAvatar from "../../components/UserAvatar";
+import UserDrawer from "../../components/UserDrawer";
+import SuspensionDays, {
+  isValidSuspension,
+} from "../../components/SuspensionDays";
+import { useCurrentUser } from "../../components/AuthProvider";
+import { formatDateTime, humanize } from "../../lib/format";
+
+const columns = [
+  {
+    key: "name",
+    header: "User",
+    sortable: true,
+    render: (row) => (
+      <div className="flex items-center gap-3">
+        <UserAvatar user={row} size="sm" />
+        <div>
+          <div className="font-medium">{row.name}</div>
+          <div className="text-gray-500 text-xs">{row.email}</div>
+        </div>
+      </div>
+    ),
+  },
+  {
+    key: "role",
+    header: "Role",
+    sortable: true,
+    render: (row) => humanize(row.role),
+  },
+  {
+    key: "status",
+    header: "Status",
+    sortable: true,
+    render: (row) => (
+      <div>
+        <StatusBadge status={row.status} />
+        {row.status === "suspended" && row.suspendedUntil && (
+          <div className="text-gray-500 text-xs mt-1">
+            until {formatDateTime(row.suspendedUntil)}
+          </div>
+        )}
+      </div>
+    ),
+  },
+  {
+    key: "createdAt",
+    header: "Joined",
+    sortable: true,
+    render: (row) => formatDateTime(row.createdAt),
+  },
+];
+
+// Each bulk action runs once per selected user; `needs` names the extra
+// input it takes and `confirm` marks the ones that ask twice
+const BULK_ACTIONS = {
+  changeRole: {
+    label: "Change role",
+    method: "user.changeRole",
+    needs: "role",
+    run: (id, { role }) => api.user.changeRole(id, role),
+  },
+  suspend: {
+    label: "Suspend",
+    method: "user.changeStatus",
+    needs: "days",
+    run: (id, { days }) => api.user.changeStatus(id, "suspended", days),
+  },
+  ban: {
+    label: "Ban",
+    method: "user.changeStatus",
+    confirm: true,
+    run: (id) => api.user.changeStatus(id, "banned"),
+  },
+  unsuspend: {
+    label: "Lift suspension",
+    method: "user.unsuspend",
+    run: (id) => api.user.unsuspend(id),
+  },
+  unban: {
+    label: "Unban",
+    method: "user.unban",
+    run: (id) => api.user.unban(id),
+  },
+  delete: {
+    label: "Delete",
+    method: "user.deleteByAdmin",
+    confirm: true,
+    run: (id) => api.user.deleteByAdmin(id),
+  },
+};
+
+const filterClass =
+  "bg-white border border-gray-200 rounded-lg py-2 px-3 text-gray-700 text-sm focus:outline-none focus:ring-1 focus:ring-red-800";
+
+const BulkBar = ({ selected, onDone, onClear }) => {
+  const [action, setAction] = useState("changeRole");
+  const [role, setRole] = useState("WAITER");
+  const [days, setDays] = useState(7);
+  const [confirming, setConfirming] = useState(false);
+  const [isRunning, setIsRunning] = useState(false);
+
+  const definition = BULK_ACTIONS[action];
+  const count = selected.size;
+  const canRun = definition.needs !== "days" || isValidSuspension(days);
+
+  // Every user gets their own request and their own result; one failure
+  // does not stop the rest
+  const handleApply = async () => {
+    if (definition.confirm && !confirming) {
+      setConfirming(true);
+      return;
+    }
+    setConfirming(false);
+    setIsRunning(true);
+    const users = [...selected.values()];
+    const outcomes = await Promise.allSettled(
+      users.map((user) => definition.run(user.id, { role, days }))
+    );
+    invalidateQueries(invalidationRules[definition.method] ?? []);
+    setIsRunning(false);
+    onDone(
+      definition.label,
+      outcomes.map((outcome, index) => ({
+        user: users[index],
+        ok: outcome.status === "fulfilled",
+        message:
+          outcome.status === "fulfilled" ? "Done" : outcome.reason.message,
+      }))
+    );
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-md p-4 mb-4 flex flex-wrap items-center gap-3">
+      <span className="font-medium text-gray-800">{count} selected</span>
+      <select
+        value={action}
+        onChange={(e) => {
+          setAction(e.target.value);
+          setConfirming(false);
+        }}
+        disabled={isRunning}
+        className={filterClass}
+      >
+        {Object.entries(BULK_ACTIONS).map(([key, { label }]) => (
+          <option key={key} value={key}>
+            {label}
+          </option>
+        ))}
+      </select>
+      {definition.needs === "role" && (
+        <select
+          value={role}
+          onChange={(e) => setRole(e.target.value)}
+          disabled={isRunning}
+          className={filterClass}
+        >
+          {ROLES.map((value) => (
+            <option key={value} value={value}>
+              {humanize(value)}
+            </option>
+          ))}
+        </select>
+      )}
+      {definition.needs === "days" && (
+        <SuspensionDays value={days} onChange={setDays} disabled={isRunning} />
+      )}
+      <button
+        onClick={handleApply}
+        disabled={isRunning || !canRun}
+        className="px-4 py-2 bg-red-800 text-white text-sm font-medium rounded-lg hover:bg-red-900 transition-colors disabled:opacity-60"
+      >
+        {isRunning
+          ? "Working..."
+          : confirming
+          ? `Confirm: ${definition.label.toLowerCase()} ${count} user${
+              count === 1 ? "" : "s"
+            }`
+          : "Apply"}
+      </button>
+      <button
+        onClick={onClear}
+        disabled={isRunning}
+        className="text-sm text-red-800 font-medium hover:underline"
+      >
+        Clear selection
+      </button>
+    </div>
+  );
+};
+
+const BulkResults = ({ label, results, onDismiss }) => {
+  const failed = results.filter((result) => !result.ok).length;
+  return (
+    <div className="bg-white rounded-xl shadow-md p-4 mb-4">
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="font-bold text-gray-800">
+          {label}: {results.length - failed} succeeded
+          {failed > 0 && `, ${failed} failed`}
+        </h2>
+        <button
+          onClick={onDismiss}
+          className="text-sm text-red-800 font-medium hover:underline"
+        >
+          Dismiss
+        </button>
+      </div>
+      <ul className="divide-y divide-gray-100 text-sm">
+        {results.map(({ user, ok, message }) => (
+          <li key={user.id} className="flex justify-between gap-4 py-2">
+            <span className="text-gray-800">{user.name}</span>
+            <span className={ok ? "text-green-700" : "text-red-700"}>
+              {message}
+            </span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+const UsersPage = () => {
+  const { user: currentUser } = useCurrentUser();
+  const [text, setText] = useState("");
+  const [role, setRole] = useState("");
+  const [status, setStatus] = useState("");
+  const [selected, setSelected] = useState(() => new Map());
+  const [openUser, setOpenUser] = useState(null);
+  const [bulkResult, setBulkResult] = useState(null);
+
+  const filters = [
+    role && eq("role", role),
+    status && eq("status", status),
+    text && search(text),
+  ].filter(Boolean);
+
+  // Failed rows stay selected so the action can be retried on them
+  const handleBulkDone = (label, results) => {
+    setBulkResult({ label, results });
+    setSelected(
+      new Map(
+        results
+          .filter((result) => !result.ok)
+          .map((result) => [result.user.id, result.user])
+      )
+    );
+  };
+
+  return (
+    <PageShell
+      title="User Management"
+      subtitle="Roles, suspensions and bans for every account"
+      actions={
+        <Link
+          href="/admin"
+          className="px-4 py-2 border-2 border-red-800 text-red-800 font-medium rounded-lg hover:bg-red-50 transition-colors"
+        >
+          Dashboard
+        </Link>
+      }
+    >
+      <div className="flex flex-wrap gap-3 mb-4">
+        <input
+          type="search"
+          placeholder="Search name or email"
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          className={filterClass}
+        />
+        <select
+          value={role}
+          onChange={(e) => setRole(e.target.value)}
+          className={filterClass}
+        >
+          <option value="">All roles</option>
+          {ROLES.map((value) => (
+            <option key={value} value={value}>
+              {humanize(value)}
+            </option>
+          ))}
+        </select>
+        <select
+          value={status}
+          onChange={(e) => setStatus(e.target.value)}
+          className={filterClass}
+        >
+          <option value="">All statuses</option>
+          {USER_STATUSES.map((value) => (
+            <option key={value} value={value}>
+              {humanize(value)}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {selected.size > 0 && (
+        <BulkBar
+          selected={selected}
+          onDone={handleBulkDone}
+          onClear={() => setSelected(new Map())}
+        />
+      )}
+      {bulkResult && (
+        <BulkResults
+          label={bulkResult.label}
+          results={bulkResult.results}
+          onDismiss={() => setBulkResult(null)}
+        />
+      )}
+
+      <DataTable
+        list={lists.users}
+        columns={columns}
+        filters={filters}
+        initialSort={[asc("name")]}
+        onRowClick={setOpenUser}
+        selected={selected}
+        onSelect={setSelected}
+        isSelectable={(row) => row.id !== currentUser?.id}
+        emptyMessage="No users match these filters"
+      />
+
+      {openUser && (
+        <UserDrawer
+          key={openUser.id}
+          user={openUser}
+          isSelf={openUser.id === currentUser?.id}
+          onClose={() => setOpenUser(null)}
+        />
+      )}
+    </PageShell>
+  );
+};
+
+export default UsersPage;
@@ -0,0 +1,46 @@
+// authChannel.js - Sign-in and sign-out notifications. services.js reports
+// changes here; other tabs hear about them over a BroadcastChannel, or the
+// storage event where that is missing. Kept apart from tokenStore.js, which
+// middleware.js imports and which must stay Edge-safe.
+import { TOKEN_KEY } from "./tokenStore";
+
+const isBrowser = () => typeof window !== "undefined";
+
+const CHANNEL_NAME = "dineflow.auth";
+const tokenListeners = new Set();
+let channel = null;
+let listening = false;
+
+const emitTokenChange = (change) =>
+  tokenListeners.forEach((listener) => listener(change));
+
+function listenToOtherTabs() {
+  if (listening || !isBrowser()) return;
+  listening = true;
+  if (typeof BroadcastChannel !== "undefined") {
+    channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.onmessage = (message) =>
+      emitTokenChange({ type: message.data?.type, remote: true });
+    return;
+  }
+  window.addEventListener("storage", (event) => {
+    if (event.key !== TOKEN_KEY) return;
+    emitTokenChange({
+      type: event.newValue ? "signin" : "signout",
+      remote: true,
+    });
+  });
+}
+
+// type is "signin" or "signout"
+export const notifyTokenChange = (type) => {
+  emitTokenChange({ type, remote: false });
+  channel?.postMessage({ type });
+};
+
+// listener({ type, remote }); remote is true when another tab made the change
+export const subscribeTokenChanges = (listener) => {
+  listenToOtherTabs();
+  tokenListeners.add(listener);
+  return () => tokenListeners.delete(listener);
+};
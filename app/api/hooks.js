@@ -0,0 +1,145 @@
+"use client";
+// hooks.js - React bindings for the query cache
+import {
+  useCallback,
+  useEffect,
+  useRef,
+  useState,
+  useSyncExternalStore,
+} from "react";
+import {
+  fetchQuery,
+  getQuerySnapshot,
+  queryKey,
+  runMutation,
+  subscribeQuery,
+} from "./queryCache";
+import { getOutboxSnapshot, subscribeOutbox } from "./outbox";
+import { normalizePage } from "./pagination";
+import {
+  getRealtimeStatus,
+  retainConnection,
+  subscribe as subscribeRealtime,
+  subscribeRealtimeStatus,
+} from "./realtime";
+
+// useApiQuery("table.getAll") or useApiQuery("menu.getOrder", [orderId]).
+// With { live: true } the realtime channel stays open so pushed events keep
+// the result fresh.
+export function useApiQuery(name, args = [], options = {}) {
+  const { enabled = true, staleTime, refetchInterval, live = false } = options;
+  const key = queryKey(name, args);
+
+  const subscribe = useCallback(
+    (listener) => subscribeQuery(name, args, listener),
+    [key]
+  );
+  const getSnapshot = () => getQuerySnapshot(name, args);
+  const snapshot = useSyncExternalStore(subscribe, getSnapshot, getSnapshot);
+
+  useEffect(() => {
+    if (!enabled) return;
+    fetchQuery(name, args, { staleTime }).catch(() => {});
+
+    if (!refetchInterval) return;
+    const timer = setInterval(
+      () => fetchQuery(name, args, { force: true }).catch(() => {}),
+      refetchInterval
+    );
+    return () => clearInterval(timer);
+  }, [key, enabled, staleTime, refetchInterval]);
+
+  // clearQueryCache empties the entry in place (e.g. on sign-in); load it
+  // again for the new user
+  const isCleared =
+    snapshot.updatedAt === 0 && !snapshot.isFetching && !snapshot.error;
+  useEffect(() => {
+    if (enabled && isCleared) {
+      fetchQuery(name, args, { staleTime }).catch(() => {});
+    }
+  }, [key, enabled, isCleared]);
+
+  useEffect(() => {
+    if (!live || !enabled) return;
+    return retainConnection();
+  }, [live, enabled]);
+
+  const refetch = useCallback(
+    () => fetchQuery(name, args, { force: true }),
+    [key]
+  );
+
+  return { ...snapshot, refetch };
+}
+
+// One page of a list from pagination.js, e.g.
+// usePaginatedList(lists.reservations, { page: 2, filters: [eq("status", "confirmed")] }).
+// The previous page stays on screen while the next one loads.
+export function usePaginatedList(list, query = {}, options = {}) {
+  const params = list.params(query);
+  const result = useApiQuery(list.method, [params], options);
+  const lastPage = useRef(null);
+
+  const page =
+    result.data !== undefined ? normalizePage(result.data, params) : null;
+  if (page) lastPage.current = page;
+
+  return {
+    ...result,
+    page: page ?? lastPage.current,
+    isPreviousPage: !page && lastPage.current !== null,
+  };
+}
+
+// const { mutate, isPending } = useApiMutation("table.changeStatus")
+export function useApiMutation(name) {
+  const [state, setState] = useState({ isPending: false, error: null });
+
+  const mutate = useCallback(
+    async (...args) => {
+      setState({ isPending: true, error: null });
+      try {
+        const result = await runMutation(name, args);
+        setState({ isPending: false, error: null });
+        return result;
+      } catch (error) {
+        setState({ isPending: false, error });
+        throw error;
+      }
+    },
+    [name]
+  );
+
+  return { ...state, mutate };
+}
+
+// Pending offline mutations and whether a replay is running
+export function useOutbox() {
+  return useSyncExternalStore(
+    subscribeOutbox,
+    getOutboxSnapshot,
+    getOutboxSnapshot
+  );
+}
+
+// Runs handler for each pushed event of the given type ("*" for all)
+export function useRealtimeEvent(type, handler) {
+  const handlerRef = useRef(handler);
+  handlerRef.current = handler;
+
+  useEffect(
+    () =>
+      subscribeRealtime(type, (payload, event) =>
+        handlerRef.current(payload, event)
+      ),
+    [type]
+  );
+}
+
+export function useRealtimeStatus() {
+  return useSyncExternalStore(
+    subscribeRealtimeStatus,
+    getRealtimeStatus,
+    getRealtimeStatus
+  );
+}
@@ -0,0 +1,1180 @@
+// backend.js - In-process stand-in for the Flask API behind services.js
+import { RealtimeEvent } from "../realtimeEvents";
+import { createSeed, DEMO_PASSWORD } from "./seed";
+
+const STAFF = ["ADMIN", "WAITER", "CHEF", "CASHIER"];
+const ADMIN = ["ADMIN"];
+const FLOOR = ["ADMIN", "WAITER", "CASHIER"];
+const ANY = "any";
+const PUBLIC = null;
+
+// Roles in promotion order
+const ROLE_LADDER = ["WAITER", "CASHIER", "CHEF", "ADMIN"];
+
+export const INVITE_CODES = {
+  "DF-WAITER": "WAITER",
+  "DF-CHEF": "CHEF",
+  "DF-CASHIER": "CASHIER",
+};
+
+const TABLE_TRANSITIONS = {
+  available: ["reserved", "occupied", "cleaning"],
+  reserved: ["available", "occupied"],
+  occupied: ["cleaning", "available"],
+  cleaning: ["available"],
+};
+
+const RESERVATION_TRANSITIONS = {
+  pending: ["confirmed", "cancelled"],
+  confirmed: ["seated", "cancelled", "no_show"],
+  seated: ["completed"],
+  completed: [],
+  cancelled: [],
+  no_show: [],
+};
+
+const WAITLIST_TRANSITIONS = {
+  waiting: ["notified", "seated", "left"],
+  notified: ["waiting", "seated", "left"],
+  seated: [],
+  left: [],
+};
+
+const ORDER_TRANSITIONS = {
+  pending: ["preparing", "cancelled"],
+  preparing: ["ready", "cancelled"],
+  ready: ["served"],
+  served: ["paid"],
+  paid: [],
+  cancelled: [],
+};
+
+const ACTIVE_RESERVATION = new Set(["pending", "confirmed", "seated"]);
+const DEFAULT_DURATION = 90;
+// Guests cannot change or cancel a booking online within this many hours
+// of it; read from the same setting as the guest portal
+const GUEST_CHANGE_CUTOFF_HOURS = Number(
+  process.env.NEXT_PUBLIC_GUEST_CHANGE_CUTOFF_HOURS ?? 2
+);
+
+class MockHttpError extends Error {
+  constructor(status, message, data = {}) {
+    super(message);
+    this.status = status;
+    this.data = { message, ...data };
+  }
+}
+
+const fail = (status, message, data) => {
+  throw new MockHttpError(status, message, data);
+};
+
+const clone = (value) =>
+  value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+
+const compile = (pattern) => {
+  const keys = [];
+  const source = pattern.replace(/:(\w+)/g, (_, key) => {
+    keys.push(key);
+    return "([^/]+)";
+  });
+  return { keys, regex: new RegExp(`^${source}/?$`) };
+};
+
+const abortError = () => {
+  const error = new Error("The operation was aborted.");
+  error.name = "AbortError";
+  return error;
+};
+
+const wait = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(abortError());
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        reject(abortError());
+      },
+      { once: true }
+    );
+  });
+
+export function createMockBackend({ seed = createSeed(), latency = [80, 250] } = {}) {
+  const db = clone(seed);
+  const idempotent = new Map();
+  const routes = [];
+  const eventListeners = new Set();
+
+  // Stand-in for the server's push channel (see realtime.js)
+  const emit = (type, payload) =>
+    eventListeners.forEach((listener) => listener({ type, payload: clone(payload) }));
+
+  const route = (method, pattern, roles, handler) =>
+    routes.push({ method, roles, handler, ...compile(pattern) });
+
+  // --- Helpers ---
+  const nextId = (collection) =>
+    collection.reduce((max, record) => Math.max(max, record.id), 0) + 1;
+  const now = () => new Date().toISOString();
+
+  // Emails and texts a real server would send, newest first, for the demo
+  // page to show: { id, channel: "email" | "sms", to, text, link, sentAt }
+  const sentMessages = [];
+  const messageListeners = new Set();
+  const sendMessage = (message) => {
+    sentMessages.unshift({
+      id: sentMessages.length + 1,
+      link: null,
+      ...message,
+      sentAt: now(),
+    });
+    messageListeners.forEach((listener) => listener());
+  };
+
+  const find = (collection, id, label) => {
+    const record = collection.find((r) => String(r.id) === String(id));
+    if (!record) fail(404, `${label} not found`);
+    return record;
+  };
+
+  const publicUser = ({ password, ...user }) => user;
+
+  const issueToken = (user) => `mock-token.${user.id}.${Date.now()}`;
+
+  const userFromToken = (header) => {
+    const token = header?.replace(/^Bearer\s+/i, "");
+    const [prefix, id] = token?.split(".") ?? [];
+    if (prefix !== "mock-token") return null;
+    return db.users.find((u) => String(u.id) === id) ?? null;
+  };
+
+  const assertActive = (user) => {
+    if (user.status === "banned") fail(403, "This account has been banned");
+    if (user.status === "suspended") {
+      if (user.suspended_until && new Date(user.suspended_until) < new Date()) {
+        user.status = "active";
+        user.suspended_until = null;
+      } else {
+        fail(403, "This account is suspended", {
+          suspended_until: user.suspended_until,
+        });
+      }
+    }
+  };
+
+  const transition = (map, record, status, label) => {
+    if (record.status === status) return;
+    if (!map[record.status]?.includes(status)) {
+      fail(409, `Cannot change ${label} from ${record.status} to ${status}`, {
+        current: clone(record),
+      });
+    }
+    record.status = status;
+  };
+
+  // seated_at and completed_at record how long the party really held the
+  // table, which the waitlist averages for its quotes
+  const setReservationStatus = (reservation, status) => {
+    if (reservation.status === status) return;
+    transition(RESERVATION_TRANSITIONS, reservation, status, "reservation");
+    if (status === "seated") reservation.seated_at = now();
+    if (status === "completed") reservation.completed_at = now();
+  };
+
+  const setTableStatus = (table, status) => {
+    const wasOccupied = table.status === "occupied";
+    transition(TABLE_TRANSITIONS, table, status, "table");
+    table.occupied_since = status === "occupied" ? now() : null;
+    emit(RealtimeEvent.TABLE_STATUS_CHANGED, table);
+    if (!wasOccupied || status === "occupied") return;
+    // Clearing the table from the floor ends the booking seated at it
+    const seated = db.reservations.find(
+      (r) => r.table_id === table.id && r.status === "seated"
+    );
+    if (!seated) return;
+    setReservationStatus(seated, "completed");
+    emit(RealtimeEvent.RESERVATION_UPDATED, seated);
+  };
+
+  const requireFields = (body, fields) => {
+    const errors = {};
+    fields.forEach((field) => {
+      if (body?.[field] === undefined || body?.[field] === "") {
+        errors[field] = "This field is required";
+      }
+    });
+    if (Object.keys(errors).length) fail(422, "Validation failed", { errors });
+  };
+
+  const countBy = (collection, key, keys) =>
+    collection.reduce(
+      (counts, record) => ({
+        ...counts,
+        [record[key]]: (counts[record[key]] ?? 0) + 1,
+      }),
+      Object.fromEntries(keys.map((k) => [k, 0]))
+    );
+
+  const interval = (reservation) => {
+    const start = new Date(reservation.reservation_time).getTime();
+    const minutes = reservation.duration_minutes ?? DEFAULT_DURATION;
+    return [start, start + minutes * 60 * 1000];
+  };
+
+  const overlaps = (a, b) => {
+    const [aStart, aEnd] = interval(a);
+    const [bStart, bEnd] = interval(b);
+    return aStart < bEnd && bStart < aEnd;
+  };
+
+  // Tables that fit the party and have no overlapping active booking
+  const freeTables = ({ reservation_time, party_size, duration_minutes, exclude_id }) => {
+    const slot = { reservation_time, duration_minutes };
+    return db.tables
+      .filter((t) => t.capacity >= Number(party_size || 1))
+      .filter(
+        (t) =>
+          !db.reservations.some(
+            (r) =>
+              r.table_id === t.id &&
+              String(r.id) !== String(exclude_id) &&
+              ACTIVE_RESERVATION.has(r.status) &&
+              overlaps(r, slot)
+          )
+      )
+      .sort((a, b) => a.capacity - b.capacity);
+  };
+
+  const isOwner = (user, reservation) =>
+    user && reservation.customer_id === user.id;
+
+  const canSeeReservation = (user, reservation) =>
+    STAFF.includes(user?.role) || isOwner(user, reservation);
+
+  // Staff can always change a booking; its guest only while it is still
+  // pending or confirmed and outside the cutoff
+  const insideCutoff = (time) =>
+    Date.now() >=
+    new Date(time).getTime() - GUEST_CHANGE_CUTOFF_HOURS * 3600000;
+
+  // newTime is where a change would move the booking; it has to be outside
+  // the cutoff too
+  const requireGuestCanChange = (user, reservation, newTime) => {
+    if (STAFF.includes(user.role)) return;
+    if (!["pending", "confirmed"].includes(reservation.status)) {
+      fail(409, `This booking is ${reservation.status.replace("_", " ")}`);
+    }
+    if (insideCutoff(reservation.reservation_time)) {
+      fail(409, "This booking is too close to change online");
+    }
+    if (newTime && insideCutoff(newTime)) {
+      fail(409, "That time is too close to book online");
+    }
+  };
+
+  // Bookings made without an account go to the guest who signs in with the
+  // email they were made under, once that email is verified as theirs;
+  // anyone can type an address into the booking form
+  const claimGuestBookings = (user) => {
+    if (user.role !== "CUSTOMER" || !user.email_verified) return;
+    const email = user.email.toLowerCase();
+    db.reservations
+      .filter(
+        (r) => r.customer_id == null && r.customer_email?.toLowerCase() === email
+      )
+      .forEach((r) => {
+        r.customer_id = user.id;
+      });
+  };
+
+  const recomputeTotal = (order) => {
+    order.total = db.orderItems
+      .filter((oi) => oi.order_id === order.id)
+      .reduce((sum, oi) => sum + oi.price * oi.quantity, 0);
+    order.updated_at = now();
+    emit(RealtimeEvent.ORDER_UPDATED, order);
+  };
+
+  // Exact match on each key; comma-separated values match any of them
+  const filterBy = (records, query, keys) =>
+    records.filter((record) =>
+      keys.every(
+        (key) =>
+          query[key] === undefined ||
+          String(query[key]).split(",").includes(String(record[key]))
+      )
+    );
+
+  // field_from / field_to bounds, compared as numbers or ISO strings
+  const applyRanges = (records, query) =>
+    Object.entries(query).reduce((rows, [key, bound]) => {
+      const match = key.match(/^(.+)_(from|to)$/);
+      if (!match) return rows;
+      const [, field, side] = match;
+      const numeric = bound !== "" && !Number.isNaN(Number(bound));
+      return rows.filter((row) => {
+        if (row[field] === undefined) return true;
+        const value = numeric ? Number(row[field]) : String(row[field]);
+        const limit = numeric ? Number(bound) : String(bound);
+        return side === "from" ? value >= limit : value <= limit;
+      });
+    }, records);
+
+  const compareBy = (keys) => (a, b) => {
+    for (const key of keys) {
+      const field = key.replace(/^-/, "");
+      const direction = key.startsWith("-") ? -1 : 1;
+      if (a[field] < b[field]) return -direction;
+      if (a[field] > b[field]) return direction;
+    }
+    return 0;
+  };
+
+  // Search, sort and page a list. Bare arrays come back when no paging is
+  // requested, matching the live API's older behavior.
+  const listResponse = (records, query) => {
+    let rows = applyRanges(records, query);
+    if (query.q) {
+      const text = query.q.toLowerCase();
+      rows = rows.filter((row) =>
+        Object.values(row).some(
+          (value) => typeof value === "string" && value.toLowerCase().includes(text)
+        )
+      );
+    }
+    if (query.sort) rows = [...rows].sort(compareBy(query.sort.split(",")));
+    if (!query.page && !query.limit && !query.cursor) return rows;
+
+    const limit = Number(query.limit) || 20;
+    if (query.cursor) {
+      const offset = Number(query.cursor.replace(/^o:/, "")) || 0;
+      const items = rows.slice(offset, offset + limit);
+      const next = offset + limit < rows.length ? `o:${offset + limit}` : null;
+      return { items, limit, next_cursor: next };
+    }
+    const page = Math.max(1, Number(query.page) || 1);
+    return {
+      items: rows.slice((page - 1) * limit, page * limit),
+      total: rows.length,
+      page,
+      limit,
+      pages: Math.max(1, Math.ceil(rows.length / limit)),
+    };
+  };
+
+  const onDate = (records, date) =>
+    date
+      ? records.filter((r) => r.reservation_time.slice(0, 10) === date)
+      : records;
+
+  // --- Auth ---
+  // Verification links work like reset links: single use, sent to
+  // sentMessages, and valid for a day
+  const VERIFY_TTL = 24 * 60 * 60 * 1000;
+  const verifyTokens = new Set();
+  const sendVerification = (user) => {
+    const token = `mock-verify.${user.id}.${Date.now() + VERIFY_TTL}`;
+    verifyTokens.add(token);
+    sendMessage({
+      channel: "email",
+      to: user.email,
+      text: "Verify your DineFlow email",
+      link: `/verify-email?token=${token}`,
+    });
+  };
+
+  route("POST", "/auth/register", PUBLIC, ({ body }) => {
+    requireFields(body, ["name", "email", "password"]);
+    if (db.users.some((u) => u.email === body.email)) {
+      fail(409, "Email is already registered", {
+        errors: { email: "An account with this email already exists" },
+      });
+    }
+    let role = "CUSTOMER";
+    if (body.invite_code) {
+      role = INVITE_CODES[body.invite_code];
+      if (!role) {
+        fail(422, "Invalid invite code", {
+          errors: { invite_code: "This invite code is not valid" },
+        });
+      }
+    }
+    const user = {
+      id: nextId(db.users),
+      name: body.name,
+      email: body.email,
+      phone: body.phone ?? "",
+      role,
+      status: "active",
+      suspended_until: null,
+      avatar_url: null,
+      email_verified: false,
+      password: body.password,
+      created_at: now(),
+    };
+    db.users.push(user);
+    sendVerification(user);
+    return [201, { message: "Check your email to verify your account", user: publicUser(user) }];
+  });
+
+  route("POST", "/auth/login", PUBLIC, ({ body }) => {
+    const user = db.users.find((u) => u.email === body?.email);
+    if (!user || user.password !== body?.password) {
+      fail(401, "Invalid email or password");
+    }
+    assertActive(user);
+    claimGuestBookings(user);
+    return { access_token: issueToken(user), user: publicUser(user) };
+  });
+
+  route("POST", "/auth/refresh", ANY, ({ user }) => ({
+    access_token: issueToken(user),
+  }));
+
+  route("GET", "/auth/logout", PUBLIC, () => ({ message: "Logged out" }));
+
+  route("POST", "/auth/resend-verification", PUBLIC, ({ body }) => {
+    requireFields(body, ["email"]);
+    const user = db.users.find((u) => u.email === body.email);
+    if (user && !user.email_verified) sendVerification(user);
+    return { message: "If that account needs verifying, a new link is on its way" };
+  });
+
+  route("POST", "/auth/verify-email", PUBLIC, ({ body }) => {
+    requireFields(body, ["token"]);
+    const [, id, expires] = body.token.split(".");
+    const user = db.users.find((u) => String(u.id) === id);
+    if (!verifyTokens.has(body.token) || !user) {
+      fail(400, "Verification link is invalid or has already been used");
+    }
+    verifyTokens.delete(body.token);
+    if (Number(expires) < Date.now()) fail(410, "Verification link has expired");
+    user.email_verified = true;
+    claimGuestBookings(user);
+    return { message: "Email verified" };
+  });
+
+  // Reset tokens are single use and expire after an hour. The email with the
+  // link goes to sentMessages, where the demo page shows it.
+  const RESET_TTL = 60 * 60 * 1000;
+  const resetTokens = new Set();
+
+  route("POST", "/auth/forgot-password", PUBLIC, ({ body }) => {
+    requireFields(body, ["email"]);
+    const user = db.users.find((u) => u.email === body.email);
+    if (user) {
+      const token = `mock-reset.${user.id}.${Date.now() + RESET_TTL}`;
+      resetTokens.add(token);
+      sendMessage({
+        channel: "email",
+        to: user.email,
+        text: "Reset your DineFlow password",
+        link: `/reset-password?token=${token}`,
+      });
+    }
+    return { message: "If that email exists, a reset link has been sent" };
+  });
+
+  route("POST", "/auth/reset-password", PUBLIC, ({ body }) => {
+    requireFields(body, ["token", "new_password"]);
+    const [, id, expires] = body.token.split(".");
+    const user = db.users.find((u) => String(u.id) === id);
+    if (!resetTokens.has(body.token) || !user) {
+      fail(400, "Reset link is invalid or has already been used");
+    }
+    if (Number(expires) < Date.now()) {
+      resetTokens.delete(body.token);
+      fail(410, "Reset link has expired");
+    }
+    if (String(body.new_password).length < 8) {
+      fail(422, "Validation failed", {
+        errors: { new_password: "Use at least 8 characters" },
+      });
+    }
+    resetTokens.delete(body.token);
+    user.password = body.new_password;
+    return { message: "Password updated" };
+  });
+
+  // --- User ---
+  route("GET", "/user/me", ANY, ({ user }) => publicUser(user));
+  route("PATCH", "/user/update", ANY, ({ user, body }) => {
+    const { id, role, status, password, email, ...changes } = body ?? {};
+    Object.assign(user, changes);
+    return publicUser(user);
+  });
+  route("POST", "/user/avatar", ANY, ({ user, body }) => {
+    const file = body?.get?.("avatar");
+    if (!file) fail(422, "No avatar uploaded");
+    user.avatar_url =
+      typeof URL.createObjectURL === "function" && typeof file !== "string"
+        ? URL.createObjectURL(file)
+        : "/restaurant.jpeg";
+    return publicUser(user);
+  });
+  route("DELETE", "/user/delete", ANY, ({ user }) => {
+    db.users = db.users.filter((u) => u.id !== user.id);
+    return { message: "Account deleted" };
+  });
+  route("GET", "/user/count", ADMIN, () => ({ count: db.users.length }));
+  route("GET", "/user/count/by-role", ADMIN, () =>
+    countBy(db.users, "role", [...STAFF, "CUSTOMER"])
+  );
+  route("GET", "/user/count/by-status", ADMIN, () =>
+    countBy(db.users, "status", ["active", "suspended", "banned"])
+  );
+  route("GET", "/user/list/:status", ADMIN, ({ params }) =>
+    db.users.filter((u) => u.status === params.status).map(publicUser)
+  );
+  route("GET", "/user/welcome", ANY, ({ user }) => ({
+    message: `Welcome back, ${user.name}!`,
+  }));
+  route("PATCH", "/user/status/:id", ADMIN, ({ params, body }) => {
+    const target = find(db.users, params.id, "User");
+    if (!["active", "suspended", "banned"].includes(body?.status)) {
+      fail(422, "Unknown status", { errors: { status: "Unknown status" } });
+    }
+    if (body.status === "suspended" && !(Number(body.days) > 0)) {
+      fail(422, "Suspensions need a number of days", {
+        errors: { days: "Enter at least 1 day" },
+      });
+    }
+    target.status = body.status;
+    target.suspended_until =
+      body.status === "suspended"
+        ? new Date(Date.now() + Number(body.days) * 86400000).toISOString()
+        : null;
+    return publicUser(target);
+  });
+  route("PATCH", "/user/role/:id", ADMIN, ({ params, body }) => {
+    const target = find(db.users, params.id, "User");
+    if (![...STAFF, "CUSTOMER"].includes(body?.role)) {
+      fail(422, "Unknown role", { errors: { role: "Unknown role" } });
+    }
+    target.role = body.role;
+    return publicUser(target);
+  });
+  const step = (direction) => ({ params }) => {
+    const target = find(db.users, params.id, "User");
+    const rank = ROLE_LADDER.indexOf(target.role);
+    const next = ROLE_LADDER[rank + direction];
+    if (rank === -1 || !next) {
+      fail(409, `Cannot ${direction > 0 ? "promote" : "demote"} a ${target.role}`);
+    }
+    target.role = next;
+    return publicUser(target);
+  };
+  route("PUT", "/user/:id/promote", ADMIN, step(1));
+  route("PUT", "/user/:id/demote", ADMIN, step(-1));
+  route("PUT", "/user/:id/unban", ADMIN, ({ params }) => {
+    const target = find(db.users, params.id, "User");
+    if (target.status !== "banned") fail(409, "User is not banned");
+    target.status = "active";
+    return publicUser(target);
+  });
+  route("PUT", "/user/:id/unsuspend", ADMIN, ({ params }) => {
+    const target = find(db.users, params.id, "User");
+    if (target.status !== "suspended") fail(409, "User is not suspended");
+    target.status = "active";
+    target.suspended_until = null;
+    return publicUser(target);
+  });
+  route("DELETE", "/user/delete/:id", ADMIN, ({ params, user }) => {
+    const target = find(db.users, params.id, "User");
+    if (target.id === user.id) fail(409, "Admins cannot delete themselves here");
+    db.users = db.users.filter((u) => u.id !== target.id);
+    return { message: "User deleted" };
+  });
+  route("GET", "/user/", ADMIN, ({ query }) =>
+    listResponse(
+      filterBy(db.users, query, ["role", "status"]).map(publicUser),
+      query
+    )
+  );
+  route("GET", "/user/:id", ADMIN, ({ params }) =>
+    publicUser(find(db.users, params.id, "User"))
+  );
+
+  // --- Table ---
+  const requireFreeNumber = (number, exceptId) => {
+    const taken = db.tables.some(
+      (t) => t.id !== exceptId && String(t.number) === String(number)
+    );
+    if (taken) {
+      fail(409, "Table number already in use", {
+        errors: { number: "Table number already in use" },
+      });
+    }
+  };
+
+  route("GET", "/table/tables/available", STAFF, () =>
+    db.tables.filter((t) => t.status === "available")
+  );
+  route("GET", "/table/tables", STAFF, () => db.tables);
+  route("POST", "/table/tables", ADMIN, ({ body }) => {
+    requireFields(body, ["number", "capacity"]);
+    requireFreeNumber(body.number);
+    const table = {
+      zone: "Main Hall",
+      waiter_id: null,
+      ...body,
+      id: nextId(db.tables),
+      status: "available",
+      occupied_since: null,
+    };
+    db.tables.push(table);
+    return [201, table];
+  });
+  route("GET", "/table/tables/:id", STAFF, ({ params }) =>
+    find(db.tables, params.id, "Table")
+  );
+  route("PUT", "/table/tables/:id", ADMIN, ({ params, body }) => {
+    const table = find(db.tables, params.id, "Table");
+    const { id, status, ...changes } = body ?? {};
+    if (changes.number !== undefined) requireFreeNumber(changes.number, table.id);
+    Object.assign(table, changes);
+    return table;
+  });
+  route("DELETE", "/table/tables/:id", ADMIN, ({ params }) => {
+    const table = find(db.tables, params.id, "Table");
+    if (table.status === "occupied") fail(409, "Table is occupied");
+    db.tables = db.tables.filter((t) => t.id !== table.id);
+    return { message: "Table deleted" };
+  });
+  route("PATCH", "/table/tables/:id/status", FLOOR, ({ params, body }) => {
+    const table = find(db.tables, params.id, "Table");
+    if (!TABLE_TRANSITIONS[body?.status]) {
+      fail(422, "Unknown table status", { errors: { status: "Unknown status" } });
+    }
+    setTableStatus(table, body.status);
+    return table;
+  });
+  route("GET", "/table/status", STAFF, () => ({
+    ...countBy(db.tables, "status", Object.keys(TABLE_TRANSITIONS)),
+    total: db.tables.length,
+  }));
+  route("GET", "/table/reserved", STAFF, () =>
+    db.tables.filter((t) => t.status === "reserved")
+  );
+  route("GET", "/table/occupied", STAFF, () =>
+    db.tables.filter((t) => t.status === "occupied")
+  );
+
+  // Waiters see their assigned tables, guests the tables they booked
+  const myTables = (user) =>
+    user.role === "WAITER"
+      ? db.tables.filter((t) => t.waiter_id === user.id)
+      : db.reservations
+          .filter((r) => isOwner(user, r) && ACTIVE_RESERVATION.has(r.status))
+          .map((r) => db.tables.find((t) => t.id === r.table_id))
+          .filter(Boolean);
+
+  route("GET", "/table/my-reservations", ANY, ({ user }) =>
+    db.reservations.filter((r) => isOwner(user, r))
+  );
+  route("GET", "/table/my-tables", ANY, ({ user }) => myTables(user));
+  route("GET", "/table/my-occupied", ANY, ({ user }) =>
+    myTables(user).filter((t) => t.status === "occupied")
+  );
+  route("GET", "/table/my-tables/:reservationId", ANY, ({ user, params }) => {
+    const reservation = find(db.reservations, params.reservationId, "Reservation");
+    if (!canSeeReservation(user, reservation)) fail(403, "Not your reservation");
+    return find(db.tables, reservation.table_id, "Table");
+  });
+
+  // --- Reservation ---
+  route("POST", "/reservations/check-availability", PUBLIC, ({ body }) => {
+    requireFields(body, ["reservation_time", "party_size"]);
+    const tables = freeTables(body);
+    const requested = body.table_id
+      ? tables.filter((t) => String(t.id) === String(body.table_id))
+      : tables;
+    return { available: requested.length > 0, tables: requested };
+  });
+  route("GET", "/reservations/upcoming", STAFF, ({ query }) =>
+    db.reservations
+      .filter(
+        (r) =>
+          ACTIVE_RESERVATION.has(r.status) &&
+          new Date(r.reservation_time) >= new Date(Date.now() - 3600000)
+      )
+      .sort((a, b) => a.reservation_time.localeCompare(b.reservation_time))
+      .slice(0, Number(query.limit) || undefined)
+  );
+  route("GET", "/reservations", STAFF, ({ query }) =>
+    listResponse(
+      onDate(
+        filterBy(db.reservations, query, ["status", "table_id", "customer_name"]),
+        query.date
+      ),
+      query
+    )
+  );
+  route("POST", "/reservations", PUBLIC, ({ body, user }) => {
+    requireFields(body, ["customer_name", "party_size", "reservation_time"]);
+    const tables = freeTables(body);
+    const table = body.table_id
+      ? tables.find((t) => String(t.id) === String(body.table_id))
+      : tables[0];
+    if (!table) fail(409, "No table is available for that time");
+    // Only staff book on a customer's behalf; anyone else's customer_id is
+    // ignored, so a guest cannot file a booking under another account
+    const staffBooking = user && STAFF.includes(user.role);
+    const reservation = {
+      customer_phone: "",
+      customer_email: null,
+      special_requests: "",
+      duration_minutes: DEFAULT_DURATION,
+      ...body,
+      seated_at: null,
+      completed_at: null,
+      id: nextId(db.reservations),
+      table_id: table.id,
+      customer_id:
+        user?.role === "CUSTOMER"
+          ? user.id
+          : staffBooking
+            ? body.customer_id ?? null
+            : null,
+      status: "pending",
+      created_at: now(),
+    };
+    db.reservations.push(reservation);
+    emit(RealtimeEvent.RESERVATION_CREATED, reservation);
+    return [201, reservation];
+  });
+  route("GET", "/reservations/:id", ANY, ({ params, user }) => {
+    const reservation = find(db.reservations, params.id, "Reservation");
+    if (!canSeeReservation(user, reservation)) fail(403, "Not your reservation");
+    return reservation;
+  });
+  route("PUT", "/reservations/:id", ANY, ({ params, body, user }) => {
+    const reservation = find(db.reservations, params.id, "Reservation");
+    if (!canSeeReservation(user, reservation)) fail(403, "Not your reservation");
+    requireGuestCanChange(user, reservation, body?.reservation_time);
+    const { id, status, customer_id, seated_at, completed_at, ...changes } =
+      body ?? {};
+    const next = { ...reservation, ...changes };
+    const timingChanged =
+      changes.reservation_time || changes.table_id || changes.party_size;
+    if (timingChanged) {
+      const fits = freeTables({ ...next, exclude_id: reservation.id }).some(
+        (t) => t.id === Number(next.table_id)
+      );
+      if (!fits) fail(409, "That table is not available at the new time");
+    }
+    Object.assign(reservation, changes);
+    emit(RealtimeEvent.RESERVATION_UPDATED, reservation);
+    return reservation;
+  });
+  route("DELETE", "/reservations/:id", ANY, ({ params, user }) => {
+    const reservation = find(db.reservations, params.id, "Reservation");
+    if (user.role !== "ADMIN" && !isOwner(user, reservation)) {
+      fail(403, "Not your reservation");
+    }
+    db.reservations = db.reservations.filter((r) => r.id !== reservation.id);
+    return { message: "Reservation deleted" };
+  });
+  route("PATCH", "/reservations/:id/status", ANY, ({ params, body, user }) => {
+    const reservation = find(db.reservations, params.id, "Reservation");
+    const guestCancelling = isOwner(user, reservation) && body?.status === "cancelled";
+    if (!STAFF.includes(user.role) && !guestCancelling) {
+      fail(403, "Only staff can change reservation status");
+    }
+    requireGuestCanChange(user, reservation);
+    setReservationStatus(reservation, body?.status);
+    const table = db.tables.find((t) => t.id === reservation.table_id);
+    if (table && reservation.status === "seated" && table.status !== "occupied") {
+      table.status = "occupied";
+      table.occupied_since = now();
+      emit(RealtimeEvent.TABLE_STATUS_CHANGED, table);
+    }
+    if (table && reservation.status === "completed") {
+      table.status = "cleaning";
+      table.occupied_since = null;
+      emit(RealtimeEvent.TABLE_STATUS_CHANGED, table);
+    }
+    emit(RealtimeEvent.RESERVATION_UPDATED, reservation);
+    return reservation;
+  });
+
+  // --- Waitlist ---
+  route("GET", "/waitlist", FLOOR, ({ query }) =>
+    filterBy(db.waitlist, query, ["status"]).sort((a, b) =>
+      a.arrived_at.localeCompare(b.arrived_at)
+    )
+  );
+  route("POST", "/waitlist", FLOOR, ({ body }) => {
+    requireFields(body, ["customer_name", "party_size"]);
+    const entry = {
+      customer_phone: null,
+      arrived_at: now(),
+      quoted_minutes: null,
+      notes: null,
+      ...body,
+      id: nextId(db.waitlist),
+      status: "waiting",
+      notified_at: null,
+      seated_at: null,
+      table_id: null,
+    };
+    db.waitlist.push(entry);
+    emit(RealtimeEvent.WAITLIST_UPDATED, entry);
+    return [201, entry];
+  });
+  route("PUT", "/waitlist/:id", FLOOR, ({ params, body }) => {
+    const entry = find(db.waitlist, params.id, "Waitlist entry");
+    const { id, status, notified_at, seated_at, ...changes } = body ?? {};
+    if (status) transition(WAITLIST_TRANSITIONS, entry, status, "waitlist entry");
+    if (status === "seated") entry.seated_at = now();
+    Object.assign(entry, changes);
+    emit(RealtimeEvent.WAITLIST_UPDATED, entry);
+    return entry;
+  });
+  route("DELETE", "/waitlist/:id", FLOOR, ({ params }) => {
+    const entry = find(db.waitlist, params.id, "Waitlist entry");
+    db.waitlist = db.waitlist.filter((w) => w.id !== entry.id);
+    emit(RealtimeEvent.WAITLIST_UPDATED, entry);
+    return { message: "Waitlist entry deleted" };
+  });
+  // Texts the guest that their table is ready
+  route("POST", "/waitlist/:id/notify", FLOOR, ({ params }) => {
+    const entry = find(db.waitlist, params.id, "Waitlist entry");
+    if (!entry.customer_phone) {
+      fail(422, "No phone number to notify", {
+        errors: { customer_phone: "Add a phone number first" },
+      });
+    }
+    transition(WAITLIST_TRANSITIONS, entry, "notified", "waitlist entry");
+    entry.notified_at = now();
+    sendMessage({
+      channel: "sms",
+      to: entry.customer_phone,
+      text: `${entry.customer_name}, your table is ready`,
+    });
+    emit(RealtimeEvent.WAITLIST_UPDATED, entry);
+    return entry;
+  });
+
+  // --- Payment ---
+  const CASH = ["ADMIN", "CASHIER"];
+  route("GET", "/payments", CASH, () => db.payments);
+  route("GET", "/payments/:id", CASH, ({ params }) =>
+    find(db.payments, params.id, "Payment")
+  );
+  route("POST", "/payments", CASH, ({ body }) => {
+    requireFields(body, ["order_id", "amount", "method"]);
+    const order = find(db.orders, body.order_id, "Order");
+    if (order.status === "paid") fail(409, "Order is already paid");
+    const payment = {
+      ...body,
+      id: nextId(db.payments),
+      status: "completed",
+      adjustments: [],
+      created_at: now(),
+    };
+    db.payments.push(payment);
+    order.status = "paid";
+    order.updated_at = now();
+    emit(RealtimeEvent.ORDER_UPDATED, order);
+    return [201, payment];
+  });
+  route("PUT", "/payments/:id", CASH, ({ params, body }) => {
+    const payment = find(db.payments, params.id, "Payment");
+    const { id, ...changes } = body ?? {};
+    return Object.assign(payment, changes);
+  });
+  route("POST", "/payments/:id/adjust", CASH, ({ params, body }) => {
+    const payment = find(db.payments, params.id, "Payment");
+    requireFields(body, ["amount"]);
+    payment.adjustments.push({ ...body, created_at: now() });
+    payment.amount += Number(body.amount);
+    return payment;
+  });
+  route("DELETE", "/payments/:id", ADMIN, ({ params }) => {
+    find(db.payments, params.id, "Payment");
+    db.payments = db.payments.filter((p) => String(p.id) !== params.id);
+    return { message: "Payment deleted" };
+  });
+
+  // --- Notification ---
+  const mine = (user) => db.notifications.filter((n) => n.user_id === user.id);
+  route("GET", "/notifications/unread-count", ANY, ({ user }) => ({
+    count: mine(user).filter((n) => !n.is_read).length,
+  }));
+  route("PATCH", "/notifications/mark-all-read", ANY, ({ user }) => {
+    mine(user).forEach((n) => (n.is_read = true));
+    return { message: "All notifications marked as read" };
+  });
+  route("GET", "/notifications", ANY, ({ user, query }) =>
+    listResponse(
+      filterBy(mine(user), query, ["type"])
+        .filter((n) => query.unread_only !== "true" || !n.is_read)
+        .sort((a, b) => b.created_at.localeCompare(a.created_at)),
+      query
+    )
+  );
+  route("POST", "/notifications", ADMIN, ({ body }) => {
+    requireFields(body, ["user_id", "title", "message"]);
+    const notification = {
+      type: "system",
+      ...body,
+      id: nextId(db.notifications),
+      is_read: false,
+      created_at: now(),
+    };
+    db.notifications.push(notification);
+    emit(RealtimeEvent.NOTIFICATION_RECEIVED, notification);
+    return [201, notification];
+  });
+  route("PATCH", "/notifications/:id/read", ANY, ({ params, user }) => {
+    const notification = find(mine(user), params.id, "Notification");
+    notification.is_read = true;
+    return notification;
+  });
+  route("DELETE", "/notifications/:id", ANY, ({ params, user }) => {
+    find(mine(user), params.id, "Notification");
+    db.notifications = db.notifications.filter((n) => String(n.id) !== params.id);
+    return { message: "Notification deleted" };
+  });
+
+  // --- Menu ---
+  const KITCHEN = ["ADMIN", "CHEF"];
+  const ORDERING = ["ADMIN", "WAITER"];
+
+  route("GET", "/menu/categories", PUBLIC, () => db.categories);
+  route("GET", "/menu/categories/:id", PUBLIC, ({ params }) => ({
+    ...find(db.categories, params.id, "Category"),
+    items: db.items.filter((i) => String(i.category_id) === params.id),
+  }));
+  route("POST", "/menu/categories", ADMIN, ({ body }) => {
+    requireFields(body, ["name"]);
+    const category = { description: "", ...body, id: nextId(db.categories) };
+    db.categories.push(category);
+    return [201, category];
+  });
+  route("PUT", "/menu/categories/:id", ADMIN, ({ params, body }) => {
+    const { id, ...changes } = body ?? {};
+    return Object.assign(find(db.categories, params.id, "Category"), changes);
+  });
+  route("DELETE", "/menu/categories/:id", ADMIN, ({ params }) => {
+    find(db.categories, params.id, "Category");
+    if (db.items.some((i) => String(i.category_id) === params.id)) {
+      fail(409, "Category still has menu items");
+    }
+    db.categories = db.categories.filter((c) => String(c.id) !== params.id);
+    return { message: "Category deleted" };
+  });
+
+  route("GET", "/menu/items", PUBLIC, ({ query }) =>
+    listResponse(
+      filterBy(db.items, query, ["category_id"]).filter(
+        (i) => query.available !== "true" || i.is_available
+      ),
+      query
+    )
+  );
+  route("GET", "/menu/items/:id", PUBLIC, ({ params }) =>
+    find(db.items, params.id, "Menu item")
+  );
+  route("POST", "/menu/items", ADMIN, ({ body }) => {
+    requireFields(body, ["name", "price", "category_id"]);
+    find(db.categories, body.category_id, "Category");
+    const item = {
+      description: "",
+      is_available: true,
+      ...body,
+      id: nextId(db.items),
+    };
+    db.items.push(item);
+    return [201, item];
+  });
+  route("PUT", "/menu/items/:id", KITCHEN, ({ params, body }) => {
+    const { id, ...changes } = body ?? {};
+    return Object.assign(find(db.items, params.id, "Menu item"), changes);
+  });
+  route("DELETE", "/menu/items/:id", ADMIN, ({ params }) => {
+    find(db.items, params.id, "Menu item");
+    db.items = db.items.filter((i) => String(i.id) !== params.id);
+    return { message: "Menu item deleted" };
+  });
+
+  const withItems = (order) => ({
+    ...order,
+    items: db.orderItems.filter((oi) => oi.order_id === order.id),
+  });
+
+  route("GET", "/menu/orders", STAFF, ({ query }) =>
+    listResponse(
+      filterBy(db.orders, query, ["status", "table_id", "waiter_id"]),
+      query
+    )
+  );
+  route("GET", "/menu/orders/:id", STAFF, ({ params }) =>
+    withItems(find(db.orders, params.id, "Order"))
+  );
+  route("POST", "/menu/orders", ORDERING, ({ body, user }) => {
+    requireFields(body, ["table_id"]);
+    find(db.tables, body.table_id, "Table");
+    const order = {
+      ...body,
+      id: nextId(db.orders),
+      waiter_id: body.waiter_id ?? user.id,
+      status: "pending",
+      total: 0,
+      created_at: now(),
+      updated_at: now(),
+    };
+    db.orders.push(order);
+    emit(RealtimeEvent.ORDER_CREATED, order);
+    return [201, order];
+  });
+  route("PUT", "/menu/orders/:id", STAFF, ({ params, body }) => {
+    const order = find(db.orders, params.id, "Order");
+    const { id, status, total, ...changes } = body ?? {};
+    if (status) transition(ORDER_TRANSITIONS, order, status, "order");
+    Object.assign(order, changes, { updated_at: now() });
+    emit(RealtimeEvent.ORDER_UPDATED, withItems(order));
+    return withItems(order);
+  });
+  route("DELETE", "/menu/orders/:id", ADMIN, ({ params }) => {
+    find(db.orders, params.id, "Order");
+    db.orders = db.orders.filter((o) => String(o.id) !== params.id);
+    db.orderItems = db.orderItems.filter((oi) => String(oi.order_id) !== params.id);
+    return { message: "Order deleted" };
+  });
+
+  const openOrder = (orderId) => {
+    const order = find(db.orders, orderId, "Order");
+    if (["paid", "cancelled"].includes(order.status)) {
+      fail(409, `Order is already ${order.status}`, { current: clone(order) });
+    }
+    return order;
+  };
+
+  route("GET", "/menu/order-items", STAFF, ({ query }) =>
+    filterBy(db.orderItems, query, ["order_id", "status"])
+  );
+  route("GET", "/menu/order-items/:id", STAFF, ({ params }) =>
+    find(db.orderItems, params.id, "Order item")
+  );
+  route("POST", "/menu/order-items", ORDERING, ({ body }) => {
+    requireFields(body, ["order_id", "menu_item_id"]);
+    const order = openOrder(body.order_id);
+    const item = find(db.items, body.menu_item_id, "Menu item");
+    if (!item.is_available) fail(409, `${item.name} is not available`);
+    const orderItem = {
+      quantity: 1,
+      notes: "",
+      ...body,
+      id: nextId(db.orderItems),
+      order_id: order.id,
+      price: item.price,
+      status: "pending",
+    };
+    db.orderItems.push(orderItem);
+    recomputeTotal(order);
+    return [201, orderItem];
+  });
+  route("PUT", "/menu/order-items/:id", [...ORDERING, "CHEF"], ({ params, body }) => {
+    const orderItem = find(db.orderItems, params.id, "Order item");
+    const order = openOrder(orderItem.order_id);
+    const { id, order_id, price, ...changes } = body ?? {};
+    Object.assign(orderItem, changes);
+    recomputeTotal(order);
+    return orderItem;
+  });
+  route("DELETE", "/menu/order-items/:id", ORDERING, ({ params }) => {
+    const orderItem = find(db.orderItems, params.id, "Order item");
+    const order = openOrder(orderItem.order_id);
+    db.orderItems = db.orderItems.filter((oi) => oi.id !== orderItem.id);
+    recomputeTotal(order);
+    return { message: "Order item deleted" };
+  });
+
+  // --- Dispatch ---
+  function handle(method, path, { body, query = {}, headers = {} } = {}) {
+    const user = userFromToken(headers.Authorization ?? headers.authorization);
+    const candidates = routes.filter((r) => r.regex.test(path));
+    if (candidates.length === 0) return [404, { message: `No mock route for ${path}` }];
+
+    const match = candidates.find((r) => r.method === method);
+    if (!match) return [405, { message: "Method not allowed" }];
+
+    try {
+      if (match.roles !== PUBLIC) {
+        if (!user) fail(401, "Authentication required");
+        assertActive(user);
+        if (match.roles !== ANY && !match.roles.includes(user.role)) {
+          fail(403, "You do not have permission to do that");
+        }
+      }
+      const values = path.match(match.regex).slice(1).map(decodeURIComponent);
+      const params = Object.fromEntries(match.keys.map((k, i) => [k, values[i]]));
+      const result = match.handler({ params, query, body, user });
+      const [status, data] = Array.isArray(result) && typeof result[0] === "number"
+        ? result
+        : [200, result];
+      return [status, clone(data)];
+    } catch (error) {
+      if (error instanceof MockHttpError) return [error.status, error.data];
+      return [500, { message: error.message }];
+    }
+  }
+
+  // fetch()-compatible entry point used by services.js in mock mode
+  async function mockFetch(url, init = {}) {
+    const { pathname, searchParams } = new URL(url, "http://mock.local");
+    const path = pathname.replace(/^.*?\/api(\/proxy)?/, "") || "/";
+    const method = (init.method ?? "GET").toUpperCase();
+    const headers = init.headers ?? {};
+
+    let body = init.body;
+    if (typeof body === "string") body = JSON.parse(body);
+
+    const [min, max] = Array.isArray(latency) ? latency : [latency, latency];
+    await wait(min + Math.random() * (max - min), init.signal);
+
+    // Replays carrying a known Idempotency-Key get the original response
+    const key = headers["Idempotency-Key"];
+    const [status, data] =
+      key && idempotent.has(key)
+        ? idempotent.get(key)
+        : handle(method, path, {
+            body,
+            headers,
+            query: Object.fromEntries(searchParams),
+          });
+    if (key && status < 500) idempotent.set(key, [status, data]);
+
+    return {
+      ok: status >= 200 && status < 300,
+      status,
+      statusText: status < 400 ? "OK" : data?.message ?? "Error",
+      headers: new Headers({ "Content-Type": "application/json" }),
+      json: async () => clone(data),
+    };
+  }
+
+  const subscribe = (listener) => {
+    eventListeners.add(listener);
+    return () => eventListeners.delete(listener);
+  };
+
+  const subscribeMessages = (listener) => {
+    messageListeners.add(listener);
+    return () => messageListeners.delete(listener);
+  };
+
+  return {
+    db,
+    handle,
+    fetch: mockFetch,
+    subscribe,
+    getSentMessages: () => clone(sentMessages),
+    subscribeMessages,
+    demoPassword: DEMO_PASSWORD,
+  };
+}
@@ -0,0 +1,3 @@
+// Mock backend entry point, loaded lazily by services.js in mock mode
+export { createMockBackend, INVITE_CODES } from "./backend";
+export { createSeed, DEMO_PASSWORD } from "./seed";
@@ -0,0 +1,164 @@
+// seed.js - Deterministic demo dataset for the mock backend
+export const DEMO_PASSWORD = "demo1234";
+
+const at = (dayOffset, hours, minutes = 0) => {
+  const date = new Date();
+  date.setDate(date.getDate() + dayOffset);
+  date.setHours(hours, minutes, 0, 0);
+  return date.toISOString();
+};
+
+const minutesAgo = (minutes) =>
+  new Date(Date.now() - minutes * 60 * 1000).toISOString();
+
+export function createSeed() {
+  const users = [
+    { id: 1, name: "Amina Yusuf", email: "admin@dineflow.demo", role: "ADMIN" },
+    { id: 2, name: "Daniel Okoth", email: "waiter@dineflow.demo", role: "WAITER" },
+    { id: 3, name: "Grace Mwangi", email: "waiter2@dineflow.demo", role: "WAITER" },
+    { id: 4, name: "Marco Rossi", email: "chef@dineflow.demo", role: "CHEF" },
+    { id: 5, name: "Leila Hassan", email: "cashier@dineflow.demo", role: "CASHIER" },
+    { id: 6, name: "Sam Carter", email: "guest@dineflow.demo", role: "CUSTOMER" },
+    { id: 7, name: "Peter Kim", email: "peter@dineflow.demo", role: "WAITER", status: "suspended", suspended_until: at(3, 0) },
+    { id: 8, name: "Nora Ali", email: "nora@dineflow.demo", role: "CASHIER", status: "banned" },
+  ].map((user) => ({
+    phone: "+1 (555) 010-00" + String(user.id).padStart(2, "0"),
+    status: "active",
+    suspended_until: null,
+    avatar_url: null,
+    email_verified: true,
+    password: DEMO_PASSWORD,
+    created_at: at(-30 + user.id, 9),
+    ...user,
+  }));
+
+  const zones = ["Main Hall", "Main Hall", "Main Hall", "Terrace", "Terrace", "Private Room"];
+  const tables = Array.from({ length: 12 }, (_, index) => ({
+    id: index + 1,
+    number: index + 1,
+    capacity: [2, 2, 4, 4, 4, 6, 2, 4, 6, 8, 4, 2][index],
+    zone: zones[index % zones.length],
+    status: "available",
+    waiter_id: index % 2 === 0 ? 2 : 3,
+    occupied_since: null,
+  }));
+  tables[1].status = "occupied";
+  tables[1].occupied_since = minutesAgo(42);
+  tables[4].status = "occupied";
+  tables[4].occupied_since = minutesAgo(15);
+  tables[5].status = "reserved";
+  tables[8].status = "cleaning";
+
+  const reservations = [
+    { table_id: 6, customer_id: 6, customer_name: "Sam Carter", party_size: 5, reservation_time: at(0, 19), status: "confirmed" },
+    { table_id: 3, customer_id: null, customer_name: "Lina Park", party_size: 4, reservation_time: at(0, 20, 30), status: "pending" },
+    { table_id: 10, customer_id: null, customer_name: "Okafor family", party_size: 8, reservation_time: at(1, 18), status: "confirmed" },
+    { table_id: 1, customer_id: 6, customer_name: "Sam Carter", party_size: 2, reservation_time: at(-7, 19), seated_at: at(-7, 19, 5), completed_at: at(-7, 20, 10), status: "completed" },
+    { table_id: 2, customer_id: null, customer_name: "Jonas Weber", party_size: 2, reservation_time: at(0, 12), seated_at: minutesAgo(42), status: "seated" },
+    { table_id: 4, customer_id: null, customer_name: "Ito family", party_size: 4, reservation_time: at(-3, 13), duration_minutes: 70, seated_at: at(-3, 13), completed_at: at(-3, 13, 55), status: "completed" },
+    { table_id: 9, customer_id: null, customer_name: "Abebe Tadesse", party_size: 6, reservation_time: at(-1, 20), duration_minutes: 120, seated_at: at(-1, 20, 10), completed_at: at(-1, 22, 5), status: "completed" },
+  ].map((reservation, index) => ({
+    id: index + 1,
+    customer_phone: "+1 (555) 020-00" + String(index + 1).padStart(2, "0"),
+    customer_email: null,
+    duration_minutes: 90,
+    special_requests: "",
+    seated_at: null,
+    completed_at: null,
+    created_at: at(-2, 10),
+    ...reservation,
+  }));
+
+  const waitlist = [
+    { customer_name: "Hughes", customer_phone: "+1 (555) 030-0001", party_size: 3, arrived_at: minutesAgo(18), quoted_minutes: 25, status: "notified", notified_at: minutesAgo(2) },
+    { customer_name: "Ravi Patel", customer_phone: "+1 (555) 030-0002", party_size: 2, arrived_at: minutesAgo(9), quoted_minutes: 15 },
+    { customer_name: "Moreno", customer_phone: null, party_size: 6, arrived_at: minutesAgo(4), quoted_minutes: 40, notes: "High chair" },
+  ].map((entry, index) => ({
+    id: index + 1,
+    status: "waiting",
+    notified_at: null,
+    seated_at: null,
+    table_id: null,
+    notes: null,
+    ...entry,
+  }));
+
+  const categories = [
+    { id: 1, name: "Starters", description: "Small plates to share" },
+    { id: 2, name: "Mains", description: "Hearty main courses" },
+    { id: 3, name: "Desserts", description: "Something sweet" },
+    { id: 4, name: "Drinks", description: "Soft drinks and juices" },
+  ];
+
+  const items = [
+    { category_id: 1, name: "Samosas", price: 6.5 },
+    { category_id: 1, name: "Garden Salad", price: 7 },
+    { category_id: 2, name: "Grilled Tilapia", price: 18 },
+    { category_id: 2, name: "Beef Pilau", price: 16.5 },
+    { category_id: 2, name: "Chicken Curry", price: 15 },
+    { category_id: 2, name: "Vegetable Stew", price: 13, is_available: false },
+    { category_id: 3, name: "Mandazi & Honey", price: 5.5 },
+    { category_id: 3, name: "Chocolate Tart", price: 7.5 },
+    { category_id: 4, name: "Passion Juice", price: 4 },
+    { category_id: 4, name: "Spiced Tea", price: 3 },
+  ].map((item, index) => ({
+    id: index + 1,
+    description: "",
+    is_available: true,
+    ...item,
+  }));
+
+  const orders = [
+    { id: 1, table_id: 2, waiter_id: 3, status: "preparing", created_at: minutesAgo(35) },
+    { id: 2, table_id: 5, waiter_id: 2, status: "pending", created_at: minutesAgo(10) },
+    { id: 3, table_id: 1, waiter_id: 2, status: "paid", created_at: minutesAgo(180) },
+  ].map((order) => ({ ...order, updated_at: order.created_at, total: 0 }));
+
+  const orderItems = [
+    { order_id: 1, menu_item_id: 3, quantity: 1 },
+    { order_id: 1, menu_item_id: 9, quantity: 2 },
+    { order_id: 2, menu_item_id: 1, quantity: 1 },
+    { order_id: 2, menu_item_id: 5, quantity: 2 },
+    { order_id: 3, menu_item_id: 4, quantity: 2 },
+  ].map((orderItem, index) => ({
+    id: index + 1,
+    price: items.find((item) => item.id === orderItem.menu_item_id).price,
+    notes: "",
+    status: "pending",
+    ...orderItem,
+  }));
+
+  orders.forEach((order) => {
+    order.total = orderItems
+      .filter((orderItem) => orderItem.order_id === order.id)
+      .reduce((sum, orderItem) => sum + orderItem.price * orderItem.quantity, 0);
+  });
+
+  const payments = [
+    { id: 1, order_id: 3, amount: 33, method: "card", status: "completed", adjustments: [], created_at: minutesAgo(170) },
+  ];
+
+  const notifications = [
+    { user_id: 2, title: "Order ready", message: "Order #1 is ready to serve", type: "order" },
+    { user_id: 2, title: "New reservation", message: "Party of 4 at 8:30 PM", type: "reservation" },
+    { user_id: 1, title: "Staff update", message: "Peter Kim was suspended for 3 days", type: "system", is_read: true },
+  ].map((notification, index) => ({
+    id: index + 1,
+    is_read: false,
+    created_at: minutesAgo(5 + index * 20),
+    ...notification,
+  }));
+
+  return {
+    users,
+    tables,
+    reservations,
+    waitlist,
+    categories,
+    items,
+    orders,
+    orderItems,
+    payments,
+    notifications,
+  };
+}
@@ -0,0 +1,322 @@
+// outbox.js - Offline queue for waiter and cashier mutations
+import api, { ApiErrorKind } from "./services";
+import {
+  fetchQuery,
+  getQuerySnapshot,
+  invalidateQueries,
+  invalidationRules,
+} from "./queryCache";
+
+const DB_NAME = "dineflow-outbox";
+const STORE = "mutations";
+const RETRY_INTERVAL = 30 * 1000;
+const TEMP_ID_PREFIX = "offline-";
+
+// Mutations that may be held while offline and replayed later
+export const QUEUEABLE_MUTATIONS = new Set([
+  "menu.createOrder",
+  "menu.updateOrder",
+  "menu.createOrderItem",
+  "menu.updateOrderItem",
+  "table.changeStatus",
+]);
+
+export const OutboxStatus = Object.freeze({
+  PENDING: "pending",
+  CONFLICT: "conflict",
+  FAILED: "failed",
+});
+
+const isBrowser = () => typeof window !== "undefined";
+
+// --- Persistence (IndexedDB, in-memory fallback) ---
+let dbPromise = null;
+const memoryStore = new Map();
+
+const openDb = () => {
+  if (!isBrowser() || !window.indexedDB) return Promise.resolve(null);
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      const req = window.indexedDB.open(DB_NAME, 1);
+      req.onupgradeneeded = () =>
+        req.result.createObjectStore(STORE, {
+          keyPath: "seq",
+          autoIncrement: true,
+        });
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => resolve(null);
+    });
+  }
+  return dbPromise;
+};
+
+const tx = async (mode, run) => {
+  const db = await openDb();
+  if (!db) return run(null)?.result;
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE, mode);
+    const req = run(transaction.objectStore(STORE));
+    transaction.oncomplete = () => resolve(req?.result);
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
+
+let memorySeq = 0;
+const storage = {
+  all: () =>
+    tx("readonly", (store) =>
+      store ? store.getAll() : { result: [...memoryStore.values()] }
+    ),
+  add: (entry) =>
+    tx("readwrite", (store) => {
+      if (store) return store.add(entry);
+      memorySeq += 1;
+      memoryStore.set(memorySeq, { ...entry, seq: memorySeq });
+      return { result: memorySeq };
+    }),
+  put: (entry) =>
+    tx("readwrite", (store) => {
+      if (store) return store.put(entry);
+      memoryStore.set(entry.seq, entry);
+      return null;
+    }),
+  remove: (seq) =>
+    tx("readwrite", (store) => {
+      if (store) return store.delete(seq);
+      memoryStore.delete(seq);
+      return null;
+    }),
+};
+
+// --- Observable state for the pending-sync indicator ---
+let snapshot = { entries: [], isSyncing: false };
+const listeners = new Set();
+
+const publish = (changes) => {
+  snapshot = { ...snapshot, ...changes };
+  listeners.forEach((listener) => listener());
+};
+
+const reload = async () => {
+  const entries = (await storage.all()) ?? [];
+  publish({ entries: entries.sort((a, b) => a.seq - b.seq) });
+  return snapshot.entries;
+};
+
+export const getOutboxSnapshot = () => snapshot;
+export const subscribeOutbox = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// --- Calling through to services.js ---
+const newKey = () =>
+  globalThis.crypto?.randomUUID?.() ??
+  `${Date.now()}-${Math.random().toString(16).slice(2)}`;
+
+// Every resource method takes `options` as its last parameter
+const callWithKey = (name, args, idempotencyKey) => {
+  const [group, method] = name.split(".");
+  const fn = api[group][method];
+  const padded = [...args];
+  padded.length = Math.max(fn.length - 1, args.length);
+  return fn(...padded, { headers: { "Idempotency-Key": idempotencyKey } });
+};
+
+// Entries belong to whoever queued them and replay only under their session,
+// so on a shared terminal one waiter's order is never sent as another's.
+// Entries queued before the profile loaded have no owner and replay for anyone.
+const currentUser = () => getQuerySnapshot("user.getMe", []).data ?? null;
+
+export const isOwnEntry = (entry) =>
+  entry.userId == null || entry.userId === currentUser()?.id;
+
+const isOffline = (error) =>
+  error?.kind === ApiErrorKind.NETWORK ||
+  error?.kind === ApiErrorKind.TIMEOUT ||
+  (isBrowser() && navigator.onLine === false);
+
+// Sends a mutation, or persists it when the network is down (or earlier
+// mutations are still waiting, so ordering is kept). Queued results look like
+// { queued: true, tempId } where tempId can stand in for the created record's
+// id in later queued calls, e.g. menu.createOrderItem({ order_id: tempId }).
+export async function sendOrQueue(name, args = []) {
+  if (!QUEUEABLE_MUTATIONS.has(name)) {
+    throw new Error(`"${name}" cannot be queued offline`);
+  }
+
+  const idempotencyKey = newKey();
+  const pending = snapshot.entries.some(
+    (entry) => entry.status === OutboxStatus.PENDING && isOwnEntry(entry)
+  );
+
+  if (!pending) {
+    try {
+      const result = await callWithKey(name, args, idempotencyKey);
+      invalidateQueries(invalidationRules[name] ?? []);
+      return result;
+    } catch (error) {
+      if (!isOffline(error)) throw error;
+    }
+  }
+
+  const owner = currentUser();
+  const entry = {
+    name,
+    args,
+    userId: owner?.id ?? null,
+    userName: owner?.name ?? null,
+    idempotencyKey,
+    tempId: `${TEMP_ID_PREFIX}${idempotencyKey}`,
+    status: OutboxStatus.PENDING,
+    createdAt: Date.now(),
+    error: null,
+  };
+  await storage.add(entry);
+  await reload();
+  scheduleRetry();
+  return { queued: true, tempId: entry.tempId };
+}
+
+// --- Replay ---
+const substituteIds = (value, idMap) => {
+  if (typeof value === "string" && idMap.has(value)) return idMap.get(value);
+  if (Array.isArray(value)) return value.map((v) => substituteIds(v, idMap));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([k, v]) => [k, substituteIds(v, idMap)])
+    );
+  }
+  return value;
+};
+
+// Decide what to do when the server rejects a replay because its data moved
+// on. Return "drop" (already satisfied), "retry" or "hold" (staff decides).
+export const conflictResolvers = {
+  "table.changeStatus": async ([tableId, status]) => {
+    const current = await fetchQuery("table.get", [tableId], { force: true });
+    return current?.status === status ? "drop" : "hold";
+  },
+};
+
+const CONFLICT_STATUSES = new Set([409, 412]);
+
+// Rewrite later entries so the mapping survives a reload mid-flush
+async function persistResolvedId(tempId, id) {
+  const idMap = new Map([[tempId, id]]);
+  for (const entry of await storage.all()) {
+    const args = substituteIds(entry.args, idMap);
+    if (JSON.stringify(args) !== JSON.stringify(entry.args)) {
+      await storage.put({ ...entry, args });
+    }
+  }
+}
+
+async function replay(entry, idMap) {
+  const args = substituteIds(entry.args, idMap);
+  try {
+    const result = await callWithKey(entry.name, args, entry.idempotencyKey);
+    if (result?.id !== undefined) {
+      idMap.set(entry.tempId, result.id);
+      await persistResolvedId(entry.tempId, result.id);
+    }
+    invalidateQueries(invalidationRules[entry.name] ?? []);
+    await storage.remove(entry.seq);
+    return true;
+  } catch (error) {
+    if (isOffline(error)) return false;
+
+    const details = {
+      message: error.message,
+      status: error.status,
+      data: error.data,
+    };
+    if (CONFLICT_STATUSES.has(error.status)) {
+      const resolver = conflictResolvers[entry.name];
+      const decision = resolver
+        ? await resolver(args, error).catch(() => "hold")
+        : "hold";
+      if (decision === "drop") {
+        await storage.remove(entry.seq);
+        return true;
+      }
+      if (decision === "retry") return false;
+      await storage.put({
+        ...entry,
+        args,
+        status: OutboxStatus.CONFLICT,
+        error: details,
+      });
+      return true;
+    }
+
+    // Server errors are transient; anything else needs a human
+    if (error.status >= 500) return false;
+    await storage.put({
+      ...entry,
+      args,
+      status: OutboxStatus.FAILED,
+      error: details,
+    });
+    return true;
+  }
+}
+
+let flushing = null;
+
+// Replays the current user's pending mutations oldest-first, stopping at the
+// first one that still cannot reach the server
+export function flushOutbox() {
+  if (flushing) return flushing;
+
+  flushing = (async () => {
+    publish({ isSyncing: true });
+    const idMap = new Map();
+    try {
+      for (const entry of await reload()) {
+        if (entry.status !== OutboxStatus.PENDING || !isOwnEntry(entry)) {
+          continue;
+        }
+        if (!(await replay(entry, idMap))) break;
+      }
+    } finally {
+      await reload();
+      publish({ isSyncing: false });
+      flushing = null;
+      scheduleRetry();
+    }
+  })();
+  return flushing;
+}
+
+let retryTimer = null;
+function scheduleRetry() {
+  if (!isBrowser() || retryTimer) return;
+  const hasPending = snapshot.entries.some(
+    (entry) => entry.status === OutboxStatus.PENDING && isOwnEntry(entry)
+  );
+  if (!hasPending) return;
+  retryTimer = setTimeout(() => {
+    retryTimer = null;
+    flushOutbox();
+  }, RETRY_INTERVAL);
+}
+
+// Staff actions on held entries
+export async function retryEntry(seq) {
+  const entry = snapshot.entries.find((e) => e.seq === seq);
+  if (!entry) return;
+  await storage.put({ ...entry, status: OutboxStatus.PENDING, error: null });
+  await reload();
+  return flushOutbox();
+}
+
+export async function discardEntry(seq) {
+  await storage.remove(seq);
+  await reload();
+}
+
+if (isBrowser()) {
+  window.addEventListener("online", () => flushOutbox());
+  reload().then(() => flushOutbox());
+}
@@ -0,0 +1,208 @@
+// pagination.js - Paging, filtering and sorting for list endpoints
+import api from "./services";
+import { toSnakeCase } from "./schemas";
+
+export const DEFAULT_PAGE_SIZE = 20;
+
+/**
+ * @typedef {Object} ListQuery
+ * @property {number} [page]      1-based page number (page/limit paging)
+ * @property {number} [limit]     Page size
+ * @property {string} [cursor]    Opaque cursor from a previous page
+ * @property {Array<FilterClause>} [filters]
+ * @property {Array<SortClause>}  [sort]
+ */
+
+/**
+ * @typedef {Object} Page
+ * @property {Array} items
+ * @property {number|null} total       Total records, when the server reports it
+ * @property {number} page
+ * @property {number} limit
+ * @property {number|null} pageCount
+ * @property {string|null} nextCursor
+ * @property {boolean} hasMore
+ */
+
+// Fields are named as on the camelCase models; services.js converts the
+// resulting params to the backend's snake_case
+/** @typedef {{ field: string, params: Object<string, string> }} FilterClause */
+/** @typedef {{ field: string, direction: "asc"|"desc" }} SortClause */
+
+// --- Filter and sort builders ---
+const join = (values) => [].concat(values).join(",");
+
+/** @returns {FilterClause} */
+export const eq = (field, value) => ({ field, params: { [field]: value } });
+
+/** @returns {FilterClause} Matches any of the values */
+export const oneOf = (field, values) => ({
+  field,
+  params: { [field]: join(values) },
+});
+
+/** @returns {FilterClause} Inclusive range; either bound may be omitted */
+export const between = (field, from, to) => ({
+  field,
+  params: {
+    ...(from !== undefined && from !== "" && { [`${field}From`]: from }),
+    ...(to !== undefined && to !== "" && { [`${field}To`]: to }),
+  },
+});
+
+/** @returns {FilterClause} Free-text search */
+export const search = (text) => ({ field: "q", params: { q: text } });
+
+/** @returns {SortClause} */
+export const asc = (field) => ({ field, direction: "asc" });
+/** @returns {SortClause} */
+export const desc = (field) => ({ field, direction: "desc" });
+
+// Flattens a ListQuery into request params, rejecting fields the endpoint
+// does not support so typos fail loudly instead of being ignored
+export function buildListParams(query = {}, fields = {}) {
+  const { page, limit = DEFAULT_PAGE_SIZE, cursor, filters = [], sort = [] } =
+    query;
+  const params = { limit };
+  if (cursor) params.cursor = cursor;
+  else params.page = page ?? 1;
+
+  filters.filter(Boolean).forEach(({ field, params: values }) => {
+    if (fields.filters && field !== "q" && !fields.filters.includes(field)) {
+      throw new Error(`Cannot filter on "${field}"`);
+    }
+    Object.entries(values).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== "") {
+        params[key] = value;
+      }
+    });
+  });
+
+  if (sort.length) {
+    sort.forEach(({ field }) => {
+      if (fields.sort && !fields.sort.includes(field)) {
+        throw new Error(`Cannot sort on "${field}"`);
+      }
+    });
+    params.sort = sort
+      .map(({ field, direction }) =>
+        direction === "desc" ? `-${toSnakeCase(field)}` : toSnakeCase(field)
+      )
+      .join(",");
+  }
+  return params;
+}
+
+// Accepts the envelope shapes the backend uses, or a bare array when an
+// endpoint ignores paging
+/** @returns {Page} */
+export function normalizePage(response, params = {}) {
+  const limit = Number(response?.limit ?? response?.perPage ?? params.limit) ||
+    DEFAULT_PAGE_SIZE;
+  const page = Number(response?.page ?? params.page) || 1;
+
+  if (Array.isArray(response)) {
+    return {
+      items: response,
+      total: response.length,
+      page: 1,
+      limit: response.length,
+      pageCount: 1,
+      nextCursor: null,
+      hasMore: false,
+    };
+  }
+
+  const items = response?.items ?? response?.data ?? response?.results ?? [];
+  const total = response?.total ?? response?.count ?? null;
+  const pageCount =
+    response?.pages ??
+    response?.totalPages ??
+    (total !== null ? Math.max(1, Math.ceil(total / limit)) : null);
+  const nextCursor = response?.nextCursor ?? null;
+  // Once paging by cursor, only a next cursor means there is more; a full
+  // last page would otherwise be asked for again
+  const byCursor = Boolean(params.cursor) || "nextCursor" in (response ?? {});
+
+  return {
+    items,
+    total,
+    page,
+    limit,
+    pageCount,
+    nextCursor,
+    hasMore: byCursor
+      ? Boolean(nextCursor)
+      : pageCount !== null
+        ? page < pageCount
+        : items.length === limit,
+  };
+}
+
+// A paginated view over one list endpoint of services.js
+export function createList(method, fields) {
+  const [group, name] = method.split(".");
+  const fetcher = (params, options) => api[group][name](params, options);
+
+  const list = {
+    method,
+    fields,
+    params: (query) => buildListParams(query, fields),
+
+    /** @returns {Promise<Page>} */
+    page: async (query = {}, options) => {
+      const params = list.params(query);
+      return normalizePage(await fetcher(params, options), params);
+    },
+
+    // for await (const page of list.pages(query)) { ... }
+    pages: async function* (query = {}, options) {
+      let next = { ...query, page: query.page ?? 1 };
+      while (true) {
+        const current = await list.page(next, options);
+        yield current;
+        if (!current.hasMore) return;
+        next = current.nextCursor
+          ? { ...next, cursor: current.nextCursor }
+          : { ...next, page: current.page + 1 };
+      }
+    },
+
+    // for await (const item of list.items(query)) { ... }
+    items: async function* (query = {}, options) {
+      for await (const current of list.pages(query, options)) {
+        yield* current.items;
+      }
+    },
+
+    all: async (query = {}, options) => {
+      const items = [];
+      for await (const item of list.items(query, options)) items.push(item);
+      return items;
+    },
+  };
+  return list;
+}
+
+export const lists = {
+  reservations: createList("reservation.getAll", {
+    filters: ["status", "tableId", "date", "reservationTime", "customerName"],
+    sort: ["reservationTime", "partySize", "customerName", "createdAt"],
+  }),
+  menuItems: createList("menu.getItems", {
+    filters: ["categoryId", "available", "price"],
+    sort: ["name", "price"],
+  }),
+  orders: createList("menu.getOrders", {
+    filters: ["status", "tableId", "waiterId", "createdAt"],
+    sort: ["createdAt", "updatedAt", "total", "status"],
+  }),
+  users: createList("user.getAll", {
+    filters: ["role", "status"],
+    sort: ["name", "email", "role", "status", "createdAt"],
+  }),
+  notifications: createList("notification.getAll", {
+    filters: ["unreadOnly", "type"],
+    sort: ["createdAt"],
+  }),
+};
@@ -0,0 +1,104 @@
+// Same-origin proxy for the "cookie" token store: reads the httpOnly token
+// cookie and forwards the call to the backend with a bearer header
+import { cookies } from "next/headers";
+import { API_BASE, PROXY_BASE } from "../../services";
+import { TOKEN_KEY } from "../../tokenStore";
+
+// The app's own cookies, the token among them, stay here; the backend sees
+// only the bearer header
+const FORWARDED_HEADERS = ["content-type", "accept"];
+
+// The backend's refresh cookie is the one cookie that crosses the proxy, in
+// both directions. It is scoped to the proxied auth routes, which are the
+// only calls that need it.
+const REFRESH_COOKIE = process.env.REFRESH_COOKIE_NAME ?? "refresh_token";
+const REFRESH_COOKIE_PATH = `${PROXY_BASE}/auth`;
+
+// Segments arrive decoded, so "%2e%2e" is already ".." here
+const isDotSegment = (segment) => segment === "." || segment === "..";
+
+// Keeps the backend's value and lifetime but sets the attributes for this
+// origin, whatever domain or path the backend chose
+function rewriteRefreshCookie(cookie) {
+  const [pair, ...attributes] = cookie.split(";").map((part) => part.trim());
+  if (pair.slice(0, pair.indexOf("=")) !== REFRESH_COOKIE) return null;
+  const lifetime = attributes.filter((attribute) =>
+    /^(max-age|expires)=/i.test(attribute)
+  );
+  return [
+    pair,
+    ...lifetime,
+    `Path=${REFRESH_COOKIE_PATH}`,
+    "HttpOnly",
+    "SameSite=Lax",
+    ...(process.env.NODE_ENV === "production" ? ["Secure"] : []),
+  ].join("; ");
+}
+
+async function forward(req, { params }) {
+  const { path } = await params;
+  const { search } = new URL(req.url);
+
+  if (path.some(isDotSegment)) {
+    return Response.json({ message: "Invalid path" }, { status: 400 });
+  }
+
+  const headers = new Headers();
+  FORWARDED_HEADERS.forEach((name) => {
+    const value = req.headers.get(name);
+    if (value) headers.set(name, value);
+  });
+
+  const cookieStore = await cookies();
+  const token = cookieStore.get(TOKEN_KEY)?.value;
+  if (token) {
+    headers.set("Authorization", `Bearer ${token}`);
+  }
+  const refreshToken = cookieStore.get(REFRESH_COOKIE)?.value;
+  if (refreshToken) {
+    headers.set("Cookie", `${REFRESH_COOKIE}=${refreshToken}`);
+  }
+
+  const hasBody = !["GET", "HEAD"].includes(req.method);
+
+  let upstream;
+  try {
+    const upstreamPath = path.map(encodeURIComponent).join("/");
+    upstream = await fetch(`${API_BASE}/${upstreamPath}${search}`, {
+      method: req.method,
+      headers,
+      body: hasBody ? await req.arrayBuffer() : undefined,
+      cache: "no-store",
+      // Ends the upstream call, e.g. the event stream, when the browser leaves
+      signal: req.signal,
+    });
+  } catch {
+    return Response.json(
+      { message: "Backend is unreachable" },
+      { status: 502 }
+    );
+  }
+
+  const responseHeaders = new Headers();
+  const contentType = upstream.headers.get("content-type");
+  if (contentType) responseHeaders.set("Content-Type", contentType);
+  upstream.headers
+    .getSetCookie()
+    .map(rewriteRefreshCookie)
+    .filter(Boolean)
+    .forEach((cookie) => responseHeaders.append("Set-Cookie", cookie));
+
+  return new Response(upstream.body, {
+    status: upstream.status,
+    statusText: upstream.statusText,
+    headers: responseHeaders,
+  });
+}
+
+export {
+  forward as GET,
+  forward as POST,
+  forward as PUT,
+  forward as PATCH,
+  forward as DELETE,
+};
@@ -0,0 +1,299 @@
+// queryCache.js - Deduplicated, stale-while-revalidate cache over services.js
+import api, { onSessionExpired } from "./services";
+
+const DEFAULT_STALE_TIME = 30 * 1000;
+
+// Mutation -> queries to refetch once it succeeds. Names are "group.method"
+// as exposed on the api object; every cached call of a listed query is
+// invalidated regardless of its arguments.
+export const TABLE_STATE_QUERIES = [
+  "table.getAll",
+  "table.get",
+  "table.stats",
+  "table.reserved",
+  "table.occupied",
+  "table.getAvailable",
+  "table.myTables",
+  "table.myOccupied",
+  "table.myTableByReservation",
+];
+
+export const invalidationRules = {
+  "table.create": TABLE_STATE_QUERIES,
+  "table.update": TABLE_STATE_QUERIES,
+  "table.delete": TABLE_STATE_QUERIES,
+  // Clearing a table completes the booking seated at it
+  "table.changeStatus": [
+    ...TABLE_STATE_QUERIES,
+    "reservation.getAll",
+    "reservation.get",
+  ],
+
+  "reservation.create": [
+    "reservation.getAll",
+    "reservation.upcoming",
+    "table.reserved",
+    "table.myReservations",
+    "reservation.checkAvailability",
+  ],
+  "reservation.update": [
+    "reservation.getAll",
+    "reservation.get",
+    "reservation.upcoming",
+    "table.reserved",
+    "table.myReservations",
+    "reservation.checkAvailability",
+  ],
+  "reservation.delete": [
+    "reservation.getAll",
+    "reservation.upcoming",
+    "table.reserved",
+    "table.myReservations",
+    "reservation.checkAvailability",
+  ],
+  "reservation.changeStatus": [
+    "reservation.getAll",
+    "reservation.get",
+    "reservation.upcoming",
+    ...TABLE_STATE_QUERIES,
+    "table.myReservations",
+    "reservation.checkAvailability",
+  ],
+
+  "waitlist.create": ["waitlist.getAll"],
+  "waitlist.update": ["waitlist.getAll"],
+  "waitlist.delete": ["waitlist.getAll"],
+  "waitlist.notify": ["waitlist.getAll"],
+
+  "payment.create": ["payment.getAll"],
+  "payment.update": ["payment.getAll", "payment.get"],
+  "payment.adjust": ["payment.getAll", "payment.get"],
+  "payment.delete": ["payment.getAll"],
+
+  "notification.markRead": ["notification.getAll", "notification.unreadCount"],
+  "notification.markAllRead": [
+    "notification.getAll",
+    "notification.unreadCount",
+  ],
+  "notification.create": ["notification.getAll", "notification.unreadCount"],
+  "notification.delete": ["notification.getAll", "notification.unreadCount"],
+
+  "menu.createCategory": ["menu.getCategories"],
+  "menu.updateCategory": ["menu.getCategories", "menu.getCategory"],
+  "menu.deleteCategory": ["menu.getCategories", "menu.getItems"],
+  "menu.createItem": ["menu.getItems", "menu.getCategory"],
+  "menu.updateItem": ["menu.getItems", "menu.getItem"],
+  "menu.deleteItem": ["menu.getItems"],
+  "menu.createOrder": ["menu.getOrders"],
+  "menu.updateOrder": ["menu.getOrders", "menu.getOrder"],
+  "menu.deleteOrder": ["menu.getOrders"],
+  "menu.createOrderItem": [
+    "menu.getOrder",
+    "menu.getOrders",
+    "menu.getOrderItems",
+  ],
+  "menu.updateOrderItem": [
+    "menu.getOrder",
+    "menu.getOrderItems",
+    "menu.getOrderItem",
+  ],
+  "menu.deleteOrderItem": ["menu.getOrder", "menu.getOrderItems"],
+
+  "user.update": ["user.getMe", "user.getAll", "user.getById"],
+  "user.uploadAvatar": ["user.getMe"],
+  "user.changeStatus": [
+    "user.getAll",
+    "user.getById",
+    "user.countByStatus",
+    "user.listByStatus",
+  ],
+  "user.changeRole": ["user.getAll", "user.getById", "user.countByRole"],
+  "user.promote": ["user.getAll", "user.getById", "user.countByRole"],
+  "user.demote": ["user.getAll", "user.getById", "user.countByRole"],
+  "user.unban": [
+    "user.getAll",
+    "user.getById",
+    "user.countByStatus",
+    "user.listByStatus",
+  ],
+  "user.unsuspend": [
+    "user.getAll",
+    "user.getById",
+    "user.countByStatus",
+    "user.listByStatus",
+  ],
+  "user.deleteByAdmin": [
+    "user.getAll",
+    "user.count",
+    "user.countByRole",
+    "user.countByStatus",
+    "user.listByStatus",
+  ],
+};
+
+// key -> { name, args, snapshot, promise, generation, updatedAt, listeners }.
+// generation counts requests started for the key; a response that is no
+// longer the latest is dropped.
+const entries = new Map();
+
+const EMPTY_SNAPSHOT = Object.freeze({
+  data: undefined,
+  error: null,
+  isLoading: false,
+  isFetching: false,
+  updatedAt: 0,
+});
+
+export const queryKey = (name, args = []) =>
+  `${name}:${JSON.stringify(args)}`;
+
+const resolveMethod = (name) => {
+  const [group, method] = name.split(".");
+  const fn = api[group]?.[method];
+  if (typeof fn !== "function") {
+    throw new Error(`Unknown API method "${name}"`);
+  }
+  return fn;
+};
+
+const getEntry = (name, args) => {
+  const key = queryKey(name, args);
+  if (!entries.has(key)) {
+    entries.set(key, {
+      name,
+      args,
+      snapshot: EMPTY_SNAPSHOT,
+      promise: null,
+      generation: 0,
+      updatedAt: 0,
+      listeners: new Set(),
+    });
+  }
+  return entries.get(key);
+};
+
+// Snapshots are replaced, never mutated, so React can compare by identity
+const update = (entry, changes) => {
+  entry.snapshot = { ...entry.snapshot, ...changes };
+  entry.listeners.forEach((listener) => listener());
+};
+
+export const getQuerySnapshot = (name, args) =>
+  entries.get(queryKey(name, args))?.snapshot ?? EMPTY_SNAPSHOT;
+
+export const subscribeQuery = (name, args, listener) => {
+  const entry = getEntry(name, args);
+  entry.listeners.add(listener);
+  return () => entry.listeners.delete(listener);
+};
+
+// Returns cached data right away and revalidates in the background once it
+// is older than staleTime. Concurrent callers share one in-flight request;
+// force starts a new one even then, since the one in flight may predate a
+// mutation, and whatever the older request returns is ignored.
+export function fetchQuery(
+  name,
+  args = [],
+  { staleTime = DEFAULT_STALE_TIME, force = false } = {}
+) {
+  const entry = getEntry(name, args);
+  const hasData = entry.snapshot.data !== undefined;
+  const isStale = Date.now() - entry.updatedAt > staleTime;
+
+  if (entry.promise && !force) {
+    return hasData ? Promise.resolve(entry.snapshot.data) : entry.promise;
+  }
+  if (hasData && !isStale && !force) {
+    return Promise.resolve(entry.snapshot.data);
+  }
+
+  const generation = ++entry.generation;
+  // Callers of a superseded request get the latest one's result instead
+  const latest = () =>
+    entry.promise ?? Promise.resolve(entry.snapshot.data);
+
+  update(entry, { isFetching: true, isLoading: !hasData });
+  const promise = resolveMethod(name)(...args)
+    .then((data) => {
+      if (generation !== entry.generation) return latest();
+      entry.updatedAt = Date.now();
+      update(entry, {
+        data,
+        error: null,
+        isLoading: false,
+        isFetching: false,
+        updatedAt: entry.updatedAt,
+      });
+      return data;
+    })
+    .catch((error) => {
+      if (generation !== entry.generation) return latest();
+      update(entry, { error, isLoading: false, isFetching: false });
+      throw error;
+    })
+    .finally(() => {
+      if (entry.promise === promise) entry.promise = null;
+    });
+  entry.promise = promise;
+  // Background revalidations report failures through the snapshot
+  promise.catch(() => {});
+
+  // Stale data is served immediately while the refetch runs
+  return hasData && !force ? Promise.resolve(entry.snapshot.data) : promise;
+}
+
+// Writes data directly, e.g. for optimistic updates; updater gets the old data
+export const setQueryData = (name, args, updater) => {
+  const entry = getEntry(name, args);
+  const data =
+    typeof updater === "function" ? updater(entry.snapshot.data) : updater;
+  entry.updatedAt = Date.now();
+  update(entry, { data, updatedAt: entry.updatedAt });
+};
+
+// Marks every cached call of the named queries stale and refetches the ones
+// a component is currently watching
+export const invalidateQueries = (names) => {
+  const targets = new Set(names);
+  entries.forEach((entry) => {
+    if (!targets.has(entry.name)) return;
+    entry.updatedAt = 0;
+    if (entry.listeners.size > 0) {
+      fetchQuery(entry.name, entry.args, { force: true }).catch(() => {});
+    }
+  });
+};
+
+export async function runMutation(name, args = []) {
+  const result = await resolveMethod(name)(...args);
+  invalidateQueries(invalidationRules[name] ?? []);
+  return result;
+}
+
+// Forgets every result, e.g. when the user changes. Entries a component
+// still subscribes to are kept, with their listeners, and reset to empty so
+// the hooks watching them load again (see useApiQuery); requests still in
+// flight for the previous user are ignored when they land.
+export const clearQueryCache = () =>
+  entries.forEach((entry, key) => {
+    entry.generation += 1;
+    entry.promise = null;
+    entry.updatedAt = 0;
+    if (entry.listeners.size === 0) entries.delete(key);
+    else update(entry, EMPTY_SNAPSHOT);
+  });
+
+// Never show one user's cached data to the next
+onSessionExpired(clearQueryCache);
+
+// Revalidate what is on screen when the tab regains focus or comes online
+if (typeof window !== "undefined") {
+  const revalidateWatched = () =>
+    entries.forEach((entry) => {
+      if (entry.listeners.size > 0) {
+        fetchQuery(entry.name, entry.args).catch(() => {});
+      }
+    });
+  window.addEventListener("focus", revalidateWatched);
+  window.addEventListener("online", revalidateWatched);
+}
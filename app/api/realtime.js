@@ -0,0 +1,286 @@
+// realtime.js - Push channel for table, order, reservation, waitlist and
+// notification events. The connection opens with the first subscriber,
+// authenticates with the same bearer token as services.js and reconnects
+// with backoff.
+import {
+  API_BASE,
+  PROXY_BASE,
+  getAuthToken,
+  getMockBackend,
+  onSessionExpired,
+  onSessionRefreshed,
+} from "./services";
+import { getTokenStore } from "./tokenStore";
+import { invalidateQueries, TABLE_STATE_QUERIES } from "./queryCache";
+import { RealtimeEvent } from "./realtimeEvents";
+import {
+  Notification,
+  Order,
+  Reservation,
+  Table,
+  WaitlistEntry,
+  parse,
+} from "./schemas";
+
+export { RealtimeEvent };
+
+// "ws" (default) or "sse"; EventSource cannot send headers, so SSE passes
+// the token as a query parameter
+const TRANSPORT = process.env.NEXT_PUBLIC_REALTIME_TRANSPORT || "ws";
+const REALTIME_URL =
+  process.env.NEXT_PUBLIC_REALTIME_URL ||
+  (TRANSPORT === "sse"
+    ? `${API_BASE}/events`
+    : `${API_BASE.replace(/^http/, "ws")}/ws`);
+// The cookie store keeps the token out of reach of JS, so events stream
+// through the same-origin proxy, which adds it. A route handler cannot pass
+// a WebSocket through, so that is always SSE.
+const PROXIED_EVENTS_URL = `${PROXY_BASE}/events`;
+
+const MIN_RECONNECT_DELAY = 1000;
+const MAX_RECONNECT_DELAY = 30000;
+
+export const RealtimeStatus = Object.freeze({
+  IDLE: "idle",
+  CONNECTING: "connecting",
+  OPEN: "open",
+  RECONNECTING: "reconnecting",
+});
+
+// Pushed events mark the matching cached queries stale so watched screens
+// refetch; nothing else needs to poll
+const EVENT_INVALIDATIONS = {
+  [RealtimeEvent.TABLE_STATUS_CHANGED]: TABLE_STATE_QUERIES,
+  [RealtimeEvent.ORDER_CREATED]: ["menu.getOrders"],
+  [RealtimeEvent.ORDER_UPDATED]: [
+    "menu.getOrders",
+    "menu.getOrder",
+    "menu.getOrderItems",
+  ],
+  [RealtimeEvent.RESERVATION_CREATED]: [
+    "reservation.getAll",
+    "reservation.upcoming",
+    "table.reserved",
+    "table.myReservations",
+    "reservation.checkAvailability",
+  ],
+  [RealtimeEvent.RESERVATION_UPDATED]: [
+    "reservation.getAll",
+    "reservation.get",
+    "reservation.upcoming",
+    "table.reserved",
+    "table.myReservations",
+    "reservation.checkAvailability",
+  ],
+  [RealtimeEvent.WAITLIST_UPDATED]: ["waitlist.getAll"],
+  [RealtimeEvent.NOTIFICATION_RECEIVED]: [
+    "notification.getAll",
+    "notification.unreadCount",
+  ],
+};
+
+// Payloads arrive in the backend's snake_case; handlers get the same
+// camelCase models as responses from services.js
+const EVENT_SCHEMAS = {
+  [RealtimeEvent.TABLE_STATUS_CHANGED]: Table,
+  [RealtimeEvent.ORDER_CREATED]: Order,
+  [RealtimeEvent.ORDER_UPDATED]: Order,
+  [RealtimeEvent.RESERVATION_CREATED]: Reservation,
+  [RealtimeEvent.RESERVATION_UPDATED]: Reservation,
+  [RealtimeEvent.WAITLIST_UPDATED]: WaitlistEntry,
+  [RealtimeEvent.NOTIFICATION_RECEIVED]: Notification,
+};
+
+const isBrowser = () => typeof window !== "undefined";
+
+// type -> Set(handler); "*" receives every event
+const handlers = new Map();
+const statusListeners = new Set();
+let status = RealtimeStatus.IDLE;
+let retainCount = 0;
+let connection = null;
+let reconnectTimer = null;
+let attempt = 0;
+// Bumped whenever the current connection is dropped, so one still opening
+// from before (a StrictMode remount, a reconnect) closes when it resolves
+let generation = 0;
+
+const setStatus = (next) => {
+  status = next;
+  statusListeners.forEach((listener) => listener());
+};
+
+export const getRealtimeStatus = () => status;
+export const subscribeRealtimeStatus = (listener) => {
+  statusListeners.add(listener);
+  return () => statusListeners.delete(listener);
+};
+
+function dispatch(event) {
+  if (!event?.type) return;
+  invalidateQueries(EVENT_INVALIDATIONS[event.type] ?? []);
+  const { value: payload } = parse(EVENT_SCHEMAS[event.type], event.payload);
+  const normalized = { ...event, payload };
+  [...(handlers.get(event.type) ?? []), ...(handlers.get("*") ?? [])].forEach(
+    (handler) => handler(payload, normalized)
+  );
+}
+
+const parseMessage = (raw) => {
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+};
+
+// Each opener returns a close() function
+async function openSocket(onOpen, onDrop) {
+  const token = await getAuthToken();
+  const socket = new WebSocket(REALTIME_URL);
+  socket.onopen = () => {
+    if (token) socket.send(JSON.stringify({ type: "auth", token }));
+    onOpen();
+  };
+  socket.onmessage = (message) => dispatch(parseMessage(message.data));
+  socket.onclose = onDrop;
+  return () => {
+    socket.onclose = null;
+    socket.close();
+  };
+}
+
+async function openEventSource(onOpen, onDrop, baseUrl = REALTIME_URL) {
+  const token = await getAuthToken();
+  const url = token
+    ? `${baseUrl}?token=${encodeURIComponent(token)}`
+    : baseUrl;
+  const source = new EventSource(url, { withCredentials: true });
+  source.onopen = onOpen;
+  source.onmessage = (message) => dispatch(parseMessage(message.data));
+  source.onerror = () => {
+    source.close();
+    onDrop();
+  };
+  return () => source.close();
+}
+
+// Mock mode relays events straight from the in-process backend
+async function openMock(onOpen, backend) {
+  const unsubscribe = backend.subscribe(dispatch);
+  onOpen();
+  return unsubscribe;
+}
+
+async function connect() {
+  if (connection || retainCount === 0 || !isBrowser()) return;
+  setStatus(attempt === 0 ? RealtimeStatus.CONNECTING : RealtimeStatus.RECONNECTING);
+
+  const current = ++generation;
+  const isCurrent = () => current === generation;
+  const onOpen = () => {
+    if (!isCurrent()) return;
+    attempt = 0;
+    setStatus(RealtimeStatus.OPEN);
+  };
+  const onDrop = () => {
+    if (!isCurrent()) return;
+    connection = null;
+    scheduleReconnect();
+  };
+
+  connection = { close: () => {} };
+  try {
+    const backend = await getMockBackend();
+    const close = backend
+      ? await openMock(onOpen, backend)
+      : getTokenStore().usesCookies
+      ? await openEventSource(onOpen, onDrop, PROXIED_EVENTS_URL)
+      : TRANSPORT === "sse"
+      ? await openEventSource(onOpen, onDrop)
+      : await openSocket(onOpen, onDrop);
+    // Released or reconnected while we were connecting
+    if (!isCurrent()) {
+      close();
+      return;
+    }
+    connection = { close };
+  } catch {
+    onDrop();
+  }
+}
+
+function scheduleReconnect() {
+  if (retainCount === 0 || reconnectTimer) return;
+  setStatus(RealtimeStatus.RECONNECTING);
+  const delay =
+    Math.min(MIN_RECONNECT_DELAY * 2 ** attempt, MAX_RECONNECT_DELAY) *
+    (0.5 + Math.random() / 2);
+  attempt += 1;
+  reconnectTimer = setTimeout(() => {
+    reconnectTimer = null;
+    connect();
+  }, delay);
+}
+
+function disconnect() {
+  generation += 1;
+  clearTimeout(reconnectTimer);
+  reconnectTimer = null;
+  connection?.close();
+  connection = null;
+  attempt = 0;
+  setStatus(RealtimeStatus.IDLE);
+}
+
+// Holds the connection open until the returned release() is called
+export function retainConnection() {
+  retainCount += 1;
+  connect();
+
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    retainCount -= 1;
+    if (retainCount === 0) disconnect();
+  };
+}
+
+// subscribe(RealtimeEvent.ORDER_CREATED, (order) => ...) or "*" for all
+export function subscribe(type, handler) {
+  if (!handlers.has(type)) handlers.set(type, new Set());
+  handlers.get(type).add(handler);
+  const release = retainConnection();
+
+  return () => {
+    handlers.get(type)?.delete(handler);
+    release();
+  };
+}
+
+// Reconnect with the new credentials after login or token refresh. The open
+// connection still carries the token it was opened with (in the query string,
+// for SSE), so refreshes reconnect on their own below.
+export function reconnect() {
+  if (retainCount === 0) return;
+  disconnect();
+  connect();
+}
+
+if (isBrowser()) {
+  onSessionRefreshed(reconnect);
+  onSessionExpired(() => {
+    generation += 1;
+    connection?.close();
+    connection = null;
+    setStatus(RealtimeStatus.IDLE);
+  });
+  window.addEventListener("online", () => {
+    if (status === RealtimeStatus.RECONNECTING) {
+      clearTimeout(reconnectTimer);
+      reconnectTimer = null;
+      connect();
+    }
+  });
+}
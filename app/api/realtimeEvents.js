@@ -0,0 +1,10 @@
+// Event types pushed by the backend; shared by realtime.js and the mock
+export const RealtimeEvent = Object.freeze({
+  TABLE_STATUS_CHANGED: "table.status_changed",
+  ORDER_CREATED: "order.created",
+  ORDER_UPDATED: "order.updated",
+  RESERVATION_CREATED: "reservation.created",
+  RESERVATION_UPDATED: "reservation.updated",
+  WAITLIST_UPDATED: "waitlist.updated",
+  NOTIFICATION_RECEIVED: "notification.received",
+});
@@ -0,0 +1,456 @@
+// schemas.js - Resource models, response validation and key casing.
+// Responses are converted to camelCase and coerced into these shapes; in
+// development they are also checked, and mismatches are raised by services.js
+// as ApiValidationError. Unknown fields pass through untouched.
+
+// --- Key casing ---
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  Object.getPrototypeOf(value) === Object.prototype;
+
+export const toCamelCase = (key) =>
+  key.replace(/_([a-z0-9])/g, (_, char) => char.toUpperCase());
+
+export const toSnakeCase = (key) =>
+  key.replace(/([a-z0-9])([A-Z])/g, "$1_$2").toLowerCase();
+
+const mapKeysDeep = (value, mapKey) => {
+  if (Array.isArray(value)) return value.map((v) => mapKeysDeep(v, mapKey));
+  if (!isPlainObject(value)) return value;
+  return Object.fromEntries(
+    Object.entries(value).map(([k, v]) => [mapKey(k), mapKeysDeep(v, mapKey)])
+  );
+};
+
+export const camelizeKeys = (value) => mapKeysDeep(value, toCamelCase);
+export const snakeizeKeys = (value) => mapKeysDeep(value, toSnakeCase);
+
+// --- Field types ---
+// A type is { check(value) -> error message | null, coerce(value) -> value }
+const type = (name, check, coerce = (v) => v) => {
+  const base = { name, check, coerce };
+  base.optional = () => ({
+    ...base,
+    optional: true,
+    check: (v) => (v === undefined ? null : check(v)),
+  });
+  base.nullable = () => {
+    const nullable = {
+      ...base,
+      check: (v) => (v === null ? null : check(v)),
+      coerce: (v) => (v === null ? null : coerce(v)),
+    };
+    nullable.optional = () => ({
+      ...nullable,
+      check: (v) => (v === undefined || v === null ? null : check(v)),
+    });
+    return nullable;
+  };
+  return base;
+};
+
+const expected = (name) => (value) =>
+  `expected ${name}, got ${value === null ? "null" : typeof value}`;
+
+// Decimal columns often arrive as strings ("12.50")
+const numeric = (v) =>
+  typeof v === "string" && v.trim() !== "" && !Number.isNaN(Number(v))
+    ? Number(v)
+    : v;
+
+export const t = {
+  string: () =>
+    type("string", (v) => (typeof v === "string" ? null : expected("string")(v))),
+  number: () =>
+    type(
+      "number",
+      (v) => (typeof numeric(v) === "number" ? null : expected("number")(v)),
+      numeric
+    ),
+  boolean: () =>
+    type("boolean", (v) => (typeof v === "boolean" ? null : expected("boolean")(v))),
+  date: () =>
+    type("date", (v) =>
+      typeof v === "string" && !Number.isNaN(Date.parse(v))
+        ? null
+        : `expected ISO date, got ${JSON.stringify(v)}`
+    ),
+  enum: (values) =>
+    type("enum", (v) =>
+      values.includes(v)
+        ? null
+        : `expected one of ${values.join(", ")}, got ${JSON.stringify(v)}`
+    ),
+  any: () => type("any", () => null),
+};
+
+// --- Composite schemas ---
+export const model = (name, shape) => ({ kind: "model", name, shape });
+export const listOf = (schema) => ({ kind: "list", schema });
+// A bare array or a paging envelope ({ items | data | results, total, ... })
+export const pageOf = (schema) => ({ kind: "page", schema });
+
+// Walks camelCased data against a schema; returns { value, issues }
+function apply(schema, data, path, issues) {
+  if (!schema) return data;
+
+  if (schema.kind === "list") {
+    if (!Array.isArray(data)) {
+      issues.push({ path, message: expected("array")(data) });
+      return data;
+    }
+    return data.map((item, i) => apply(schema.schema, item, `${path}[${i}]`, issues));
+  }
+
+  if (schema.kind === "page") {
+    if (Array.isArray(data)) return apply(listOf(schema.schema), data, path, issues);
+    const key = ["items", "data", "results"].find((k) => Array.isArray(data?.[k]));
+    if (!key) {
+      issues.push({ path, message: "expected a list or a paged envelope" });
+      return data;
+    }
+    return { ...data, [key]: apply(listOf(schema.schema), data[key], `${path}.${key}`, issues) };
+  }
+
+  if (schema.kind === "model") {
+    if (!isPlainObject(data)) {
+      issues.push({ path, message: `expected ${schema.name} object` });
+      return data;
+    }
+    const value = { ...data };
+    Object.entries(schema.shape).forEach(([field, fieldType]) => {
+      const fieldPath = `${path}.${field}`;
+      if (fieldType.kind) {
+        if (value[field] !== undefined && value[field] !== null) {
+          value[field] = apply(fieldType, value[field], fieldPath, issues);
+        }
+        return;
+      }
+      const message = fieldType.check(value[field]);
+      if (message) issues.push({ path: fieldPath, message });
+      else if (value[field] !== undefined) value[field] = fieldType.coerce(value[field]);
+    });
+    return value;
+  }
+
+  return data;
+}
+
+/**
+ * Normalizes raw response data into the schema's camelCase model.
+ * @template T
+ * @param {Object} schema
+ * @param {*} data
+ * @returns {{ value: T, issues: Array<{ path: string, message: string }> }}
+ */
+export function parse(schema, data) {
+  const issues = [];
+  const value = apply(schema, camelizeKeys(data), schema?.name ?? "response", issues);
+  return { value, issues };
+}
+
+// --- Enumerations ---
+export const ROLES = ["ADMIN", "WAITER", "CHEF", "CASHIER", "CUSTOMER"];
+export const USER_STATUSES = ["active", "suspended", "banned"];
+export const TABLE_STATUSES = ["available", "reserved", "occupied", "cleaning"];
+export const TABLE_SHAPES = ["round", "square", "rectangle"];
+export const RESERVATION_STATUSES = [
+  "pending",
+  "confirmed",
+  "seated",
+  "completed",
+  "cancelled",
+  "no_show",
+];
+export const WAITLIST_STATUSES = ["waiting", "notified", "seated", "left"];
+export const ORDER_STATUSES = [
+  "pending",
+  "preparing",
+  "ready",
+  "served",
+  "paid",
+  "cancelled",
+];
+
+// --- Resource models ---
+
+/**
+ * @typedef {Object} User
+ * @property {number} id
+ * @property {string} name
+ * @property {string} email
+ * @property {string} [phone]
+ * @property {"ADMIN"|"WAITER"|"CHEF"|"CASHIER"|"CUSTOMER"} role
+ * @property {"active"|"suspended"|"banned"} status
+ * @property {string|null} [suspendedUntil]
+ * @property {string|null} [avatarUrl]
+ * @property {boolean} [emailVerified]
+ * @property {Object} [preferences] - self-service settings from /profile
+ * @property {string} [createdAt]
+ */
+export const User = model("User", {
+  id: t.number(),
+  name: t.string(),
+  email: t.string(),
+  phone: t.string().nullable().optional(),
+  role: t.enum(ROLES),
+  status: t.enum(USER_STATUSES),
+  suspendedUntil: t.date().nullable().optional(),
+  avatarUrl: t.string().nullable().optional(),
+  emailVerified: t.boolean().optional(),
+  preferences: t.any().nullable().optional(),
+  createdAt: t.date().optional(),
+});
+
+/**
+ * @typedef {Object} Table
+ * @property {number} id
+ * @property {number} number
+ * @property {number} capacity
+ * @property {"available"|"reserved"|"occupied"|"cleaning"} status
+ * @property {string} [zone]
+ * @property {number|null} [waiterId]
+ * @property {string|null} [occupiedSince]
+ * @property {number|null} [x] - floor plan position of the table's centre
+ * @property {number|null} [y]
+ * @property {"round"|"square"|"rectangle"} [shape]
+ * @property {number} [rotation] - degrees clockwise
+ */
+export const Table = model("Table", {
+  id: t.number(),
+  number: t.number(),
+  capacity: t.number(),
+  status: t.enum(TABLE_STATUSES),
+  zone: t.string().nullable().optional(),
+  waiterId: t.number().nullable().optional(),
+  occupiedSince: t.date().nullable().optional(),
+  x: t.number().nullable().optional(),
+  y: t.number().nullable().optional(),
+  shape: t.enum(TABLE_SHAPES).nullable().optional(),
+  rotation: t.number().nullable().optional(),
+});
+
+/**
+ * @typedef {Object} Reservation
+ * @property {number} id
+ * @property {number|null} [tableId]
+ * @property {number|null} [customerId]
+ * @property {string} customerName
+ * @property {string|null} [customerPhone]
+ * @property {string|null} [customerEmail]
+ * @property {number} partySize
+ * @property {string} reservationTime
+ * @property {number} [durationMinutes]
+ * @property {"pending"|"confirmed"|"seated"|"completed"|"cancelled"|"no_show"} status
+ * @property {string} [specialRequests]
+ * @property {string|null} [seatedAt]
+ * @property {string|null} [completedAt]
+ * @property {string} [createdAt]
+ */
+export const Reservation = model("Reservation", {
+  id: t.number(),
+  tableId: t.number().nullable().optional(),
+  customerId: t.number().nullable().optional(),
+  customerName: t.string(),
+  customerPhone: t.string().nullable().optional(),
+  customerEmail: t.string().nullable().optional(),
+  partySize: t.number(),
+  reservationTime: t.date(),
+  durationMinutes: t.number().optional(),
+  status: t.enum(RESERVATION_STATUSES),
+  specialRequests: t.string().nullable().optional(),
+  seatedAt: t.date().nullable().optional(),
+  completedAt: t.date().nullable().optional(),
+  createdAt: t.date().optional(),
+});
+
+/**
+ * @typedef {Object} WaitlistEntry
+ * @property {number} id
+ * @property {string} customerName
+ * @property {string|null} [customerPhone]
+ * @property {number} partySize
+ * @property {string} arrivedAt
+ * @property {number|null} [quotedMinutes] - wait quoted to the guest on arrival
+ * @property {"waiting"|"notified"|"seated"|"left"} status
+ * @property {string|null} [notifiedAt]
+ * @property {string|null} [seatedAt]
+ * @property {number|null} [tableId]
+ * @property {string|null} [notes]
+ */
+export const WaitlistEntry = model("WaitlistEntry", {
+  id: t.number(),
+  customerName: t.string(),
+  customerPhone: t.string().nullable().optional(),
+  partySize: t.number(),
+  arrivedAt: t.date(),
+  quotedMinutes: t.number().nullable().optional(),
+  status: t.enum(WAITLIST_STATUSES),
+  notifiedAt: t.date().nullable().optional(),
+  seatedAt: t.date().nullable().optional(),
+  tableId: t.number().nullable().optional(),
+  notes: t.string().nullable().optional(),
+});
+
+/**
+ * @typedef {Object} Payment
+ * @property {number} id
+ * @property {number} orderId
+ * @property {number} amount
+ * @property {string} method
+ * @property {string} status
+ * @property {Array<Object>} [adjustments]
+ * @property {string} [createdAt]
+ */
+export const Payment = model("Payment", {
+  id: t.number(),
+  orderId: t.number(),
+  amount: t.number(),
+  method: t.string(),
+  status: t.string(),
+  adjustments: t.any().optional(),
+  createdAt: t.date().optional(),
+});
+
+/**
+ * @typedef {Object} Notification
+ * @property {number} id
+ * @property {number} [userId]
+ * @property {string} title
+ * @property {string} message
+ * @property {string} [type]
+ * @property {boolean} isRead
+ * @property {string} createdAt
+ */
+export const Notification = model("Notification", {
+  id: t.number(),
+  userId: t.number().optional(),
+  title: t.string(),
+  message: t.string(),
+  type: t.string().optional(),
+  isRead: t.boolean(),
+  createdAt: t.date(),
+});
+
+/**
+ * @typedef {Object} MenuItem
+ * @property {number} id
+ * @property {number} categoryId
+ * @property {string} name
+ * @property {string} [description]
+ * @property {number} price
+ * @property {boolean} isAvailable
+ */
+export const MenuItem = model("MenuItem", {
+  id: t.number(),
+  categoryId: t.number(),
+  name: t.string(),
+  description: t.string().nullable().optional(),
+  price: t.number(),
+  isAvailable: t.boolean(),
+});
+
+/**
+ * @typedef {Object} MenuCategory
+ * @property {number} id
+ * @property {string} name
+ * @property {string} [description]
+ * @property {MenuItem[]} [items]
+ */
+export const MenuCategory = model("MenuCategory", {
+  id: t.number(),
+  name: t.string(),
+  description: t.string().nullable().optional(),
+  items: listOf(MenuItem),
+});
+
+/**
+ * @typedef {Object} OrderItem
+ * @property {number} id
+ * @property {number} orderId
+ * @property {number} menuItemId
+ * @property {number} quantity
+ * @property {number} price
+ * @property {string} [notes]
+ * @property {string} [status]
+ */
+export const OrderItem = model("OrderItem", {
+  id: t.number(),
+  orderId: t.number(),
+  menuItemId: t.number(),
+  quantity: t.number(),
+  price: t.number(),
+  notes: t.string().nullable().optional(),
+  status: t.string().optional(),
+});
+
+/**
+ * @typedef {Object} Order
+ * @property {number} id
+ * @property {number} tableId
+ * @property {number|null} [waiterId]
+ * @property {"pending"|"preparing"|"ready"|"served"|"paid"|"cancelled"} status
+ * @property {number} total
+ * @property {string} createdAt
+ * @property {string} [updatedAt]
+ * @property {OrderItem[]} [items]
+ */
+export const Order = model("Order", {
+  id: t.number(),
+  tableId: t.number(),
+  waiterId: t.number().nullable().optional(),
+  status: t.enum(ORDER_STATUSES),
+  total: t.number(),
+  createdAt: t.date(),
+  updatedAt: t.date().optional(),
+  items: listOf(OrderItem),
+});
+
+// --- Response envelopes ---
+
+/** @typedef {{ accessToken: string, user?: User }} AuthSession */
+export const AuthSession = model("AuthSession", {
+  accessToken: t.string(),
+  user: User,
+});
+
+/** @typedef {{ message?: string, user: User }} Registration */
+export const Registration = model("Registration", {
+  message: t.string().optional(),
+  user: User,
+});
+
+/** @typedef {{ count: number }} Count */
+export const Count = model("Count", { count: t.number() });
+
+/** @typedef {{ ADMIN: number, WAITER: number, CHEF: number, CASHIER: number, CUSTOMER?: number }} RoleCounts */
+export const RoleCounts = model("RoleCounts", {
+  ADMIN: t.number(),
+  WAITER: t.number(),
+  CHEF: t.number(),
+  CASHIER: t.number(),
+  CUSTOMER: t.number().optional(),
+});
+
+/** @typedef {{ active: number, suspended: number, banned: number }} StatusCounts */
+export const StatusCounts = model("StatusCounts", {
+  active: t.number(),
+  suspended: t.number(),
+  banned: t.number(),
+});
+
+/** @typedef {{ available: number, reserved: number, occupied: number, cleaning?: number, total?: number }} TableStats */
+export const TableStats = model("TableStats", {
+  available: t.number(),
+  reserved: t.number(),
+  occupied: t.number(),
+  cleaning: t.number().optional(),
+  total: t.number().optional(),
+});
+
+/** @typedef {{ available: boolean, tables?: Table[] }} Availability */
+export const Availability = model("Availability", {
+  available: t.boolean(),
+  tables: listOf(Table),
+});
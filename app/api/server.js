@@ -0,0 +1,12 @@
+// server.js - API entry point for server components, route handlers and
+// server actions. Resolves the token from the incoming request's cookie.
+import { cookies } from "next/headers";
+import api from "./services";
+import { setServerTokenResolver, TOKEN_KEY } from "./tokenStore";
+
+setServerTokenResolver(
+  async () => (await cookies()).get(TOKEN_KEY)?.value ?? null
+);
+
+export * from "./services";
+export default api;
@@ -1,32 +1,337 @@
 // services.js - Enhanced API service layer
-const API_BASE = process.env.NEXT_PUBLIC_API_URL
+import { configureTokenStore, getTokenStore } from "./tokenStore";
+import { notifyTokenChange, subscribeTokenChanges } from "./authChannel";
+import {
+  Availability,
+  AuthSession,
+  Count,
+  MenuCategory,
+  MenuItem,
+  Notification,
+  Order,
+  OrderItem,
+  Payment,
+  Registration,
+  Reservation,
+  RoleCounts,
+  StatusCounts,
+  Table,
+  TableStats,
+  User,
+  WaitlistEntry,
+  camelizeKeys,
+  listOf,
+  pageOf,
+  parse,
+  snakeizeKeys,
+} from "./schemas";
+
+export const API_BASE = process.env.NEXT_PUBLIC_API_URL
   ? `${process.env.NEXT_PUBLIC_API_URL}/api`
   : "http://127.0.0.1:5000/api";
 
+// With httpOnly cookies the browser calls the backend through our own proxy
+export const PROXY_BASE = "/api/proxy";
+const isBrowser = () => typeof window !== "undefined";
+const resolveApiBase = () =>
+  isBrowser() && getTokenStore().usesCookies ? PROXY_BASE : API_BASE;
+
+// Mock mode serves every route from the in-process backend in ./mock. It is
+// switched on by NEXT_PUBLIC_API_MOCK=true, at runtime (the /demo page), or
+// by tests installing a backend of their own.
+const MOCK_FLAG_KEY = "dineflow.mock";
+let mockBackend = null;
+
+const readMockFlag = () => {
+  try {
+    return isBrowser() && window.sessionStorage.getItem(MOCK_FLAG_KEY) === "1";
+  } catch {
+    return false;
+  }
+};
+
+export const isMockMode = () =>
+  mockBackend !== null ||
+  process.env.NEXT_PUBLIC_API_MOCK === "true" ||
+  readMockFlag();
+
+export const enableMockMode = (enabled = true) => {
+  try {
+    if (enabled) window.sessionStorage.setItem(MOCK_FLAG_KEY, "1");
+    else window.sessionStorage.removeItem(MOCK_FLAG_KEY);
+  } catch {
+    // No sessionStorage (server, tests): only the in-memory switch applies
+  }
+  if (!enabled) mockBackend = null;
+};
+
+export const installMockBackend = (backend) => {
+  mockBackend = backend;
+};
+
+export async function getMockBackend() {
+  if (!isMockMode()) return null;
+  if (!mockBackend) {
+    const { createMockBackend } = await import("./mock");
+    mockBackend = createMockBackend();
+  }
+  return mockBackend;
+}
+
+async function resolveFetch() {
+  const backend = await getMockBackend();
+  return backend ? backend.fetch : fetch;
+}
+
+// Distinguishes why a request failed, beyond the HTTP status
+export const ApiErrorKind = Object.freeze({
+  HTTP: "http",
+  NETWORK: "network",
+  TIMEOUT: "timeout",
+  ABORTED: "aborted",
+  VALIDATION: "validation",
+});
+
 // Custom error class with response details
 class ApiError extends Error {
-  constructor(message, status, data) {
+  constructor(message, status, data, kind = ApiErrorKind.HTTP) {
     super(message);
     this.name = 'ApiError';
     this.status = status;
     this.data = data;
+    this.kind = kind;
+  }
+}
+
+// The response arrived but did not match its schema; `issues` lists each
+// mismatched field as { path, message }
+class ApiValidationError extends ApiError {
+  constructor(message, status, data, issues) {
+    super(message, status, data, ApiErrorKind.VALIDATION);
+    this.name = 'ApiValidationError';
+    this.issues = issues;
+  }
+}
+
+// Responses are always normalized to camelCase; checking them against the
+// schemas costs a walk over every payload, so only development pays for it
+const VALIDATE_RESPONSES = process.env.NODE_ENV !== "production";
+
+// Request defaults, overridable per call or globally via setRequestDefaults
+const requestDefaults = {
+  timeout: 15000,
+  retries: 2,
+  retryDelay: 300,
+  maxRetryDelay: 5000,
+};
+
+export const setRequestDefaults = (overrides) =>
+  Object.assign(requestDefaults, overrides);
+
+// Only these methods are safe to replay; POST/PATCH never retry
+const IDEMPOTENT_METHODS = new Set(["GET", "HEAD", "OPTIONS", "PUT", "DELETE"]);
+const RETRYABLE_STATUSES = new Set([408, 429, 502, 503, 504]);
+
+// Session lifecycle: a single shared refresh and a one-shot expiry event
+const LOGIN_PATH = "/login";
+let refreshPromise = null;
+let sessionVersion = 0;
+let sessionExpired = false;
+const sessionExpiredListeners = new Set();
+const sessionRefreshedListeners = new Set();
+
+// Token management utilities, backed by the configured token store.
+// The server-side store may resolve asynchronously, so await the getter.
+export const getAuthToken = () => getTokenStore().get();
+
+// Refreshing swaps the token without changing who is signed in, so only
+// setAuthToken and clearAuthToken announce a change
+const storeToken = (token) => {
+  sessionVersion += 1;
+  sessionExpired = false;
+  return getTokenStore().set(token);
+};
+export const setAuthToken = async (token) => {
+  await storeToken(token);
+  notifyTokenChange("signin");
+};
+export const clearAuthToken = async () => {
+  await getTokenStore().clear();
+  notifyTokenChange("signout");
+};
+export { subscribeTokenChanges };
+
+export const onSessionExpired = (listener) => {
+  sessionExpiredListeners.add(listener);
+  return () => sessionExpiredListeners.delete(listener);
+};
+
+// Called with nothing after a refresh stores a new token for the same user,
+// e.g. so long-lived connections can pick it up
+export const onSessionRefreshed = (listener) => {
+  sessionRefreshedListeners.add(listener);
+  return () => sessionRefreshedListeners.delete(listener);
+};
+
+function expireSession() {
+  sessionVersion += 1;
+  sessionExpired = true;
+  clearAuthToken().catch(() => {});
+  sessionExpiredListeners.forEach((listener) => listener());
+
+  if (isBrowser() && window.location.pathname !== LOGIN_PATH) {
+    const next = encodeURIComponent(
+      window.location.pathname + window.location.search
+    );
+    window.location.assign(`${LOGIN_PATH}?next=${next}&expired=1`);
+  }
+}
+
+// Only the server turning the refresh down ends the session; a dropped
+// connection, timeout or abort leaves it for the next attempt
+const refreshRejected = (error) => error.status === 401 || error.status === 403;
+
+// Concurrent callers share one in-flight refresh instead of each refreshing
+function refreshSession() {
+  if (!refreshPromise) {
+    refreshPromise = request("/auth/refresh", {
+      method: "POST",
+      credentials: "include",
+      skipAuthRefresh: true,
+    })
+      .then(async (data) => {
+        const token = data?.accessToken || data?.token;
+        if (!token) {
+          throw new ApiError("Session refresh returned no token", 401, data);
+        }
+        await storeToken(token);
+        sessionRefreshedListeners.forEach((listener) => listener());
+        return token;
+      })
+      .catch((error) => {
+        if (refreshRejected(error)) expireSession();
+        throw error;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+}
+
+async function replayAfterRefresh(path, options, sentVersion) {
+  // Another request may already have refreshed (or expired) the session
+  if (sessionVersion === sentVersion) {
+    try {
+      await refreshSession();
+    } catch (error) {
+      if (!refreshRejected(error)) throw error;
+      throw new ApiError(
+        "Your session has expired. Please sign in again.",
+        401,
+        error.data ?? null
+      );
+    }
+  }
+
+  if (sessionExpired) {
+    throw new ApiError("Your session has expired. Please sign in again.", 401, null);
   }
+
+  return request(path, { ...options, skipAuthRefresh: true });
 }
 
-// Token management utilities
-export const getAuthToken = () => localStorage.getItem("token");
-export const setAuthToken = (token) => localStorage.setItem("token", token);
-export const clearAuthToken = () => localStorage.removeItem("token");
+const abortedError = () =>
+  new ApiError("Request was cancelled", 0, null, ApiErrorKind.ABORTED);
+
+// Exponential backoff with jitter, capped at maxRetryDelay
+const backoffDelay = (baseDelay, attempt) =>
+  Math.min(baseDelay * 2 ** attempt, requestDefaults.maxRetryDelay) *
+  (0.5 + Math.random() / 2);
+
+const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(abortedError());
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortedError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+
+// Single fetch attempt bounded by a timeout and the caller's AbortSignal
+async function send(url, requestOptions, timeout, signal) {
+  if (signal?.aborted) throw abortedError();
+
+  const controller = new AbortController();
+  const onAbort = () => controller.abort();
+  signal?.addEventListener("abort", onAbort, { once: true });
+
+  let timedOut = false;
+  const timer =
+    timeout > 0
+      ? setTimeout(() => {
+          timedOut = true;
+          controller.abort();
+        }, timeout)
+      : null;
+
+  try {
+    const transport = await resolveFetch();
+    const response = await transport(url, {
+      ...requestOptions,
+      signal: controller.signal,
+    });
+    const responseData = await response.json().catch(() => null);
+    return { response, responseData };
+  } catch (error) {
+    if (timedOut) {
+      throw new ApiError(
+        `Request timed out after ${timeout}ms`,
+        0,
+        null,
+        ApiErrorKind.TIMEOUT
+      );
+    }
+    if (signal?.aborted) throw abortedError();
+
+    // Network errors or other issues
+    throw new ApiError(
+      error.message || "Network request failed",
+      0,
+      null,
+      ApiErrorKind.NETWORK
+    );
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", onAbort);
+  }
+}
 
 // Core request function with enhanced capabilities
-async function request(
-  path,
-  { method = "GET", body, params, headers = {}, ...options } = {}
-) {
+async function request(path, options = {}) {
+  const {
+    method = "GET",
+    body,
+    params,
+    headers = {},
+    skipAuthRefresh = false,
+    timeout = requestDefaults.timeout,
+    signal,
+    retries = requestDefaults.retries,
+    retryDelay = requestDefaults.retryDelay,
+    schema,
+    ...fetchOptions
+  } = options;
+
   // Build URL with query parameters
-  let url = API_BASE + path;
+  let url = resolveApiBase() + path;
   if (params) {
-    const searchParams = new URLSearchParams(params);
+    const searchParams = new URLSearchParams(snakeizeKeys(params));
     url += `?${searchParams.toString()}`;
   }
 
@@ -37,11 +342,12 @@ async function request(
       "Content-Type": "application/json",
       ...headers,
     },
-    ...options,
+    ...fetchOptions,
   };
 
   // Add authorization header if token exists
-  const token = getAuthToken();
+  const sentVersion = sessionVersion;
+  const token = await getAuthToken();
   if (token) {
     requestOptions.headers.Authorization = `Bearer ${token}`;
   }
@@ -52,187 +358,487 @@ async function request(
       requestOptions.body = body;
       delete requestOptions.headers["Content-Type"];
     } else {
-      requestOptions.body = JSON.stringify(body);
+      // Models are camelCase, the backend speaks snake_case
+      requestOptions.body = JSON.stringify(snakeizeKeys(body));
     }
   }
 
-  try {
-    const response = await fetch(url, requestOptions);
-    const responseData = await response.json().catch(() => null);
+  // Retry transient failures for idempotent methods only
+  const maxRetries = IDEMPOTENT_METHODS.has(method.toUpperCase())
+    ? retries
+    : 0;
 
-    if (!response.ok) {
-      throw new ApiError(
-        responseData?.message || response.statusText,
-        response.status,
-        responseData
-      );
+  let response;
+  let responseData;
+  for (let attempt = 0; ; attempt++) {
+    try {
+      ({ response, responseData } = await send(
+        url,
+        requestOptions,
+        timeout,
+        signal
+      ));
+      if (attempt >= maxRetries || !RETRYABLE_STATUSES.has(response.status)) {
+        break;
+      }
+    } catch (error) {
+      if (attempt >= maxRetries || error.kind === ApiErrorKind.ABORTED) {
+        throw error;
+      }
     }
+    await sleep(backoffDelay(retryDelay, attempt), signal);
+  }
 
-    return responseData;
-  } catch (error) {
-    // Handle specific error cases
-    if (error.name === "ApiError") throw error;
-    
-    // Network errors or other issues
+  // Expired token: refresh once, then replay the original request.
+  // Cookie sessions are invisible to JS, so assume one may exist.
+  const mayHaveSession = token || getTokenStore().usesCookies;
+  if (
+    response.status === 401 &&
+    mayHaveSession &&
+    !skipAuthRefresh &&
+    isBrowser()
+  ) {
+    return replayAfterRefresh(path, options, sentVersion);
+  }
+
+  if (!response.ok) {
     throw new ApiError(
-      error.message || "Network request failed",
-      0,
-      null
+      responseData?.message || response.statusText,
+      response.status,
+      camelizeKeys(responseData)
+    );
+  }
+
+  return normalizeResponse(path, schema, responseData, response.status);
+}
+
+function normalizeResponse(path, schema, responseData, status) {
+  const { value, issues } = parse(schema, responseData);
+  if (schema && issues.length && VALIDATE_RESPONSES) {
+    const [first] = issues;
+    throw new ApiValidationError(
+      `Unexpected response from ${path}: ${first.path} ${first.message}`,
+      status,
+      value,
+      issues
     );
   }
+  return value;
 }
 
+// Every method takes an optional trailing `options` object (signal,
+// timeout, retries, headers) that is passed through to request()
+
 // --- User API ---
 const user = {
-  getMe: () => request("/user/me"),
-  update: (data) => request("/user/update", { method: "PATCH", body: data }),
-  uploadAvatar: (file) => {
+  getMe: (options) => request("/user/me", { ...options, schema: User }),
+  update: (data, options) =>
+    request("/user/update", {
+      ...options,
+      method: "PATCH",
+      body: data,
+      schema: User,
+    }),
+  uploadAvatar: (file, options) => {
     const formData = new FormData();
     formData.append("avatar", file);
-    return request("/user/avatar", { method: "POST", body: formData });
+    return request("/user/avatar", {
+      ...options,
+      method: "POST",
+      body: formData,
+      schema: User,
+    });
   },
-  delete: () => request("/user/delete", { method: "DELETE" }),
-  getAll: () => request("/user/"),
-  getById: (id) => request(`/user/${id}`),
-  count: () => request("/user/count"),
-  countByRole: () => request("/user/count/by-role"),
-  countByStatus: () => request("/user/count/by-status"),
-  listByStatus: (status) => request(`/user/list/${status}`),
-  changeStatus: (userId, status, days) =>
+  delete: (options) =>
+    request("/user/delete", { ...options, method: "DELETE" }),
+  getAll: (params, options) =>
+    request("/user/", { ...options, params, schema: pageOf(User) }),
+  getById: (id, options) =>
+    request(`/user/${id}`, { ...options, schema: User }),
+  count: (options) => request("/user/count", { ...options, schema: Count }),
+  countByRole: (options) =>
+    request("/user/count/by-role", { ...options, schema: RoleCounts }),
+  countByStatus: (options) =>
+    request("/user/count/by-status", { ...options, schema: StatusCounts }),
+  listByStatus: (status, options) =>
+    request(`/user/list/${status}`, { ...options, schema: pageOf(User) }),
+  changeStatus: (userId, status, days, options) =>
     request(`/user/status/${userId}`, {
+      ...options,
       method: "PATCH",
       body: { status, days },
+      schema: User,
+    }),
+  changeRole: (userId, role, options) =>
+    request(`/user/role/${userId}`, {
+      ...options,
+      method: "PATCH",
+      body: { role },
+      schema: User,
     }),
-  changeRole: (userId, role) =>
-    request(`/user/role/${userId}`, { method: "PATCH", body: { role } }),
-  promote: (userId) => request(`/user/${userId}/promote`, { method: "PUT" }),
-  demote: (userId) => request(`/user/${userId}/demote`, { method: "PUT" }),
-  unban: (userId) => request(`/user/${userId}/unban`, { method: "PUT" }),
-  unsuspend: (userId) =>
-    request(`/user/${userId}/unsuspend`, { method: "PUT" }),
-  deleteByAdmin: (userId) =>
-    request(`/user/delete/${userId}`, { method: "DELETE" }),
-  welcome: () => request("/user/welcome"),
+  promote: (userId, options) =>
+    request(`/user/${userId}/promote`, {
+      ...options,
+      method: "PUT",
+      schema: User,
+    }),
+  demote: (userId, options) =>
+    request(`/user/${userId}/demote`, {
+      ...options,
+      method: "PUT",
+      schema: User,
+    }),
+  unban: (userId, options) =>
+    request(`/user/${userId}/unban`, {
+      ...options,
+      method: "PUT",
+      schema: User,
+    }),
+  unsuspend: (userId, options) =>
+    request(`/user/${userId}/unsuspend`, {
+      ...options,
+      method: "PUT",
+      schema: User,
+    }),
+  deleteByAdmin: (userId, options) =>
+    request(`/user/delete/${userId}`, { ...options, method: "DELETE" }),
+  welcome: (options) => request("/user/welcome", options),
 };
 
 
 // --- Auth API ---
 const auth = {
-  register: (userData) => request("/auth/register", { method: "POST", body: userData }),
-  login: (credentials) => request("/auth/login", { method: "POST", body: credentials }),
-  logout: () => {
-    clearAuthToken();
-    return request("/auth/logout");
+  register: (userData, options) =>
+    request("/auth/register", {
+      ...options,
+      method: "POST",
+      body: userData,
+      skipAuthRefresh: true,
+      schema: Registration,
+    }),
+  login: (credentials, options) =>
+    request("/auth/login", {
+      ...options,
+      method: "POST",
+      body: credentials,
+      skipAuthRefresh: true,
+      schema: AuthSession,
+    }),
+  resendVerification: (email, options) =>
+    request("/auth/resend-verification", {
+      ...options,
+      method: "POST",
+      body: { email },
+      skipAuthRefresh: true,
+    }),
+  verifyEmail: (token, options) =>
+    request("/auth/verify-email", {
+      ...options,
+      method: "POST",
+      body: { token },
+      skipAuthRefresh: true,
+    }),
+  refresh: () => refreshSession(),
+  logout: async (options) => {
+    await clearAuthToken();
+    return request("/auth/logout", { ...options, skipAuthRefresh: true });
   },
-  forgotPassword: (email) =>
-    request("/auth/forgot-password", { method: "POST", body: { email } }),
-  resetPassword: (token, newPassword) =>
+  forgotPassword: (email, options) =>
+    request("/auth/forgot-password", {
+      ...options,
+      method: "POST",
+      body: { email },
+      skipAuthRefresh: true,
+    }),
+  resetPassword: (token, newPassword, options) =>
     request("/auth/reset-password", {
+      ...options,
       method: "POST",
       body: { token, new_password: newPassword },
+      skipAuthRefresh: true,
     }),
   googleLogin: () => (window.location.href = `${API_BASE}/auth/google/login`),
 };
 
 // --- Table API ---
 const table = {
-  create: (data) => request("/table/tables", { method: "POST", body: data }),
-  getAll: () => request("/table/tables"),
-  get: (id) => request(`/table/tables/${id}`),
-  update: (id, data) =>
-    request(`/table/tables/${id}`, { method: "PUT", body: data }),
-  delete: (id) => request(`/table/tables/${id}`, { method: "DELETE" }),
-  changeStatus: (id, status) =>
+  create: (data, options) =>
+    request("/table/tables", {
+      ...options,
+      method: "POST",
+      body: data,
+      schema: Table,
+    }),
+  getAll: (options) =>
+    request("/table/tables", { ...options, schema: listOf(Table) }),
+  get: (id, options) =>
+    request(`/table/tables/${id}`, { ...options, schema: Table }),
+  update: (id, data, options) =>
+    request(`/table/tables/${id}`, {
+      ...options,
+      method: "PUT",
+      body: data,
+      schema: Table,
+    }),
+  delete: (id, options) =>
+    request(`/table/tables/${id}`, { ...options, method: "DELETE" }),
+  changeStatus: (id, status, options) =>
     request(`/table/tables/${id}/status`, {
+      ...options,
       method: "PATCH",
       body: { status },
+      schema: Table,
+    }),
+  getAvailable: (options) =>
+    request("/table/tables/available", { ...options, schema: listOf(Table) }),
+  stats: (options) =>
+    request("/table/status", { ...options, schema: TableStats }),
+  reserved: (options) =>
+    request("/table/reserved", { ...options, schema: listOf(Table) }),
+  occupied: (options) =>
+    request("/table/occupied", { ...options, schema: listOf(Table) }),
+  myReservations: (options) =>
+    request("/table/my-reservations", {
+      ...options,
+      schema: listOf(Reservation),
     }),
-  getAvailable: () => request("/table/tables/available"),
-  stats: () => request("/table/status"),
-  reserved: () => request("/table/reserved"),
-  occupied: () => request("/table/occupied"),
-  myReservations: () => request("/table/my-reservations"),
-  myOccupied: () => request("/table/my-occupied"),
-  myTables: () => request("/table/my-tables"),
-  myTableByReservation: (reservationId) =>
-    request(`/table/my-tables/${reservationId}`),
+  myOccupied: (options) =>
+    request("/table/my-occupied", { ...options, schema: listOf(Table) }),
+  myTables: (options) =>
+    request("/table/my-tables", { ...options, schema: listOf(Table) }),
+  myTableByReservation: (reservationId, options) =>
+    request(`/table/my-tables/${reservationId}`, { ...options, schema: Table }),
 };
 
 // --- Reservation API ---
 const reservation = {
-  create: (data) => request("/reservations", { method: "POST", body: data }),
-  getAll: (params) => request("/reservations", { params }),
-  get: (id) => request(`/reservations/${id}`),
-  update: (id, data) =>
-    request(`/reservations/${id}`, { method: "PUT", body: data }),
-  delete: (id) => request(`/reservations/${id}`, { method: "DELETE" }),
-  changeStatus: (id, status) =>
+  create: (data, options) =>
+    request("/reservations", {
+      ...options,
+      method: "POST",
+      body: data,
+      schema: Reservation,
+    }),
+  getAll: (params, options) =>
+    request("/reservations", {
+      ...options,
+      params,
+      schema: pageOf(Reservation),
+    }),
+  get: (id, options) =>
+    request(`/reservations/${id}`, { ...options, schema: Reservation }),
+  update: (id, data, options) =>
+    request(`/reservations/${id}`, {
+      ...options,
+      method: "PUT",
+      body: data,
+      schema: Reservation,
+    }),
+  delete: (id, options) =>
+    request(`/reservations/${id}`, { ...options, method: "DELETE" }),
+  changeStatus: (id, status, options) =>
     request(`/reservations/${id}/status`, {
+      ...options,
       method: "PATCH",
       body: { status },
+      schema: Reservation,
+    }),
+  checkAvailability: (data, options) =>
+    request("/reservations/check-availability", {
+      ...options,
+      method: "POST",
+      body: data,
+      schema: Availability,
+    }),
+  upcoming: (params, options) =>
+    request("/reservations/upcoming", {
+      ...options,
+      params,
+      schema: pageOf(Reservation),
+    }),
+};
+
+// --- Waitlist API ---
+const waitlist = {
+  getAll: (params, options) =>
+    request("/waitlist", {
+      ...options,
+      params,
+      schema: listOf(WaitlistEntry),
+    }),
+  create: (data, options) =>
+    request("/waitlist", {
+      ...options,
+      method: "POST",
+      body: data,
+      schema: WaitlistEntry,
+    }),
+  update: (id, data, options) =>
+    request(`/waitlist/${id}`, {
+      ...options,
+      method: "PUT",
+      body: data,
+      schema: WaitlistEntry,
+    }),
+  delete: (id, options) =>
+    request(`/waitlist/${id}`, { ...options, method: "DELETE" }),
+  notify: (id, options) =>
+    request(`/waitlist/${id}/notify`, {
+      ...options,
+      method: "POST",
+      schema: WaitlistEntry,
     }),
-  checkAvailability: (data) =>
-    request("/reservations/check-availability", { method: "POST", body: data }),
-  upcoming: (params) => request("/reservations/upcoming", { params }),
 };
 
 // --- Payment API ---
 const payment = {
-  getAll: () => request("/payments"),
-  get: (id) => request(`/payments/${id}`),
-  create: (data) => request("/payments", { method: "POST", body: data }),
-  update: (id, data) =>
-    request(`/payments/${id}`, { method: "PUT", body: data }),
-  adjust: (id, adjustment) =>
-    request(`/payments/${id}/adjust`, { method: "POST", body: adjustment }),
-  delete: (id) => request(`/payments/${id}`, { method: "DELETE" }),
+  getAll: (options) =>
+    request("/payments", { ...options, schema: listOf(Payment) }),
+  get: (id, options) =>
+    request(`/payments/${id}`, { ...options, schema: Payment }),
+  create: (data, options) =>
+    request("/payments", {
+      ...options,
+      method: "POST",
+      body: data,
+      schema: Payment,
+    }),
+  update: (id, data, options) =>
+    request(`/payments/${id}`, {
+      ...options,
+      method: "PUT",
+      body: data,
+      schema: Payment,
+    }),
+  adjust: (id, adjustment, options) =>
+    request(`/payments/${id}/adjust`, {
+      ...options,
+      method: "POST",
+      body: adjustment,
+      schema: Payment,
+    }),
+  delete: (id, options) =>
+    request(`/payments/${id}`, { ...options, method: "DELETE" }),
 };
 
 // --- Notification API ---
 const notification = {
-  getAll: (params) => request("/notifications", { params }),
-  unreadCount: () => request("/notifications/unread-count"),
-  markRead: (id) => request(`/notifications/${id}/read`, { method: "PATCH" }),
-  markAllRead: () =>
-    request("/notifications/mark-all-read", { method: "PATCH" }),
-  create: (data) => request("/notifications", { method: "POST", body: data }),
-  delete: (id) => request(`/notifications/${id}`, { method: "DELETE" }),
+  getAll: (params, options) =>
+    request("/notifications", {
+      ...options,
+      params,
+      schema: pageOf(Notification),
+    }),
+  unreadCount: (options) =>
+    request("/notifications/unread-count", { ...options, schema: Count }),
+  markRead: (id, options) =>
+    request(`/notifications/${id}/read`, {
+      ...options,
+      method: "PATCH",
+      schema: Notification,
+    }),
+  markAllRead: (options) =>
+    request("/notifications/mark-all-read", { ...options, method: "PATCH" }),
+  create: (data, options) =>
+    request("/notifications", {
+      ...options,
+      method: "POST",
+      body: data,
+      schema: Notification,
+    }),
+  delete: (id, options) =>
+    request(`/notifications/${id}`, { ...options, method: "DELETE" }),
 };
 
 // --- Menu API ---
 const menu = {
-  getCategories: () => request("/menu/categories"),
-  getCategory: (id) => request(`/menu/categories/${id}`),
-  createCategory: (data) =>
-    request("/menu/categories", { method: "POST", body: data }),
-  updateCategory: (id, data) =>
-    request(`/menu/categories/${id}`, { method: "PUT", body: data }),
-  deleteCategory: (id) =>
-    request(`/menu/categories/${id}`, { method: "DELETE" }),
-
-  getItems: (params) => request("/menu/items", { params }),
-  getItem: (id) => request(`/menu/items/${id}`),
-  createItem: (data) => request("/menu/items", { method: "POST", body: data }),
-  updateItem: (id, data) =>
-    request(`/menu/items/${id}`, { method: "PUT", body: data }),
-  deleteItem: (id) => request(`/menu/items/${id}`, { method: "DELETE" }),
-
-  getOrders: (params) => request("/menu/orders", { params }),
-  getOrder: (id) => request(`/menu/orders/${id}`),
-  createOrder: (data) =>
-    request("/menu/orders", { method: "POST", body: data }),
-  updateOrder: (id, data) =>
-    request(`/menu/orders/${id}`, { method: "PUT", body: data }),
-  deleteOrder: (id) => request(`/menu/orders/${id}`, { method: "DELETE" }),
-
-  getOrderItems: (params) => request("/menu/order-items", { params }),
-  getOrderItem: (id) => request(`/menu/order-items/${id}`),
-  createOrderItem: (data) =>
-    request("/menu/order-items", { method: "POST", body: data }),
-  updateOrderItem: (id, data) =>
-    request(`/menu/order-items/${id}`, { method: "PUT", body: data }),
-  deleteOrderItem: (id) =>
-    request(`/menu/order-items/${id}`, { method: "DELETE" }),
+  getCategories: (options) =>
+    request("/menu/categories", { ...options, schema: listOf(MenuCategory) }),
+  getCategory: (id, options) =>
+    request(`/menu/categories/${id}`, { ...options, schema: MenuCategory }),
+  createCategory: (data, options) =>
+    request("/menu/categories", {
+      ...options,
+      method: "POST",
+      body: data,
+      schema: MenuCategory,
+    }),
+  updateCategory: (id, data, options) =>
+    request(`/menu/categories/${id}`, {
+      ...options,
+      method: "PUT",
+      body: data,
+      schema: MenuCategory,
+    }),
+  deleteCategory: (id, options) =>
+    request(`/menu/categories/${id}`, { ...options, method: "DELETE" }),
+
+  getItems: (params, options) =>
+    request("/menu/items", { ...options, params, schema: pageOf(MenuItem) }),
+  getItem: (id, options) =>
+    request(`/menu/items/${id}`, { ...options, schema: MenuItem }),
+  createItem: (data, options) =>
+    request("/menu/items", {
+      ...options,
+      method: "POST",
+      body: data,
+      schema: MenuItem,
+    }),
+  updateItem: (id, data, options) =>
+    request(`/menu/items/${id}`, {
+      ...options,
+      method: "PUT",
+      body: data,
+      schema: MenuItem,
+    }),
+  deleteItem: (id, options) =>
+    request(`/menu/items/${id}`, { ...options, method: "DELETE" }),
+
+  getOrders: (params, options) =>
+    request("/menu/orders", { ...options, params, schema: pageOf(Order) }),
+  getOrder: (id, options) =>
+    request(`/menu/orders/${id}`, { ...options, schema: Order }),
+  createOrder: (data, options) =>
+    request("/menu/orders", {
+      ...options,
+      method: "POST",
+      body: data,
+      schema: Order,
+    }),
+  updateOrder: (id, data, options) =>
+    request(`/menu/orders/${id}`, {
+      ...options,
+      method: "PUT",
+      body: data,
+      schema: Order,
+    }),
+  deleteOrder: (id, options) =>
+    request(`/menu/orders/${id}`, { ...options, method: "DELETE" }),
+
+  getOrderItems: (params, options) =>
+    request("/menu/order-items", {
+      ...options,
+      params,
+      schema: pageOf(OrderItem),
+    }),
+  getOrderItem: (id, options) =>
+    request(`/menu/order-items/${id}`, { ...options, schema: OrderItem }),
+  createOrderItem: (data, options) =>
+    request("/menu/order-items", {
+      ...options,
+      method: "POST",
+      body: data,
+      schema: OrderItem,
+    }),
+  updateOrderItem: (id, data, options) =>
+    request(`/menu/order-items/${id}`, {
+      ...options,
+      method: "PUT",
+      body: data,
+      schema: OrderItem,
+    }),
+  deleteOrderItem: (id, options) =>
+    request(`/menu/order-items/${id}`, { ...options, method: "DELETE" }),
 };
 
 // Central API export
@@ -241,6 +847,7 @@ const api = {
   auth,
   table,
   reservation,
+  waitlist,
   payment,
   notification,
   menu,
@@ -249,7 +856,17 @@ const api = {
   getAuthToken,
   setAuthToken,
   clearAuthToken,
+  configureTokenStore,
+  subscribeTokenChanges,
+  onSessionExpired,
+  onSessionRefreshed,
+  setRequestDefaults,
+  isMockMode,
+  enableMockMode,
+  installMockBackend,
   ApiError,
+  ApiValidationError,
+  ApiErrorKind,
 };
 
 export default api;
\ No newline at end of file
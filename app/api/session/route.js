@@ -0,0 +1,47 @@
+// Stores the bearer token in an httpOnly cookie for the "cookie" token store
+import { cookies } from "next/headers";
+import { TOKEN_KEY } from "../tokenStore";
+
+const cookieOptions = {
+  httpOnly: true,
+  sameSite: "lax",
+  secure: process.env.NODE_ENV === "production",
+  path: "/",
+};
+
+// Browsers send Origin with every POST and DELETE. One from another site is
+// a page trying to plant its own session here, or to sign the user out.
+const isSameOrigin = (req) => {
+  const origin = req.headers.get("origin");
+  const host = req.headers.get("x-forwarded-host") ?? req.headers.get("host");
+  try {
+    return Boolean(origin) && new URL(origin).host === host;
+  } catch {
+    return false;
+  }
+};
+
+const crossSite = () =>
+  Response.json({ message: "Cross-site request refused" }, { status: 403 });
+
+// Lets the browser ask whether a session cookie exists without reading it
+export async function GET() {
+  return Response.json({ active: (await cookies()).has(TOKEN_KEY) });
+}
+
+export async function POST(req) {
+  if (!isSameOrigin(req)) return crossSite();
+  const { token } = await req.json().catch(() => ({}));
+  if (!token) {
+    return Response.json({ message: "token is required" }, { status: 400 });
+  }
+
+  (await cookies()).set(TOKEN_KEY, token, cookieOptions);
+  return Response.json({ ok: true });
+}
+
+export async function DELETE(req) {
+  if (!isSameOrigin(req)) return crossSite();
+  (await cookies()).delete(TOKEN_KEY);
+  return Response.json({ ok: true });
+}
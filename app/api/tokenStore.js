@@ -0,0 +1,126 @@
+// tokenStore.js - Pluggable, SSR-safe storage for the bearer token
+export const TOKEN_KEY = "token";
+export const SESSION_ROUTE = "/api/session";
+
+const isBrowser = () => typeof window !== "undefined";
+
+// Web Storage can be missing (server) or throw (private mode, blocked storage)
+const safeStorage = (name) => {
+  if (!isBrowser()) return null;
+  try {
+    return window[name];
+  } catch {
+    return null;
+  }
+};
+
+// localStorage / sessionStorage backed store. `shared` marks stores whose
+// token every tab of the origin sees, so a sign-in or sign-out in one tab
+// applies to all of them.
+export const createWebStorageStore = (name) => ({
+  type: name === "sessionStorage" ? "session" : "local",
+  shared: name === "localStorage",
+  get: () => safeStorage(name)?.getItem(TOKEN_KEY) ?? null,
+  set: (token) => safeStorage(name)?.setItem(TOKEN_KEY, token),
+  clear: () => safeStorage(name)?.removeItem(TOKEN_KEY),
+});
+
+// Lives only as long as the page; nothing survives a reload
+export const createMemoryStore = () => {
+  let token = null;
+  return {
+    type: "memory",
+    get: () => token,
+    set: (value) => {
+      token = value;
+    },
+    clear: () => {
+      token = null;
+    },
+  };
+};
+
+// Reads the incoming request's cookie on the server; registered by server.js
+let serverTokenResolver = null;
+export const setServerTokenResolver = (resolver) => {
+  serverTokenResolver = resolver;
+};
+
+// httpOnly cookie store. The browser never sees the token: set/clear go
+// through the session route, and API calls are proxied same-origin so the
+// cookie travels with them. On the server the token comes from the request.
+export const createCookieStore = ({ sessionRoute = SESSION_ROUTE } = {}) => ({
+  type: "cookie",
+  usesCookies: true,
+  shared: true,
+  get: () => (isBrowser() ? null : serverTokenResolver?.() ?? null),
+  // The browser cannot read the cookie, but the session route can say
+  // whether one is set
+  hasSession: async () => {
+    if (!isBrowser()) return Boolean(await serverTokenResolver?.());
+    try {
+      const response = await fetch(sessionRoute, {
+        credentials: "same-origin",
+      });
+      return Boolean((await response.json()).active);
+    } catch {
+      // Unknown; let the API calls decide
+      return true;
+    }
+  },
+  set: (token) => {
+    if (!isBrowser()) return;
+    return fetch(sessionRoute, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ token }),
+      credentials: "same-origin",
+    });
+  },
+  clear: () => {
+    if (!isBrowser()) return;
+    return fetch(sessionRoute, {
+      method: "DELETE",
+      credentials: "same-origin",
+    });
+  },
+});
+
+const storeFactories = {
+  local: () => createWebStorageStore("localStorage"),
+  session: () => createWebStorageStore("sessionStorage"),
+  memory: createMemoryStore,
+  cookie: createCookieStore,
+};
+
+export const createTokenStore = (type) => {
+  const factory = storeFactories[type];
+  if (!factory) {
+    throw new Error(
+      `Unknown token store "${type}". Use one of: ${Object.keys(
+        storeFactories
+      ).join(", ")}`
+    );
+  }
+  return factory();
+};
+
+// Server code always reads the request cookie, whatever the browser uses,
+// so module state is never shared between users
+let activeStore = isBrowser()
+  ? createTokenStore(process.env.NEXT_PUBLIC_TOKEN_STORE || "local")
+  : createCookieStore();
+
+export const getTokenStore = () => activeStore;
+
+// Accepts a backend name ("local", "session", "memory", "cookie") or a
+// custom { get, set, clear } object
+export const configureTokenStore = (typeOrStore) => {
+  if (!isBrowser()) return activeStore;
+  activeStore =
+    typeof typeOrStore === "string"
+      ? createTokenStore(typeOrStore)
+      : typeOrStore;
+  return activeStore;
+};
+
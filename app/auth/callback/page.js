@@ -0,0 +1,123 @@
+"use client";
+import { Suspense, useEffect, useRef, useState } from "react";
+import Link from "next/link";
+import { useRouter, useSearchParams } from "next/navigation";
+import AuthShell from "../../components/AuthShell";
+import { completeSignIn, landingPath, takeOAuthNext } from "../../lib/session";
+
+// OAuth error codes the backend forwards, mapped to something actionable
+const ERROR_MESSAGES = {
+  access_denied: {
+    title: "Google sign-in was cancelled",
+    message:
+      "You did not grant DineFlow access to your Google account. You can try again or sign in with your email and password.",
+  },
+  account_exists: {
+    title: "This email already has an account",
+    message:
+      "Sign in with your password first. Once you are in, Google sign-in will be linked to the same account.",
+  },
+  account_link_conflict: {
+    title: "That Google account is linked elsewhere",
+    message:
+      "This Google account is already connected to a different DineFlow user. Sign in with that account or use your password.",
+  },
+};
+
+const DEFAULT_ERROR = {
+  title: "We could not sign you in",
+  message: "Something went wrong while talking to Google. Please try again.",
+};
+
+// The backend may return the result in the query string or, to keep the
+// token out of server logs, in the URL fragment
+const readCallbackParams = (searchParams) => {
+  const hash = new URLSearchParams(window.location.hash.slice(1));
+  const get = (key) => searchParams.get(key) ?? hash.get(key);
+  return {
+    token: get("access_token") ?? get("token"),
+    error: get("error"),
+    description: get("error_description"),
+    email: get("email"),
+  };
+};
+
+const OAuthCallback = () => {
+  const router = useRouter();
+  const searchParams = useSearchParams();
+  const [failure, setFailure] = useState(null);
+  const handled = useRef(false);
+
+  useEffect(() => {
+    // Strict mode runs effects twice; the token must only be used once
+    if (handled.current) return;
+    handled.current = true;
+
+    const { token, error, description, email } = readCallbackParams(searchParams);
+    const next = takeOAuthNext();
+    // Drop the token from the address bar and history
+    window.history.replaceState(null, "", window.location.pathname);
+
+    if (error || !token) {
+      setFailure({
+        ...(ERROR_MESSAGES[error] ?? {
+          ...DEFAULT_ERROR,
+          message: description || DEFAULT_ERROR.message,
+        }),
+        email,
+      });
+      return;
+    }
+
+    completeSignIn(token)
+      .then((user) => router.replace(landingPath(user, next)))
+      .catch((err) =>
+        setFailure({
+          ...DEFAULT_ERROR,
+          message: err.message || DEFAULT_ERROR.message,
+        })
+      );
+  }, []);
+
+  if (!failure) {
+    return (
+      <div className="text-center py-6">
+        <div className="w-10 h-10 border-4 border-red-800 border-t-transparent rounded-full animate-spin mx-auto mb-4" />
+        <p className="text-gray-600">Signing you in...</p>
+      </div>
+    );
+  }
+
+  const loginHref = failure.email
+    ? `/login?email=${encodeURIComponent(failure.email)}`
+    : "/login";
+
+  return (
+    <div className="text-center">
+      <h1 className="text-2xl font-bold text-gray-900 mb-2">{failure.title}</h1>
+      <p className="text-gray-600 mb-6">{failure.message}</p>
+      <Link
+        href={loginHref}
+        className="block w-full py-2 bg-red-800 text-white font-medium rounded-lg hover:bg-red-900 transition-colors mb-3"
+      >
+        Back to Sign In
+      </Link>
+      <Link href="/" className="text-sm text-red-800 font-medium hover:underline">
+        Go to the home page
+      </Link>
+    </div>
+  );
+};
+
+const OAuthCallbackPage = () => {
+  return (
+    <AuthShell>
+      {/* useSearchParams needs a Suspense boundary to prerender */}
+      <Suspense fallback={null}>
+        <OAuthCallback />
+      </Suspense>
+    </AuthShell>
+  );
+};
+
+export default OAuthCallbackPage;
@@ -0,0 +1,46 @@
+"use client";
+import { useEffect } from "react";
+import BookingWidget from "../../components/BookingWidget";
+
+// Messages to the page hosting the iframe; see public/embed.js
+const post = (message) => window.parent?.postMessage(message, "*");
+
+// Bare booking widget for restaurant websites, loaded in an iframe by
+// public/embed.js. It reports its height so the frame never scrolls.
+const BookEmbedPage = () => {
+  useEffect(() => {
+    if (window.parent === window) return;
+    const observer = new ResizeObserver(() =>
+      post({
+        type: "dineflow:resize",
+        height: document.documentElement.scrollHeight,
+      })
+    );
+    observer.observe(document.body);
+    return () => observer.disconnect();
+  }, []);
+
+  return (
+    <div className="p-4 bg-white">
+      <BookingWidget
+        embedded
+        onBooked={(reservation) =>
+          post({ type: "dineflow:booked", reservationId: reservation.id })
+        }
+      />
+      <p className="text-center text-gray-400 text-xs mt-6">
+        Bookings by{" "}
+        <a
+          href="/"
+          target="_blank"
+          rel="noopener"
+          className="font-medium text-red-800 hover:underline"
+        >
+          DineFlow
+        </a>
+      </p>
+    </div>
+  );
+};
+
+export default BookEmbedPage;
@@ -0,0 +1,15 @@
+"use client";
+import AuthShell from "../components/AuthShell";
+import BookingWidget from "../components/BookingWidget";
+
+const BookPage = () => (
+  <AuthShell>
+    <h1 className="text-2xl font-bold text-gray-900 mb-1">Book a table</h1>
+    <p className="text-gray-600 text-sm mb-6">
+      Pick a time and we will hold a table for you.
+    </p>
+    <BookingWidget />
+  </AuthShell>
+);
+
+export default BookPage;
@@ -0,0 +1,50 @@
+"use client";
+import RoleDashboard from "../components/RoleDashboard";
+import { useApiQuery } from "../api/hooks";
+import { normalizePage } from "../api/pagination";
+import { formatCurrency } from "../lib/format";
+
+const sections = [
+  { label: "Orders", href: "/orders", description: "Checks waiting to be settled" },
+  { label: "Table Board", href: "/tables", description: "Who is seated where" },
+  { label: "Waitlist", href: "/waitlist", description: "Walk-ins waiting for a table" },
+];
+
+const isToday = (value) =>
+  new Date(value).toDateString() === new Date().toDateString();
+
+const CashierDashboard = () => {
+  const orders = useApiQuery("menu.getOrders", [], { live: true });
+  const payments = useApiQuery("payment.getAll");
+
+  const openChecks = orders.data
+    ? normalizePage(orders.data).items.filter(
+        (order) => order.status === "served"
+      )
+    : undefined;
+  const today = payments.data?.filter((payment) => isToday(payment.createdAt));
+  const sales = today?.reduce((sum, payment) => sum + payment.amount, 0);
+
+  return (
+    <RoleDashboard
+      role="CASHIER"
+      metrics={[
+        { value: openChecks?.length, label: "Open Checks" },
+        {
+          value: sales !== undefined ? formatCurrency(sales) : undefined,
+          label: "Daily Sales",
+        },
+        { value: today?.length, label: "Transactions" },
+        {
+          value: openChecks
+            ? formatCurrency(openChecks.reduce((sum, o) => sum + o.total, 0))
+            : undefined,
+          label: "Awaiting Payment",
+        },
+      ]}
+      sections={sections}
+    />
+  );
+};
+
+export default CashierDashboard;
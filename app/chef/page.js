@@ -0,0 +1,36 @@
+"use client";
+import RoleDashboard from "../components/RoleDashboard";
+import { useApiQuery } from "../api/hooks";
+import { normalizePage } from "../api/pagination";
+
+const sections = [
+  { label: "Order Queue", href: "/orders", description: "What the kitchen is cooking" },
+];
+
+const ChefDashboard = () => {
+  const orders = useApiQuery("menu.getOrders", [], { live: true });
+  const items = useApiQuery("menu.getItems", [{}]);
+
+  const count = (status) =>
+    orders.data &&
+    normalizePage(orders.data).items.filter((order) => order.status === status)
+      .length;
+  const unavailable =
+    items.data &&
+    normalizePage(items.data).items.filter((item) => !item.isAvailable).length;
+
+  return (
+    <RoleDashboard
+      role="CHEF"
+      metrics={[
+        { value: count("pending"), label: "New Orders" },
+        { value: count("preparing"), label: "Preparing" },
+        { value: count("ready"), label: "Ready to Serve" },
+        { value: unavailable, label: "Unavailable Items" },
+      ]}
+      sections={sections}
+    />
+  );
+};
+
+export default ChefDashboard;
@@ -0,0 +1,106 @@
+"use client";
+import { createContext, useContext, useEffect, useState } from "react";
+import { usePathname } from "next/navigation";
+import api from "../api/services";
+import { getTokenStore } from "../api/tokenStore";
+import { clearQueryCache, fetchQuery } from "../api/queryCache";
+import { reconnect } from "../api/realtime";
+import { useApiQuery } from "../api/hooks";
+import { canAccess } from "../lib/permissions";
+
+const AuthContext = createContext(null);
+
+// Stores that cannot expose the token (cookies) report whether one is set
+const detectSession = async () => {
+  const store = getTokenStore();
+  if (store.hasSession) return store.hasSession();
+  return Boolean(await store.get());
+};
+
+// Loads the signed-in user once for the whole app and keeps it current as
+// this tab, or another tab sharing the token, signs in and out
+export const AuthProvider = ({ children }) => {
+  // null until the token store has been read
+  const [hasSession, setHasSession] = useState(null);
+
+  const { data, error, refetch } = useApiQuery("user.getMe", [], {
+    enabled: hasSession === true,
+  });
+
+  useEffect(() => {
+    const check = () =>
+      detectSession().then((signedIn) => {
+        setHasSession(signedIn);
+        return signedIn;
+      });
+    check();
+
+    const unsubscribeTokens = api.subscribeTokenChanges(({ type, remote }) => {
+      if (remote) {
+        // Tabs with their own token (session or memory store) are unaffected
+        if (!getTokenStore().shared) return;
+        clearQueryCache();
+        reconnect();
+      }
+      if (type === "signout") {
+        setHasSession(false);
+      } else if (remote) {
+        // Another tab signed someone in; hasSession may already be true, so
+        // load their profile rather than wait for a state change
+        check().then(
+          (signedIn) =>
+            signedIn &&
+            fetchQuery("user.getMe", [], { force: true }).catch(() => {})
+        );
+      } else {
+        check();
+      }
+    });
+    const unsubscribeExpiry = api.onSessionExpired(() => setHasSession(false));
+
+    return () => {
+      unsubscribeTokens();
+      unsubscribeExpiry();
+    };
+  }, []);
+
+  const user = hasSession ? data ?? null : null;
+  const value = {
+    user,
+    error: hasSession ? error : null,
+    // Still working out who the user is
+    isLoading: hasSession === null || (hasSession && !data && !error),
+    hasSession: hasSession === true,
+    isSignedIn: Boolean(user),
+    refresh: () => refetch(),
+  };
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+};
+
+const useAuthContext = () => {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error("Auth hooks must be used inside <AuthProvider>");
+  }
+  return context;
+};
+
+// { user, isLoading, error, isSignedIn, hasSession, refresh }
+export const useCurrentUser = () => useAuthContext();
+
+// useHasRole("ADMIN") or useHasRole("ADMIN", "CASHIER")
+export const useHasRole = (...roles) => {
+  const { user } = useAuthContext();
+  return Boolean(user && roles.includes(user.role));
+};
+
+// Whether the current user may open a route, per lib/permissions.js;
+// defaults to the page being rendered
+export const usePermission = (path) => {
+  const { user } = useAuthContext();
+  const pathname = usePathname();
+  return canAccess(user?.role ?? null, path ?? pathname);
+};
+
+export default AuthProvider;
@@ -0,0 +1,26 @@
+import Link from "next/link";
+
+// Centered card frame for the sign-in, sign-up, password and booking screens
+const AuthShell = ({ children }) => {
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-gray-50 to-gray-100 flex flex-col">
+      <header className="bg-white shadow-md">
+        <div className="container mx-auto px-4 py-3">
+          <Link href="/" className="flex items-center space-x-2 w-fit">
+            <div className="bg-red-800 w-10 h-10 rounded-lg flex items-center justify-center">
+              <span className="text-white font-bold text-xl">D</span>
+            </div>
+            <span className="text-2xl font-bold text-red-800">DineFlow</span>
+          </Link>
+        </div>
+      </header>
+      <main className="flex-1 flex items-center justify-center px-4 py-12">
+        <div className="bg-white rounded-2xl shadow-xl p-8 w-full max-w-md">
+          {children}
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default AuthShell;
@@ -0,0 +1,125 @@
+"use client";
+import { useEffect, useRef, useState } from "react";
+import { coverLayout, cropToBlob, drawCrop, loadImage } from "../lib/image";
+
+const PREVIEW_SIZE = 240;
+
+// Square crop of a picked image: drag to position, slider to zoom.
+// onCrop receives the resized JPEG as a File.
+const AvatarCropper = ({ file, onCrop, onCancel, isSaving }) => {
+  const canvasRef = useRef(null);
+  const dragRef = useRef(null);
+  const [image, setImage] = useState(null);
+  const [zoom, setZoom] = useState(1);
+  const [offset, setOffset] = useState({ x: 0, y: 0 });
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let url;
+    loadImage(file)
+      .then((loaded) => {
+        url = loaded.url;
+        setImage(loaded.image);
+      })
+      .catch((err) => setError(err.message));
+    return () => url && URL.revokeObjectURL(url);
+  }, [file]);
+
+  useEffect(() => {
+    if (image) drawCrop(canvasRef.current, image, zoom, offset);
+  }, [image, zoom, offset]);
+
+  // Keep the offset inside the bounds the new zoom allows
+  const updateZoom = (value) => {
+    setZoom(value);
+    setOffset(
+      (current) => coverLayout(image, PREVIEW_SIZE, value, current).offset
+    );
+  };
+
+  const handlePointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    dragRef.current = { x: e.clientX, y: e.clientY, start: offset };
+  };
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag || !image) return;
+    const next = {
+      x: drag.start.x + e.clientX - drag.x,
+      y: drag.start.y + e.clientY - drag.y,
+    };
+    setOffset(coverLayout(image, PREVIEW_SIZE, zoom, next).offset);
+  };
+
+  const handleSave = async () => {
+    try {
+      const blob = await cropToBlob(image, {
+        zoom,
+        offset,
+        previewSize: PREVIEW_SIZE,
+      });
+      onCrop(new File([blob], "avatar.jpg", { type: "image/jpeg" }));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (error) {
+    return (
+      <div className="text-center">
+        <p className="text-red-800 mb-3">{error}</p>
+        <button onClick={onCancel} className="text-sm text-red-800 font-medium hover:underline">
+          Choose another picture
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex flex-col items-center gap-4">
+      <canvas
+        ref={canvasRef}
+        width={PREVIEW_SIZE}
+        height={PREVIEW_SIZE}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={() => (dragRef.current = null)}
+        onPointerCancel={() => (dragRef.current = null)}
+        className="rounded-full shadow-md cursor-move touch-none bg-gray-100"
+      />
+      <label className="flex items-center gap-3 text-sm text-gray-600 w-full max-w-[240px]">
+        Zoom
+        <input
+          type="range"
+          min="1"
+          max="3"
+          step="0.01"
+          value={zoom}
+          onChange={(e) => updateZoom(Number(e.target.value))}
+          disabled={!image}
+          className="flex-1 accent-red-800"
+        />
+      </label>
+      <p className="text-xs text-gray-500">Drag the picture to position it</p>
+      <div className="flex gap-2">
+        <button
+          onClick={onCancel}
+          disabled={isSaving}
+          className="px-4 py-2 border-2 border-red-800 text-red-800 font-medium rounded-lg hover:bg-red-50 transition-colors disabled:opacity-60"
+        >
+          Cancel
+        </button>
+        <button
+          onClick={handleSave}
+          disabled={!image || isSaving}
+          className="px-4 py-2 bg-red-800 text-white font-medium rounded-lg hover:bg-red-900 transition-colors disabled:opacity-60"
+        >
+          {isSaving ? "Uploading..." : "Use Picture"}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default AvatarCropper;
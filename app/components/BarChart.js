@@ -0,0 +1,27 @@
+// Horizontal bar chart in plain CSS, scaled to the largest value.
+// data: [{ key, label, value, color }]
+const BarChart = ({ data }) => {
+  const max = Math.max(1, ...data.map((item) => item.value));
+  return (
+    <ul className="space-y-3">
+      {data.map((item) => (
+        <li key={item.key}>
+          <div className="flex justify-between text-sm mb-1">
+            <span className="text-gray-700">{item.label}</span>
+            <span className="font-medium text-gray-900">{item.value}</span>
+          </div>
+          <div className="h-3 bg-gray-100 rounded-full overflow-hidden">
+            <div
+              className={`h-full rounded-full transition-all ${
+                item.color ?? "bg-red-800"
+              }`}
+              style={{ width: `${(item.value / max) * 100}%` }}
+            />
+          </div>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default BarChart;
@@ -0,0 +1,456 @@
+"use client";
+import { useEffect, useState } from "react";
+import Link from "next/link";
+import { fetchQuery, runMutation } from "../api/queryCache";
+import FormField, { inputClass } from "./FormField";
+import { useCurrentUser } from "./AuthProvider";
+import {
+  DEFAULT_DURATION,
+  addDays,
+  daySlots,
+  formatDay,
+  fromDateInput,
+  toDateInput,
+} from "../lib/calendar";
+import { formatDateTime, formatTime } from "../lib/format";
+import { validateBooking } from "../lib/validation";
+import { LOGIN_PATH } from "../lib/permissions";
+
+export const MAX_PARTY_SIZE = 12;
+export const BOOKING_WINDOW_DAYS = 60;
+const BOOKING_SLOT_MINUTES = 30;
+// Guests cannot book a table for less than an hour from now
+const MIN_LEAD_MINUTES = 60;
+// Availability checks in flight at once while a day's slots load
+const AVAILABILITY_CONCURRENCY = 4;
+
+const EMPTY_DETAILS = { name: "", email: "", phone: "", specialRequests: "" };
+
+const primaryButton =
+  "w-full py-3 bg-red-800 text-white font-medium rounded-lg hover:bg-red-900 transition-colors disabled:opacity-60";
+const outlineButton =
+  "w-full py-3 border-2 border-red-800 text-red-800 font-medium rounded-lg hover:bg-red-50 transition-colors";
+
+export const bookableSlots = (day) => {
+  const earliest = Date.now() + MIN_LEAD_MINUTES * 60 * 1000;
+  return daySlots(day, DEFAULT_DURATION).filter(
+    (slot) =>
+      slot.getMinutes() % BOOKING_SLOT_MINUTES === 0 &&
+      slot.getTime() >= earliest
+  );
+};
+
+// Promise.allSettled over items.map(fn), with at most `limit` calls running
+async function settleLimited(items, limit, fn) {
+  const outcomes = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        outcomes[index] = { status: "fulfilled", value: await fn(items[index]) };
+      } catch (reason) {
+        outcomes[index] = { status: "rejected", reason };
+      }
+    }
+  };
+  await Promise.all(
+    Array.from({ length: Math.min(limit, items.length) }, worker)
+  );
+  return outcomes;
+}
+
+// Availability of every bookable slot on a day, one cached
+// reservation.checkAvailability call per slot, a few at a time. Slots whose
+// check failed are not offered; the day only fails if every check did. A new
+// refreshKey skips the cache, e.g. after a slot turned out to be taken.
+const useSlotAvailability = (day, partySize, refreshKey) => {
+  const key = `${toDateInput(day)}:${partySize}:${refreshKey}`;
+  const [state, setState] = useState({ key: null, slots: null, error: null });
+
+  useEffect(() => {
+    let cancelled = false;
+    const slots = bookableSlots(day);
+    settleLimited(slots, AVAILABILITY_CONCURRENCY, (time) =>
+      // Left the day or party size: skip what has not been asked yet
+      cancelled
+        ? null
+        : fetchQuery(
+            "reservation.checkAvailability",
+            [
+              {
+                reservationTime: time.toISOString(),
+                partySize,
+                durationMinutes: DEFAULT_DURATION,
+              },
+            ],
+            { force: refreshKey > 0 }
+          )
+    ).then((outcomes) => {
+      if (cancelled) return;
+      const failed = outcomes.filter((o) => o.status === "rejected");
+      if (slots.length && failed.length === slots.length) {
+        setState({ key, slots: null, error: failed[0].reason });
+        return;
+      }
+      setState({
+        key,
+        slots: slots.map((time, index) => ({
+          time,
+          available: Boolean(outcomes[index].value?.available),
+        })),
+        error: null,
+      });
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [key]);
+
+  return state.key === key ? state : { slots: null, error: null };
+};
+
+const SlotStep = ({ booking, onChange, onNext, notice, refreshKey }) => {
+  const day = fromDateInput(booking.date);
+  const { slots, error } = useSlotAvailability(
+    day,
+    booking.partySize,
+    refreshKey
+  );
+  const open = slots?.filter((slot) => slot.available) ?? [];
+  const today = new Date();
+
+  return (
+    <div className="space-y-5">
+      <div className="grid grid-cols-2 gap-3">
+        <FormField label="Guests" name="partySize">
+          <select
+            id="partySize"
+            value={booking.partySize}
+            onChange={(e) =>
+              onChange({ partySize: Number(e.target.value), time: null })
+            }
+            className={inputClass(false)}
+          >
+            {Array.from({ length: MAX_PARTY_SIZE }, (_, index) => index + 1).map(
+              (size) => (
+                <option key={size} value={size}>
+                  {size} {size === 1 ? "guest" : "guests"}
+                </option>
+              )
+            )}
+          </select>
+        </FormField>
+        <FormField label="Date" name="date">
+          <input
+            id="date"
+            type="date"
+            value={booking.date}
+            min={toDateInput(today)}
+            max={toDateInput(addDays(today, BOOKING_WINDOW_DAYS))}
+            onChange={(e) =>
+              e.target.value && onChange({ date: e.target.value, time: null })
+            }
+            className={inputClass(false)}
+          />
+        </FormField>
+      </div>
+
+      <div>
+        <div className="text-sm font-medium text-gray-700 mb-2">
+          Times on {formatDay(day, { weekday: "long" })}
+        </div>
+        {notice && <p className="text-red-700 text-sm mb-2">{notice}</p>}
+        {error ? (
+          <p className="text-red-700 text-sm">
+            We could not load available times. {error.message}
+          </p>
+        ) : !slots ? (
+          <p className="text-gray-500 text-sm">Checking availability...</p>
+        ) : !open.length ? (
+          <p className="text-gray-500 text-sm">
+            No tables left for {booking.partySize} on this day. Try another
+            date.
+          </p>
+        ) : (
+          <div className="grid grid-cols-3 sm:grid-cols-4 gap-2">
+            {open.map(({ time }) => {
+              const value = time.toISOString();
+              return (
+                <button
+                  key={value}
+                  type="button"
+                  onClick={() => onChange({ time: value })}
+                  className={`py-2 rounded-lg text-sm font-medium border-2 transition-colors ${
+                    booking.time === value
+                      ? "bg-red-800 border-red-800 text-white"
+                      : "border-gray-200 text-gray-700 hover:border-red-800"
+                  }`}
+                >
+                  {formatTime(time)}
+                </button>
+              );
+            })}
+          </div>
+        )}
+        <p className="text-gray-500 text-xs mt-3">
+          For parties larger than {MAX_PARTY_SIZE}, please call the
+          restaurant.
+        </p>
+      </div>
+
+      <button onClick={onNext} disabled={!booking.time} className={primaryButton}>
+        Continue
+      </button>
+    </div>
+  );
+};
+
+// Server field errors arrive under the reservation's field names
+const FIELD_NAMES = {
+  customerName: "name",
+  customerEmail: "email",
+  customerPhone: "phone",
+};
+
+const DetailsStep = ({
+  booking,
+  details,
+  setDetails,
+  onBack,
+  onBooked,
+  onTaken,
+}) => {
+  const { user } = useCurrentUser();
+  const [errors, setErrors] = useState({});
+  const [formError, setFormError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // Signed-in guests start from their profile
+  useEffect(() => {
+    if (!user) return;
+    setDetails((current) => ({
+      ...current,
+      name: current.name || user.name || "",
+      email: current.email || user.email || "",
+      phone: current.phone || user.phone || "",
+    }));
+  }, [user?.id]);
+
+  const setField = (field) => (e) => {
+    setDetails({ ...details, [field]: e.target.value });
+    if (errors[field]) setErrors({ ...errors, [field]: undefined });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const found = validateBooking(details);
+    setErrors(found);
+    if (Object.keys(found).length) return;
+
+    setIsSubmitting(true);
+    setFormError(null);
+    try {
+      const reservation = await runMutation("reservation.create", [
+        {
+          customerName: details.name.trim(),
+          customerEmail: details.email.trim(),
+          customerPhone: details.phone.trim(),
+          specialRequests: details.specialRequests.trim(),
+          partySize: booking.partySize,
+          reservationTime: booking.time,
+          durationMinutes: DEFAULT_DURATION,
+        },
+      ]);
+      onBooked(reservation, details.email.trim());
+    } catch (err) {
+      setIsSubmitting(false);
+      if (err.status === 409) {
+        onTaken("Sorry, that time was just taken. Please pick another.");
+      } else if (err.data?.errors) {
+        setErrors(
+          Object.fromEntries(
+            Object.entries(err.data.errors).map(([key, message]) => [
+              FIELD_NAMES[key] ?? key,
+              message,
+            ])
+          )
+        );
+      } else {
+        setFormError(err.message);
+      }
+    }
+  };
+
+  const field = (name, label, props = {}) => (
+    <FormField label={label} name={name} error={errors[name]}>
+      <input
+        id={name}
+        value={details[name]}
+        onChange={setField(name)}
+        className={inputClass(errors[name])}
+        {...props}
+      />
+    </FormField>
+  );
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4" noValidate>
+      <div className="bg-red-50 text-red-900 rounded-lg p-3 text-sm">
+        {booking.partySize} {booking.partySize === 1 ? "guest" : "guests"} ·{" "}
+        {formatDateTime(booking.time)}
+      </div>
+      {field("name", "Name", { autoComplete: "name" })}
+      {field("email", "Email", { type: "email", autoComplete: "email" })}
+      {field("phone", "Phone", { type: "tel", autoComplete: "tel" })}
+      <FormField
+        label="Special requests"
+        name="specialRequests"
+        hint="Allergies, high chair, occasion... (optional)"
+      >
+        <textarea
+          id="specialRequests"
+          rows={3}
+          maxLength={500}
+          value={details.specialRequests}
+          onChange={setField("specialRequests")}
+          className={inputClass(false)}
+        />
+      </FormField>
+      {formError && <p className="text-red-700 text-sm">{formError}</p>}
+      <button type="submit" disabled={isSubmitting} className={primaryButton}>
+        {isSubmitting ? "Booking..." : "Confirm Booking"}
+      </button>
+      <button type="button" onClick={onBack} className={outlineButton}>
+        Back
+      </button>
+    </form>
+  );
+};
+
+const Confirmation = ({ reservation, email, embedded, onReset }) => {
+  const { user } = useCurrentUser();
+  const managePath = `/my-reservations?booking=${reservation.id}`;
+  // Guests without an account sign in, or sign up, with the booking email
+  const manageHref = user
+    ? managePath
+    : `${LOGIN_PATH}?${new URLSearchParams({ next: managePath, email })}`;
+
+  return (
+    <div className="space-y-5 text-center">
+      <div className="mx-auto w-14 h-14 rounded-full bg-green-100 text-green-700 flex items-center justify-center text-2xl">
+        ✓
+      </div>
+      <div>
+        <h2 className="text-xl font-bold text-gray-900">
+          {reservation.status === "confirmed"
+            ? "Your table is booked"
+            : "Booking received"}
+        </h2>
+        <p className="text-gray-600 text-sm mt-1">
+          Reference #{reservation.id}. We will be in touch at {email}.
+        </p>
+      </div>
+      <div className="bg-gray-50 rounded-lg p-4 text-sm text-gray-700 space-y-1">
+        <div className="font-semibold">
+          {formatDateTime(reservation.reservationTime)}
+        </div>
+        <div>
+          {reservation.partySize} {reservation.partySize === 1 ? "guest" : "guests"}{" "}
+          · {reservation.customerName}
+        </div>
+        {reservation.specialRequests && (
+          <div className="text-gray-500">{reservation.specialRequests}</div>
+        )}
+      </div>
+      <Link
+        href={manageHref}
+        target={embedded ? "_blank" : undefined}
+        className="block py-3 border-2 border-red-800 text-red-800 font-medium rounded-lg hover:bg-red-50 transition-colors"
+      >
+        Manage booking
+      </Link>
+      {!user && (
+        <p className="text-gray-500 text-xs">
+          Sign in or create an account with {email} to change or cancel it.
+        </p>
+      )}
+      <button
+        onClick={onReset}
+        className="text-red-800 text-sm font-medium hover:underline"
+      >
+        Make another booking
+      </button>
+    </div>
+  );
+};
+
+// Guest booking flow: party size and date, an available time, contact
+// details, then a confirmation with a manage-booking link. Used on /book and,
+// with `embedded`, inside the iframe served to restaurant websites.
+const BookingWidget = ({ embedded = false, onBooked }) => {
+  const [step, setStep] = useState("slot");
+  const [booking, setBooking] = useState(() => ({
+    partySize: 2,
+    date: toDateInput(new Date()),
+    time: null,
+  }));
+  const [notice, setNotice] = useState(null);
+  const [result, setResult] = useState(null);
+  const [refreshKey, setRefreshKey] = useState(0);
+  const [details, setDetails] = useState(EMPTY_DETAILS);
+
+  const update = (changes) => {
+    setBooking((current) => ({ ...current, ...changes }));
+    setNotice(null);
+  };
+
+  if (step === "done") {
+    return (
+      <Confirmation
+        reservation={result.reservation}
+        email={result.email}
+        embedded={embedded}
+        onReset={() => {
+          setResult(null);
+          update({ time: null });
+          setStep("slot");
+        }}
+      />
+    );
+  }
+
+  if (step === "details") {
+    return (
+      <DetailsStep
+        booking={booking}
+        details={details}
+        setDetails={setDetails}
+        onBack={() => setStep("slot")}
+        onTaken={(message) => {
+          update({ time: null });
+          setRefreshKey((key) => key + 1);
+          setNotice(message);
+          setStep("slot");
+        }}
+        onBooked={(reservation, email) => {
+          setResult({ reservation, email });
+          setStep("done");
+          onBooked?.(reservation);
+        }}
+      />
+    );
+  }
+
+  return (
+    <SlotStep
+      booking={booking}
+      onChange={update}
+      onNext={() => setStep("details")}
+      notice={notice}
+      refreshKey={refreshKey}
+    />
+  );
+};
+
+export default BookingWidget;
@@ -0,0 +1,207 @@
+"use client";
+import { useEffect, useState } from "react";
+import { usePaginatedList } from "../api/hooks";
+import { asc, desc } from "../api/pagination";
+
+// Server-side paged table over a list from pagination.js.
+// columns: [{ key, header, sortable, render: (row) => node }]
+// Passing onSelect adds a checkbox column; selected is a Map of row key to
+// row, so a selection can span pages.
+const DataTable = ({
+  list,
+  columns,
+  filters = [],
+  pageSize = 20,
+  initialSort = [],
+  live = false,
+  rowKey = (row) => row.id,
+  onRowClick,
+  selected,
+  onSelect,
+  isSelectable = () => true,
+  emptyMessage = "Nothing to show yet",
+}) => {
+  const [sort, setSort] = useState(initialSort);
+  const [page, setPage] = useState(1);
+  // cursors[i] opens page i + 2 when the endpoint pages by cursor
+  const [cursors, setCursors] = useState([]);
+
+  const filterKey = JSON.stringify(filters);
+  useEffect(() => {
+    setPage(1);
+    setCursors([]);
+  }, [filterKey]);
+
+  const query = {
+    limit: pageSize,
+    page,
+    cursor: page > 1 ? cursors[page - 2] : undefined,
+    filters,
+    sort,
+  };
+  const { page: result, error, isLoading, isFetching, isPreviousPage } =
+    usePaginatedList(list, query, { live });
+
+  const toggleSort = (key) => {
+    const current = sort.find((clause) => clause.field === key);
+    setSort(
+      !current ? [asc(key)] : current.direction === "asc" ? [desc(key)] : []
+    );
+    setPage(1);
+    setCursors([]);
+  };
+
+  const goNext = () => {
+    if (result?.nextCursor) {
+      setCursors((previous) => {
+        const next = [...previous];
+        next[page - 1] = result.nextCursor;
+        return next;
+      });
+    }
+    setPage(page + 1);
+  };
+
+  const sortIndicator = (key) => {
+    const clause = sort.find((c) => c.field === key);
+    if (!clause) return "";
+    return clause.direction === "asc" ? " ▲" : " ▼";
+  };
+
+  const rows = result?.items ?? [];
+
+  const selectableRows = onSelect ? rows.filter(isSelectable) : [];
+  const allSelected =
+    selectableRows.length > 0 &&
+    selectableRows.every((row) => selected?.has(rowKey(row)));
+
+  const toggleRow = (row) => {
+    const next = new Map(selected);
+    if (next.has(rowKey(row))) next.delete(rowKey(row));
+    else next.set(rowKey(row), row);
+    onSelect(next);
+  };
+
+  const toggleAll = () => {
+    const next = new Map(selected);
+    selectableRows.forEach((row) =>
+      allSelected ? next.delete(rowKey(row)) : next.set(rowKey(row), row)
+    );
+    onSelect(next);
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-md overflow-hidden">
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead className="bg-gray-50 text-gray-600 text-xs uppercase">
+            <tr>
+              {onSelect && (
+                <th className="w-10 px-4 py-3">
+                  <input
+                    type="checkbox"
+                    checked={allSelected}
+                    onChange={toggleAll}
+                    disabled={selectableRows.length === 0}
+                    aria-label="Select all on this page"
+                    className="accent-red-800"
+                  />
+                </th>
+              )}
+              {columns.map((column) => (
+                <th key={column.key} className="text-left font-medium px-4 py-3">
+                  {column.sortable ? (
+                    <button
+                      onClick={() => toggleSort(column.key)}
+                      className="uppercase hover:text-red-800"
+                    >
+                      {column.header}
+                      {sortIndicator(column.key)}
+                    </button>
+                  ) : (
+                    column.header
+                  )}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody
+            className={`divide-y divide-gray-100 ${
+              isPreviousPage ? "opacity-60" : ""
+            }`}
+          >
+            {rows.map((row) => (
+              <tr
+                key={rowKey(row)}
+                onClick={onRowClick ? () => onRowClick(row) : undefined}
+                className={`hover:bg-red-50 transition-colors ${
+                  onRowClick ? "cursor-pointer" : ""
+                } ${selected?.has(rowKey(row)) ? "bg-red-50" : ""}`}
+              >
+                {onSelect && (
+                  <td
+                    className="px-4 py-3"
+                    onClick={(e) => e.stopPropagation()}
+                  >
+                    <input
+                      type="checkbox"
+                      checked={selected?.has(rowKey(row)) ?? false}
+                      onChange={() => toggleRow(row)}
+                      disabled={!isSelectable(row)}
+                      aria-label="Select row"
+                      className="accent-red-800"
+                    />
+                  </td>
+                )}
+                {columns.map((column) => (
+                  <td key={column.key} className="px-4 py-3 text-gray-800">
+                    {column.render ? column.render(row) : row[column.key]}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {isLoading && !result && (
+        <div className="p-6 text-center text-gray-500">Loading...</div>
+      )}
+      {error && (
+        <div className="p-4 text-center text-red-800 bg-red-50">
+          {error.message}
+        </div>
+      )}
+      {result && rows.length === 0 && !isFetching && (
+        <div className="p-6 text-center text-gray-500">{emptyMessage}</div>
+      )}
+
+      <div className="flex items-center justify-between px-4 py-3 border-t border-gray-100 text-sm">
+        <span className="text-gray-600">
+          {result?.total != null
+            ? `${result.total} total`
+            : `${rows.length} shown`}
+          {result?.pageCount ? ` · Page ${page} of ${result.pageCount}` : ""}
+        </span>
+        <div className="flex gap-2">
+          <button
+            onClick={() => setPage(page - 1)}
+            disabled={page === 1 || isFetching}
+            className="px-3 py-1 border-2 border-red-800 text-red-800 font-medium rounded-lg hover:bg-red-50 transition-colors disabled:opacity-40"
+          >
+            Previous
+          </button>
+          <button
+            onClick={goNext}
+            disabled={!result?.hasMore || isFetching}
+            className="px-3 py-1 bg-red-800 text-white font-medium rounded-lg hover:bg-red-900 transition-colors disabled:opacity-40"
+          >
+            Next
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DataTable;
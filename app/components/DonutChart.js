@@ -0,0 +1,88 @@
+// SVG donut with a clickable legend. The circle's circumference is 100, so
+// each segment's dash length is its percentage of the total.
+// data: [{ key, label, value, color }] with color as a hex stroke
+const RADIUS = 15.9155;
+
+const DonutChart = ({ data, selected, onSelect }) => {
+  const total = data.reduce((sum, item) => sum + item.value, 0);
+  let offset = 25; // start at 12 o'clock
+
+  const segments = data.map((item) => {
+    const share = total ? (item.value / total) * 100 : 0;
+    const segment = { ...item, share, offset };
+    offset -= share;
+    return segment;
+  });
+
+  return (
+    <div className="flex flex-col sm:flex-row items-center gap-6">
+      <svg viewBox="0 0 42 42" className="w-40 h-40 shrink-0" role="img">
+        <circle
+          cx="21"
+          cy="21"
+          r={RADIUS}
+          fill="none"
+          stroke="#f3f4f6"
+          strokeWidth="6"
+        />
+        {segments.map(
+          (segment) =>
+            segment.share > 0 && (
+              <circle
+                key={segment.key}
+                cx="21"
+                cy="21"
+                r={RADIUS}
+                fill="none"
+                stroke={segment.color}
+                strokeWidth={selected === segment.key ? 8 : 6}
+                strokeDasharray={`${segment.share} ${100 - segment.share}`}
+                strokeDashoffset={segment.offset}
+                onClick={onSelect && (() => onSelect(segment.key))}
+                className={onSelect ? "cursor-pointer" : ""}
+              >
+                <title>{`${segment.label}: ${segment.value}`}</title>
+              </circle>
+            )
+        )}
+        <text
+          x="21"
+          y="23"
+          textAnchor="middle"
+          className="fill-gray-900 font-bold"
+          fontSize="8"
+        >
+          {total}
+        </text>
+      </svg>
+
+      <ul className="space-y-2 w-full">
+        {segments.map((segment) => (
+          <li key={segment.key}>
+            <button
+              onClick={onSelect && (() => onSelect(segment.key))}
+              disabled={!onSelect}
+              className={`w-full flex items-center gap-3 text-sm rounded-lg px-2 py-1 transition-colors ${
+                selected === segment.key ? "bg-red-50" : "hover:bg-gray-50"
+              }`}
+            >
+              <span
+                className="w-3 h-3 rounded-full shrink-0"
+                style={{ backgroundColor: segment.color }}
+              />
+              <span className="flex-1 text-left text-gray-700">
+                {segment.label}
+              </span>
+              <span className="font-medium text-gray-900">{segment.value}</span>
+              <span className="text-gray-500 w-12 text-right">
+                {Math.round(segment.share)}%
+              </span>
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default DonutChart;
@@ -0,0 +1,166 @@
+"use client";
+import { useRef } from "react";
+import {
+  GRID,
+  PLAN_HEIGHT,
+  PLAN_WIDTH,
+  seatPositions,
+  tableSize,
+} from "../lib/floorPlan";
+
+// One zone of the floor plan as SVG. Read-only unless onMove is passed;
+// then tables can be dragged and onMove(key, { x, y }, phase) reports
+// "start", "move" and "end" with raw plan coordinates for the caller to snap.
+// tables: [{ key, number, capacity, shape, rotation, x, y }]
+// tableStyle(table) may return { fill, stroke, text, label } per table.
+const FloorPlanCanvas = ({
+  tables,
+  selectedKey,
+  onSelect,
+  onMove,
+  tableStyle,
+  showGrid = false,
+}) => {
+  const svgRef = useRef(null);
+  const dragRef = useRef(null);
+
+  // Screen pixels to plan units, whatever size the SVG is drawn at
+  const toPlan = (e) => {
+    const point = svgRef.current.createSVGPoint();
+    point.x = e.clientX;
+    point.y = e.clientY;
+    return point.matrixTransform(svgRef.current.getScreenCTM().inverse());
+  };
+
+  const handlePointerDown = (e, table) => {
+    e.stopPropagation();
+    onSelect?.(table.key);
+    if (!onMove) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    const start = toPlan(e);
+    dragRef.current = {
+      key: table.key,
+      dx: table.x - start.x,
+      dy: table.y - start.y,
+    };
+    onMove(table.key, { x: table.x, y: table.y }, "start");
+  };
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const point = toPlan(e);
+    onMove(drag.key, { x: point.x + drag.dx, y: point.y + drag.dy }, "move");
+  };
+
+  const handlePointerUp = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    dragRef.current = null;
+    const point = toPlan(e);
+    onMove(drag.key, { x: point.x + drag.dx, y: point.y + drag.dy }, "end");
+  };
+
+  return (
+    <svg
+      ref={svgRef}
+      viewBox={`0 0 ${PLAN_WIDTH} ${PLAN_HEIGHT}`}
+      className="w-full h-auto bg-white rounded-xl shadow-md touch-none select-none"
+      onPointerDown={() => onSelect?.(null)}
+    >
+      {showGrid && (
+        <>
+          <defs>
+            <pattern
+              id="floor-grid"
+              width={GRID}
+              height={GRID}
+              patternUnits="userSpaceOnUse"
+            >
+              <path
+                d={`M ${GRID} 0 L 0 0 0 ${GRID}`}
+                fill="none"
+                stroke="#f3f4f6"
+                strokeWidth="1"
+              />
+            </pattern>
+          </defs>
+          <rect width={PLAN_WIDTH} height={PLAN_HEIGHT} fill="url(#floor-grid)" />
+        </>
+      )}
+
+      {tables.map((table) => {
+        const { width, height } = tableSize(table);
+        const selected = table.key === selectedKey;
+        const style = tableStyle?.(table) ?? {};
+        const fill = style.fill ?? "#fef2f2";
+        const stroke = selected ? "#111827" : style.stroke ?? "#991b1b";
+        return (
+          <g
+            key={table.key}
+            transform={`translate(${table.x} ${table.y}) rotate(${table.rotation ?? 0})`}
+            onPointerDown={(e) => handlePointerDown(e, table)}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            onPointerCancel={handlePointerUp}
+            className={onMove ? "cursor-move" : onSelect ? "cursor-pointer" : ""}
+          >
+            {seatPositions(table).map((seat, index) => (
+              <circle
+                key={index}
+                cx={seat.x}
+                cy={seat.y}
+                r="8"
+                fill="#e5e7eb"
+                stroke="#9ca3af"
+              />
+            ))}
+            {table.shape === "round" ? (
+              <circle
+                r={width / 2}
+                fill={fill}
+                stroke={stroke}
+                strokeWidth={selected ? 3 : 2}
+              />
+            ) : (
+              <rect
+                x={-width / 2}
+                y={-height / 2}
+                width={width}
+                height={height}
+                rx="8"
+                fill={fill}
+                stroke={stroke}
+                strokeWidth={selected ? 3 : 2}
+              />
+            )}
+            {/* Counter-rotated so labels stay upright */}
+            <g transform={`rotate(${-(table.rotation ?? 0)})`}>
+              <text
+                textAnchor="middle"
+                y={style.label ? -2 : 6}
+                fontSize="18"
+                fontWeight="700"
+                fill={style.text ?? "#7f1d1d"}
+              >
+                {table.number}
+              </text>
+              {style.label && (
+                <text
+                  textAnchor="middle"
+                  y="14"
+                  fontSize="11"
+                  fill={style.text ?? "#7f1d1d"}
+                >
+                  {style.label}
+                </text>
+              )}
+            </g>
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
+export default FloorPlanCanvas;
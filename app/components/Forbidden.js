@@ -0,0 +1,31 @@
+import Link from "next/link";
+import { homeForRole } from "../lib/roles";
+import { humanize } from "../lib/format";
+
+// 403 card, shown in place of a page the signed-in role may not open
+const Forbidden = ({ role }) => (
+  <div className="min-h-screen bg-gradient-to-b from-gray-50 to-gray-100 flex items-center justify-center px-4">
+    <div className="bg-white rounded-2xl shadow-xl p-8 w-full max-w-md text-center">
+      <div className="text-5xl font-bold text-red-800 mb-2">403</div>
+      <h1 className="text-2xl font-bold text-gray-900 mb-2">
+        You don&apos;t have access to this page
+      </h1>
+      <p className="text-gray-600 mb-6">
+        {role
+          ? `Your ${humanize(role)} account cannot open it. Ask an admin if you think you should.`
+          : "Your account cannot open it. Ask an admin if you think you should."}
+      </p>
+      <Link
+        href={homeForRole(role)}
+        className="block w-full py-2 bg-red-800 text-white font-medium rounded-lg hover:bg-red-900 transition-colors mb-3"
+      >
+        {role ? "Go to My Dashboard" : "Go Home"}
+      </Link>
+      <Link href="/login" className="text-sm text-red-800 font-medium hover:underline">
+        Sign in with a different account
+      </Link>
+    </div>
+  </div>
+);
+
+export default Forbidden;
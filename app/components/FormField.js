@@ -0,0 +1,18 @@
+// Labelled input wrapper with hint and error text for the auth forms
+export const inputClass = (hasError) =>
+  `w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-red-800 ${
+    hasError ? "border-red-600" : "border-gray-300"
+  }`;
+
+const FormField = ({ label, name, error, hint, children }) => (
+  <div>
+    <label htmlFor={name} className="block text-sm font-medium text-gray-700 mb-1">
+      {label}
+    </label>
+    {children}
+    {hint && !error && <p className="text-gray-500 text-xs mt-1">{hint}</p>}
+    {error && <p className="text-red-700 text-sm mt-1">{error}</p>}
+  </div>
+);
+
+export default FormField;
@@ -0,0 +1,32 @@
+import Link from "next/link";
+
+// Header and content frame shared by the signed-in screens
+const PageShell = ({ title, subtitle, actions, children }) => {
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-gray-50 to-gray-100">
+      <header className="sticky top-0 z-40 bg-white shadow-md">
+        <div className="container mx-auto px-4 py-3 flex items-center justify-between gap-4">
+          <Link href="/" className="flex items-center space-x-2">
+            <div className="bg-red-800 w-10 h-10 rounded-lg flex items-center justify-center">
+              <span className="text-white font-bold text-xl">D</span>
+            </div>
+            <span className="text-2xl font-bold text-red-800">DineFlow</span>
+          </Link>
+          {actions && <div className="flex items-center gap-3">{actions}</div>}
+        </div>
+      </header>
+
+      <main className="container mx-auto px-4 py-8">
+        {title && (
+          <div className="mb-8">
+            <h1 className="text-3xl font-bold text-gray-900">{title}</h1>
+            {subtitle && <p className="text-gray-600 mt-1">{subtitle}</p>}
+          </div>
+        )}
+        {children}
+      </main>
+    </div>
+  );
+};
+
+export default PageShell;
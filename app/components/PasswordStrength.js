@@ -0,0 +1,43 @@
+import { passwordStrength } from "../lib/validation";
+
+const barColors = [
+  "bg-red-600",
+  "bg-red-600",
+  "bg-yellow-500",
+  "bg-green-500",
+  "bg-green-600",
+];
+
+// Strength meter and checklist shown under a new-password input
+const PasswordStrength = ({ password }) => {
+  if (!password) return null;
+  const { score, label, checks } = passwordStrength(password);
+
+  return (
+    <div className="mt-2">
+      <div className="flex gap-1 mb-1">
+        {[1, 2, 3, 4].map((step) => (
+          <div
+            key={step}
+            className={`h-1.5 flex-1 rounded-full ${
+              score >= step ? barColors[score] : "bg-gray-200"
+            }`}
+          />
+        ))}
+      </div>
+      <p className="text-xs text-gray-600 mb-1">{label}</p>
+      <ul className="text-xs space-y-0.5">
+        {checks.map((check) => (
+          <li
+            key={check.label}
+            className={check.passed ? "text-green-700" : "text-gray-500"}
+          >
+            {check.passed ? "✓" : "○"} {check.label}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default PasswordStrength;
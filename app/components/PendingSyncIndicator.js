@@ -0,0 +1,115 @@
+"use client";
+import { useState } from "react";
+import { useOutbox } from "../api/hooks";
+import {
+  discardEntry,
+  flushOutbox,
+  isOwnEntry,
+  OutboxStatus,
+  retryEntry,
+} from "../api/outbox";
+
+const actionLabels = {
+  "menu.createOrder": "New order",
+  "menu.updateOrder": "Order update",
+  "menu.createOrderItem": "Order item",
+  "menu.updateOrderItem": "Order item update",
+  "table.changeStatus": "Table status",
+};
+
+const statusStyles = {
+  [OutboxStatus.PENDING]: "bg-yellow-100 text-yellow-800",
+  [OutboxStatus.CONFLICT]: "bg-orange-100 text-orange-800",
+  [OutboxStatus.FAILED]: "bg-red-100 text-red-800",
+};
+
+// Floating badge that tells staff what hasn't reached the kitchen yet
+const PendingSyncIndicator = () => {
+  const { entries, isSyncing } = useOutbox();
+  const [isOpen, setIsOpen] = useState(false);
+
+  if (entries.length === 0) return null;
+
+  const needsAttention = entries.some(
+    (entry) => entry.status !== OutboxStatus.PENDING
+  );
+
+  return (
+    <div className="fixed bottom-20 md:bottom-6 right-6 z-50 max-w-sm">
+      {isOpen && (
+        <div className="bg-white rounded-xl shadow-xl p-4 mb-3">
+          <div className="flex justify-between items-center mb-3">
+            <h4 className="font-semibold text-gray-800">Pending sync</h4>
+            <button
+              onClick={() => flushOutbox()}
+              disabled={isSyncing}
+              className="text-sm text-red-800 font-medium hover:underline disabled:opacity-50"
+            >
+              {isSyncing ? "Syncing..." : "Sync now"}
+            </button>
+          </div>
+          <ul className="space-y-2 max-h-72 overflow-y-auto">
+            {entries.map((entry) => (
+              <li key={entry.seq} className="bg-gray-50 rounded-lg p-3 text-sm">
+                <div className="flex justify-between items-center">
+                  <span className="font-medium text-gray-800">
+                    {actionLabels[entry.name] ?? entry.name}
+                  </span>
+                  <span
+                    className={`text-xs rounded-full px-2 py-0.5 ${
+                      statusStyles[entry.status]
+                    }`}
+                  >
+                    {entry.status}
+                  </span>
+                </div>
+                <div className="text-xs text-gray-500 mt-1">
+                  Queued {new Date(entry.createdAt).toLocaleTimeString()}
+                  {!isOwnEntry(entry) &&
+                    ` · Waiting for ${entry.userName ?? "another user"}`}
+                </div>
+                {entry.error && (
+                  <div className="text-xs text-red-800 mt-1">
+                    {entry.error.message}
+                  </div>
+                )}
+                {entry.status !== OutboxStatus.PENDING && isOwnEntry(entry) && (
+                  <div className="flex gap-3 mt-2">
+                    <button
+                      onClick={() => retryEntry(entry.seq)}
+                      className="text-xs text-red-800 font-medium hover:underline"
+                    >
+                      Send anyway
+                    </button>
+                    <button
+                      onClick={() => discardEntry(entry.seq)}
+                      className="text-xs text-gray-600 font-medium hover:underline"
+                    >
+                      Discard
+                    </button>
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className={`ml-auto flex items-center gap-2 px-4 py-2 rounded-full shadow-lg font-medium text-sm ${
+          needsAttention ? "bg-red-800 text-white" : "bg-yellow-400 text-gray-900"
+        }`}
+      >
+        <span
+          className={`w-2 h-2 rounded-full bg-current ${
+            isSyncing ? "animate-pulse" : ""
+          }`}
+        ></span>
+        {entries.length} pending sync
+      </button>
+    </div>
+  );
+};
+
+export default PendingSyncIndicator;
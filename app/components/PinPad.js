@@ -0,0 +1,63 @@
+"use client";
+import { useEffect } from "react";
+
+const KEYS = ["1", "2", "3", "4", "5", "6", "7", "8", "9", "clear", "0", "back"];
+
+// Touch-friendly numeric keypad for terminal PINs; digits typed on a
+// keyboard work too. Calls onSubmit once maxLength digits are entered, or on
+// Enter for shorter PINs.
+const PinPad = ({ value, onChange, onSubmit, maxLength = 6, disabled }) => {
+  const press = (key) => {
+    if (disabled) return;
+    if (key === "clear") return onChange("");
+    if (key === "back") return onChange(value.slice(0, -1));
+    if (value.length >= maxLength) return;
+    const next = value + key;
+    onChange(next);
+    if (next.length === maxLength) onSubmit?.(next);
+  };
+
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (/^\d$/.test(e.key)) press(e.key);
+      else if (e.key === "Backspace") press("back");
+      else if (e.key === "Enter" && value) onSubmit?.(value);
+    };
+    window.addEventListener("keydown", handleKey);
+    return () => window.removeEventListener("keydown", handleKey);
+  });
+
+  return (
+    <div className="flex flex-col items-center gap-6">
+      <div className="flex gap-3 h-4" aria-label={`${value.length} digits entered`}>
+        {Array.from({ length: maxLength }, (_, index) => (
+          <span
+            key={index}
+            className={`w-4 h-4 rounded-full border-2 border-red-800 ${
+              index < value.length ? "bg-red-800" : ""
+            }`}
+          />
+        ))}
+      </div>
+      <div className="grid grid-cols-3 gap-3">
+        {KEYS.map((key) => (
+          <button
+            key={key}
+            type="button"
+            onClick={() => press(key)}
+            disabled={disabled}
+            className={`w-16 h-16 rounded-full text-xl font-medium transition-colors disabled:opacity-60 ${
+              key.length === 1
+                ? "bg-gray-100 text-gray-900 hover:bg-red-50"
+                : "text-sm text-red-800 hover:bg-red-50"
+            }`}
+          >
+            {key === "clear" ? "Clear" : key === "back" ? "⌫" : key}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default PinPad;
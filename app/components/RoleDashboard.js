@@ -0,0 +1,90 @@
+"use client";
+import Link from "next/link";
+import { useRouter } from "next/navigation";
+import PageShell from "./PageShell";
+import { useCurrentUser } from "./AuthProvider";
+import { lockNow, useTerminal } from "./TerminalLock";
+import { signOut } from "../lib/session";
+import { humanize } from "../lib/format";
+
+// Landing screen for a staff role: greeting, live metric cards and links to
+// the screens that role works in.
+// metrics: [{ value, label }], sections: [{ label, href, description }]
+const RoleDashboard = ({ role, metrics, sections, children }) => {
+  const router = useRouter();
+  const { user } = useCurrentUser();
+  const terminal = useTerminal();
+
+  const handleSignOut = async () => {
+    await signOut();
+    router.replace("/login");
+  };
+
+  return (
+    <PageShell
+      title={`${humanize(role)} Dashboard`}
+      subtitle={user && `Signed in as ${user.name}`}
+      actions={
+        <>
+          <Link
+            href="/profile"
+            className="text-red-800 font-medium hover:underline"
+          >
+            My Profile
+          </Link>
+          <Link
+            href="/terminal"
+            className="text-red-800 font-medium hover:underline"
+          >
+            Terminal
+          </Link>
+          {terminal.enabled && terminal.members.length > 0 && (
+            <button
+              onClick={lockNow}
+              className="px-4 py-2 bg-red-800 text-white font-medium rounded-lg hover:bg-red-900 transition-colors"
+            >
+              Switch User
+            </button>
+          )}
+          <button
+            onClick={handleSignOut}
+            className="px-4 py-2 border-2 border-red-800 text-red-800 font-medium rounded-lg hover:bg-red-50 transition-colors"
+          >
+            Sign Out
+          </button>
+        </>
+      }
+    >
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-8">
+        {metrics.map((metric) => (
+          <div
+            key={metric.label}
+            className="bg-white rounded-xl shadow-md p-4 text-center hover:shadow-lg transition-shadow"
+          >
+            <div className="text-2xl font-bold text-gray-800">
+              {metric.value ?? "-"}
+            </div>
+            <div className="text-gray-600 text-sm">{metric.label}</div>
+          </div>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {sections.map((section) => (
+          <Link
+            key={section.href}
+            href={section.href}
+            className="bg-white rounded-xl shadow-md p-5 hover:shadow-lg hover:bg-red-50 transition-all"
+          >
+            <div className="font-bold text-gray-800">{section.label}</div>
+            <div className="text-gray-600 text-sm">{section.description}</div>
+          </Link>
+        ))}
+      </div>
+
+      {children}
+    </PageShell>
+  );
+};
+
+export default RoleDashboard;
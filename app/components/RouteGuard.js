@@ -0,0 +1,55 @@
+"use client";
+import { useEffect } from "react";
+import { usePathname, useRouter } from "next/navigation";
+import { useCurrentUser } from "./AuthProvider";
+import { LOGIN_PATH, canAccess, isPublicRoute } from "../lib/permissions";
+import Forbidden from "./Forbidden";
+
+const Loading = () => (
+  <div className="min-h-screen flex items-center justify-center">
+    <div className="w-10 h-10 border-4 border-red-800 border-t-transparent rounded-full animate-spin" />
+  </div>
+);
+
+// Client-side counterpart of middleware.js: renders a route only once the
+// signed-in user's role is allowed by lib/permissions.js. Wraps every page
+// from the root layout, inside AuthProvider.
+const RouteGuard = ({ children }) => {
+  const pathname = usePathname();
+  const router = useRouter();
+  const isPublic = isPublicRoute(pathname);
+  const { user, error, isLoading, hasSession, refresh } = useCurrentUser();
+
+  const signedOut = !isLoading && !hasSession;
+  useEffect(() => {
+    if (isPublic || !signedOut) return;
+    const next = encodeURIComponent(pathname + window.location.search);
+    router.replace(`${LOGIN_PATH}?next=${next}`);
+  }, [isPublic, signedOut, pathname]);
+
+  if (isPublic) return children;
+  if (user) {
+    return canAccess(user.role, pathname) ? (
+      children
+    ) : (
+      <Forbidden role={user.role} />
+    );
+  }
+  // A 401 has already sent the browser to the login page
+  if (error && error.status !== 401) {
+    return (
+      <div className="min-h-screen flex flex-col items-center justify-center gap-4 px-4 text-center">
+        <p className="text-red-800">{error.message}</p>
+        <button
+          onClick={() => refresh().catch(() => {})}
+          className="px-4 py-2 bg-red-800 text-white font-medium rounded-lg hover:bg-red-900 transition-colors"
+        >
+          Try Again
+        </button>
+      </div>
+    );
+  }
+  return <Loading />;
+};
+
+export default RouteGuard;
@@ -0,0 +1,36 @@
+import { humanize } from "../lib/format";
+
+const statusColors = {
+  available: "bg-green-100 text-green-800",
+  active: "bg-green-100 text-green-800",
+  confirmed: "bg-green-100 text-green-800",
+  completed: "bg-gray-100 text-gray-700",
+  paid: "bg-gray-100 text-gray-700",
+  served: "bg-gray-100 text-gray-700",
+  reserved: "bg-blue-100 text-blue-800",
+  pending: "bg-yellow-100 text-yellow-800",
+  preparing: "bg-yellow-100 text-yellow-800",
+  ready: "bg-blue-100 text-blue-800",
+  waiting: "bg-yellow-100 text-yellow-800",
+  notified: "bg-blue-100 text-blue-800",
+  seated: "bg-red-100 text-red-800",
+  occupied: "bg-red-100 text-red-800",
+  cleaning: "bg-purple-100 text-purple-800",
+  suspended: "bg-orange-100 text-orange-800",
+  cancelled: "bg-gray-100 text-gray-500",
+  left: "bg-gray-100 text-gray-500",
+  no_show: "bg-orange-100 text-orange-800",
+  banned: "bg-red-800 text-white",
+};
+
+const StatusBadge = ({ status }) => (
+  <span
+    className={`inline-block text-xs font-medium rounded-full px-2 py-0.5 ${
+      statusColors[status] ?? "bg-gray-100 text-gray-700"
+    }`}
+  >
+    {humanize(status)}
+  </span>
+);
+
+export default StatusBadge;
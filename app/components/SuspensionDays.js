@@ -0,0 +1,40 @@
+// Number of days for a timed suspension: quick presets or a custom count
+const PRESETS = [1, 3, 7, 30];
+
+export const MAX_SUSPENSION_DAYS = 365;
+
+const SuspensionDays = ({ value, onChange, disabled }) => (
+  <div className="flex flex-wrap items-center gap-2">
+    {PRESETS.map((days) => (
+      <button
+        key={days}
+        type="button"
+        onClick={() => onChange(days)}
+        disabled={disabled}
+        className={`px-3 py-1 rounded-lg text-sm font-medium border transition-colors disabled:opacity-60 ${
+          value === days
+            ? "bg-red-800 border-red-800 text-white"
+            : "border-gray-300 text-gray-700 hover:bg-red-50"
+        }`}
+      >
+        {days}d
+      </button>
+    ))}
+    <input
+      type="number"
+      min="1"
+      max={MAX_SUSPENSION_DAYS}
+      value={value}
+      onChange={(e) => onChange(Number(e.target.value))}
+      disabled={disabled}
+      aria-label="Days"
+      className="w-20 bg-white border border-gray-200 rounded-lg py-1 px-2 text-sm text-gray-700 focus:outline-none focus:ring-1 focus:ring-red-800"
+    />
+    <span className="text-sm text-gray-600">days</span>
+  </div>
+);
+
+export const isValidSuspension = (days) =>
+  Number.isInteger(days) && days >= 1 && days <= MAX_SUSPENSION_DAYS;
+
+export default SuspensionDays;
@@ -0,0 +1,280 @@
+"use client";
+import { useEffect, useMemo, useState } from "react";
+import FloorPlanCanvas from "./FloorPlanCanvas";
+import StatusBadge from "./StatusBadge";
+import { TABLE_STATUSES } from "../api/schemas";
+import { autoPlace, zonesOf } from "../lib/floorPlan";
+import {
+  STATUS_ACTIONS,
+  STATUS_STYLES,
+  changeTableStatus,
+  formatElapsed,
+  nextAction,
+} from "../lib/tableStatus";
+import { humanize } from "../lib/format";
+
+const TICK_INTERVAL = 30 * 1000;
+
+const tabClass = (active) =>
+  `px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+    active
+      ? "bg-red-800 text-white"
+      : "bg-white text-gray-700 shadow-md hover:bg-red-50"
+  }`;
+
+// Re-renders every TICK_INTERVAL so seating timers move
+const useNow = () => {
+  const [now, setNow] = useState(() => Date.now());
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), TICK_INTERVAL);
+    return () => clearInterval(timer);
+  }, []);
+  return now;
+};
+
+const ActionButtons = ({ table, busy, onChange }) => (
+  <div className="flex flex-wrap gap-2">
+    {STATUS_ACTIONS[table.status]?.map((action, index) => (
+      <button
+        key={action.status}
+        onClick={() => onChange(table, action.status)}
+        disabled={busy}
+        className={`px-3 py-2 text-sm font-medium rounded-lg transition-colors disabled:opacity-60 ${
+          index === 0
+            ? "bg-red-800 text-white hover:bg-red-900"
+            : "border-2 border-red-800 text-red-800 hover:bg-red-50"
+        }`}
+      >
+        {action.label}
+      </button>
+    ))}
+  </div>
+);
+
+// Live floor view: tables coloured by status with seating timers, and status
+// changes that show at once and roll back if the server refuses them.
+// tables: Table[] from any table.* list query (undefined while loading)
+const TableBoard = ({ tables, emptyMessage = "No tables yet" }) => {
+  const now = useNow();
+  const [view, setView] = useState("floor");
+  const [zone, setZone] = useState(null);
+  const [selectedId, setSelectedId] = useState(null);
+  const [oneTap, setOneTap] = useState(false);
+  const [busyIds, setBusyIds] = useState(() => new Set());
+  const [message, setMessage] = useState(null);
+
+  const placed = useMemo(() => autoPlace(tables ?? []), [tables]);
+  const zones = zonesOf(placed);
+  const activeZone = zones.includes(zone) ? zone : zones[0];
+  const selected = placed.find((t) => t.id === selectedId) ?? null;
+  const counts = Object.fromEntries(
+    TABLE_STATUSES.map((status) => [
+      status,
+      placed.filter((t) => t.status === status).length,
+    ])
+  );
+
+  const setBusy = (id, busy) =>
+    setBusyIds((ids) => {
+      const next = new Set(ids);
+      if (busy) next.add(id);
+      else next.delete(id);
+      return next;
+    });
+
+  const handleChange = async (table, status) => {
+    if (busyIds.has(table.id)) return;
+    setBusy(table.id, true);
+    setMessage(null);
+    try {
+      const result = await changeTableStatus(table, status);
+      if (result?.queued) {
+        setMessage({
+          tone: "info",
+          text: `Offline: table ${table.number} will update when the connection is back`,
+        });
+      }
+    } catch (err) {
+      setMessage({
+        tone: "error",
+        text:
+          err.status === 409
+            ? `Table ${table.number} was changed on another device. ${err.message}.`
+            : `Table ${table.number}: ${err.message}`,
+      });
+    } finally {
+      setBusy(table.id, false);
+    }
+  };
+
+  const handleSelect = (key) => {
+    const table = placed.find((t) => String(t.id) === key);
+    setSelectedId(table?.id ?? null);
+    const action = table && oneTap ? nextAction(table.status) : null;
+    if (action) handleChange(table, action.status);
+  };
+
+  const tableLabel = (table) =>
+    table.status === "occupied"
+      ? formatElapsed(table.occupiedSince, now)
+      : `${table.capacity} seats`;
+
+  if (!tables) {
+    return <div className="text-center text-gray-500 p-6">Loading tables...</div>;
+  }
+  if (!placed.length) {
+    return (
+      <div className="bg-white rounded-xl shadow-md p-6 text-center text-gray-500">
+        {emptyMessage}
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-3">
+        {TABLE_STATUSES.map((status) => (
+          <span
+            key={status}
+            className="flex items-center gap-2 text-sm text-gray-700"
+          >
+            <span
+              className="w-3 h-3 rounded-full border-2"
+              style={{
+                background: STATUS_STYLES[status].fill,
+                borderColor: STATUS_STYLES[status].stroke,
+              }}
+            />
+            {humanize(status)} ({counts[status]})
+          </span>
+        ))}
+        <div className="flex-1" />
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={oneTap}
+            onChange={(e) => setOneTap(e.target.checked)}
+            className="accent-red-800"
+          />
+          Tap to advance
+        </label>
+        {["floor", "list"].map((name) => (
+          <button
+            key={name}
+            onClick={() => setView(name)}
+            className={tabClass(view === name)}
+          >
+            {humanize(name)}
+          </button>
+        ))}
+      </div>
+
+      {message && (
+        <div
+          className={`rounded-lg p-3 text-sm ${
+            message.tone === "error"
+              ? "bg-red-50 text-red-800"
+              : "bg-blue-50 text-blue-800"
+          }`}
+        >
+          {message.text}
+        </div>
+      )}
+
+      {view === "list" ? (
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-4">
+          {placed.map((table) => (
+            <div
+              key={table.id}
+              className="bg-white rounded-xl shadow-md p-4 border-l-4 space-y-3"
+              style={{ borderLeftColor: STATUS_STYLES[table.status].stroke }}
+            >
+              <div className="flex items-center justify-between">
+                <span className="text-lg font-bold text-gray-800">
+                  Table {table.number}
+                </span>
+                <StatusBadge status={table.status} />
+              </div>
+              <div className="text-gray-500 text-sm">
+                {table.zone} · {table.capacity} seats
+                {table.status === "occupied" &&
+                  ` · seated ${formatElapsed(table.occupiedSince, now)}`}
+              </div>
+              <ActionButtons
+                table={table}
+                busy={busyIds.has(table.id)}
+                onChange={handleChange}
+              />
+            </div>
+          ))}
+        </div>
+      ) : (
+        <>
+          {zones.length > 1 && (
+            <div className="flex flex-wrap gap-2">
+              {zones.map((name) => (
+                <button
+                  key={name}
+                  onClick={() => setZone(name)}
+                  className={tabClass(name === activeZone)}
+                >
+                  {name}
+                </button>
+              ))}
+            </div>
+          )}
+          <div className="grid grid-cols-1 xl:grid-cols-4 gap-6 items-start">
+            <div className="xl:col-span-3">
+              <FloorPlanCanvas
+                tables={placed
+                  .filter((t) => t.zone === activeZone)
+                  .map((t) => ({ ...t, key: String(t.id) }))}
+                selectedKey={selected ? String(selected.id) : null}
+                onSelect={handleSelect}
+                tableStyle={(table) => ({
+                  ...STATUS_STYLES[table.status],
+                  label: tableLabel(table),
+                })}
+              />
+            </div>
+            <aside className="bg-white rounded-xl shadow-md p-4 space-y-3">
+              {selected ? (
+                <>
+                  <div className="flex items-center justify-between">
+                    <h2 className="font-bold text-gray-800">
+                      Table {selected.number}
+                    </h2>
+                    <StatusBadge status={selected.status} />
+                  </div>
+                  <p className="text-gray-500 text-sm">
+                    {selected.zone} · {selected.capacity} seats
+                  </p>
+                  {selected.status === "occupied" && (
+                    <p className="text-gray-700 text-sm">
+                      Seated for{" "}
+                      <span className="font-semibold">
+                        {formatElapsed(selected.occupiedSince, now)}
+                      </span>
+                    </p>
+                  )}
+                  <ActionButtons
+                    table={selected}
+                    busy={busyIds.has(selected.id)}
+                    onChange={handleChange}
+                  />
+                </>
+              ) : (
+                <p className="text-gray-500 text-sm">
+                  Tap a table to change its status.
+                  {oneTap && " Each tap moves it on to the next step."}
+                </p>
+              )}
+            </aside>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default TableBoard;
@@ -0,0 +1,296 @@
+"use client";
+import { useEffect, useState, useSyncExternalStore } from "react";
+import { useRouter } from "next/navigation";
+import { useCurrentUser } from "./AuthProvider";
+import PinPad from "./PinPad";
+import UserAvatar from "./UserAvatar";
+import {
+  PIN_PATTERN,
+  getServerTerminalSnapshot,
+  getTerminalSnapshot,
+  joinTerminal,
+  lockTerminal,
+  releaseTerminal,
+  subscribeTerminal,
+  syncActiveMember,
+  unlockTerminal,
+} from "../lib/terminal";
+import { landingPath, signOut } from "../lib/session";
+import { LOGIN_PATH } from "../lib/permissions";
+import { STAFF_ROLES } from "../lib/roles";
+import { humanize } from "../lib/format";
+
+const ACTIVITY_EVENTS = ["pointerdown", "keydown", "wheel", "touchstart"];
+
+// { enabled, idleMinutes, locked, activeUserId, members }
+export const useTerminal = () =>
+  useSyncExternalStore(
+    subscribeTerminal,
+    getTerminalSnapshot,
+    getServerTerminalSnapshot
+  );
+
+const currentPath = () => window.location.pathname + window.location.search;
+
+// Locks the terminal from a button, e.g. "Switch User"
+export const lockNow = () => lockTerminal(currentPath());
+
+const Overlay = ({ children }) => (
+  <div className="fixed inset-0 z-[60] bg-gradient-to-b from-gray-50 to-gray-100 overflow-y-auto">
+    <div className="min-h-full flex flex-col items-center justify-center gap-8 p-6">
+      <div className="flex items-center space-x-2">
+        <div className="bg-red-800 w-10 h-10 rounded-lg flex items-center justify-center">
+          <span className="text-white font-bold text-xl">D</span>
+        </div>
+        <span className="text-2xl font-bold text-red-800">DineFlow</span>
+      </div>
+      {children}
+    </div>
+  </div>
+);
+
+const LockScreen = ({ terminal }) => {
+  const router = useRouter();
+  const [memberId, setMemberId] = useState(null);
+  const [pin, setPin] = useState("");
+  const [error, setError] = useState(null);
+  const [isUnlocking, setIsUnlocking] = useState(false);
+
+  const member = terminal.members.find((m) => m.userId === memberId);
+
+  const handleUnlock = async (entered = pin) => {
+    if (isUnlocking || !entered) return;
+    setIsUnlocking(true);
+    setError(null);
+    try {
+      const { user, lastPath } = await unlockTerminal(memberId, entered);
+      // Locking signed the device out, so go back to where they were
+      router.replace(landingPath(user, lastPath));
+    } catch (err) {
+      setError(err.message);
+      setPin("");
+      setIsUnlocking(false);
+    }
+  };
+
+  const handleOtherUser = async () => {
+    await releaseTerminal();
+    router.replace(LOGIN_PATH);
+  };
+
+  if (member) {
+    return (
+      <Overlay>
+        <div className="flex flex-col items-center gap-2">
+          <UserAvatar user={member} size="lg" />
+          <h1 className="text-xl font-bold text-gray-900">{member.name}</h1>
+          <p className="text-gray-600 text-sm">Enter your PIN</p>
+        </div>
+        <PinPad
+          value={pin}
+          onChange={setPin}
+          onSubmit={handleUnlock}
+          disabled={isUnlocking}
+        />
+        {error && <p className="text-red-700 text-sm text-center">{error}</p>}
+        <div className="flex gap-3">
+          <button
+            onClick={() => {
+              setMemberId(null);
+              setPin("");
+              setError(null);
+            }}
+            disabled={isUnlocking}
+            className="px-4 py-2 border-2 border-red-800 text-red-800 font-medium rounded-lg hover:bg-red-50 transition-colors"
+          >
+            Back
+          </button>
+          <button
+            onClick={() => handleUnlock()}
+            disabled={isUnlocking || !PIN_PATTERN.test(pin)}
+            className="px-6 py-2 bg-red-800 text-white font-medium rounded-lg hover:bg-red-900 transition-colors disabled:opacity-60"
+          >
+            {isUnlocking ? "Unlocking..." : "Unlock"}
+          </button>
+        </div>
+      </Overlay>
+    );
+  }
+
+  return (
+    <Overlay>
+      <div className="text-center">
+        <h1 className="text-2xl font-bold text-gray-900">Terminal locked</h1>
+        <p className="text-gray-600">Who is using the terminal?</p>
+      </div>
+      {error && <p className="text-red-700 text-sm text-center">{error}</p>}
+      <div className="grid grid-cols-2 sm:grid-cols-3 gap-4 w-full max-w-2xl">
+        {terminal.members.map((m) => (
+          <button
+            key={m.userId}
+            onClick={() => {
+              setMemberId(m.userId);
+              setError(null);
+            }}
+            className="bg-white rounded-xl shadow-md p-4 flex flex-col items-center gap-2 hover:shadow-lg hover:bg-red-50 transition-all"
+          >
+            <UserAvatar user={m} />
+            <span className="font-medium text-gray-800">{m.name}</span>
+            <span className="text-gray-500 text-xs">
+              {humanize(m.role)}
+              {m.userId === terminal.activeUserId && " · Last active"}
+            </span>
+          </button>
+        ))}
+      </div>
+      <button
+        onClick={handleOtherUser}
+        className="text-red-800 font-medium hover:underline"
+      >
+        Someone else? Sign in with a password
+      </button>
+    </Overlay>
+  );
+};
+
+// Offered once per sign-in to staff who are not on the terminal yet
+const JoinPrompt = ({ user, onDismiss }) => {
+  const [pin, setPin] = useState("");
+  const [firstPin, setFirstPin] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (entered = pin) => {
+    if (!PIN_PATTERN.test(entered)) {
+      setError("Use a 4 to 6 digit PIN");
+      return;
+    }
+    if (firstPin === null) {
+      setFirstPin(entered);
+      setPin("");
+      setError(null);
+      return;
+    }
+    if (entered !== firstPin) {
+      setFirstPin(null);
+      setPin("");
+      setError("The PINs did not match. Try again.");
+      return;
+    }
+    try {
+      await joinTerminal(user, entered);
+    } catch (err) {
+      setError(err.message);
+      setFirstPin(null);
+      setPin("");
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-[60] flex items-center justify-center bg-black/40 p-4">
+      <div className="bg-white rounded-xl shadow-xl p-6 flex flex-col items-center gap-6 max-w-sm w-full">
+        <div className="text-center">
+          <h2 className="text-xl font-bold text-gray-900">
+            {firstPin === null ? "Set a terminal PIN" : "Confirm your PIN"}
+          </h2>
+          <p className="text-gray-600 text-sm mt-1">
+            This device is a shared terminal. A PIN lets you get back into your
+            session after it locks or someone else uses it.
+          </p>
+        </div>
+        <PinPad
+          key={firstPin === null ? "first" : "confirm"}
+          value={pin}
+          onChange={setPin}
+          onSubmit={handleSubmit}
+        />
+        {error && <p className="text-red-700 text-sm text-center">{error}</p>}
+        <div className="flex gap-3">
+          <button
+            onClick={onDismiss}
+            className="px-4 py-2 border-2 border-red-800 text-red-800 font-medium rounded-lg hover:bg-red-50 transition-colors"
+          >
+            Not now
+          </button>
+          <button
+            onClick={() => handleSubmit()}
+            disabled={!PIN_PATTERN.test(pin)}
+            className="px-6 py-2 bg-red-800 text-white font-medium rounded-lg hover:bg-red-900 transition-colors disabled:opacity-60"
+          >
+            {firstPin === null ? "Next" : "Save PIN"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Terminal mode, mounted once in the root layout inside AuthProvider: locks
+// after the idle period and covers every page while locked. Staff who never
+// joined the terminal are signed out instead, so their session does not
+// linger for the next person.
+const TerminalLock = () => {
+  const terminal = useTerminal();
+  const router = useRouter();
+  const { user, hasSession, isLoading } = useCurrentUser();
+  const [dismissedFor, setDismissedFor] = useState(null);
+
+  const signedOut = !isLoading && !hasSession;
+  useEffect(() => {
+    if (user) syncActiveMember(user);
+    else if (signedOut) syncActiveMember(null);
+  }, [user?.id, signedOut]);
+
+  const isMember = Boolean(
+    user && terminal.members.some((m) => m.userId === user.id)
+  );
+
+  useEffect(() => {
+    if (!terminal.enabled || terminal.locked || !user) return;
+
+    let timer;
+    const lock = async () => {
+      const path = currentPath();
+      if (!isMember) {
+        await signOut();
+        if (!terminal.members.length) router.replace(LOGIN_PATH);
+      }
+      await lockTerminal(path);
+    };
+    const reset = () => {
+      clearTimeout(timer);
+      timer = setTimeout(lock, terminal.idleMinutes * 60 * 1000);
+    };
+
+    reset();
+    ACTIVITY_EVENTS.forEach((type) =>
+      window.addEventListener(type, reset, { passive: true })
+    );
+    return () => {
+      clearTimeout(timer);
+      ACTIVITY_EVENTS.forEach((type) =>
+        window.removeEventListener(type, reset)
+      );
+    };
+  }, [
+    terminal.enabled,
+    terminal.locked,
+    terminal.idleMinutes,
+    terminal.members.length,
+    user?.id,
+    isMember,
+  ]);
+
+  if (!terminal.enabled) return null;
+  if (terminal.locked) return <LockScreen terminal={terminal} />;
+  if (
+    user &&
+    !isMember &&
+    STAFF_ROLES.includes(user.role) &&
+    dismissedFor !== user.id
+  ) {
+    return <JoinPrompt user={user} onDismiss={() => setDismissedFor(user.id)} />;
+  }
+  return null;
+};
+
+export default TerminalLock;
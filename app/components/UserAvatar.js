@@ -0,0 +1,23 @@
+// Profile picture, or the first letter of the name when there is none
+const sizes = {
+  sm: "w-8 h-8 text-sm",
+  md: "w-14 h-14 text-xl",
+  lg: "w-28 h-28 text-4xl",
+};
+
+const UserAvatar = ({ user, size = "md" }) =>
+  user.avatarUrl ? (
+    <img
+      src={user.avatarUrl}
+      alt=""
+      className={`${sizes[size]} rounded-full object-cover shadow-md shrink-0`}
+    />
+  ) : (
+    <div
+      className={`${sizes[size]} rounded-full bg-red-800 text-white font-bold flex items-center justify-center shadow-md shrink-0`}
+    >
+      {user.name?.charAt(0).toUpperCase()}
+    </div>
+  );
+
+export default UserAvatar;
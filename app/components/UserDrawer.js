@@ -0,0 +1,265 @@
+"use client";
+import { useEffect, useState } from "react";
+import { useApiQuery } from "../api/hooks";
+import { runMutation } from "../api/queryCache";
+import { ROLES } from "../api/schemas";
+import StatusBadge from "./StatusBadge";
+import UserAvatar from "./UserAvatar";
+import SuspensionDays, { isValidSuspension } from "./SuspensionDays";
+import { formatDateTime, humanize } from "../lib/format";
+
+const buttonClass =
+  "px-3 py-2 text-sm font-medium rounded-lg transition-colors disabled:opacity-60";
+const primaryClass = `${buttonClass} bg-red-800 text-white hover:bg-red-900`;
+const outlineClass = `${buttonClass} border-2 border-red-800 text-red-800 hover:bg-red-50`;
+
+const Detail = ({ label, children }) => (
+  <div>
+    <dt className="text-xs uppercase text-gray-500">{label}</dt>
+    <dd className="text-gray-800">{children}</dd>
+  </div>
+);
+
+// Slide-over with one user's details and the admin actions for them.
+// `user` is the table row, shown until the fresh record loads; admins
+// cannot moderate their own account from here.
+const UserDrawer = ({ user: row, isSelf, onClose }) => {
+  const { data } = useApiQuery("user.getById", [row.id]);
+  const user = data ?? row;
+
+  const [role, setRole] = useState(user.role);
+  const [days, setDays] = useState(7);
+  const [confirmDelete, setConfirmDelete] = useState(false);
+  const [busy, setBusy] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => setRole(user.role), [user.role]);
+
+  useEffect(() => {
+    const handleKey = (e) => e.key === "Escape" && onClose();
+    window.addEventListener("keydown", handleKey);
+    return () => window.removeEventListener("keydown", handleKey);
+  }, [onClose]);
+
+  const run = async (name, args, message) => {
+    setBusy(name);
+    setError(null);
+    setNotice(null);
+    try {
+      await runMutation(name, args);
+      setNotice(message);
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (await run("user.deleteByAdmin", [user.id], "User deleted")) onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex justify-end">
+      <div className="absolute inset-0 bg-black/30" onClick={onClose} />
+      <aside
+        role="dialog"
+        aria-label={`${user.name} details`}
+        className="relative w-full max-w-md h-full bg-white shadow-xl overflow-y-auto p-6 space-y-6"
+      >
+        <div className="flex items-start gap-4">
+          <UserAvatar user={user} />
+          <div className="flex-1 min-w-0">
+            <h2 className="text-xl font-bold text-gray-900 truncate">
+              {user.name}
+            </h2>
+            <p className="text-gray-600 text-sm truncate">{user.email}</p>
+          </div>
+          <button
+            onClick={onClose}
+            aria-label="Close"
+            className="text-gray-500 hover:text-red-800 text-2xl leading-none"
+          >
+            ×
+          </button>
+        </div>
+
+        <dl className="grid grid-cols-2 gap-4 text-sm">
+          <Detail label="Role">{humanize(user.role)}</Detail>
+          <Detail label="Status">
+            <StatusBadge status={user.status} />
+          </Detail>
+          {user.status === "suspended" && (
+            <Detail label="Suspended until">
+              {formatDateTime(user.suspendedUntil)}
+            </Detail>
+          )}
+          <Detail label="Phone">{user.phone || "-"}</Detail>
+          <Detail label="Joined">{formatDateTime(user.createdAt)}</Detail>
+        </dl>
+
+        {notice && (
+          <div className="bg-green-50 text-green-800 rounded-lg p-3 text-sm">
+            {notice}
+          </div>
+        )}
+        {error && (
+          <div className="bg-red-50 text-red-800 rounded-lg p-3 text-sm">
+            {error}
+          </div>
+        )}
+
+        {isSelf ? (
+          <p className="text-sm text-gray-600">
+            This is your account. Another admin has to change its role or
+            status.
+          </p>
+        ) : (
+          <>
+            <section className="space-y-3">
+              <h3 className="font-bold text-gray-800">Role</h3>
+              <div className="flex flex-wrap gap-2">
+                <select
+                  value={role}
+                  onChange={(e) => setRole(e.target.value)}
+                  disabled={Boolean(busy)}
+                  className="bg-white border border-gray-200 rounded-lg py-2 px-3 text-gray-700 text-sm focus:outline-none focus:ring-1 focus:ring-red-800"
+                >
+                  {ROLES.map((value) => (
+                    <option key={value} value={value}>
+                      {humanize(value)}
+                    </option>
+                  ))}
+                </select>
+                <button
+                  onClick={() =>
+                    run(
+                      "user.changeRole",
+                      [user.id, role],
+                      `Role changed to ${humanize(role)}`
+                    )
+                  }
+                  disabled={Boolean(busy) || role === user.role}
+                  className={primaryClass}
+                >
+                  Change Role
+                </button>
+              </div>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => run("user.promote", [user.id], "Promoted")}
+                  disabled={Boolean(busy)}
+                  className={outlineClass}
+                >
+                  Promote
+                </button>
+                <button
+                  onClick={() => run("user.demote", [user.id], "Demoted")}
+                  disabled={Boolean(busy)}
+                  className={outlineClass}
+                >
+                  Demote
+                </button>
+              </div>
+            </section>
+
+            <section className="space-y-3">
+              <h3 className="font-bold text-gray-800">Access</h3>
+              {user.status === "active" && (
+                <>
+                  <SuspensionDays
+                    value={days}
+                    onChange={setDays}
+                    disabled={Boolean(busy)}
+                  />
+                  <div className="flex gap-2">
+                    <button
+                      onClick={() =>
+                        run(
+                          "user.changeStatus",
+                          [user.id, "suspended", days],
+                          `Suspended for ${days} day${days === 1 ? "" : "s"}`
+                        )
+                      }
+                      disabled={Boolean(busy) || !isValidSuspension(days)}
+                      className={outlineClass}
+                    >
+                      Suspend
+                    </button>
+                    <button
+                      onClick={() =>
+                        run("user.changeStatus", [user.id, "banned"], "Banned")
+                      }
+                      disabled={Boolean(busy)}
+                      className={primaryClass}
+                    >
+                      Ban
+                    </button>
+                  </div>
+                </>
+              )}
+              {user.status === "suspended" && (
+                <button
+                  onClick={() =>
+                    run("user.unsuspend", [user.id], "Suspension lifted")
+                  }
+                  disabled={Boolean(busy)}
+                  className={primaryClass}
+                >
+                  Lift Suspension
+                </button>
+              )}
+              {user.status === "banned" && (
+                <button
+                  onClick={() => run("user.unban", [user.id], "Ban lifted")}
+                  disabled={Boolean(busy)}
+                  className={primaryClass}
+                >
+                  Unban
+                </button>
+              )}
+            </section>
+
+            <section className="space-y-3 border-t border-gray-100 pt-6">
+              <h3 className="font-bold text-red-800">Delete Account</h3>
+              {confirmDelete ? (
+                <div className="flex items-center gap-2">
+                  <span className="text-sm text-gray-700">
+                    Delete {user.name} permanently?
+                  </span>
+                  <button
+                    onClick={handleDelete}
+                    disabled={Boolean(busy)}
+                    className={primaryClass}
+                  >
+                    Delete
+                  </button>
+                  <button
+                    onClick={() => setConfirmDelete(false)}
+                    disabled={Boolean(busy)}
+                    className={outlineClass}
+                  >
+                    Keep
+                  </button>
+                </div>
+              ) : (
+                <button
+                  onClick={() => setConfirmDelete(true)}
+                  disabled={Boolean(busy)}
+                  className={outlineClass}
+                >
+                  Delete User
+                </button>
+              )}
+            </section>
+          </>
+        )}
+      </aside>
+    </div>
+  );
+};
+
+export default UserDrawer;
@@ -0,0 +1,243 @@
+"use client";
+import { useEffect, useState } from "react";
+import Link from "next/link";
+import api, { getMockBackend } from "../api/services";
+import { useApiQuery } from "../api/hooks";
+import { normalizePage } from "../api/pagination";
+import { clearQueryCache } from "../api/queryCache";
+import { DEMO_PASSWORD } from "../api/mock/seed";
+import { formatTime } from "../lib/format";
+import { homeForRole } from "../lib/roles";
+import { completeSignIn } from "../lib/session";
+
+const demoAccounts = [
+  { role: "ADMIN", email: "admin@dineflow.demo", blurb: "Users, tables, menu and reports" },
+  { role: "WAITER", email: "waiter@dineflow.demo", blurb: "Tables, orders and guests" },
+  { role: "CHEF", email: "chef@dineflow.demo", blurb: "Kitchen queue and menu items" },
+  { role: "CASHIER", email: "cashier@dineflow.demo", blurb: "Bills and payments" },
+];
+
+// Live numbers from the mock backend for the signed-in demo user
+const DemoSnapshot = ({ user }) => {
+  const tableStats = useApiQuery("table.stats", [], { live: true });
+  const orders = useApiQuery("menu.getOrders", [], { live: true });
+  const upcoming = useApiQuery("reservation.upcoming", [{ limit: 5 }], {
+    live: true,
+  });
+
+  const openOrders = orders.data
+    ? normalizePage(orders.data).items.filter(
+        (order) => !["paid", "cancelled"].includes(order.status)
+      )
+    : undefined;
+
+  const metrics = [
+    { value: tableStats.data?.available ?? "-", label: "Tables Available" },
+    { value: tableStats.data?.occupied ?? "-", label: "Tables Occupied" },
+    { value: openOrders?.length ?? "-", label: "Open Orders" },
+    {
+      value: upcoming.data ? normalizePage(upcoming.data).items.length : "-",
+      label: "Upcoming Bookings",
+    },
+  ];
+
+  return (
+    <div className="bg-white rounded-2xl shadow-xl p-6">
+      <div className="flex items-start justify-between gap-4 mb-1">
+        <h3 className="text-xl font-bold text-gray-800">
+          Signed in as {user.name}
+        </h3>
+        <Link
+          href={homeForRole(user.role)}
+          className="px-4 py-2 bg-red-800 text-white font-medium rounded-lg hover:bg-red-900 transition-colors"
+        >
+          Open Dashboard
+        </Link>
+      </div>
+      <p className="text-gray-600 text-sm mb-6">
+        {user.role.charAt(0) + user.role.slice(1).toLowerCase()} account on
+        sample data. Changes last until you reload the page.
+      </p>
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        {metrics.map((metric) => (
+          <div
+            key={metric.label}
+            className="bg-gray-50 rounded-lg p-3 text-center hover:shadow-md transition-shadow"
+          >
+            <div className="text-2xl font-bold text-gray-800">
+              {metric.value}
+            </div>
+            <div className="text-gray-600 text-xs">{metric.label}</div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+const CHANNEL_LABELS = { email: "Email", sms: "Text" };
+
+// What the mock backend would have emailed or texted, e.g. password reset
+// links, since there is no real mailbox or phone behind it
+const SentMessages = ({ user }) => {
+  const [messages, setMessages] = useState([]);
+
+  // Signing in switches mock mode on and leaving the demo switches it off
+  useEffect(() => {
+    let cancelled = false;
+    let unsubscribe = () => {};
+    getMockBackend().then((backend) => {
+      if (cancelled) return;
+      if (!backend) {
+        setMessages([]);
+        return;
+      }
+      const update = () => setMessages(backend.getSentMessages());
+      update();
+      unsubscribe = backend.subscribeMessages(update);
+    });
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [user?.id]);
+
+  if (!messages.length) return null;
+
+  return (
+    <div className="bg-white rounded-2xl shadow-xl p-6 mt-6">
+      <h3 className="text-xl font-bold text-gray-800 mb-1">Sent Messages</h3>
+      <p className="text-gray-600 text-sm mb-4">
+        Emails and texts the demo would have sent.
+      </p>
+      <ul className="divide-y divide-gray-100">
+        {messages.map((message) => (
+          <li key={message.id} className="py-3 flex items-start gap-3 text-sm">
+            <span className="bg-red-100 text-red-800 rounded-full px-2 py-0.5 text-xs font-medium">
+              {CHANNEL_LABELS[message.channel] ?? message.channel}
+            </span>
+            <div className="flex-1 min-w-0">
+              <div className="text-gray-500 text-xs">
+                To {message.to} · {formatTime(message.sentAt)}
+              </div>
+              <div className="text-gray-800">{message.text}</div>
+              {message.link && (
+                <Link
+                  href={message.link}
+                  className="text-red-800 font-medium hover:underline break-all"
+                >
+                  {message.link}
+                </Link>
+              )}
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+const DemoPage = () => {
+  const [user, setUser] = useState(null);
+  const [pendingRole, setPendingRole] = useState(null);
+  const [error, setError] = useState(null);
+
+  const startDemo = async (account) => {
+    setPendingRole(account.role);
+    setError(null);
+    try {
+      api.enableMockMode();
+      clearQueryCache();
+      const { accessToken } = await api.auth.login({
+        email: account.email,
+        password: DEMO_PASSWORD,
+      });
+      setUser(await completeSignIn(accessToken));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setPendingRole(null);
+    }
+  };
+
+  const exitDemo = async () => {
+    await api.clearAuthToken();
+    api.enableMockMode(false);
+    clearQueryCache();
+    setUser(null);
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-gray-50 to-gray-100">
+      <header className="bg-white shadow-md">
+        <div className="container mx-auto px-4 py-3 flex items-center justify-between">
+          <Link href="/" className="flex items-center space-x-2">
+            <div className="bg-red-800 w-10 h-10 rounded-lg flex items-center justify-center">
+              <span className="text-white font-bold text-xl">D</span>
+            </div>
+            <h1 className="text-2xl font-bold text-red-800">DineFlow</h1>
+          </Link>
+          {user && (
+            <button
+              onClick={exitDemo}
+              className="px-4 py-2 border-2 border-red-800 text-red-800 font-medium rounded-lg hover:bg-red-50 transition-colors"
+            >
+              Exit Demo
+            </button>
+          )}
+        </div>
+      </header>
+
+      <section className="py-16 px-4">
+        <div className="container mx-auto max-w-4xl">
+          <div className="text-center mb-12">
+            <h2 className="text-3xl md:text-4xl font-bold text-gray-900 mb-4">
+              Try DineFlow with Sample Data
+            </h2>
+            <p className="text-xl text-gray-600">
+              Pick a role to explore. Everything runs in your browser - no
+              account or server needed.
+            </p>
+          </div>
+
+          {error && (
+            <div className="bg-red-50 text-red-800 rounded-lg p-3 mb-6 text-center">
+              {error}
+            </div>
+          )}
+
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-10">
+            {demoAccounts.map((account) => (
+              <button
+                key={account.role}
+                onClick={() => startDemo(account)}
+                disabled={pendingRole !== null}
+                className={`text-center p-6 rounded-xl transition-shadow hover:shadow-lg disabled:opacity-60 ${
+                  user?.role === account.role
+                    ? "bg-red-800 text-white"
+                    : "bg-white text-gray-800"
+                }`}
+              >
+                <div className="text-lg font-bold mb-1">
+                  {account.role.charAt(0) + account.role.slice(1).toLowerCase()}
+                </div>
+                <div
+                  className={`text-sm ${
+                    user?.role === account.role ? "text-red-100" : "text-gray-600"
+                  }`}
+                >
+                  {pendingRole === account.role ? "Signing in..." : account.blurb}
+                </div>
+              </button>
+            ))}
+          </div>
+
+          {user && <DemoSnapshot user={user} />}
+          <SentMessages user={user} />
+        </div>
+      </section>
+    </div>
+  );
+};
+
+export default DemoPage;
@@ -0,0 +1,8 @@
+import Forbidden from "../components/Forbidden";
+
+// Middleware rewrites refused requests here with a 403 status
+export const metadata = { title: "Access denied - DineFlow" };
+
+export default function ForbiddenPage() {
+  return <Forbidden />;
+}
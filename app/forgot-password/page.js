@@ -0,0 +1,113 @@
+"use client";
+import { useState } from "react";
+import Link from "next/link";
+import api from "../api/services";
+import AuthShell from "../components/AuthShell";
+import FormField, { inputClass } from "../components/FormField";
+import { isEmail } from "../lib/validation";
+
+const ForgotPasswordPage = () => {
+  const [email, setEmail] = useState("");
+  const [fieldError, setFieldError] = useState(null);
+  const [error, setError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [sentTo, setSentTo] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    if (!isEmail(email)) {
+      setFieldError("Enter a valid email address");
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      await api.auth.forgotPassword(email.trim());
+      setSentTo(email.trim());
+    } catch (err) {
+      const errors = err.data?.errors ?? {};
+      setFieldError(errors.email ?? null);
+      if (!errors.email) setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  // The response is the same whether or not the account exists, so the
+  // page never reveals which emails are registered
+  if (sentTo) {
+    return (
+      <AuthShell>
+        <div className="text-center">
+          <h1 className="text-2xl font-bold text-gray-900 mb-2">
+            Check your email
+          </h1>
+          <p className="text-gray-600 mb-6">
+            If <span className="font-medium text-gray-800">{sentTo}</span>{" "}
+            belongs to a DineFlow account, we sent it a link to reset your
+            password. The link expires after an hour.
+          </p>
+          <button
+            onClick={() => setSentTo(null)}
+            className="w-full py-2 border-2 border-red-800 text-red-800 font-medium rounded-lg hover:bg-red-50 transition-colors mb-3"
+          >
+            Use a different email
+          </button>
+          <Link href="/login" className="text-sm text-red-800 font-medium hover:underline">
+            Back to sign in
+          </Link>
+        </div>
+      </AuthShell>
+    );
+  }
+
+  return (
+    <AuthShell>
+      <h1 className="text-2xl font-bold text-gray-900 mb-1">Forgot your password?</h1>
+      <p className="text-gray-600 mb-6">
+        Enter your email and we will send you a link to choose a new one.
+      </p>
+
+      {error && (
+        <div className="bg-red-50 text-red-800 rounded-lg p-3 mb-4 text-sm">
+          {error}
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} noValidate className="space-y-4">
+        <FormField label="Email" name="email" error={fieldError}>
+          <input
+            id="email"
+            name="email"
+            type="email"
+            autoComplete="email"
+            value={email}
+            onChange={(e) => {
+              setEmail(e.target.value);
+              setFieldError(null);
+            }}
+            className={inputClass(fieldError)}
+          />
+        </FormField>
+
+        <button
+          type="submit"
+          disabled={isSubmitting}
+          className="w-full py-2 bg-red-800 text-white font-medium rounded-lg hover:bg-red-900 transition-colors disabled:opacity-60"
+        >
+          {isSubmitting ? "Sending..." : "Send Reset Link"}
+        </button>
+      </form>
+
+      <p className="text-center text-sm text-gray-600 mt-6">
+        Remembered it?{" "}
+        <Link href="/login" className="text-red-800 font-medium hover:underline">
+          Sign in
+        </Link>
+      </p>
+    </AuthShell>
+  );
+};
+
+export default ForgotPasswordPage;
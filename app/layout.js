@@ -1,4 +1,8 @@
 import "./globals.css";
+import PendingSyncIndicator from "./components/PendingSyncIndicator";
+import AuthProvider from "./components/AuthProvider";
+import RouteGuard from "./components/RouteGuard";
+import TerminalLock from "./components/TerminalLock";
 
 export const metadata = {
   title: "DINEFLOW-Restaurant Management System",
@@ -20,7 +24,13 @@ export default function RootLayout({ children }) {
           rel="stylesheet"
         />
       </head>
-      <body className="font-poppins antialiased">{children}</body>
+      <body className="font-poppins antialiased">
+        <AuthProvider>
+          <RouteGuard>{children}</RouteGuard>
+          <TerminalLock />
+        </AuthProvider>
+        <PendingSyncIndicator />
+      </body>
     </html>
   );
 }
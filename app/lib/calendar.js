@@ -0,0 +1,98 @@
+// Local-time date helpers for the reservation calendar and booking screens.
+// Dates are handled as Date objects and sent to the API as ISO strings.
+
+// Service hours the timelines and booking slots cover, in local time
+export const OPENING_HOUR = 10;
+export const CLOSING_HOUR = 23;
+export const SLOT_MINUTES = 15;
+export const DEFAULT_DURATION = 90;
+
+const MINUTE = 60 * 1000;
+
+export const startOfDay = (date) => {
+  const next = new Date(date);
+  next.setHours(0, 0, 0, 0);
+  return next;
+};
+
+export const addDays = (date, days) => {
+  const next = new Date(date);
+  next.setDate(next.getDate() + days);
+  return next;
+};
+
+export const addMinutes = (date, minutes) =>
+  new Date(new Date(date).getTime() + minutes * MINUTE);
+
+// Weeks start on Monday
+export const startOfWeek = (date) => {
+  const day = startOfDay(date);
+  return addDays(day, -((day.getDay() + 6) % 7));
+};
+
+export const isSameDay = (a, b) =>
+  startOfDay(a).getTime() === startOfDay(b).getTime();
+
+// Minutes since local midnight
+export const minutesIntoDay = (date) =>
+  new Date(date).getHours() * 60 + new Date(date).getMinutes();
+
+// A time of day on the given date, as minutes since local midnight. Adding
+// the minutes to midnight instead is an hour off after the clocks change.
+export const atMinute = (day, minutes) => {
+  const next = startOfDay(day);
+  next.setHours(0, minutes);
+  return next;
+};
+
+// The same time of day on another date
+export const withTimeOf = (day, time) => {
+  const next = startOfDay(day);
+  next.setHours(new Date(time).getHours(), new Date(time).getMinutes());
+  return next;
+};
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// "2024-05-31" and "19:30" for date and time inputs, in local time
+export const toDateInput = (date) => {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+};
+
+export const toTimeInput = (date) => {
+  const d = new Date(date);
+  return `${pad(d.getHours())}:${pad(d.getMinutes())}`;
+};
+
+export const fromDateInput = (value) => {
+  const [year, month, day] = value.split("-").map(Number);
+  return new Date(year, month - 1, day);
+};
+
+// "19:30" on the given day
+export const fromTimeInput = (value, day = new Date()) => {
+  const [hours, minutes] = value.split(":").map(Number);
+  const next = startOfDay(day);
+  next.setHours(hours, minutes);
+  return next;
+};
+
+// Start times on the slot grid between opening and the last seating
+export const daySlots = (day, duration = DEFAULT_DURATION) => {
+  const slots = [];
+  const first = OPENING_HOUR * 60;
+  const last = CLOSING_HOUR * 60 - duration;
+  for (let minutes = first; minutes <= last; minutes += SLOT_MINUTES) {
+    slots.push(atMinute(day, minutes));
+  }
+  return slots;
+};
+
+export const formatDay = (date, options = {}) =>
+  new Date(date).toLocaleDateString([], {
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+    ...options,
+  });
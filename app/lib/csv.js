@@ -0,0 +1,29 @@
+// CSV export for the admin reports
+import { downloadFile } from "./download";
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return "";
+  let text = String(value);
+  if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// columns: [{ header, value: (row) => cell }]
+export function toCsv(rows, columns) {
+  const lines = [
+    columns.map((column) => escapeCell(column.header)),
+    ...rows.map((row) => columns.map((column) => escapeCell(column.value(row)))),
+  ];
+  return lines.map((cells) => cells.join(",")).join("\r\n");
+}
+
+// Starts a browser download. The byte-order mark makes Excel read UTF-8.
+export const downloadCsv = (filename, csv) =>
+  downloadFile(filename, ["\uFEFF", csv], "text/csv;charset=utf-8");
+
+// "workforce-2025-01-31.csv"
+export const datedFilename = (name, date = new Date()) =>
+  `${name}-${date.toISOString().slice(0, 10)}.csv`;
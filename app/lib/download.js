@@ -0,0 +1,16 @@
+// Browser downloads for generated files: CSV reports, calendar events and
+// floor plan exports.
+
+// Saves parts (anything a Blob takes) as filename. The object URL is revoked
+// on a later tick, since some browsers only start reading it after click()
+// returns and revoking straight away cancels the download.
+export function downloadFile(filename, parts, type) {
+  const url = URL.createObjectURL(new Blob([].concat(parts), { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
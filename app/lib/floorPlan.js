@@ -0,0 +1,262 @@
+// Floor plan geometry, layout documents and edit history. Positions are in
+// plan units on a PLAN_WIDTH x PLAN_HEIGHT canvas per zone, measured to the
+// centre of each table.
+import { TABLE_SHAPES } from "../api/schemas";
+
+export const PLAN_WIDTH = 960;
+export const PLAN_HEIGHT = 600;
+export const GRID = 20;
+export const ROTATION_STEP = 15;
+export const MAX_SEATS = 20;
+export const LAYOUT_VERSION = 1;
+export const DEFAULT_ZONE = "Main Hall";
+
+// Fields the editor owns; everything else on a table is left alone
+export const LAYOUT_FIELDS = [
+  "number",
+  "capacity",
+  "zone",
+  "x",
+  "y",
+  "shape",
+  "rotation",
+];
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+export const snap = (value, grid = GRID) => Math.round(value / grid) * grid;
+
+export const defaultShape = (capacity) =>
+  capacity > 6 ? "rectangle" : capacity > 2 ? "square" : "round";
+
+// Footprint before rotation; long tables grow with their seat count
+export function tableSize({ shape, capacity }) {
+  const side = capacity > 4 ? 80 : 60;
+  if (shape === "rectangle") {
+    return { width: 40 + Math.ceil(capacity / 2) * 30, height: 60 };
+  }
+  return { width: side, height: side };
+}
+
+// Keeps the whole table on the canvas
+export function clampPosition(table, x, y) {
+  const { width, height } = tableSize(table);
+  const radius = Math.hypot(width, height) / 2;
+  return {
+    x: clamp(x, radius, PLAN_WIDTH - radius),
+    y: clamp(y, radius, PLAN_HEIGHT - radius),
+  };
+}
+
+// Chair positions relative to the table centre, before rotation
+export function seatPositions({ shape, capacity }) {
+  const { width, height } = tableSize({ shape, capacity });
+  const gap = 12;
+  if (shape === "round") {
+    const radius = width / 2 + gap;
+    return Array.from({ length: capacity }, (_, index) => {
+      const angle = (index / capacity) * 2 * Math.PI - Math.PI / 2;
+      return { x: Math.cos(angle) * radius, y: Math.sin(angle) * radius };
+    });
+  }
+  // Long sides first, then the ends of a square table
+  const sides =
+    shape === "square"
+      ? ["top", "bottom", "left", "right"]
+      : ["top", "bottom"];
+  const perSide = sides.map(
+    (_, index) =>
+      Math.floor(capacity / sides.length) +
+      (index < capacity % sides.length ? 1 : 0)
+  );
+  return sides.flatMap((side, index) => {
+    const count = perSide[index];
+    const horizontal = side === "top" || side === "bottom";
+    const length = horizontal ? width : height;
+    return Array.from({ length: count }, (_, seat) => {
+      const along = ((seat + 1) / (count + 1) - 0.5) * length;
+      if (horizontal) {
+        return { x: along, y: (side === "top" ? -1 : 1) * (height / 2 + gap) };
+      }
+      return { x: (side === "left" ? -1 : 1) * (width / 2 + gap), y: along };
+    });
+  });
+}
+
+// Gives tables without a saved position a spot on a grid in their zone
+export function autoPlace(tables) {
+  const next = {};
+  return tables.map((table) => {
+    const shape = table.shape ?? defaultShape(table.capacity);
+    const rotation = table.rotation ?? 0;
+    const zone = table.zone ?? DEFAULT_ZONE;
+    if (table.x != null && table.y != null) {
+      return { ...table, zone, shape, rotation };
+    }
+    const index = next[zone] ?? 0;
+    next[zone] = index + 1;
+    const columns = Math.floor(PLAN_WIDTH / 160);
+    return {
+      ...table,
+      zone,
+      shape,
+      rotation,
+      x: 100 + (index % columns) * 160,
+      y: 100 + Math.floor(index / columns) * 160,
+    };
+  });
+}
+
+export const zonesOf = (tables) => [
+  ...new Set(tables.map((table) => table.zone ?? DEFAULT_ZONE)),
+];
+
+const pickLayout = (table) =>
+  Object.fromEntries(LAYOUT_FIELDS.map((field) => [field, table[field]]));
+
+// --- Import / export ---
+export const toLayoutDocument = (tables, zones) => ({
+  version: LAYOUT_VERSION,
+  exportedAt: new Date().toISOString(),
+  zones,
+  tables: tables.map(pickLayout),
+});
+
+// Throws with a message naming the first problem; returns { zones, tables }
+export function parseLayoutDocument(text) {
+  let document;
+  try {
+    document = JSON.parse(text);
+  } catch {
+    throw new Error("That file is not valid JSON");
+  }
+  if (document?.version !== LAYOUT_VERSION || !Array.isArray(document.tables)) {
+    throw new Error("That file is not a DineFlow floor plan");
+  }
+
+  const numbers = new Set();
+  const tables = document.tables.map((raw, index) => {
+    const where = `Table ${index + 1}`;
+    const number = Number(raw?.number);
+    const capacity = Number(raw?.capacity);
+    if (!Number.isInteger(number) || number < 1) {
+      throw new Error(`${where} needs a positive table number`);
+    }
+    if (numbers.has(number)) {
+      throw new Error(`Table number ${number} appears twice`);
+    }
+    numbers.add(number);
+    if (!Number.isInteger(capacity) || capacity < 1 || capacity > MAX_SEATS) {
+      throw new Error(`Table ${number} needs 1 to ${MAX_SEATS} seats`);
+    }
+    if (raw.shape != null && !TABLE_SHAPES.includes(raw.shape)) {
+      throw new Error(`Table ${number} has an unknown shape "${raw.shape}"`);
+    }
+    const x = raw.x == null ? null : Number(raw.x);
+    const y = raw.y == null ? null : Number(raw.y);
+    if (Number.isNaN(x) || Number.isNaN(y)) {
+      throw new Error(`Table ${number} has an invalid position`);
+    }
+    return {
+      number,
+      capacity,
+      zone: String(raw.zone || DEFAULT_ZONE),
+      x,
+      y,
+      shape: raw.shape ?? null,
+      rotation: ((Number(raw.rotation) || 0) % 360 + 360) % 360,
+    };
+  });
+
+  const placed = autoPlace(tables).map((table) => ({
+    ...table,
+    ...clampPosition(table, table.x, table.y),
+  }));
+  const zones = [
+    ...new Set([
+      ...(Array.isArray(document.zones) ? document.zones.map(String) : []),
+      ...zonesOf(placed),
+    ]),
+  ];
+  return { zones, tables: placed };
+}
+
+// --- Saving ---
+// What has to be sent to turn the saved tables into the edited ones.
+// Edited tables carry the saved `id`, or none when they are new; created
+// entries keep the editor row's `key` next to the layout to send.
+export function diffLayout(saved, edited) {
+  const savedById = new Map(saved.map((table) => [table.id, table]));
+  const keptIds = new Set();
+  const created = [];
+  const updated = [];
+
+  edited.forEach((table) => {
+    const original = table.id != null ? savedById.get(table.id) : null;
+    if (!original) {
+      created.push({ key: table.key, layout: pickLayout(table) });
+      return;
+    }
+    keptIds.add(table.id);
+    const changes = Object.fromEntries(
+      LAYOUT_FIELDS.filter((field) => table[field] !== original[field]).map(
+        (field) => [field, table[field]]
+      )
+    );
+    if (Object.keys(changes).length) updated.push({ id: table.id, changes });
+  });
+
+  const deleted = saved.filter((table) => !keptIds.has(table.id));
+  return { created, updated, deleted };
+}
+
+export const countChanges = ({ created, updated, deleted }) =>
+  created.length + updated.length + deleted.length;
+
+// --- Undo / redo ---
+const HISTORY_LIMIT = 100;
+
+export const createHistory = (present) => ({ past: [], present, future: [] });
+
+// actions: { type: "set", value } records a step; "preview" changes the
+// present without one (mid-drag) and "commit" records the step a preview
+// started from; "undo", "redo" and "reset" do what they say
+export function historyReducer(history, action) {
+  const { past, present, future } = history;
+  switch (action.type) {
+    case "set":
+      if (action.value === present) return history;
+      return {
+        past: [...past, present].slice(-HISTORY_LIMIT),
+        present: action.value,
+        future: [],
+      };
+    case "preview":
+      return { ...history, present: action.value };
+    case "commit":
+      if (action.from === present) return history;
+      return {
+        past: [...past, action.from].slice(-HISTORY_LIMIT),
+        present,
+        future: [],
+      };
+    case "undo":
+      if (!past.length) return history;
+      return {
+        past: past.slice(0, -1),
+        present: past[past.length - 1],
+        future: [present, ...future],
+      };
+    case "redo":
+      if (!future.length) return history;
+      return {
+        past: [...past, present],
+        present: future[0],
+        future: future.slice(1),
+      };
+    case "reset":
+      return createHistory(action.value);
+    default:
+      return history;
+  }
+}
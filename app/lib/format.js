@@ -0,0 +1,27 @@
+// Display formatting shared by the dashboard screens
+export const formatDateTime = (value) =>
+  value
+    ? new Date(value).toLocaleString([], {
+        dateStyle: "medium",
+        timeStyle: "short",
+      })
+    : "-";
+
+export const formatTime = (value) =>
+  value
+    ? new Date(value).toLocaleTimeString([], {
+        hour: "numeric",
+        minute: "2-digit",
+      })
+    : "-";
+
+export const formatCurrency = (amount) =>
+  new Intl.NumberFormat(undefined, { style: "currency", currency: "USD" }).format(
+    Number(amount) || 0
+  );
+
+// "no_show" -> "No show", "WAITER" -> "Waiter"
+export const humanize = (value = "") => {
+  const text = String(value).replace(/_/g, " ").toLowerCase();
+  return text.charAt(0).toUpperCase() + text.slice(1);
+};
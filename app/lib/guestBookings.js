@@ -0,0 +1,72 @@
+// Booking rules for the guest portal: what counts as upcoming, and how close
+// to the time a guest may still change or cancel a booking online.
+import api from "../api/services";
+import { runMutation } from "../api/queryCache";
+import { DEFAULT_DURATION, addMinutes } from "./calendar";
+
+// Hours before the booking when online changes close; 0 allows them up to
+// the booking time. Later changes go through the restaurant.
+export const CHANGE_CUTOFF_HOURS = Number(
+  process.env.NEXT_PUBLIC_GUEST_CHANGE_CUTOFF_HOURS ?? 2
+);
+
+const CHANGEABLE_STATUSES = ["pending", "confirmed"];
+const ACTIVE_STATUSES = [...CHANGEABLE_STATUSES, "seated"];
+
+const durationOf = (reservation) =>
+  reservation.durationMinutes || DEFAULT_DURATION;
+
+// Whether a booking at time is still far enough off for guests to handle
+// online, both for the booking as it stands and for a time it moves to
+export const beforeCutoff = (time, now = Date.now()) =>
+  now < addMinutes(time, -CHANGE_CUTOFF_HOURS * 60).getTime();
+
+export const changeDeadline = (reservation) =>
+  addMinutes(reservation.reservationTime, -CHANGE_CUTOFF_HOURS * 60);
+
+export const canChangeBooking = (reservation, now = Date.now()) =>
+  CHANGEABLE_STATUSES.includes(reservation.status) &&
+  beforeCutoff(reservation.reservationTime, now);
+
+// Still to come or under way; everything else is history
+const isUpcoming = (reservation, now) =>
+  ACTIVE_STATUSES.includes(reservation.status) &&
+  (reservation.status === "seated" ||
+    addMinutes(reservation.reservationTime, durationOf(reservation)) > now);
+
+// { upcoming: soonest first, past: most recent first }
+export function splitBookings(reservations = [], now = Date.now()) {
+  const byTime = [...reservations].sort(
+    (a, b) => new Date(a.reservationTime) - new Date(b.reservationTime)
+  );
+  return {
+    upcoming: byTime.filter((r) => isUpcoming(r, now)),
+    past: byTime.filter((r) => !isUpcoming(r, now)).reverse(),
+  };
+}
+
+// Moves a booking to a new time or party size if a table is free for it,
+// keeping the current table when it still fits
+export async function changeBooking(reservation, { reservationTime, partySize }) {
+  if (!beforeCutoff(reservationTime)) {
+    throw new Error(
+      "That time is too close to book online. Please call the restaurant."
+    );
+  }
+  const availability = await api.reservation.checkAvailability({
+    reservationTime,
+    partySize,
+    durationMinutes: durationOf(reservation),
+    excludeId: reservation.id,
+  });
+  const tables = availability.tables ?? [];
+  const table =
+    tables.find((t) => t.id === reservation.tableId) ?? tables[0] ?? null;
+  if (!availability.available || !table) {
+    throw new Error("No table is free for that time. Please try another.");
+  }
+  return runMutation("reservation.update", [
+    reservation.id,
+    { reservationTime, partySize, tableId: table.id },
+  ]);
+}
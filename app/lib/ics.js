@@ -0,0 +1,88 @@
+// "Add to calendar" for bookings: an iCalendar (.ics) file that Apple
+// Calendar and Outlook open, and a Google Calendar link.
+import { DEFAULT_DURATION, addMinutes } from "./calendar";
+import { downloadFile } from "./download";
+
+const PRODUCT_ID = "-//DineFlow//Reservations//EN";
+// RFC 5545 lines are folded at 75 octets; staying under 75 characters of
+// ASCII keeps to that for everything but non-Latin text
+const MAX_LINE = 74;
+
+/**
+ * @typedef {Object} CalendarEvent
+ * @property {string} uid - stable across downloads so calendars update
+ *   the event instead of adding another
+ * @property {string} title
+ * @property {Date|string} start
+ * @property {Date|string} end
+ * @property {string} [description]
+ */
+
+// "20240531T173000Z"
+const utcStamp = (date) =>
+  new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+const escapeText = (text = "") =>
+  String(text)
+    .replace(/[\\;,]/g, (char) => `\\${char}`)
+    .replace(/\r?\n/g, "\\n");
+
+const fold = (line) => {
+  const parts = [];
+  for (let i = 0; i < line.length; i += MAX_LINE) {
+    parts.push((i ? " " : "") + line.slice(i, i + MAX_LINE));
+  }
+  return parts.join("\r\n");
+};
+
+/** @returns {CalendarEvent} */
+export const reservationEvent = (reservation) => {
+  const guests = reservation.partySize === 1 ? "guest" : "guests";
+  return {
+    uid: `reservation-${reservation.id}@dineflow`,
+    title: `DineFlow: table for ${reservation.partySize}`,
+    start: reservation.reservationTime,
+    end: addMinutes(
+      reservation.reservationTime,
+      reservation.durationMinutes || DEFAULT_DURATION
+    ),
+    description: [
+      `${reservation.partySize} ${guests}, booking reference #${reservation.id}`,
+      reservation.specialRequests,
+    ]
+      .filter(Boolean)
+      .join("\n"),
+  };
+};
+
+export function toIcs(event) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODUCT_ID}`,
+    "METHOD:PUBLISH",
+    "BEGIN:VEVENT",
+    `UID:${event.uid}`,
+    `DTSTAMP:${utcStamp(new Date())}`,
+    `DTSTART:${utcStamp(event.start)}`,
+    `DTEND:${utcStamp(event.end)}`,
+    `SUMMARY:${escapeText(event.title)}`,
+    ...(event.description
+      ? [`DESCRIPTION:${escapeText(event.description)}`]
+      : []),
+    "END:VEVENT",
+    "END:VCALENDAR",
+  ];
+  return lines.map(fold).join("\r\n") + "\r\n";
+}
+
+export const downloadIcs = (filename, event) =>
+  downloadFile(filename, toIcs(event), "text/calendar;charset=utf-8");
+
+export const googleCalendarUrl = (event) =>
+  `https://calendar.google.com/calendar/render?${new URLSearchParams({
+    action: "TEMPLATE",
+    text: event.title,
+    dates: `${utcStamp(event.start)}/${utcStamp(event.end)}`,
+    details: event.description ?? "",
+  })}`;
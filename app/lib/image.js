@@ -0,0 +1,73 @@
+// Client-side image handling for avatar uploads: decode, square crop and
+// downscale on a canvas before anything is sent
+
+export const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+export const AVATAR_SIZE = 256;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// Resolves { image, url }; revoke the url once the image is no longer shown
+export const loadImage = (file) =>
+  new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+    image.onload = () => resolve({ image, url });
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("That file is not an image we can read"));
+    };
+    image.src = url;
+  });
+
+// Where the image sits in a size x size frame: scaled to cover it, times
+// zoom, shifted by offset (frame pixels) but never far enough to show a gap.
+// The returned offset is the clamped one.
+export function coverLayout(image, size, zoom, offset) {
+  const scale =
+    Math.max(size / image.naturalWidth, size / image.naturalHeight) * zoom;
+  const width = image.naturalWidth * scale;
+  const height = image.naturalHeight * scale;
+  const maxX = (width - size) / 2;
+  const maxY = (height - size) / 2;
+  const x = clamp(offset.x, -maxX, maxX);
+  const y = clamp(offset.y, -maxY, maxY);
+  return {
+    width,
+    height,
+    left: (size - width) / 2 + x,
+    top: (size - height) / 2 + y,
+    offset: { x, y },
+  };
+}
+
+export function drawCrop(canvas, image, zoom, offset) {
+  const size = canvas.width;
+  const context = canvas.getContext("2d");
+  const { left, top, width, height } = coverLayout(image, size, zoom, offset);
+  // JPEG has no alpha; transparent pixels would otherwise turn black
+  context.fillStyle = "#fff";
+  context.fillRect(0, 0, size, size);
+  context.imageSmoothingQuality = "high";
+  context.drawImage(image, left, top, width, height);
+}
+
+// Renders the crop chosen in a previewSize frame at outputSize as a JPEG
+export function cropToBlob(
+  image,
+  { zoom, offset, previewSize, outputSize = AVATAR_SIZE, quality = 0.9 }
+) {
+  const canvas = document.createElement("canvas");
+  canvas.width = outputSize;
+  canvas.height = outputSize;
+  const ratio = outputSize / previewSize;
+  drawCrop(canvas, image, zoom, { x: offset.x * ratio, y: offset.y * ratio });
+
+  return new Promise((resolve, reject) =>
+    canvas.toBlob(
+      (blob) =>
+        blob ? resolve(blob) : reject(new Error("Could not process the image")),
+      "image/jpeg",
+      quality
+    )
+  );
+}
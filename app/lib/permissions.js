@@ -0,0 +1,93 @@
+// Who may open which route. Both middleware.js and the client RouteGuard
+// read this map, and /admin/access lists it, so it is the one place to
+// declare access for a new page.
+//
+// access is PUBLIC, SIGNED_IN or a list of roles. The longest matching path
+// wins, so "/admin/access" can differ from "/admin"; a path also covers its
+// sub-routes unless marked exact. Routes not listed need a signed-in user.
+
+export const PUBLIC = "public";
+export const SIGNED_IN = "signed-in";
+
+export const LOGIN_PATH = "/login";
+export const FORBIDDEN_PATH = "/forbidden";
+
+export const ROUTE_PERMISSIONS = [
+  { path: "/", label: "Landing page", access: PUBLIC, exact: true },
+  { path: "/Home", label: "Landing page", access: PUBLIC },
+  { path: "/demo", label: "Demo", access: PUBLIC },
+  { path: LOGIN_PATH, label: "Sign in", access: PUBLIC },
+  { path: "/signup", label: "Sign up", access: PUBLIC },
+  { path: "/forgot-password", label: "Forgot password", access: PUBLIC },
+  { path: "/reset-password", label: "Reset password", access: PUBLIC },
+  { path: "/verify-email", label: "Verify email", access: PUBLIC },
+  { path: "/auth/callback", label: "Google sign-in", access: PUBLIC },
+  { path: FORBIDDEN_PATH, label: "Access denied", access: PUBLIC },
+  { path: "/book", label: "Book a table", access: PUBLIC },
+  { path: "/my-reservations", label: "My reservations", access: SIGNED_IN },
+
+  { path: "/profile", label: "My profile", access: SIGNED_IN },
+  { path: "/admin", label: "Admin dashboard", access: ["ADMIN"] },
+  { path: "/admin/access", label: "Route access", access: ["ADMIN"] },
+  { path: "/admin/users", label: "User management", access: ["ADMIN"] },
+  { path: "/admin/stats", label: "Workforce statistics", access: ["ADMIN"] },
+  { path: "/admin/floor-plan", label: "Floor plan editor", access: ["ADMIN"] },
+  { path: "/waiter", label: "Waiter dashboard", access: ["ADMIN", "WAITER"] },
+  { path: "/chef", label: "Chef dashboard", access: ["ADMIN", "CHEF"] },
+  {
+    path: "/cashier",
+    label: "Cashier dashboard",
+    access: ["ADMIN", "CASHIER"],
+  },
+  {
+    path: "/terminal",
+    label: "Terminal mode",
+    access: ["ADMIN", "WAITER", "CHEF", "CASHIER"],
+  },
+  {
+    path: "/tables",
+    label: "Table board",
+    access: ["ADMIN", "WAITER", "CASHIER"],
+  },
+  {
+    path: "/waitlist",
+    label: "Walk-in waitlist",
+    access: ["ADMIN", "WAITER", "CASHIER"],
+  },
+  {
+    path: "/reservations",
+    label: "Reservations",
+    access: ["ADMIN", "WAITER"],
+  },
+  {
+    path: "/orders",
+    label: "Orders",
+    access: ["ADMIN", "WAITER", "CHEF", "CASHIER"],
+  },
+];
+
+const matches = (route, pathname) =>
+  route.path === pathname ||
+  (!route.exact &&
+    pathname.startsWith(route.path === "/" ? "/" : `${route.path}/`));
+
+export function findRoute(pathname) {
+  return ROUTE_PERMISSIONS.filter((route) => matches(route, pathname)).reduce(
+    (best, route) =>
+      !best || route.path.length > best.path.length ? route : best,
+    null
+  );
+}
+
+export const routeAccess = (pathname) =>
+  findRoute(pathname)?.access ?? SIGNED_IN;
+
+export const isPublicRoute = (pathname) => routeAccess(pathname) === PUBLIC;
+
+// role is null for a visitor who is not signed in
+export function canAccess(role, pathname) {
+  const access = routeAccess(pathname);
+  if (access === PUBLIC) return true;
+  if (!role) return false;
+  return access === SIGNED_IN || access.includes(role);
+}
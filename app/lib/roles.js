@@ -0,0 +1,40 @@
+// Where each role lands after signing in. Staff roles match the dashboards
+// previewed on the landing page and guests see their bookings; anyone else
+// goes back to the home page.
+export const ROLE_HOME = Object.freeze({
+  ADMIN: "/admin",
+  WAITER: "/waiter",
+  CHEF: "/chef",
+  CASHIER: "/cashier",
+  CUSTOMER: "/my-reservations",
+});
+
+export const DEFAULT_HOME = "/";
+
+export const STAFF_ROLES = ["ADMIN", "WAITER", "CHEF", "CASHIER"];
+
+export const homeForRole = (role) => ROLE_HOME[role] ?? DEFAULT_HOME;
+
+// Backslashes count as slashes in browsers ("/\\evil.example"), and control
+// characters are stripped before parsing, so neither may appear, encoded or not
+const UNSAFE_PATH_CHARS = /[\\\u0000-\u001f\u007f]/;
+
+// Only same-origin paths are honoured as a post-login destination, so a
+// crafted ?next=https://evil.example cannot bounce users off the site.
+// Returns the normalised path, query and hash, or null.
+export const safeRedirectPath = (path) => {
+  if (typeof path !== "string" || !path.startsWith("/")) return null;
+  let decoded;
+  try {
+    decoded = decodeURIComponent(path);
+  } catch {
+    return null;
+  }
+  if (UNSAFE_PATH_CHARS.test(path) || UNSAFE_PATH_CHARS.test(decoded)) {
+    return null;
+  }
+  const origin =
+    typeof window !== "undefined" ? window.location.origin : "http://localhost";
+  const url = new URL(path, origin);
+  return url.origin === origin ? url.pathname + url.search + url.hash : null;
+};
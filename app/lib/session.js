@@ -0,0 +1,64 @@
+// Sign-in and sign-out steps shared by the auth screens
+import api from "../api/services";
+import { clearQueryCache, setQueryData } from "../api/queryCache";
+import { reconnect } from "../api/realtime";
+import { canAccess } from "./permissions";
+import { homeForRole, safeRedirectPath } from "./roles";
+import { forgetActiveMember } from "./terminal";
+
+// Stores the new token, drops anything cached for the previous user and
+// returns the signed-in profile
+export async function completeSignIn(token) {
+  await api.setAuthToken(token);
+  clearQueryCache();
+  reconnect();
+  const user = await api.user.getMe();
+  // Guarded pages read the profile from the cache; seed it to skip a refetch
+  setQueryData("user.getMe", [], user);
+  return user;
+}
+
+// The page the user was sent away from, if their role may open it, else
+// their role's dashboard
+export function landingPath(user, next) {
+  const path = safeRedirectPath(next);
+  const pathname = path?.split(/[?#]/)[0];
+  return path && canAccess(user?.role, pathname) ? path : homeForRole(user?.role);
+}
+
+// Google returns to /auth/callback on a fresh page load, so the destination
+// is parked in sessionStorage for the round trip
+const OAUTH_NEXT_KEY = "dineflow.oauth.next";
+
+export function startGoogleSignIn(next) {
+  try {
+    if (safeRedirectPath(next)) {
+      window.sessionStorage.setItem(OAUTH_NEXT_KEY, next);
+    } else {
+      window.sessionStorage.removeItem(OAUTH_NEXT_KEY);
+    }
+  } catch {
+    // Without sessionStorage the user lands on their dashboard instead
+  }
+  api.auth.googleLogin();
+}
+
+export function takeOAuthNext() {
+  try {
+    const next = window.sessionStorage.getItem(OAUTH_NEXT_KEY);
+    window.sessionStorage.removeItem(OAUTH_NEXT_KEY);
+    return next;
+  } catch {
+    return null;
+  }
+}
+
+export async function signOut() {
+  forgetActiveMember();
+  try {
+    await api.auth.logout();
+  } catch {
+    // The local token is already gone; a failed server call changes nothing
+  }
+  clearQueryCache();
+}
@@ -0,0 +1,108 @@
+// Table status colours, the changes staff can make from the floor, and the
+// optimistic status update shared by the live table boards.
+import {
+  TABLE_STATE_QUERIES,
+  getQuerySnapshot,
+  invalidateQueries,
+  setQueryData,
+} from "../api/queryCache";
+import { sendOrQueue } from "../api/outbox";
+import { Table, parse } from "../api/schemas";
+
+// SVG colours for FloorPlanCanvas, matching StatusBadge
+export const STATUS_STYLES = {
+  available: { fill: "#dcfce7", stroke: "#16a34a", text: "#166534" },
+  reserved: { fill: "#dbeafe", stroke: "#2563eb", text: "#1e40af" },
+  occupied: { fill: "#fee2e2", stroke: "#dc2626", text: "#991b1b" },
+  cleaning: { fill: "#f3e8ff", stroke: "#9333ea", text: "#6b21a8" },
+};
+
+// Allowed moves, as the backend enforces them; the first one is the
+// one-tap action
+export const STATUS_ACTIONS = {
+  available: [
+    { status: "occupied", label: "Seat guests" },
+    { status: "reserved", label: "Hold for reservation" },
+    { status: "cleaning", label: "Needs cleaning" },
+  ],
+  reserved: [
+    { status: "occupied", label: "Seat guests" },
+    { status: "available", label: "Release" },
+  ],
+  occupied: [
+    { status: "cleaning", label: "Guests left" },
+    { status: "available", label: "Mark available" },
+  ],
+  cleaning: [{ status: "available", label: "Ready" }],
+};
+
+export const nextAction = (status) => STATUS_ACTIONS[status]?.[0] ?? null;
+
+// "45m", "1h 05m"
+export const formatElapsed = (since, now = Date.now()) => {
+  if (!since) return "";
+  const minutes = Math.max(0, Math.floor((now - new Date(since)) / 60000));
+  if (minutes < 60) return `${minutes}m`;
+  return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, "0")}m`;
+};
+
+// Cached lists that hold every table they show, whatever its status
+const TABLE_LISTS = ["table.getAll", "table.myTables"];
+
+// table.myOccupied holds only the waiter's occupied tables, so a change moves
+// the table into or out of it
+const patchMyOccupied = (id, changes) => {
+  if (!getQuerySnapshot("table.myOccupied", []).data) return;
+  const mine = getQuerySnapshot("table.myTables", []).data?.find(
+    (table) => table.id === id
+  );
+  setQueryData("table.myOccupied", [], (tables) => {
+    const rest = tables.filter((table) => table.id !== id);
+    const table = tables.find((t) => t.id === id) ?? mine;
+    if (!table || changes.status !== "occupied") return rest;
+    return [...rest, { ...table, ...changes }].sort(
+      (a, b) => a.number - b.number
+    );
+  });
+};
+
+const patchCachedTable = (id, changes) => {
+  TABLE_LISTS.forEach((name) => {
+    if (!getQuerySnapshot(name, []).data) return;
+    setQueryData(name, [], (tables) =>
+      tables.map((table) => (table.id === id ? { ...table, ...changes } : table))
+    );
+  });
+  if (getQuerySnapshot("table.get", [id]).data) {
+    setQueryData("table.get", [id], (table) => ({ ...table, ...changes }));
+  }
+  patchMyOccupied(id, changes);
+};
+
+// Shows the new status straight away, then sends it (or queues it while
+// offline). If the server refuses, the table goes back to what it was; on a
+// 409, another device got there first and the table shows the server's
+// version instead. The error is rethrown for the caller to report. Clearing
+// an occupied table also completes the booking seated at it, which records
+// the turn time the waitlist quotes from.
+export async function changeTableStatus(table, status) {
+  const previous = {
+    status: table.status,
+    occupiedSince: table.occupiedSince ?? null,
+  };
+  patchCachedTable(table.id, {
+    status,
+    occupiedSince: status === "occupied" ? new Date().toISOString() : null,
+  });
+  try {
+    return await sendOrQueue("table.changeStatus", [table.id, status]);
+  } catch (error) {
+    const current =
+      error.status === 409 && error.data?.current
+        ? parse(Table, error.data.current).value
+        : null;
+    patchCachedTable(table.id, current ?? previous);
+    invalidateQueries(TABLE_STATE_QUERIES);
+    throw error;
+  }
+}
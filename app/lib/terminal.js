@@ -0,0 +1,333 @@
+// Shared-terminal mode for POS tablets. Staff who join the terminal leave
+// their session parked on the device behind a PIN; the screen locks when
+// idle and a PIN swaps straight back into any parked session.
+import api from "../api/services";
+import { clearQueryCache, setQueryData } from "../api/queryCache";
+import { flushOutbox } from "../api/outbox";
+import { reconnect } from "../api/realtime";
+
+const STORAGE_KEY = "dineflow.terminal";
+
+export const PIN_PATTERN = /^\d{4,6}$/;
+export const MAX_PIN_ATTEMPTS = 5;
+export const DEFAULT_IDLE_MINUTES =
+  Number(process.env.NEXT_PUBLIC_TERMINAL_IDLE_MINUTES) || 2;
+
+const isBrowser = () => typeof window !== "undefined";
+
+// members: [{ userId, name, role, avatarUrl, salt, iv, sealed,
+// failedAttempts, lastPath }], where sealed is the member's token encrypted
+// under their PIN. None of the key material leaves this module.
+const emptyState = () => ({
+  enabled: false,
+  idleMinutes: DEFAULT_IDLE_MINUTES,
+  locked: false,
+  activeUserId: null,
+  members: [],
+});
+
+const read = () => {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    if (!saved) return emptyState();
+    // Members parked before tokens were sealed have to join again
+    const members = (saved.members ?? []).filter((member) => member.sealed);
+    return { ...emptyState(), ...saved, members };
+  } catch {
+    return emptyState();
+  }
+};
+
+// --- Observable state ---
+let state = emptyState();
+let snapshot = null;
+const listeners = new Set();
+
+const toSnapshot = ({ members, ...rest }) => ({
+  ...rest,
+  members: members.map(({ userId, name, role, avatarUrl, lastPath }) => ({
+    userId,
+    name,
+    role,
+    avatarUrl,
+    lastPath,
+  })),
+});
+
+const publish = () => {
+  snapshot = toSnapshot(state);
+  listeners.forEach((listener) => listener());
+};
+
+const save = (changes) => {
+  state = { ...state, ...changes };
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+  } catch {
+    // Private mode: the terminal still works until the page reloads
+  }
+  publish();
+};
+
+const SERVER_SNAPSHOT = toSnapshot(emptyState());
+export const getTerminalSnapshot = () => snapshot ?? SERVER_SNAPSHOT;
+export const getServerTerminalSnapshot = () => SERVER_SNAPSHOT;
+export const subscribeTerminal = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+if (isBrowser()) {
+  state = read();
+  snapshot = toSnapshot(state);
+  // Another tab locked, unlocked or changed the roster
+  window.addEventListener("storage", (event) => {
+    if (event.key !== STORAGE_KEY) return;
+    state = read();
+    publish();
+  });
+}
+
+const findMember = (userId) =>
+  state.members.find((member) => member.userId === userId);
+
+const updateMember = (userId, changes) =>
+  state.members.map((member) =>
+    member.userId === userId ? { ...member, ...changes } : member
+  );
+
+// --- PINs ---
+// Parked tokens are sealed with AES-GCM under a key derived from the PIN, so
+// storage holds neither the token nor a PIN hash, and someone reading storage
+// or using the lock screen cannot lift a session without knowing a PIN.
+// MAX_PIN_ATTEMPTS only limits the lock screen. It is no defence against a
+// copy of storage: a 4 to 6 digit PIN has at most 10^6 values, so even at
+// PIN_ITERATIONS a GPU opens the seal in hours, and the token inside is good
+// for as long as the session it belongs to can still be refreshed. Treat
+// storage on a terminal as no safer than the device itself.
+const PIN_ITERATIONS = 600000;
+
+const toBase64 = (bytes) =>
+  window.btoa(String.fromCharCode(...new Uint8Array(bytes)));
+const fromBase64 = (text) =>
+  Uint8Array.from(window.atob(text), (char) => char.charCodeAt(0));
+
+const randomBytes = (length) =>
+  window.crypto.getRandomValues(new Uint8Array(length));
+
+async function deriveKey(pin, salt) {
+  const { subtle } = window.crypto;
+  const material = await subtle.importKey(
+    "raw",
+    new TextEncoder().encode(pin),
+    "PBKDF2",
+    false,
+    ["deriveKey"]
+  );
+  return subtle.deriveKey(
+    { name: "PBKDF2", salt, iterations: PIN_ITERATIONS, hash: "SHA-256" },
+    material,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
+
+// { iv, sealed }, with a fresh IV every time
+async function sealToken(token, key) {
+  const iv = randomBytes(12);
+  const sealed = await window.crypto.subtle.encrypt(
+    { name: "AES-GCM", iv },
+    key,
+    new TextEncoder().encode(token)
+  );
+  return { iv: toBase64(iv), sealed: toBase64(sealed) };
+}
+
+// The member's token, or null when the key came from the wrong PIN
+async function openToken(member, key) {
+  try {
+    const token = await window.crypto.subtle.decrypt(
+      { name: "AES-GCM", iv: fromBase64(member.iv) },
+      key,
+      fromBase64(member.sealed)
+    );
+    return new TextDecoder().decode(token);
+  } catch {
+    return null;
+  }
+}
+
+// The key of whoever is unlocked, kept in memory only, so a refreshed token
+// can be sealed again when the terminal locks
+let unlockedKey = null;
+
+const resealed = async (member) => {
+  if (unlockedKey?.userId !== member.userId) return {};
+  const token = await api.getAuthToken();
+  return token ? sealToken(token, unlockedKey.key) : {};
+};
+
+// --- Settings ---
+export function enableTerminal(idleMinutes = state.idleMinutes) {
+  save({ enabled: true, idleMinutes, locked: false });
+}
+
+// Parked sessions are dropped, not signed out; they expire on their own
+export function disableTerminal() {
+  save(emptyState());
+}
+
+export const setIdleMinutes = (idleMinutes) => save({ idleMinutes });
+
+export const isMember = (userId) => Boolean(findMember(userId));
+
+// Parks the signed-in user's session on this terminal behind a PIN
+export async function joinTerminal(user, pin) {
+  if (!PIN_PATTERN.test(pin)) throw new Error("Use a 4 to 6 digit PIN");
+  const token = await api.getAuthToken();
+  if (!token) {
+    throw new Error("This device's token store cannot hold terminal sessions");
+  }
+  const salt = randomBytes(16);
+  const key = await deriveKey(pin, salt);
+  const member = {
+    userId: user.id,
+    name: user.name,
+    role: user.role,
+    avatarUrl: user.avatarUrl ?? null,
+    salt: toBase64(salt),
+    ...(await sealToken(token, key)),
+    failedAttempts: 0,
+    lastPath: null,
+  };
+  unlockedKey = { userId: user.id, key };
+  save({
+    members: [...state.members.filter((m) => m.userId !== user.id), member],
+    activeUserId: user.id,
+  });
+}
+
+export function leaveTerminal(userId) {
+  save({
+    members: state.members.filter((member) => member.userId !== userId),
+    activeUserId: state.activeUserId === userId ? null : state.activeUserId,
+  });
+}
+
+// --- Locking ---
+// Remembers where the active member was, seals their refreshed token and
+// signs the device out behind the lock screen, so nothing can use the session
+// until a PIN opens it again. Without anyone on the roster there is nobody to
+// unlock, so nothing locks.
+export async function lockTerminal(path) {
+  if (!state.enabled || state.locked || !state.members.length) return;
+  const active = findMember(state.activeUserId);
+  const changes = active && {
+    ...(await resealed(active)),
+    lastPath: path ?? null,
+  };
+  save({
+    locked: true,
+    members: active ? updateMember(active.userId, changes) : state.members,
+  });
+  unlockedKey = null;
+  await api.clearAuthToken();
+  clearQueryCache();
+  reconnect();
+}
+
+// Makes a parked token the live one and loads its profile. No refresh is
+// attempted: the refresh cookie belongs to whoever signed in last.
+async function resume(token) {
+  await api.setAuthToken(token);
+  clearQueryCache();
+  reconnect();
+  const user = await api.user.getMe({ skipAuthRefresh: true });
+  setQueryData("user.getMe", [], user);
+  // Their queued offline work can go out now that it is their session
+  flushOutbox().catch(() => {});
+  return user;
+}
+
+// Resolves { user, lastPath } for the member now signed in
+export async function unlockTerminal(userId, pin) {
+  const member = findMember(userId);
+  if (!member) throw new Error("That user is not on this terminal");
+
+  const key = await deriveKey(pin, fromBase64(member.salt));
+  const token = await openToken(member, key);
+  if (!token) {
+    const failedAttempts = member.failedAttempts + 1;
+    if (failedAttempts >= MAX_PIN_ATTEMPTS) {
+      leaveTerminal(userId);
+      throw new Error(
+        "Too many wrong PINs. Sign in with your password to use this terminal again."
+      );
+    }
+    save({ members: updateMember(userId, { failedAttempts }) });
+    const left = MAX_PIN_ATTEMPTS - failedAttempts;
+    throw new Error(
+      `Wrong PIN. ${left} attempt${left === 1 ? "" : "s"} left.`
+    );
+  }
+
+  try {
+    const user = await resume(token);
+    unlockedKey = { userId, key };
+    save({
+      members: updateMember(userId, {
+        failedAttempts: 0,
+        name: user.name,
+        avatarUrl: user.avatarUrl ?? null,
+      }),
+      activeUserId: userId,
+      locked: false,
+    });
+    return { user, lastPath: member.lastPath };
+  } catch (error) {
+    await api.clearAuthToken();
+    if (error.status !== 401) throw error;
+    leaveTerminal(userId);
+    throw new Error(
+      "Your session on this terminal has ended. Sign in with your password."
+    );
+  }
+}
+
+// Lets someone not yet on the terminal reach the sign-in page. The active
+// member's session stays parked; only this device stops using it.
+export async function releaseTerminal() {
+  save({ locked: false, activeUserId: null });
+  await api.clearAuthToken();
+  clearQueryCache();
+  reconnect();
+}
+
+// Called whenever the signed-in user changes. A member who is unlocked gets
+// their parked session replaced by the current token. One who signs in with
+// their password keeps the token sealed at their last unlock, since sealing
+// the new one needs their PIN.
+export async function syncActiveMember(user) {
+  if (!state.enabled) return;
+  if (unlockedKey?.userId !== user?.id) unlockedKey = null;
+  const member = user && findMember(user.id);
+  if (!member) {
+    // Locking signs the device out but the last member stays the active one
+    if (state.activeUserId !== null && !state.locked) {
+      save({ activeUserId: null });
+    }
+    return;
+  }
+  const sealed = await resealed(member);
+  if (state.activeUserId === user.id && !sealed.sealed) return;
+  save({
+    activeUserId: user.id,
+    members: updateMember(user.id, sealed),
+  });
+}
+
+// Signing out on the terminal takes the user off the roster too
+export function forgetActiveMember() {
+  if (state.activeUserId !== null) leaveTerminal(state.activeUserId);
+}
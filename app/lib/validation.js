@@ -0,0 +1,93 @@
+// Client-side form checks. The server validates again; these only save a
+// round trip and give feedback while typing.
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^[+\d][\d\s()-]{6,}$/;
+
+export const MIN_PASSWORD_LENGTH = 8;
+
+export const isEmail = (value) => EMAIL_PATTERN.test(String(value).trim());
+export const isPhone = (value) => PHONE_PATTERN.test(String(value).trim());
+
+const PASSWORD_CHECKS = [
+  {
+    label: `At least ${MIN_PASSWORD_LENGTH} characters`,
+    test: (p) => p.length >= MIN_PASSWORD_LENGTH,
+  },
+  {
+    label: "Upper and lower case letters",
+    test: (p) => /[a-z]/.test(p) && /[A-Z]/.test(p),
+  },
+  { label: "A number", test: (p) => /\d/.test(p) },
+  { label: "A symbol", test: (p) => /[^A-Za-z0-9]/.test(p) },
+];
+
+const STRENGTH_LABELS = ["Too weak", "Weak", "Fair", "Good", "Strong"];
+
+// score 0-4: one point per check met, none until the minimum length is
+export function passwordStrength(password = "") {
+  const checks = PASSWORD_CHECKS.map(({ label, test }) => ({
+    label,
+    passed: test(password),
+  }));
+  const score = checks[0].passed ? checks.filter((c) => c.passed).length : 0;
+  return { score, label: STRENGTH_LABELS[score], checks };
+}
+
+// Minimum accepted strength for new passwords
+export const MIN_PASSWORD_SCORE = 3;
+
+export function validatePassword(password, confirmPassword) {
+  const errors = {};
+  if (!password) errors.password = "Enter a password";
+  else if (passwordStrength(password).score < MIN_PASSWORD_SCORE) {
+    errors.password = "Choose a stronger password";
+  }
+  if (confirmPassword !== undefined && confirmPassword !== password) {
+    errors.confirmPassword = "Passwords do not match";
+  }
+  return errors;
+}
+
+// Returns { field: message } for every invalid field; empty when valid
+export function validateSignup(values) {
+  const errors = {};
+  if (!values.name?.trim()) errors.name = "Enter your name";
+  if (!values.email?.trim()) errors.email = "Enter your email";
+  else if (!isEmail(values.email)) errors.email = "Enter a valid email address";
+  if (values.phone && !/^[+\d][\d\s()-]{6,}$/.test(values.phone.trim())) {
+    errors.phone = "Enter a valid phone number";
+  }
+  Object.assign(
+    errors,
+    validatePassword(values.password, values.confirmPassword)
+  );
+  return errors;
+}
+
+// Contact details on the public booking form; phone is required so the
+// restaurant can reach guests who booked without an account
+export function validateBooking(values) {
+  const errors = {};
+  if (!values.name?.trim()) errors.name = "Enter your name";
+  if (!values.email?.trim()) errors.email = "Enter your email";
+  else if (!isEmail(values.email)) errors.email = "Enter a valid email address";
+  if (!values.phone?.trim()) errors.phone = "Enter a phone number";
+  else if (!isPhone(values.phone)) errors.phone = "Enter a valid phone number";
+  return errors;
+}
+
+// Walk-in details taken by the host; phone is optional but needed to text
+// the guest when their table is ready
+export function validateWaitlistEntry(values) {
+  const errors = {};
+  if (!values.name?.trim()) errors.name = "Enter the guest's name";
+  if (!(Number(values.partySize) >= 1)) {
+    errors.partySize = "Enter the party size";
+  }
+  if (values.phone?.trim() && !isPhone(values.phone)) {
+    errors.phone = "Enter a valid phone number";
+  }
+  if (!values.arrivedAt) errors.arrivedAt = "Enter the arrival time";
+  return errors;
+}
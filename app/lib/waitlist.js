@@ -0,0 +1,105 @@
+// Quoted waits for the walk-in waitlist. Each party in the queue takes the
+// first table big enough for it to come free, in arrival order, so a quote
+// accounts for everyone already waiting as well as who is at the tables now.
+import { DEFAULT_DURATION } from "./calendar";
+
+// Parties still waiting for a table, in the order they will be seated
+export const ACTIVE_WAITLIST = ["waiting", "notified"];
+
+// A table past its usual turn is still expected to free up soon
+const MIN_REMAINING_MINUTES = 5;
+const QUOTE_STEP = 5;
+const MINUTE = 60 * 1000;
+
+// Average time parties actually held a table, from when completed bookings
+// were seated to when they were completed; the booked length says only what
+// guests asked for
+export const averageTurnMinutes = (reservations = []) => {
+  const durations = reservations
+    .filter((r) => r.status === "completed" && r.seatedAt && r.completedAt)
+    .map((r) => (new Date(r.completedAt) - new Date(r.seatedAt)) / MINUTE)
+    .filter((minutes) => minutes > 0);
+  if (!durations.length) return DEFAULT_DURATION;
+  return Math.round(durations.reduce((a, b) => a + b, 0) / durations.length);
+};
+
+// { id, capacity, freeAt } for tables that are free now or will be once the
+// party at them leaves; reserved and cleaning tables are left out until they
+// come back as available
+const tableFreeTimes = ({ available = [], occupied = [] }, turn, now) => [
+  ...available.map((t) => ({ id: t.id, capacity: t.capacity, freeAt: now })),
+  ...occupied.map((t) => ({
+    id: t.id,
+    capacity: t.capacity,
+    freeAt: Math.max(
+      new Date(t.occupiedSince ?? now).getTime() + turn * MINUTE,
+      now + MIN_REMAINING_MINUTES * MINUTE
+    ),
+  })),
+];
+
+/**
+ * Minutes until each active entry should get a table, or null when no table
+ * seats the party.
+ * @param {Array<Object>} entries - WaitlistEntry[]
+ * @param {{ available: Array<Object>, occupied: Array<Object> }} tables
+ * @param {number} turn - minutes a party usually holds a table
+ * @param {number} [now]
+ * @returns {Map<number|string, number|null>}
+ */
+export function estimateWaits(entries, tables, turn, now = Date.now()) {
+  const slots = tableFreeTimes(tables, turn, now);
+  const queue = entries
+    .filter((entry) => ACTIVE_WAITLIST.includes(entry.status))
+    .sort((a, b) => new Date(a.arrivedAt) - new Date(b.arrivedAt));
+
+  const waits = new Map();
+  queue.forEach((entry) => {
+    const slot = slots
+      .filter((s) => s.capacity >= entry.partySize)
+      .sort((a, b) => a.freeAt - b.freeAt || a.capacity - b.capacity)[0];
+    if (!slot) {
+      waits.set(entry.id, null);
+      return;
+    }
+    waits.set(entry.id, Math.ceil(Math.max(0, slot.freeAt - now) / MINUTE));
+    slot.freeAt = Math.max(slot.freeAt, now) + turn * MINUTE;
+  });
+  return waits;
+}
+
+// Rounded up to the next QUOTE_STEP minutes so guests are seated early
+// rather than late
+export const roundQuote = (minutes) =>
+  minutes == null ? null : Math.ceil(minutes / QUOTE_STEP) * QUOTE_STEP;
+
+// What to tell a party of partySize arriving now, behind everyone waiting
+export const quoteWait = (partySize, entries, tables, turn, now = Date.now()) =>
+  roundQuote(
+    estimateWaits(
+      [
+        ...entries,
+        {
+          id: "new",
+          partySize,
+          status: "waiting",
+          arrivedAt: new Date(now).toISOString(),
+        },
+      ],
+      tables,
+      turn,
+      now
+    ).get("new")
+  );
+
+export const formatQuote = (minutes) => {
+  if (minutes == null) return "No table fits";
+  if (minutes === 0) return "No wait";
+  return `~${minutes} min`;
+};
+
+// Free tables that seat the party, smallest first
+export const fittingTables = (available = [], partySize) =>
+  available
+    .filter((t) => t.capacity >= partySize)
+    .sort((a, b) => a.capacity - b.capacity || a.number - b.number);
@@ -0,0 +1,146 @@
+"use client";
+import { Suspense, useState } from "react";
+import Link from "next/link";
+import { useRouter, useSearchParams } from "next/navigation";
+import api from "../api/services";
+import AuthShell from "../components/AuthShell";
+import FormField, { inputClass } from "../components/FormField";
+import { completeSignIn, landingPath, startGoogleSignIn } from "../lib/session";
+
+const LoginForm = () => {
+  const router = useRouter();
+  const searchParams = useSearchParams();
+  const next = searchParams.get("next");
+  const expired = searchParams.get("expired") === "1";
+
+  const [form, setForm] = useState({
+    email: searchParams.get("email") ?? "",
+    password: "",
+  });
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [error, setError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((previous) => ({ ...previous, [name]: value }));
+    setFieldErrors((previous) => ({ ...previous, [name]: undefined }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setFieldErrors({});
+    setIsSubmitting(true);
+    try {
+      const { accessToken } = await api.auth.login(form);
+      const user = await completeSignIn(accessToken);
+      router.replace(landingPath(user, next));
+    } catch (err) {
+      // Field messages come back keyed by input name
+      const errors = err.data?.errors ?? {};
+      setFieldErrors(errors);
+      if (!Object.keys(errors).length) setError(err.message);
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <>
+      <h1 className="text-2xl font-bold text-gray-900 mb-1">Welcome back</h1>
+      <p className="text-gray-600 mb-6">Sign in to your DineFlow account</p>
+
+      {expired && !error && (
+        <div className="bg-yellow-50 text-yellow-800 rounded-lg p-3 mb-4 text-sm">
+          Your session has expired. Please sign in again.
+        </div>
+      )}
+      {error && (
+        <div className="bg-red-50 text-red-800 rounded-lg p-3 mb-4 text-sm">
+          {error}
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} noValidate className="space-y-4">
+        <FormField label="Email" name="email" error={fieldErrors.email}>
+          <input
+            id="email"
+            name="email"
+            type="email"
+            autoComplete="email"
+            required
+            value={form.email}
+            onChange={handleChange}
+            className={inputClass(fieldErrors.email)}
+          />
+        </FormField>
+
+        <div>
+          <div className="flex items-center justify-between mb-1">
+            <label htmlFor="password" className="block text-sm font-medium text-gray-700">
+              Password
+            </label>
+            <Link href="/forgot-password" className="text-sm text-red-800 hover:underline">
+              Forgot password?
+            </Link>
+          </div>
+          <input
+            id="password"
+            name="password"
+            type="password"
+            autoComplete="current-password"
+            required
+            value={form.password}
+            onChange={handleChange}
+            className={inputClass(fieldErrors.password)}
+          />
+          {fieldErrors.password && (
+            <p className="text-red-700 text-sm mt-1">{fieldErrors.password}</p>
+          )}
+        </div>
+
+        <button
+          type="submit"
+          disabled={isSubmitting}
+          className="w-full py-2 bg-red-800 text-white font-medium rounded-lg hover:bg-red-900 transition-colors disabled:opacity-60"
+        >
+          {isSubmitting ? "Signing in..." : "Sign In"}
+        </button>
+      </form>
+
+      <div className="flex items-center my-6">
+        <div className="flex-1 border-t border-gray-200" />
+        <span className="px-3 text-sm text-gray-500">or</span>
+        <div className="flex-1 border-t border-gray-200" />
+      </div>
+
+      <button
+        onClick={() => startGoogleSignIn(next)}
+        disabled={isSubmitting}
+        className="w-full py-2 border-2 border-gray-300 text-gray-800 font-medium rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-60"
+      >
+        Sign in with Google
+      </button>
+
+      <p className="text-center text-sm text-gray-600 mt-6">
+        New to DineFlow?{" "}
+        <Link href="/signup" className="text-red-800 font-medium hover:underline">
+          Create an account
+        </Link>
+      </p>
+    </>
+  );
+};
+
+const LoginPage = () => {
+  return (
+    <AuthShell>
+      {/* useSearchParams needs a Suspense boundary to prerender */}
+      <Suspense fallback={null}>
+        <LoginForm />
+      </Suspense>
+    </AuthShell>
+  );
+};
+
+export default LoginPage;
@@ -0,0 +1,443 @@
+"use client";
+import { Suspense, useEffect, useState } from "react";
+import Link from "next/link";
+import { useSearchParams } from "next/navigation";
+import { useApiQuery } from "../api/hooks";
+import { runMutation } from "../api/queryCache";
+import {
+  BOOKING_WINDOW_DAYS,
+  MAX_PARTY_SIZE,
+  bookableSlots,
+} from "../components/BookingWidget";
+import FormField, { inputClass } from "../components/FormField";
+import PageShell from "../components/PageShell";
+import StatusBadge from "../components/StatusBadge";
+import { addDays, fromDateInput, toDateInput } from "../lib/calendar";
+import { formatDateTime, formatTime } from "../lib/format";
+import {
+  CHANGE_CUTOFF_HOURS,
+  beforeCutoff,
+  canChangeBooking,
+  changeBooking,
+  changeDeadline,
+  splitBookings,
+} from "../lib/guestBookings";
+import { downloadIcs, googleCalendarUrl, reservationEvent } from "../lib/ics";
+
+const primaryButton =
+  "px-4 py-2 bg-red-800 text-white text-sm font-medium rounded-lg hover:bg-red-900 transition-colors disabled:opacity-60";
+const outlineButton =
+  "px-4 py-2 border-2 border-red-800 text-red-800 text-sm font-medium rounded-lg hover:bg-red-50 transition-colors disabled:opacity-60";
+
+const tabClass = (active) =>
+  `px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+    active
+      ? "bg-red-800 text-white"
+      : "bg-white text-gray-700 shadow-md hover:bg-red-50"
+  }`;
+
+const guests = (count) => `${count} ${count === 1 ? "guest" : "guests"}`;
+
+// Once the guest is seated, which table is theirs
+const SeatedTable = ({ reservationId }) => {
+  const { data: table } = useApiQuery(
+    "table.myTableByReservation",
+    [reservationId],
+    { live: true }
+  );
+  if (!table) return null;
+  return (
+    <p className="bg-green-50 text-green-800 rounded-lg p-3 text-sm">
+      You are seated at{" "}
+      <span className="font-semibold">table {table.number}</span>
+      {table.zone && ` in the ${table.zone}`}.
+    </p>
+  );
+};
+
+const AddToCalendar = ({ reservation }) => {
+  const event = reservationEvent(reservation);
+  return (
+    <div className="flex flex-wrap items-center gap-3 text-sm">
+      <span className="text-gray-500">Add to calendar:</span>
+      <button
+        onClick={() => downloadIcs(`dineflow-booking-${reservation.id}.ics`, event)}
+        className="text-red-800 font-medium hover:underline"
+      >
+        Apple / Outlook (.ics)
+      </button>
+      <a
+        href={googleCalendarUrl(event)}
+        target="_blank"
+        rel="noopener noreferrer"
+        className="text-red-800 font-medium hover:underline"
+      >
+        Google Calendar
+      </a>
+    </div>
+  );
+};
+
+// New date, time or party size; availability is checked again on save
+const ChangeForm = ({ reservation, onDone, onClose }) => {
+  const [date, setDate] = useState(() =>
+    toDateInput(reservation.reservationTime)
+  );
+  const [time, setTime] = useState(() =>
+    new Date(reservation.reservationTime).toISOString()
+  );
+  const [partySize, setPartySize] = useState(reservation.partySize);
+  const [error, setError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  // Times inside the cutoff could not be changed again, so guests cannot
+  // move a booking into it either
+  const slots = bookableSlots(fromDateInput(date)).filter((slot) =>
+    beforeCutoff(slot)
+  );
+  const selected = slots.find((slot) => slot.toISOString() === time);
+  const today = new Date();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!selected) {
+      setError("Choose a time");
+      return;
+    }
+    setIsSaving(true);
+    setError(null);
+    try {
+      const updated = await changeBooking(reservation, {
+        reservationTime: selected.toISOString(),
+        partySize,
+      });
+      onDone(
+        `Your booking is now ${formatDateTime(updated.reservationTime)} for ${guests(
+          updated.partySize
+        )}.`
+      );
+    } catch (err) {
+      setError(err.message);
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="space-y-4 border-t border-gray-100 pt-4"
+      noValidate
+    >
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+        <FormField label="Guests" name={`partySize-${reservation.id}`}>
+          <select
+            id={`partySize-${reservation.id}`}
+            value={partySize}
+            onChange={(e) => setPartySize(Number(e.target.value))}
+            className={inputClass(false)}
+          >
+            {Array.from({ length: MAX_PARTY_SIZE }, (_, index) => index + 1).map(
+              (size) => (
+                <option key={size} value={size}>
+                  {guests(size)}
+                </option>
+              )
+            )}
+          </select>
+        </FormField>
+        <FormField label="Date" name={`date-${reservation.id}`}>
+          <input
+            id={`date-${reservation.id}`}
+            type="date"
+            value={date}
+            min={toDateInput(today)}
+            max={toDateInput(addDays(today, BOOKING_WINDOW_DAYS))}
+            onChange={(e) => e.target.value && setDate(e.target.value)}
+            className={inputClass(false)}
+          />
+        </FormField>
+        <FormField label="Time" name={`time-${reservation.id}`}>
+          <select
+            id={`time-${reservation.id}`}
+            value={selected ? time : ""}
+            onChange={(e) => setTime(e.target.value)}
+            className={inputClass(false)}
+          >
+            <option value="" disabled>
+              {slots.length ? "Choose a time" : "No times left"}
+            </option>
+            {slots.map((slot) => (
+              <option key={slot.toISOString()} value={slot.toISOString()}>
+                {formatTime(slot)}
+              </option>
+            ))}
+          </select>
+        </FormField>
+      </div>
+      {error && <p className="text-red-700 text-sm">{error}</p>}
+      <div className="flex flex-wrap gap-3">
+        <button type="submit" disabled={isSaving} className={primaryButton}>
+          {isSaving ? "Checking..." : "Save changes"}
+        </button>
+        <button type="button" onClick={onClose} className={outlineButton}>
+          Never mind
+        </button>
+      </div>
+    </form>
+  );
+};
+
+const CancelConfirm = ({ reservation, onDone, onClose }) => {
+  const [error, setError] = useState(null);
+  const [isCancelling, setIsCancelling] = useState(false);
+
+  const handleCancel = async () => {
+    setIsCancelling(true);
+    setError(null);
+    try {
+      await runMutation("reservation.changeStatus", [
+        reservation.id,
+        "cancelled",
+      ]);
+      onDone("Your booking has been cancelled.");
+    } catch (err) {
+      setError(err.message);
+      setIsCancelling(false);
+    }
+  };
+
+  return (
+    <div className="space-y-3 border-t border-gray-100 pt-4">
+      <p className="text-gray-700 text-sm">
+        Cancel this booking? The table will be released.
+      </p>
+      {error && <p className="text-red-700 text-sm">{error}</p>}
+      <div className="flex flex-wrap gap-3">
+        <button
+          onClick={handleCancel}
+          disabled={isCancelling}
+          className={primaryButton}
+        >
+          {isCancelling ? "Cancelling..." : "Cancel booking"}
+        </button>
+        <button onClick={onClose} className={outlineButton}>
+          Keep it
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const BookingCard = ({ reservation, upcoming, highlighted, onNotice }) => {
+  const [mode, setMode] = useState(null);
+  const changeable = canChangeBooking(reservation);
+
+  const handleDone = (text) => {
+    setMode(null);
+    onNotice(text);
+  };
+
+  return (
+    <div
+      id={`booking-${reservation.id}`}
+      className={`bg-white rounded-xl shadow-md p-5 space-y-4 ${
+        highlighted ? "ring-2 ring-red-800" : ""
+      }`}
+    >
+      <div className="flex items-start justify-between gap-3">
+        <div>
+          <div className="text-lg font-bold text-gray-800">
+            {formatDateTime(reservation.reservationTime)}
+          </div>
+          <div className="text-gray-500 text-sm">
+            {guests(reservation.partySize)} · Reference #{reservation.id}
+          </div>
+          {reservation.specialRequests && (
+            <div className="text-gray-500 text-sm">
+              {reservation.specialRequests}
+            </div>
+          )}
+        </div>
+        <StatusBadge status={reservation.status} />
+      </div>
+
+      {reservation.status === "seated" && (
+        <SeatedTable reservationId={reservation.id} />
+      )}
+
+      {upcoming && reservation.status !== "seated" && (
+        <>
+          <AddToCalendar reservation={reservation} />
+          {changeable ? (
+            mode === "change" ? (
+              <ChangeForm
+                reservation={reservation}
+                onDone={handleDone}
+                onClose={() => setMode(null)}
+              />
+            ) : mode === "cancel" ? (
+              <CancelConfirm
+                reservation={reservation}
+                onDone={handleDone}
+                onClose={() => setMode(null)}
+              />
+            ) : (
+              <div className="flex flex-wrap items-center gap-3">
+                <button
+                  onClick={() => setMode("change")}
+                  className={primaryButton}
+                >
+                  Change booking
+                </button>
+                <button
+                  onClick={() => setMode("cancel")}
+                  className={outlineButton}
+                >
+                  Cancel booking
+                </button>
+                {CHANGE_CUTOFF_HOURS > 0 && (
+                  <span className="text-gray-500 text-xs">
+                    Until {formatDateTime(changeDeadline(reservation))}
+                  </span>
+                )}
+              </div>
+            )
+          ) : (
+            <p className="text-gray-500 text-sm">
+              It is too late to change this booking online. Please call the
+              restaurant if your plans change.
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+const MyReservations = () => {
+  const bookingId = Number(useSearchParams().get("booking")) || null;
+  const { data, error } = useApiQuery("table.myReservations", [], {
+    live: true,
+  });
+  const { upcoming, past } = splitBookings(data);
+  const [tab, setTab] = useState(null);
+  // Kept above the cards, since a cancelled booking moves to the Past tab
+  const [notice, setNotice] = useState(null);
+
+  const linkedPast = past.some((r) => r.id === bookingId);
+  const activeTab = tab ?? (linkedPast ? "past" : "upcoming");
+  const shown = activeTab === "past" ? past : upcoming;
+  const linkedMissing =
+    bookingId !== null && data && !data.some((r) => r.id === bookingId);
+
+  // Bring a booking opened from a manage-booking link into view
+  useEffect(() => {
+    if (bookingId && data) {
+      document
+        .getElementById(`booking-${bookingId}`)
+        ?.scrollIntoView({ block: "center" });
+    }
+  }, [bookingId, Boolean(data)]);
+
+  return (
+    <PageShell
+      title="My reservations"
+      subtitle={
+        CHANGE_CUTOFF_HOURS > 0
+          ? `Bookings can be changed or cancelled online up to ${CHANGE_CUTOFF_HOURS} ${
+              CHANGE_CUTOFF_HOURS === 1 ? "hour" : "hours"
+            } before the time`
+          : "Your bookings, past and to come"
+      }
+      actions={
+        <>
+          <Link href="/profile" className="text-red-800 font-medium hover:underline">
+            Profile
+          </Link>
+          <Link
+            href="/book"
+            className="px-4 py-2 bg-red-800 text-white font-medium rounded-lg hover:bg-red-900 transition-colors"
+          >
+            Book a table
+          </Link>
+        </>
+      }
+    >
+      {error && (
+        <div className="bg-red-50 text-red-800 rounded-lg p-3 mb-4 text-sm">
+          {error.message}
+        </div>
+      )}
+      {notice && (
+        <div className="bg-blue-50 text-blue-800 rounded-lg p-3 mb-4 text-sm">
+          {notice}
+        </div>
+      )}
+      {linkedMissing && (
+        <div className="bg-blue-50 text-blue-800 rounded-lg p-3 mb-4 text-sm">
+          Booking #{bookingId} is not on this account. Sign in with the email
+          address you booked with, once it is verified, to manage it.
+        </div>
+      )}
+
+      <div className="flex gap-2 mb-6">
+        <button
+          onClick={() => setTab("upcoming")}
+          className={tabClass(activeTab === "upcoming")}
+        >
+          Upcoming ({upcoming.length})
+        </button>
+        <button
+          onClick={() => setTab("past")}
+          className={tabClass(activeTab === "past")}
+        >
+          Past ({past.length})
+        </button>
+      </div>
+
+      {!data && !error ? (
+        <div className="text-center text-gray-500 p-6">
+          Loading reservations...
+        </div>
+      ) : !shown.length ? (
+        <div className="bg-white rounded-xl shadow-md p-6 text-center text-gray-500">
+          {activeTab === "past" ? (
+            "No past bookings yet"
+          ) : (
+            <>
+              No upcoming bookings.{" "}
+              <Link href="/book" className="text-red-800 font-medium hover:underline">
+                Book a table
+              </Link>
+            </>
+          )}
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 items-start">
+          {shown.map((reservation) => (
+            <BookingCard
+              key={reservation.id}
+              reservation={reservation}
+              upcoming={activeTab === "upcoming"}
+              highlighted={reservation.id === bookingId}
+              onNotice={setNotice}
+            />
+          ))}
+        </div>
+      )}
+    </PageShell>
+  );
+};
+
+// Guest portal: upcoming and past bookings, with change, cancel and
+// add-to-calendar while there is still time
+const MyReservationsPage = () => (
+  <>
+    {/* useSearchParams needs a Suspense boundary to prerender */}
+    <Suspense fallback={null}>
+      <MyReservations />
+    </Suspense>
+  </>
+);
+
+export default MyReservationsPage;
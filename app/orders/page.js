@@ -0,0 +1,68 @@
+"use client";
+import { useState } from "react";
+import PageShell from "../components/PageShell";
+import DataTable from "../components/DataTable";
+import StatusBadge from "../components/StatusBadge";
+import { desc, eq, lists } from "../api/pagination";
+import { ORDER_STATUSES } from "../api/schemas";
+import { formatCurrency, formatDateTime, humanize } from "../lib/format";
+
+const statuses = ORDER_STATUSES;
+
+const columns = [
+  { key: "id", header: "Order", render: (row) => `#${row.id}` },
+  { key: "tableId", header: "Table" },
+  {
+    key: "createdAt",
+    header: "Placed",
+    sortable: true,
+    render: (row) => formatDateTime(row.createdAt),
+  },
+  {
+    key: "total",
+    header: "Total",
+    sortable: true,
+    render: (row) => formatCurrency(row.total),
+  },
+  {
+    key: "status",
+    header: "Status",
+    sortable: true,
+    render: (row) => <StatusBadge status={row.status} />,
+  },
+];
+
+const OrdersPage = () => {
+  const [status, setStatus] = useState("");
+
+  return (
+    <PageShell title="Orders" subtitle="All orders across the floor">
+      <div className="flex flex-wrap gap-2 mb-4">
+        {["", ...statuses].map((value) => (
+          <button
+            key={value || "all"}
+            onClick={() => setStatus(value)}
+            className={`px-3 py-1 rounded-full text-sm font-medium transition-colors ${
+              status === value
+                ? "bg-red-800 text-white"
+                : "bg-white text-gray-700 hover:bg-red-50"
+            }`}
+          >
+            {value ? humanize(value) : "All"}
+          </button>
+        ))}
+      </div>
+
+      <DataTable
+        list={lists.orders}
+        columns={columns}
+        filters={status ? [eq("status", status)] : []}
+        initialSort={[desc("createdAt")]}
+        emptyMessage="No orders yet"
+        live
+      />
+    </PageShell>
+  );
+};
+
+export default OrdersPage;
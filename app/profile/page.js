@@ -0,0 +1,344 @@
+"use client";
+import { useRef, useState } from "react";
+import Link from "next/link";
+import { useRouter } from "next/navigation";
+import api from "../api/services";
+import { runMutation, setQueryData } from "../api/queryCache";
+import PageShell from "../components/PageShell";
+import AvatarCropper from "../components/AvatarCropper";
+import UserAvatar from "../components/UserAvatar";
+import FormField, { inputClass } from "../components/FormField";
+import { useCurrentUser } from "../components/AuthProvider";
+import { MAX_IMAGE_BYTES } from "../lib/image";
+import { homeForRole } from "../lib/roles";
+import { humanize } from "../lib/format";
+import { signOut } from "../lib/session";
+import { isPhone } from "../lib/validation";
+
+const DEFAULT_PREFERENCES = {
+  emailNotifications: true,
+  smsNotifications: false,
+};
+
+const DELETE_CONFIRMATION = "DELETE";
+
+const setCachedUser = (updater) => setQueryData("user.getMe", [], updater);
+
+const AvatarSection = ({ user }) => {
+  const inputRef = useRef(null);
+  const [file, setFile] = useState(null);
+  const [error, setError] = useState(null);
+  const [isUploading, setIsUploading] = useState(false);
+
+  const handlePick = (e) => {
+    const picked = e.target.files?.[0];
+    // Lets the same file be picked again after cancelling
+    e.target.value = "";
+    if (!picked) return;
+    setError(null);
+    if (!picked.type.startsWith("image/")) {
+      setError("Choose an image file");
+    } else if (picked.size > MAX_IMAGE_BYTES) {
+      setError("Choose an image under 10 MB");
+    } else {
+      setFile(picked);
+    }
+  };
+
+  // Shows the cropped picture straight away and puts the old one back if
+  // the upload is rejected
+  const handleCrop = async (cropped) => {
+    const previousUrl = user.avatarUrl ?? null;
+    const previewUrl = URL.createObjectURL(cropped);
+    setIsUploading(true);
+    setCachedUser((current) => ({ ...current, avatarUrl: previewUrl }));
+    try {
+      const updated = await runMutation("user.uploadAvatar", [cropped]);
+      setCachedUser(updated);
+      setFile(null);
+    } catch (err) {
+      setCachedUser((current) => ({ ...current, avatarUrl: previousUrl }));
+      setError(err.message);
+      setFile(null);
+    } finally {
+      URL.revokeObjectURL(previewUrl);
+      setIsUploading(false);
+    }
+  };
+
+  return (
+    <section className="bg-white rounded-xl shadow-md p-6">
+      <h2 className="text-lg font-bold text-gray-800 mb-4">Profile Picture</h2>
+      {file ? (
+        <AvatarCropper
+          file={file}
+          onCrop={handleCrop}
+          onCancel={() => setFile(null)}
+          isSaving={isUploading}
+        />
+      ) : (
+        <div className="flex flex-col items-center gap-4">
+          <UserAvatar user={user} size="lg" />
+          <button
+            onClick={() => inputRef.current?.click()}
+            className="px-4 py-2 border-2 border-red-800 text-red-800 font-medium rounded-lg hover:bg-red-50 transition-colors"
+          >
+            Change Picture
+          </button>
+        </div>
+      )}
+      {error && (
+        <p className="text-red-700 text-sm mt-3 text-center">{error}</p>
+      )}
+      <input
+        ref={inputRef}
+        type="file"
+        accept="image/*"
+        onChange={handlePick}
+        className="hidden"
+      />
+    </section>
+  );
+};
+
+const validateDetails = ({ name, phone }) => {
+  const errors = {};
+  if (!name.trim()) errors.name = "Enter your name";
+  if (phone.trim() && !isPhone(phone)) {
+    errors.phone = "Enter a valid phone number";
+  }
+  return errors;
+};
+
+const DetailsSection = ({ user }) => {
+  const [form, setForm] = useState({
+    name: user.name ?? "",
+    phone: user.phone ?? "",
+    preferences: { ...DEFAULT_PREFERENCES, ...user.preferences },
+  });
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [error, setError] = useState(null);
+  const [saved, setSaved] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((previous) => ({ ...previous, [name]: value }));
+    setFieldErrors((previous) => ({ ...previous, [name]: undefined }));
+    setSaved(false);
+  };
+
+  const handlePreference = (e) => {
+    const { name, checked } = e.target;
+    setForm((previous) => ({
+      ...previous,
+      preferences: { ...previous.preferences, [name]: checked },
+    }));
+    setSaved(false);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    const errors = validateDetails(form);
+    setFieldErrors(errors);
+    if (Object.keys(errors).length) return;
+
+    setIsSaving(true);
+    try {
+      const updated = await runMutation("user.update", [
+        {
+          name: form.name.trim(),
+          phone: form.phone.trim() || null,
+          preferences: form.preferences,
+        },
+      ]);
+      setCachedUser(updated);
+      setSaved(true);
+    } catch (err) {
+      const errors = err.data?.errors ?? {};
+      setFieldErrors(errors);
+      if (!Object.keys(errors).length) setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <section className="bg-white rounded-xl shadow-md p-6">
+      <h2 className="text-lg font-bold text-gray-800 mb-4">Your Details</h2>
+      {error && (
+        <div className="bg-red-50 text-red-800 rounded-lg p-3 mb-4 text-sm">
+          {error}
+        </div>
+      )}
+      <form onSubmit={handleSubmit} className="space-y-4" noValidate>
+        <FormField label="Full name" name="name" error={fieldErrors.name}>
+          <input
+            id="name"
+            name="name"
+            autoComplete="name"
+            value={form.name}
+            onChange={handleChange}
+            className={inputClass(fieldErrors.name)}
+          />
+        </FormField>
+        <FormField
+          label="Email"
+          name="email"
+          hint="Ask an administrator to change the email you sign in with"
+        >
+          <input
+            id="email"
+            value={user.email}
+            disabled
+            className={`${inputClass(false)} bg-gray-50 text-gray-500`}
+          />
+        </FormField>
+        <FormField label="Phone" name="phone" error={fieldErrors.phone}>
+          <input
+            id="phone"
+            name="phone"
+            type="tel"
+            autoComplete="tel"
+            value={form.phone}
+            onChange={handleChange}
+            placeholder="+254 700 000 000"
+            className={inputClass(fieldErrors.phone)}
+          />
+        </FormField>
+
+        <fieldset className="space-y-2">
+          <legend className="block text-sm font-medium text-gray-700 mb-1">
+            Notifications
+          </legend>
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              name="emailNotifications"
+              checked={form.preferences.emailNotifications}
+              onChange={handlePreference}
+              className="accent-red-800"
+            />
+            Email me about reservations and account changes
+          </label>
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              name="smsNotifications"
+              checked={form.preferences.smsNotifications}
+              onChange={handlePreference}
+              disabled={!form.phone.trim()}
+              className="accent-red-800"
+            />
+            Text me reminders
+            {!form.phone.trim() && (
+              <span className="text-gray-500">(add a phone number first)</span>
+            )}
+          </label>
+        </fieldset>
+
+        <div className="flex items-center gap-3">
+          <button
+            type="submit"
+            disabled={isSaving}
+            className="px-6 py-2 bg-red-800 text-white font-medium rounded-lg hover:bg-red-900 transition-colors disabled:opacity-60"
+          >
+            {isSaving ? "Saving..." : "Save Changes"}
+          </button>
+          {saved && <span className="text-green-700 text-sm">Saved</span>}
+        </div>
+      </form>
+    </section>
+  );
+};
+
+const DeleteAccountSection = () => {
+  const router = useRouter();
+  const [confirmation, setConfirmation] = useState("");
+  const [error, setError] = useState(null);
+  const [isDeleting, setIsDeleting] = useState(false);
+
+  const handleDelete = async (e) => {
+    e.preventDefault();
+    if (confirmation !== DELETE_CONFIRMATION) return;
+    setError(null);
+    setIsDeleting(true);
+    try {
+      await api.user.delete();
+    } catch (err) {
+      setError(err.message);
+      setIsDeleting(false);
+      return;
+    }
+    await signOut();
+    router.replace("/");
+  };
+
+  return (
+    <section className="bg-white rounded-xl shadow-md p-6 border border-red-200">
+      <h2 className="text-lg font-bold text-red-800 mb-2">Delete Account</h2>
+      <p className="text-gray-600 text-sm mb-4">
+        This permanently removes your account and signs you out. It cannot be
+        undone.
+      </p>
+      {error && (
+        <div className="bg-red-50 text-red-800 rounded-lg p-3 mb-4 text-sm">
+          {error}
+        </div>
+      )}
+      <form onSubmit={handleDelete} className="space-y-3">
+        <FormField
+          label={`Type ${DELETE_CONFIRMATION} to confirm`}
+          name="deleteConfirmation"
+        >
+          <input
+            id="deleteConfirmation"
+            value={confirmation}
+            onChange={(e) => setConfirmation(e.target.value)}
+            autoComplete="off"
+            className={inputClass(false)}
+          />
+        </FormField>
+        <button
+          type="submit"
+          disabled={confirmation !== DELETE_CONFIRMATION || isDeleting}
+          className="px-6 py-2 bg-red-800 text-white font-medium rounded-lg hover:bg-red-900 transition-colors disabled:opacity-60 disabled:cursor-not-allowed"
+        >
+          {isDeleting ? "Deleting..." : "Delete My Account"}
+        </button>
+      </form>
+    </section>
+  );
+};
+
+// Self-service profile for any signed-in user. RouteGuard only renders it
+// once the user has loaded.
+const ProfilePage = () => {
+  const { user } = useCurrentUser();
+
+  return (
+    <PageShell
+      title="My Profile"
+      subtitle={`${user.email} · ${humanize(user.role)}`}
+      actions={
+        <Link
+          href={homeForRole(user.role)}
+          className="px-4 py-2 border-2 border-red-800 text-red-800 font-medium rounded-lg hover:bg-red-50 transition-colors"
+        >
+          Back
+        </Link>
+      }
+    >
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 items-start">
+        <AvatarSection user={user} />
+        <div className="lg:col-span-2 space-y-6">
+          <DetailsSection user={user} />
+          <DeleteAccountSection />
+        </div>
+      </div>
+    </PageShell>
+  );
+};
+
+export default ProfilePage;
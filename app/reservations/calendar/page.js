@@ -0,0 +1,785 @@
+"use client";
+import { useRef, useState } from "react";
+import Link from "next/link";
+import api from "../../api/services";
+import { useApiQuery, usePaginatedList } from "../../api/hooks";
+import { runMutation, setQueryData } from "../../api/queryCache";
+import { asc, between, lists } from "../../api/pagination";
+import PageShell from "../../components/PageShell";
+import StatusBadge from "../../components/StatusBadge";
+import {
+  CLOSING_HOUR,
+  DEFAULT_DURATION,
+  OPENING_HOUR,
+  SLOT_MINUTES,
+  addDays,
+  addMinutes,
+  atMinute,
+  formatDay,
+  fromDateInput,
+  isSameDay,
+  minutesIntoDay,
+  startOfDay,
+  startOfWeek,
+  toDateInput,
+  toTimeInput,
+  withTimeOf,
+} from "../../lib/calendar";
+import { formatDateTime, formatTime, humanize } from "../../lib/format";
+
+const VIEWS = ["day", "week", "list"];
+// Bookings loaded per range, in one page; the page says when there are more
+const MAX_RESERVATIONS = 500;
+
+// Day timeline geometry, in pixels
+const ROW_HEIGHT = 52;
+const SLOT_WIDTH = 22;
+const LABEL_WIDTH = 88;
+const SLOT_COUNT = ((CLOSING_HOUR - OPENING_HOUR) * 60) / SLOT_MINUTES;
+const HOURS = Array.from(
+  { length: CLOSING_HOUR - OPENING_HOUR },
+  (_, index) => OPENING_HOUR + index
+);
+
+// Movement below this is a click, not a drag
+const DRAG_THRESHOLD = 4;
+
+const BLOCK_STYLES = {
+  pending: "bg-yellow-100 border-yellow-500 text-yellow-900",
+  confirmed: "bg-green-100 border-green-600 text-green-900",
+  seated: "bg-red-100 border-red-700 text-red-900",
+  completed: "bg-gray-100 border-gray-400 text-gray-600",
+  cancelled: "bg-gray-50 border-gray-300 text-gray-400 line-through",
+  no_show: "bg-orange-100 border-orange-500 text-orange-900",
+};
+
+// What staff can do next, as the backend allows it
+const STATUS_ACTIONS = {
+  pending: [
+    { status: "confirmed", label: "Confirm" },
+    { status: "cancelled", label: "Cancel" },
+  ],
+  confirmed: [
+    { status: "seated", label: "Seat" },
+    { status: "no_show", label: "No-show" },
+    { status: "cancelled", label: "Cancel" },
+  ],
+  seated: [{ status: "completed", label: "Complete" }],
+};
+
+// Only bookings that have not started can be moved
+const canMove = (reservation) =>
+  ["pending", "confirmed"].includes(reservation.status);
+
+const durationOf = (reservation) =>
+  reservation.durationMinutes ?? DEFAULT_DURATION;
+
+const buttonClass =
+  "px-3 py-2 text-sm font-medium rounded-lg transition-colors disabled:opacity-60";
+const outlineButton = `${buttonClass} border-2 border-red-800 text-red-800 hover:bg-red-50`;
+const primaryButton = `${buttonClass} bg-red-800 text-white hover:bg-red-900`;
+const inputClass =
+  "bg-white border border-gray-200 rounded-lg py-2 px-3 text-gray-700 text-sm focus:outline-none focus:ring-1 focus:ring-red-800";
+
+// Pointer dragging shared by the day and week views. onDrop(id, dx, dy)
+// gets the distance moved in pixels; short movements count as clicks.
+const useDrag = ({ onDrop, onClick }) => {
+  const dragRef = useRef(null);
+  const [drag, setDrag] = useState(null);
+
+  const handlers = (reservation) => ({
+    onPointerDown: (e) => {
+      e.stopPropagation();
+      e.currentTarget.setPointerCapture(e.pointerId);
+      dragRef.current = {
+        id: reservation.id,
+        movable: canMove(reservation),
+        x: e.clientX,
+        y: e.clientY,
+        dx: 0,
+        dy: 0,
+      };
+    },
+    onPointerMove: (e) => {
+      const current = dragRef.current;
+      if (!current?.movable) return;
+      current.dx = e.clientX - current.x;
+      current.dy = e.clientY - current.y;
+      setDrag({ ...current });
+    },
+    onPointerUp: () => {
+      const current = dragRef.current;
+      dragRef.current = null;
+      setDrag(null);
+      if (!current) return;
+      const moved =
+        Math.abs(current.dx) > DRAG_THRESHOLD ||
+        Math.abs(current.dy) > DRAG_THRESHOLD;
+      if (moved) onDrop(current.id, current.dx, current.dy);
+      else onClick(current.id);
+    },
+    onPointerCancel: () => {
+      dragRef.current = null;
+      setDrag(null);
+    },
+  });
+
+  return { drag, handlers };
+};
+
+// One row per table, time across; bookings snap to SLOT_MINUTES
+const DayTimeline = ({
+  day,
+  tables,
+  reservations,
+  selectedId,
+  onSelect,
+  onMove,
+}) => {
+  const hasUnassigned = reservations.some((r) => r.tableId == null);
+  const rows = [
+    ...tables.map((table) => ({ table, label: `Table ${table.number}` })),
+    ...(hasUnassigned ? [{ table: null, label: "No table" }] : []),
+  ];
+  const rowIndex = (tableId) =>
+    tableId == null
+      ? rows.length - 1
+      : rows.findIndex((row) => row.table?.id === tableId);
+
+  const { drag, handlers } = useDrag({
+    onClick: onSelect,
+    onDrop: (id, dx, dy) => {
+      const reservation = reservations.find((r) => r.id === id);
+      const slots = Math.round(dx / SLOT_WIDTH);
+      const target =
+        rows[rowIndex(reservation.tableId) + Math.round(dy / ROW_HEIGHT)];
+      if (!target?.table) return;
+      onMove(reservation, {
+        tableId: target.table.id,
+        reservationTime: addMinutes(
+          reservation.reservationTime,
+          slots * SLOT_MINUTES
+        ),
+      });
+    },
+  });
+
+  const left = (time) =>
+    ((minutesIntoDay(time) - OPENING_HOUR * 60) / SLOT_MINUTES) * SLOT_WIDTH;
+  const now = new Date();
+  const showNow =
+    isSameDay(now, day) &&
+    now.getHours() >= OPENING_HOUR &&
+    now.getHours() < CLOSING_HOUR;
+
+  return (
+    <div className="bg-white rounded-xl shadow-md overflow-x-auto">
+      <div
+        className="relative select-none"
+        style={{ width: LABEL_WIDTH + SLOT_COUNT * SLOT_WIDTH }}
+      >
+        <div className="flex border-b border-gray-200 h-8 text-xs text-gray-500">
+          <div style={{ width: LABEL_WIDTH }} />
+          {HOURS.map((hour) => (
+            <div
+              key={hour}
+              className="border-l border-gray-200 pl-1 pt-2"
+              style={{ width: (60 / SLOT_MINUTES) * SLOT_WIDTH }}
+            >
+              {formatTime(atMinute(day, hour * 60))}
+            </div>
+          ))}
+        </div>
+
+        {rows.map((row, index) => (
+          <div
+            key={row.table?.id ?? "none"}
+            className={`flex border-b border-gray-100 ${index % 2 ? "bg-gray-50" : ""}`}
+            style={{ height: ROW_HEIGHT }}
+          >
+            <div
+              className="flex flex-col justify-center px-3 text-sm font-medium text-gray-700 border-r border-gray-200 bg-white sticky left-0 z-10"
+              style={{ width: LABEL_WIDTH }}
+            >
+              {row.label}
+              {row.table && (
+                <span className="text-xs text-gray-400 font-normal">
+                  {row.table.capacity} seats
+                </span>
+              )}
+            </div>
+            {HOURS.map((hour) => (
+              <div
+                key={hour}
+                className="border-l border-gray-100"
+                style={{ width: (60 / SLOT_MINUTES) * SLOT_WIDTH }}
+              />
+            ))}
+          </div>
+        ))}
+
+        {showNow && (
+          <div
+            className="absolute top-8 bottom-0 w-0.5 bg-red-600 z-20 pointer-events-none"
+            style={{ left: LABEL_WIDTH + left(now) }}
+          />
+        )}
+
+        {reservations.map((reservation) => {
+          const row = rowIndex(reservation.tableId);
+          const dragging = drag?.id === reservation.id;
+          const dx = dragging
+            ? Math.round(drag.dx / SLOT_WIDTH) * SLOT_WIDTH
+            : 0;
+          const dy = dragging
+            ? Math.round(drag.dy / ROW_HEIGHT) * ROW_HEIGHT
+            : 0;
+          return (
+            <div
+              key={reservation.id}
+              {...handlers(reservation)}
+              className={`absolute rounded-md border-l-4 px-2 py-1 text-xs overflow-hidden touch-none ${
+                BLOCK_STYLES[reservation.status]
+              } ${canMove(reservation) ? "cursor-move" : "cursor-pointer"} ${
+                reservation.id === selectedId ? "ring-2 ring-gray-900" : ""
+              } ${dragging ? "z-30 shadow-lg opacity-90" : "z-10"}`}
+              style={{
+                top: 32 + row * ROW_HEIGHT + 4,
+                height: ROW_HEIGHT - 8,
+                left: LABEL_WIDTH + left(reservation.reservationTime),
+                width: Math.max(
+                  SLOT_WIDTH,
+                  (durationOf(reservation) / SLOT_MINUTES) * SLOT_WIDTH - 2
+                ),
+                transform: `translate(${dx}px, ${dy}px)`,
+              }}
+              title={`${reservation.customerName}, ${reservation.partySize} guests`}
+            >
+              <div className="font-semibold truncate">
+                {reservation.customerName}
+              </div>
+              <div className="truncate">
+                {formatTime(
+                  addMinutes(
+                    reservation.reservationTime,
+                    (dx / SLOT_WIDTH) * SLOT_MINUTES
+                  )
+                )}{" "}
+                · {reservation.partySize} guests
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+// Seven day columns; dragging a booking sideways keeps its time and table
+const WeekView = ({
+  weekStart,
+  tables,
+  reservations,
+  selectedId,
+  onSelect,
+  onMove,
+}) => {
+  const gridRef = useRef(null);
+  const days = Array.from({ length: 7 }, (_, index) => addDays(weekStart, index));
+  const tableNumber = (id) => tables.find((t) => t.id === id)?.number ?? "-";
+
+  const { drag, handlers } = useDrag({
+    onClick: onSelect,
+    onDrop: (id, dx) => {
+      const reservation = reservations.find((r) => r.id === id);
+      const width = gridRef.current.getBoundingClientRect().width / 7;
+      const shift = Math.round(dx / width);
+      if (!shift) return;
+      onMove(reservation, {
+        tableId: reservation.tableId,
+        reservationTime: withTimeOf(
+          addDays(reservation.reservationTime, shift),
+          reservation.reservationTime
+        ),
+      });
+    },
+  });
+
+  return (
+    <div
+      ref={gridRef}
+      className="grid grid-cols-7 gap-2 select-none min-w-[840px]"
+    >
+      {days.map((day) => {
+        const items = reservations.filter((r) =>
+          isSameDay(r.reservationTime, day)
+        );
+        const today = isSameDay(day, new Date());
+        return (
+          <div key={day.toISOString()} className="bg-white rounded-xl shadow-md p-2 min-h-48">
+            <div
+              className={`text-sm font-semibold mb-2 ${
+                today ? "text-red-800" : "text-gray-700"
+              }`}
+            >
+              {formatDay(day)}
+              <span className="ml-1 text-xs font-normal text-gray-400">
+                {items.length || ""}
+              </span>
+            </div>
+            <div className="space-y-1">
+              {items.map((reservation) => {
+                const dragging = drag?.id === reservation.id;
+                return (
+                  <div
+                    key={reservation.id}
+                    {...handlers(reservation)}
+                    className={`rounded-md border-l-4 px-2 py-1 text-xs touch-none ${
+                      BLOCK_STYLES[reservation.status]
+                    } ${canMove(reservation) ? "cursor-move" : "cursor-pointer"} ${
+                      reservation.id === selectedId ? "ring-2 ring-gray-900" : ""
+                    } ${dragging ? "relative z-30 shadow-lg opacity-90" : ""}`}
+                    style={
+                      dragging
+                        ? { transform: `translate(${drag.dx}px, ${drag.dy}px)` }
+                        : undefined
+                    }
+                  >
+                    <div className="font-semibold">
+                      {formatTime(reservation.reservationTime)}
+                    </div>
+                    <div className="truncate">{reservation.customerName}</div>
+                    <div className="text-[11px] opacity-80">
+                      {reservation.partySize} guests · T
+                      {tableNumber(reservation.tableId)}
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+const ListView = ({ reservations, tables, selectedId, onSelect }) => {
+  const tableNumber = (id) => tables.find((t) => t.id === id)?.number ?? "-";
+  const days = [
+    ...new Set(
+      reservations.map((r) => startOfDay(r.reservationTime).toISOString())
+    ),
+  ];
+
+  if (!reservations.length) {
+    return (
+      <div className="bg-white rounded-xl shadow-md p-6 text-center text-gray-500">
+        No reservations this week
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      {days.map((day) => (
+        <div key={day} className="bg-white rounded-xl shadow-md overflow-hidden">
+          <div className="px-4 py-2 bg-gray-50 text-sm font-semibold text-gray-700">
+            {formatDay(day, { weekday: "long" })}
+          </div>
+          <ul className="divide-y divide-gray-100">
+            {reservations
+              .filter((r) => isSameDay(r.reservationTime, day))
+              .map((reservation) => (
+                <li key={reservation.id}>
+                  <button
+                    onClick={() => onSelect(reservation.id)}
+                    className={`w-full flex items-center gap-4 px-4 py-3 text-left text-sm hover:bg-red-50 ${
+                      reservation.id === selectedId ? "bg-red-50" : ""
+                    }`}
+                  >
+                    <span className="w-20 font-medium text-gray-800">
+                      {formatTime(reservation.reservationTime)}
+                    </span>
+                    <span className="flex-1 text-gray-700">
+                      {reservation.customerName}
+                    </span>
+                    <span className="w-20 text-gray-500">
+                      {reservation.partySize} guests
+                    </span>
+                    <span className="w-20 text-gray-500">
+                      Table {tableNumber(reservation.tableId)}
+                    </span>
+                    <StatusBadge status={reservation.status} />
+                  </button>
+                </li>
+              ))}
+          </ul>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// Booking details with status actions and a keyboard-friendly way to move it
+const ReservationPanel = ({
+  reservation,
+  tables,
+  busy,
+  onStatus,
+  onMove,
+  onClose,
+}) => {
+  const [tableId, setTableId] = useState(String(reservation.tableId ?? ""));
+  const [time, setTime] = useState(
+    () =>
+      `${toDateInput(reservation.reservationTime)}T${toTimeInput(
+        reservation.reservationTime
+      )}`
+  );
+
+  const handleMove = (e) => {
+    e.preventDefault();
+    onMove(reservation, {
+      tableId: Number(tableId),
+      reservationTime: new Date(time),
+    });
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-md p-4 space-y-4">
+      <div className="flex items-start justify-between gap-2">
+        <div>
+          <h2 className="font-bold text-gray-800">{reservation.customerName}</h2>
+          <p className="text-gray-500 text-sm">
+            {formatDateTime(reservation.reservationTime)} ·{" "}
+            {durationOf(reservation)} min
+          </p>
+        </div>
+        <button
+          onClick={onClose}
+          className="text-gray-400 hover:text-gray-700"
+          aria-label="Close"
+        >
+          ✕
+        </button>
+      </div>
+      <dl className="grid grid-cols-2 gap-2 text-sm">
+        <dt className="text-gray-500">Status</dt>
+        <dd>
+          <StatusBadge status={reservation.status} />
+        </dd>
+        <dt className="text-gray-500">Party</dt>
+        <dd className="text-gray-800">{reservation.partySize} guests</dd>
+        {reservation.customerPhone && (
+          <>
+            <dt className="text-gray-500">Phone</dt>
+            <dd className="text-gray-800">{reservation.customerPhone}</dd>
+          </>
+        )}
+        {reservation.customerEmail && (
+          <>
+            <dt className="text-gray-500">Email</dt>
+            <dd className="text-gray-800 break-all">
+              {reservation.customerEmail}
+            </dd>
+          </>
+        )}
+      </dl>
+      {reservation.specialRequests && (
+        <p className="text-sm text-gray-700 bg-gray-50 rounded-lg p-2">
+          {reservation.specialRequests}
+        </p>
+      )}
+
+      {STATUS_ACTIONS[reservation.status] && (
+        <div className="flex flex-wrap gap-2">
+          {STATUS_ACTIONS[reservation.status].map((action, index) => (
+            <button
+              key={action.status}
+              onClick={() => onStatus(reservation, action.status)}
+              disabled={busy}
+              className={index === 0 ? primaryButton : outlineButton}
+            >
+              {action.label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {canMove(reservation) && (
+        <form onSubmit={handleMove} className="space-y-2 border-t border-gray-100 pt-4">
+          <div className="text-sm font-medium text-gray-700">Move booking</div>
+          <select
+            value={tableId}
+            onChange={(e) => setTableId(e.target.value)}
+            className={`${inputClass} w-full`}
+            aria-label="Table"
+          >
+            <option value="" disabled>
+              Choose a table
+            </option>
+            {tables.map((table) => (
+              <option key={table.id} value={table.id}>
+                Table {table.number} ({table.capacity} seats)
+              </option>
+            ))}
+          </select>
+          <input
+            type="datetime-local"
+            step={SLOT_MINUTES * 60}
+            value={time}
+            onChange={(e) => setTime(e.target.value)}
+            className={`${inputClass} w-full`}
+            aria-label="Time"
+          />
+          <button
+            type="submit"
+            disabled={busy || !tableId || !time}
+            className={`${outlineButton} w-full`}
+          >
+            Move
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+// Staff calendar over reservation.getAll: a per-table day timeline, a week
+// grid and a list. Dragging reschedules after an availability check.
+const ReservationCalendarPage = () => {
+  const [view, setView] = useState("day");
+  const [day, setDay] = useState(() => startOfDay(new Date()));
+  const [selectedId, setSelectedId] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const from = view === "day" ? day : startOfWeek(day);
+  const to = addDays(from, view === "day" ? 1 : 7);
+  const query = {
+    limit: MAX_RESERVATIONS,
+    filters: [
+      between(
+        "reservationTime",
+        from.toISOString(),
+        addMinutes(to, -1).toISOString()
+      ),
+    ],
+    sort: [asc("reservationTime")],
+  };
+  const params = lists.reservations.params(query);
+  const { page, error } = usePaginatedList(lists.reservations, query, {
+    live: true,
+  });
+  const tablesQuery = useApiQuery("table.getAll");
+
+  const tables = [...(tablesQuery.data ?? [])].sort((a, b) => a.number - b.number);
+  const reservations = page?.items ?? [];
+  const selected = reservations.find((r) => r.id === selectedId) ?? null;
+
+  // Moves the booking on screen straight away; the list refetches after
+  const patchReservation = (id, changes) =>
+    setQueryData(lists.reservations.method, [params], (data) => {
+      const patch = (items) =>
+        items.map((r) => (r.id === id ? { ...r, ...changes } : r));
+      if (!data) return data;
+      return Array.isArray(data)
+        ? patch(data)
+        : { ...data, items: patch(data.items ?? []) };
+    });
+
+  const handleMove = async (reservation, { tableId, reservationTime }) => {
+    const time = new Date(reservationTime);
+    const unchanged =
+      tableId === reservation.tableId &&
+      time.getTime() === new Date(reservation.reservationTime).getTime();
+    if (unchanged || busy) return;
+
+    const table = tables.find((t) => t.id === tableId);
+    setBusy(true);
+    setMessage(null);
+    const previous = {
+      tableId: reservation.tableId,
+      reservationTime: reservation.reservationTime,
+    };
+    const changes = { tableId, reservationTime: time.toISOString() };
+    try {
+      const availability = await api.reservation.checkAvailability({
+        reservationTime: changes.reservationTime,
+        partySize: reservation.partySize,
+        durationMinutes: durationOf(reservation),
+        tableId,
+        excludeId: reservation.id,
+      });
+      if (!availability.available) {
+        throw new Error(
+          table && table.capacity < reservation.partySize
+            ? `Table ${table.number} seats only ${table.capacity}`
+            : `Table ${table?.number ?? tableId} is not free at ${formatDateTime(time)}`
+        );
+      }
+      patchReservation(reservation.id, changes);
+      await runMutation("reservation.update", [reservation.id, changes]);
+      setMessage({
+        tone: "success",
+        text: `${reservation.customerName} moved to ${formatDateTime(time)}, table ${
+          table?.number ?? tableId
+        }`,
+      });
+    } catch (err) {
+      patchReservation(reservation.id, previous);
+      setMessage({ tone: "error", text: err.message });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleStatus = async (reservation, status) => {
+    setBusy(true);
+    setMessage(null);
+    try {
+      await runMutation("reservation.changeStatus", [reservation.id, status]);
+    } catch (err) {
+      setMessage({ tone: "error", text: err.message });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const step = view === "day" ? 1 : 7;
+  const rangeLabel =
+    view === "day"
+      ? formatDay(day, { weekday: "long", year: "numeric" })
+      : `${formatDay(from)} – ${formatDay(addDays(to, -1), { year: "numeric" })}`;
+  const dayReservations = reservations.filter((r) =>
+    isSameDay(r.reservationTime, day)
+  );
+
+  return (
+    <PageShell
+      title="Reservation Calendar"
+      subtitle="Drag a booking to another time or table to reschedule it"
+      actions={
+        <Link href="/reservations" className={outlineButton}>
+          History
+        </Link>
+      }
+    >
+      <div className="flex flex-wrap items-center gap-2 mb-4">
+        {VIEWS.map((name) => (
+          <button
+            key={name}
+            onClick={() => setView(name)}
+            className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+              view === name
+                ? "bg-red-800 text-white"
+                : "bg-white text-gray-700 shadow-md hover:bg-red-50"
+            }`}
+          >
+            {humanize(name)}
+          </button>
+        ))}
+        <div className="flex-1" />
+        <button
+          onClick={() => setDay(addDays(day, -step))}
+          className={outlineButton}
+          aria-label="Previous"
+        >
+          ‹
+        </button>
+        <button
+          onClick={() => setDay(startOfDay(new Date()))}
+          className={outlineButton}
+        >
+          Today
+        </button>
+        <button
+          onClick={() => setDay(addDays(day, step))}
+          className={outlineButton}
+          aria-label="Next"
+        >
+          ›
+        </button>
+        <input
+          type="date"
+          value={toDateInput(day)}
+          onChange={(e) => e.target.value && setDay(fromDateInput(e.target.value))}
+          className={inputClass}
+          aria-label="Date"
+        />
+      </div>
+
+      <h2 className="text-lg font-semibold text-gray-800 mb-3">{rangeLabel}</h2>
+
+      {(error || tablesQuery.error) && (
+        <div className="bg-red-50 text-red-800 rounded-lg p-3 mb-4 text-sm">
+          {(error ?? tablesQuery.error).message}
+        </div>
+      )}
+      {page?.hasMore && (
+        <div className="bg-blue-50 text-blue-800 rounded-lg p-3 mb-4 text-sm">
+          Only the first {MAX_RESERVATIONS} bookings in this range are shown.
+          {view !== "day" && " Pick a single day to see the rest."}
+        </div>
+      )}
+      {message && (
+        <div
+          className={`rounded-lg p-3 mb-4 text-sm ${
+            message.tone === "error"
+              ? "bg-red-50 text-red-800"
+              : "bg-green-50 text-green-800"
+          }`}
+        >
+          {message.text}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 xl:grid-cols-4 gap-6 items-start">
+        <div className={`${selected ? "xl:col-span-3" : "xl:col-span-4"} overflow-x-auto`}>
+          {!page || !tablesQuery.data ? (
+            <div className="text-center text-gray-500 p-6">Loading...</div>
+          ) : view === "day" ? (
+            <DayTimeline
+              day={day}
+              tables={tables}
+              reservations={dayReservations}
+              selectedId={selectedId}
+              onSelect={setSelectedId}
+              onMove={handleMove}
+            />
+          ) : view === "week" ? (
+            <WeekView
+              weekStart={from}
+              tables={tables}
+              reservations={reservations}
+              selectedId={selectedId}
+              onSelect={setSelectedId}
+              onMove={handleMove}
+            />
+          ) : (
+            <ListView
+              reservations={reservations}
+              tables={tables}
+              selectedId={selectedId}
+              onSelect={setSelectedId}
+            />
+          )}
+        </div>
+        {selected && (
+          <ReservationPanel
+            key={`${selected.id}-${selected.reservationTime}-${selected.tableId}`}
+            reservation={selected}
+            tables={tables}
+            busy={busy}
+            onStatus={handleStatus}
+            onMove={handleMove}
+            onClose={() => setSelectedId(null)}
+          />
+        )}
+      </div>
+    </PageShell>
+  );
+};
+
+export default ReservationCalendarPage;
@@ -0,0 +1,107 @@
+"use client";
+import { useState } from "react";
+import Link from "next/link";
+import PageShell from "../components/PageShell";
+import DataTable from "../components/DataTable";
+import StatusBadge from "../components/StatusBadge";
+import { between, desc, eq, lists, search } from "../api/pagination";
+import { RESERVATION_STATUSES } from "../api/schemas";
+import { formatDateTime, humanize } from "../lib/format";
+
+const statuses = RESERVATION_STATUSES;
+
+const columns = [
+  {
+    key: "reservationTime",
+    header: "Time",
+    sortable: true,
+    render: (row) => formatDateTime(row.reservationTime),
+  },
+  { key: "customerName", header: "Guest", sortable: true },
+  { key: "partySize", header: "Party", sortable: true },
+  { key: "tableId", header: "Table" },
+  {
+    key: "status",
+    header: "Status",
+    render: (row) => <StatusBadge status={row.status} />,
+  },
+];
+
+const inputClass =
+  "bg-white border border-gray-200 rounded-lg py-2 px-3 text-gray-700 text-sm focus:outline-none focus:ring-1 focus:ring-red-800";
+
+const ReservationHistoryPage = () => {
+  const [status, setStatus] = useState("");
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+  const [text, setText] = useState("");
+
+  const filters = [
+    status && eq("status", status),
+    (from || to) &&
+      between("reservationTime", from, to ? `${to}T23:59:59` : undefined),
+    text && search(text),
+  ].filter(Boolean);
+
+  return (
+    <PageShell
+      title="Reservation History"
+      subtitle="Every booking, newest first"
+      actions={
+        <Link
+          href="/reservations/calendar"
+          className="px-4 py-2 border-2 border-red-800 text-red-800 font-medium rounded-lg hover:bg-red-50 transition-colors"
+        >
+          Calendar
+        </Link>
+      }
+    >
+      <div className="flex flex-wrap gap-3 mb-4">
+        <input
+          type="search"
+          placeholder="Search guest"
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          className={inputClass}
+        />
+        <select
+          value={status}
+          onChange={(e) => setStatus(e.target.value)}
+          className={inputClass}
+        >
+          <option value="">All statuses</option>
+          {statuses.map((value) => (
+            <option key={value} value={value}>
+              {humanize(value)}
+            </option>
+          ))}
+        </select>
+        <input
+          type="date"
+          value={from}
+          onChange={(e) => setFrom(e.target.value)}
+          className={inputClass}
+          aria-label="From date"
+        />
+        <input
+          type="date"
+          value={to}
+          onChange={(e) => setTo(e.target.value)}
+          className={inputClass}
+          aria-label="To date"
+        />
+      </div>
+
+      <DataTable
+        list={lists.reservations}
+        columns={columns}
+        filters={filters}
+        initialSort={[desc("reservationTime")]}
+        emptyMessage="No reservations match these filters"
+        live
+      />
+    </PageShell>
+  );
+};
+
+export default ReservationHistoryPage;
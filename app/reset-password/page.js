@@ -0,0 +1,160 @@
+"use client";
+import { Suspense, useState } from "react";
+import Link from "next/link";
+import { useSearchParams } from "next/navigation";
+import api from "../api/services";
+import AuthShell from "../components/AuthShell";
+import FormField, { inputClass } from "../components/FormField";
+import PasswordStrength from "../components/PasswordStrength";
+import { validatePassword } from "../lib/validation";
+
+// Statuses the backend uses for unknown, used or expired reset tokens
+const INVALID_TOKEN_STATUSES = new Set([400, 401, 404, 410]);
+
+const LinkProblem = ({ expired }) => (
+  <div className="text-center">
+    <h1 className="text-2xl font-bold text-gray-900 mb-2">
+      {expired ? "This link has expired" : "This link is not valid"}
+    </h1>
+    <p className="text-gray-600 mb-6">
+      {expired
+        ? "Reset links only work for a limited time. Request a new one and use it straight away."
+        : "The reset link is incomplete or has already been used. Request a new one to continue."}
+    </p>
+    <Link
+      href="/forgot-password"
+      className="block w-full py-2 bg-red-800 text-white font-medium rounded-lg hover:bg-red-900 transition-colors mb-3"
+    >
+      Request a New Link
+    </Link>
+    <Link href="/login" className="text-sm text-red-800 font-medium hover:underline">
+      Back to sign in
+    </Link>
+  </div>
+);
+
+const ResetPasswordForm = () => {
+  const token = useSearchParams().get("token");
+
+  const [form, setForm] = useState({ password: "", confirmPassword: "" });
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [error, setError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [linkProblem, setLinkProblem] = useState(token ? null : "invalid");
+  const [isDone, setIsDone] = useState(false);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((previous) => ({ ...previous, [name]: value }));
+    setFieldErrors((previous) => ({ ...previous, [name]: undefined }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    const errors = validatePassword(form.password, form.confirmPassword);
+    setFieldErrors(errors);
+    if (Object.keys(errors).length) return;
+
+    setIsSubmitting(true);
+    try {
+      await api.auth.resetPassword(token, form.password);
+      setIsDone(true);
+    } catch (err) {
+      const serverErrors = err.data?.errors ?? {};
+      if (serverErrors.newPassword) {
+        setFieldErrors({ password: serverErrors.newPassword });
+      } else if (INVALID_TOKEN_STATUSES.has(err.status)) {
+        setLinkProblem(err.status === 410 ? "expired" : "invalid");
+      } else {
+        setError(err.message);
+      }
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (linkProblem) return <LinkProblem expired={linkProblem === "expired"} />;
+
+  if (isDone) {
+    return (
+      <div className="text-center">
+        <h1 className="text-2xl font-bold text-gray-900 mb-2">Password updated</h1>
+        <p className="text-gray-600 mb-6">
+          You can now sign in with your new password.
+        </p>
+        <Link
+          href="/login"
+          className="block w-full py-2 bg-red-800 text-white font-medium rounded-lg hover:bg-red-900 transition-colors"
+        >
+          Sign In
+        </Link>
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <h1 className="text-2xl font-bold text-gray-900 mb-1">Choose a new password</h1>
+      <p className="text-gray-600 mb-6">Pick something you have not used before.</p>
+
+      {error && (
+        <div className="bg-red-50 text-red-800 rounded-lg p-3 mb-4 text-sm">
+          {error}
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} noValidate className="space-y-4">
+        <FormField label="New password" name="password" error={fieldErrors.password}>
+          <input
+            id="password"
+            name="password"
+            type="password"
+            autoComplete="new-password"
+            value={form.password}
+            onChange={handleChange}
+            className={inputClass(fieldErrors.password)}
+          />
+          <PasswordStrength password={form.password} />
+        </FormField>
+
+        <FormField
+          label="Confirm new password"
+          name="confirmPassword"
+          error={fieldErrors.confirmPassword}
+        >
+          <input
+            id="confirmPassword"
+            name="confirmPassword"
+            type="password"
+            autoComplete="new-password"
+            value={form.confirmPassword}
+            onChange={handleChange}
+            className={inputClass(fieldErrors.confirmPassword)}
+          />
+        </FormField>
+
+        <button
+          type="submit"
+          disabled={isSubmitting}
+          className="w-full py-2 bg-red-800 text-white font-medium rounded-lg hover:bg-red-900 transition-colors disabled:opacity-60"
+        >
+          {isSubmitting ? "Saving..." : "Update Password"}
+        </button>
+      </form>
+    </>
+  );
+};
+
+const ResetPasswordPage = () => {
+  return (
+    <AuthShell>
+      {/* useSearchParams needs a Suspense boundary to prerender */}
+      <Suspense fallback={null}>
+        <ResetPasswordForm />
+      </Suspense>
+    </AuthShell>
+  );
+};
+
+export default ResetPasswordPage;
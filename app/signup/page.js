@@ -0,0 +1,244 @@
+"use client";
+import { useEffect, useState } from "react";
+import Link from "next/link";
+import api from "../api/services";
+import AuthShell from "../components/AuthShell";
+import FormField, { inputClass } from "../components/FormField";
+import PasswordStrength from "../components/PasswordStrength";
+import { humanize } from "../lib/format";
+import { validateSignup } from "../lib/validation";
+
+const RESEND_COOLDOWN = 60;
+
+// Shown after registering until the user follows the emailed link
+const CheckYourEmail = ({ user }) => {
+  const [cooldown, setCooldown] = useState(RESEND_COOLDOWN);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    if (cooldown === 0) return;
+    const timer = setTimeout(() => setCooldown(cooldown - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [cooldown]);
+
+  const resend = async () => {
+    setCooldown(RESEND_COOLDOWN);
+    try {
+      const response = await api.auth.resendVerification(user.email);
+      setMessage(response?.message ?? "We sent you a new link.");
+    } catch (err) {
+      setMessage(err.message);
+    }
+  };
+
+  return (
+    <div className="text-center">
+      <div className="bg-red-100 text-red-800 w-14 h-14 rounded-full flex items-center justify-center mx-auto mb-4 text-2xl">
+        ✉
+      </div>
+      <h1 className="text-2xl font-bold text-gray-900 mb-2">Check your email</h1>
+      <p className="text-gray-600 mb-4">
+        We sent a verification link to{" "}
+        <span className="font-medium text-gray-800">{user.email}</span>. Follow
+        it to activate your account.
+      </p>
+      {user.role && user.role !== "CUSTOMER" && (
+        <p className="bg-green-50 text-green-800 rounded-lg p-3 mb-4 text-sm">
+          Your invite was accepted - you will join as {humanize(user.role)}.
+        </p>
+      )}
+      {message && <p className="text-sm text-gray-600 mb-4">{message}</p>}
+      <button
+        onClick={resend}
+        disabled={cooldown > 0}
+        className="w-full py-2 border-2 border-red-800 text-red-800 font-medium rounded-lg hover:bg-red-50 transition-colors disabled:opacity-50 mb-3"
+      >
+        {cooldown > 0 ? `Resend link in ${cooldown}s` : "Resend link"}
+      </button>
+      <Link href="/login" className="text-sm text-red-800 font-medium hover:underline">
+        Back to sign in
+      </Link>
+    </div>
+  );
+};
+
+const SignupPage = () => {
+  const [form, setForm] = useState({
+    name: "",
+    email: "",
+    phone: "",
+    password: "",
+    confirmPassword: "",
+    inviteCode: "",
+  });
+  const [hasInvite, setHasInvite] = useState(false);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [error, setError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [registered, setRegistered] = useState(null);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((previous) => ({ ...previous, [name]: value }));
+    setFieldErrors((previous) => ({ ...previous, [name]: undefined }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    const errors = validateSignup(form);
+    if (hasInvite && !form.inviteCode.trim()) {
+      errors.inviteCode = "Enter the code from your invite";
+    }
+    setFieldErrors(errors);
+    if (Object.keys(errors).length) return;
+
+    setIsSubmitting(true);
+    try {
+      const { confirmPassword, inviteCode, ...details } = form;
+      const { user } = await api.auth.register({
+        ...details,
+        email: details.email.trim(),
+        ...(hasInvite && { inviteCode: inviteCode.trim().toUpperCase() }),
+      });
+      setRegistered(user);
+    } catch (err) {
+      const serverErrors = err.data?.errors ?? {};
+      setFieldErrors(serverErrors);
+      if (!Object.keys(serverErrors).length) setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (registered) {
+    return (
+      <AuthShell>
+        <CheckYourEmail user={registered} />
+      </AuthShell>
+    );
+  }
+
+  return (
+    <AuthShell>
+      <h1 className="text-2xl font-bold text-gray-900 mb-1">Create your account</h1>
+      <p className="text-gray-600 mb-6">Book tables and manage your visits</p>
+
+      {error && (
+        <div className="bg-red-50 text-red-800 rounded-lg p-3 mb-4 text-sm">
+          {error}
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} noValidate className="space-y-4">
+        <FormField label="Full name" name="name" error={fieldErrors.name}>
+          <input
+            id="name"
+            name="name"
+            autoComplete="name"
+            value={form.name}
+            onChange={handleChange}
+            className={inputClass(fieldErrors.name)}
+          />
+        </FormField>
+
+        <FormField label="Email" name="email" error={fieldErrors.email}>
+          <input
+            id="email"
+            name="email"
+            type="email"
+            autoComplete="email"
+            value={form.email}
+            onChange={handleChange}
+            className={inputClass(fieldErrors.email)}
+          />
+        </FormField>
+
+        <FormField label="Phone (optional)" name="phone" error={fieldErrors.phone}>
+          <input
+            id="phone"
+            name="phone"
+            type="tel"
+            autoComplete="tel"
+            value={form.phone}
+            onChange={handleChange}
+            className={inputClass(fieldErrors.phone)}
+          />
+        </FormField>
+
+        <FormField label="Password" name="password" error={fieldErrors.password}>
+          <input
+            id="password"
+            name="password"
+            type="password"
+            autoComplete="new-password"
+            value={form.password}
+            onChange={handleChange}
+            className={inputClass(fieldErrors.password)}
+          />
+          <PasswordStrength password={form.password} />
+        </FormField>
+
+        <FormField
+          label="Confirm password"
+          name="confirmPassword"
+          error={fieldErrors.confirmPassword}
+        >
+          <input
+            id="confirmPassword"
+            name="confirmPassword"
+            type="password"
+            autoComplete="new-password"
+            value={form.confirmPassword}
+            onChange={handleChange}
+            className={inputClass(fieldErrors.confirmPassword)}
+          />
+        </FormField>
+
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={hasInvite}
+            onChange={(e) => setHasInvite(e.target.checked)}
+            className="accent-red-800"
+          />
+          I have an invite code from my restaurant
+        </label>
+        {hasInvite && (
+          <FormField
+            label="Invite code"
+            name="inviteCode"
+            error={fieldErrors.inviteCode}
+            hint="Staff invites assign your role automatically"
+          >
+            <input
+              id="inviteCode"
+              name="inviteCode"
+              autoComplete="off"
+              value={form.inviteCode}
+              onChange={handleChange}
+              className={`${inputClass(fieldErrors.inviteCode)} uppercase`}
+            />
+          </FormField>
+        )}
+
+        <button
+          type="submit"
+          disabled={isSubmitting}
+          className="w-full py-2 bg-red-800 text-white font-medium rounded-lg hover:bg-red-900 transition-colors disabled:opacity-60"
+        >
+          {isSubmitting ? "Creating account..." : "Create Account"}
+        </button>
+      </form>
+
+      <p className="text-center text-sm text-gray-600 mt-6">
+        Already have an account?{" "}
+        <Link href="/login" className="text-red-800 font-medium hover:underline">
+          Sign in
+        </Link>
+      </p>
+    </AuthShell>
+  );
+};
+
+export default SignupPage;
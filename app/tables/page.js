@@ -0,0 +1,46 @@
+"use client";
+import Link from "next/link";
+import { useApiQuery } from "../api/hooks";
+import PageShell from "../components/PageShell";
+import TableBoard from "../components/TableBoard";
+import { useCurrentUser } from "../components/AuthProvider";
+import { homeForRole } from "../lib/roles";
+
+// Every table on the floor, for hosts and floor staff
+const TablesPage = () => {
+  const { user } = useCurrentUser();
+  const tables = useApiQuery("table.getAll", [], { live: true });
+  const stats = useApiQuery("table.stats", [], { live: true });
+
+  const occupancy = stats.data?.total
+    ? Math.round((stats.data.occupied / stats.data.total) * 100)
+    : null;
+
+  return (
+    <PageShell
+      title="Table Board"
+      subtitle={
+        occupancy === null
+          ? "Live status of every table"
+          : `Live status of every table · ${occupancy}% occupied`
+      }
+      actions={
+        <Link
+          href={homeForRole(user.role)}
+          className="px-4 py-2 border-2 border-red-800 text-red-800 font-medium rounded-lg hover:bg-red-50 transition-colors"
+        >
+          Back
+        </Link>
+      }
+    >
+      {tables.error && (
+        <div className="bg-red-50 text-red-800 rounded-lg p-3 mb-4 text-sm">
+          {tables.error.message}
+        </div>
+      )}
+      <TableBoard tables={tables.data} />
+    </PageShell>
+  );
+};
+
+export default TablesPage;
@@ -0,0 +1,200 @@
+"use client";
+import { useState } from "react";
+import Link from "next/link";
+import { getTokenStore } from "../api/tokenStore";
+import PageShell from "../components/PageShell";
+import UserAvatar from "../components/UserAvatar";
+import FormField, { inputClass } from "../components/FormField";
+import { useCurrentUser } from "../components/AuthProvider";
+import { lockNow, useTerminal } from "../components/TerminalLock";
+import {
+  PIN_PATTERN,
+  disableTerminal,
+  enableTerminal,
+  joinTerminal,
+  leaveTerminal,
+  setIdleMinutes,
+} from "../lib/terminal";
+import { homeForRole } from "../lib/roles";
+import { humanize } from "../lib/format";
+
+const IDLE_OPTIONS = [1, 2, 5, 10, 15, 30];
+
+const outlineButton =
+  "px-4 py-2 border-2 border-red-800 text-red-800 font-medium rounded-lg hover:bg-red-50 transition-colors disabled:opacity-60";
+const primaryButton =
+  "px-4 py-2 bg-red-800 text-white font-medium rounded-lg hover:bg-red-900 transition-colors disabled:opacity-60";
+
+const PinForm = ({ user, isMember }) => {
+  const [pin, setPin] = useState("");
+  const [confirm, setConfirm] = useState("");
+  const [error, setError] = useState(null);
+  const [saved, setSaved] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaved(false);
+    if (!PIN_PATTERN.test(pin)) return setError("Use a 4 to 6 digit PIN");
+    if (pin !== confirm) return setError("The PINs do not match");
+    try {
+      await joinTerminal(user, pin);
+      setError(null);
+      setPin("");
+      setConfirm("");
+      setSaved(true);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const pinInput = (id, label, value, onChange) => (
+    <FormField label={label} name={id}>
+      <input
+        id={id}
+        type="password"
+        inputMode="numeric"
+        autoComplete="off"
+        maxLength={6}
+        value={value}
+        onChange={(e) => onChange(e.target.value.replace(/\D/g, ""))}
+        className={inputClass(error)}
+      />
+    </FormField>
+  );
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3 max-w-sm">
+      {pinInput("pin", isMember ? "New PIN" : "PIN", pin, setPin)}
+      {pinInput("confirmPin", "Confirm PIN", confirm, setConfirm)}
+      {error && <p className="text-red-700 text-sm">{error}</p>}
+      {saved && <p className="text-green-700 text-sm">PIN saved</p>}
+      <button type="submit" className={primaryButton}>
+        {isMember ? "Change PIN" : "Join Terminal"}
+      </button>
+    </form>
+  );
+};
+
+// Per-device settings for shared POS tablets
+const TerminalSettingsPage = () => {
+  const { user } = useCurrentUser();
+  const terminal = useTerminal();
+  const isMember = terminal.members.some((m) => m.userId === user.id);
+  // httpOnly cookies cannot be parked and swapped from the browser
+  const supported = !getTokenStore().usesCookies;
+
+  return (
+    <PageShell
+      title="Terminal Mode"
+      subtitle="Share this device between staff with PIN switching and an idle lock"
+      actions={
+        <Link href={homeForRole(user.role)} className={outlineButton}>
+          Back
+        </Link>
+      }
+    >
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 items-start">
+        <section className="bg-white rounded-xl shadow-md p-6 space-y-4">
+          <h2 className="text-lg font-bold text-gray-800">This Device</h2>
+          {!supported ? (
+            <p className="text-gray-600 text-sm">
+              Terminal mode needs the <code>local</code> or{" "}
+              <code>session</code> token store. This deployment keeps sessions
+              in cookies, which cannot be switched from the browser.
+            </p>
+          ) : terminal.enabled ? (
+            <>
+              <p className="text-gray-600 text-sm">
+                The screen locks after {terminal.idleMinutes} minute
+                {terminal.idleMinutes === 1 ? "" : "s"} without a tap or key
+                press. Staff unlock with their PIN; anyone not on the terminal
+                is signed out instead.
+              </p>
+              <label className="flex items-center gap-3 text-sm text-gray-700">
+                Lock after
+                <select
+                  value={terminal.idleMinutes}
+                  onChange={(e) => setIdleMinutes(Number(e.target.value))}
+                  className="bg-white border border-gray-200 rounded-lg py-2 px-3 text-gray-700 text-sm focus:outline-none focus:ring-1 focus:ring-red-800"
+                >
+                  {IDLE_OPTIONS.map((minutes) => (
+                    <option key={minutes} value={minutes}>
+                      {minutes} min
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <div className="flex gap-3">
+                <button
+                  onClick={lockNow}
+                  disabled={!terminal.members.length}
+                  className={primaryButton}
+                >
+                  Lock Now
+                </button>
+                <button onClick={disableTerminal} className={outlineButton}>
+                  Turn Off
+                </button>
+              </div>
+            </>
+          ) : (
+            <>
+              <p className="text-gray-600 text-sm">
+                Turn this on for tablets shared by several staff members. Each
+                person sets a PIN once, then switches in without a full
+                sign-in. Work queued while offline stays with whoever started
+                it.
+              </p>
+              <button onClick={() => enableTerminal()} className={primaryButton}>
+                Turn On
+              </button>
+            </>
+          )}
+        </section>
+
+        {supported && terminal.enabled && (
+          <section className="bg-white rounded-xl shadow-md p-6 space-y-4">
+            <h2 className="text-lg font-bold text-gray-800">Your PIN</h2>
+            <PinForm user={user} isMember={isMember} />
+          </section>
+        )}
+
+        {supported && terminal.enabled && terminal.members.length > 0 && (
+          <section className="bg-white rounded-xl shadow-md p-6 lg:col-span-2">
+            <h2 className="text-lg font-bold text-gray-800 mb-4">
+              Staff on this Terminal
+            </h2>
+            <ul className="divide-y divide-gray-100">
+              {terminal.members.map((member) => (
+                <li
+                  key={member.userId}
+                  className="flex items-center gap-3 py-3"
+                >
+                  <UserAvatar user={member} size="sm" />
+                  <div className="flex-1">
+                    <div className="font-medium text-gray-800">
+                      {member.name}
+                    </div>
+                    <div className="text-gray-500 text-xs">
+                      {humanize(member.role)}
+                      {member.userId === terminal.activeUserId &&
+                        " · Signed in now"}
+                    </div>
+                  </div>
+                  <button
+                    onClick={() => leaveTerminal(member.userId)}
+                    className="text-sm text-red-800 font-medium hover:underline"
+                  >
+                    Remove
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </section>
+        )}
+      </div>
+    </PageShell>
+  );
+};
+
+export default TerminalSettingsPage;
@@ -0,0 +1,128 @@
+"use client";
+import { Suspense, useEffect, useRef, useState } from "react";
+import Link from "next/link";
+import { useSearchParams } from "next/navigation";
+import api from "../api/services";
+import AuthShell from "../components/AuthShell";
+import { inputClass } from "../components/FormField";
+
+// Statuses the backend uses for unknown, used or expired verification tokens
+const INVALID_TOKEN_STATUSES = new Set([400, 401, 404, 410]);
+
+const signInButton =
+  "block w-full py-2 bg-red-800 text-white font-medium rounded-lg hover:bg-red-900 transition-colors";
+
+// Sends a fresh link when the one used no longer works
+const ResendLink = () => {
+  const [email, setEmail] = useState("");
+  const [message, setMessage] = useState(null);
+  const [isSending, setIsSending] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!email.trim()) return;
+    setIsSending(true);
+    try {
+      const response = await api.auth.resendVerification(email.trim());
+      setMessage(response?.message ?? "We sent you a new link.");
+    } catch (err) {
+      setMessage(err.message);
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3 mb-4 text-left">
+      <input
+        type="email"
+        autoComplete="email"
+        placeholder="Your email"
+        aria-label="Email"
+        value={email}
+        onChange={(e) => setEmail(e.target.value)}
+        className={inputClass(false)}
+      />
+      <button
+        type="submit"
+        disabled={isSending}
+        className="w-full py-2 border-2 border-red-800 text-red-800 font-medium rounded-lg hover:bg-red-50 transition-colors disabled:opacity-60"
+      >
+        {isSending ? "Sending..." : "Send a New Link"}
+      </button>
+      {message && <p className="text-sm text-gray-600 text-center">{message}</p>}
+    </form>
+  );
+};
+
+const VerifyEmail = () => {
+  const token = useSearchParams().get("token");
+  // "verifying" | "done" | "invalid" | "expired" | an error message
+  const [result, setResult] = useState(token ? "verifying" : "invalid");
+  // Tokens are single use, so a remounted effect must not send it twice
+  const sent = useRef(false);
+
+  useEffect(() => {
+    if (!token || sent.current) return;
+    sent.current = true;
+    api.auth
+      .verifyEmail(token)
+      .then(() => setResult("done"))
+      .catch((err) => {
+        if (!INVALID_TOKEN_STATUSES.has(err.status)) setResult(err.message);
+        else setResult(err.status === 410 ? "expired" : "invalid");
+      });
+  }, [token]);
+
+  if (result === "verifying") {
+    return <p className="text-center text-gray-600">Verifying your email...</p>;
+  }
+
+  if (result === "done") {
+    return (
+      <div className="text-center">
+        <h1 className="text-2xl font-bold text-gray-900 mb-2">Email verified</h1>
+        <p className="text-gray-600 mb-6">
+          Sign in to see your account, including any bookings made with this
+          email.
+        </p>
+        <Link href="/login" className={signInButton}>
+          Sign In
+        </Link>
+      </div>
+    );
+  }
+
+  const linkProblem = result === "invalid" || result === "expired";
+  return (
+    <div className="text-center">
+      <h1 className="text-2xl font-bold text-gray-900 mb-2">
+        {result === "expired"
+          ? "This link has expired"
+          : linkProblem
+          ? "This link is not valid"
+          : "We could not verify your email"}
+      </h1>
+      <p className="text-gray-600 mb-6">
+        {linkProblem
+          ? "The verification link is incomplete, already used or too old. Enter your email for a new one."
+          : result}
+      </p>
+      {linkProblem && <ResendLink />}
+      <Link href="/login" className={signInButton}>
+        Back to Sign In
+      </Link>
+    </div>
+  );
+};
+
+const VerifyEmailPage = () => (
+  <AuthShell>
+    {/* useSearchParams needs a Suspense boundary to prerender */}
+    <Suspense fallback={null}>
+      <VerifyEmail />
+    </Suspense>
+  </AuthShell>
+);
+
+export default VerifyEmailPage;
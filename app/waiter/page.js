@@ -0,0 +1,59 @@
+"use client";
+import RoleDashboard from "../components/RoleDashboard";
+import { useApiQuery } from "../api/hooks";
+import { normalizePage } from "../api/pagination";
+import { useCurrentUser } from "../components/AuthProvider";
+
+const sections = [
+  {
+    label: "Table View",
+    href: "/waiter/tables",
+    description: "Your tables, live, with one-tap status changes",
+  },
+  { label: "Orders", href: "/orders", description: "Orders for your tables" },
+  {
+    label: "Waitlist",
+    href: "/waitlist",
+    description: "Walk-ins waiting for a table",
+  },
+  {
+    label: "Reservations",
+    href: "/reservations/calendar",
+    description: "Who is arriving and when",
+  },
+];
+
+const WaiterDashboard = () => {
+  const { user } = useCurrentUser();
+  const myTables = useApiQuery("table.myTables", [], { live: true });
+  const myOccupied = useApiQuery("table.myOccupied", [], { live: true });
+  const orders = useApiQuery("menu.getOrders", [], { live: true });
+
+  const myOrders =
+    user && orders.data
+      ? normalizePage(orders.data).items.filter(
+          (order) => order.waiterId === user.id
+        )
+      : undefined;
+  const pending = myOrders?.filter((order) =>
+    ["pending", "preparing", "ready"].includes(order.status)
+  );
+  const served = myOrders?.filter((order) =>
+    ["served", "paid"].includes(order.status)
+  );
+
+  return (
+    <RoleDashboard
+      role="WAITER"
+      metrics={[
+        { value: myTables.data?.length, label: "My Tables" },
+        { value: myOccupied.data?.length, label: "Seated Now" },
+        { value: pending?.length, label: "Pending Orders" },
+        { value: served?.length, label: "Orders Served" },
+      ]}
+      sections={sections}
+    />
+  );
+};
+
+export default WaiterDashboard;
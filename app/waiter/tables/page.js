@@ -0,0 +1,55 @@
+"use client";
+import Link from "next/link";
+import { useApiQuery } from "../../api/hooks";
+import PageShell from "../../components/PageShell";
+import TableBoard from "../../components/TableBoard";
+
+// The tables assigned to the signed-in waiter
+const WaiterTablesPage = () => {
+  const myTables = useApiQuery("table.myTables", [], { live: true });
+  const myOccupied = useApiQuery("table.myOccupied", [], { live: true });
+
+  const total = myTables.data?.length;
+  const seated = myOccupied.data?.length;
+
+  return (
+    <PageShell
+      title="My Tables"
+      subtitle={
+        total === undefined
+          ? "Your section of the floor"
+          : `${total} table${total === 1 ? "" : "s"} in your section · ${
+              seated ?? 0
+            } seated now`
+      }
+      actions={
+        <>
+          <Link
+            href="/tables"
+            className="px-4 py-2 text-red-800 font-medium hover:underline"
+          >
+            Whole floor
+          </Link>
+          <Link
+            href="/waiter"
+            className="px-4 py-2 border-2 border-red-800 text-red-800 font-medium rounded-lg hover:bg-red-50 transition-colors"
+          >
+            Back
+          </Link>
+        </>
+      }
+    >
+      {myTables.error && (
+        <div className="bg-red-50 text-red-800 rounded-lg p-3 mb-4 text-sm">
+          {myTables.error.message}
+        </div>
+      )}
+      <TableBoard
+        tables={myTables.data}
+        emptyMessage="No tables are assigned to you yet"
+      />
+    </PageShell>
+  );
+};
+
+export default WaiterTablesPage;
@@ -0,0 +1,417 @@
+"use client";
+import { useEffect, useState } from "react";
+import Link from "next/link";
+import { useApiQuery, usePaginatedList } from "../api/hooks";
+import { desc, eq, lists } from "../api/pagination";
+import { runMutation } from "../api/queryCache";
+import FormField, { inputClass } from "../components/FormField";
+import PageShell from "../components/PageShell";
+import StatusBadge from "../components/StatusBadge";
+import { useCurrentUser } from "../components/AuthProvider";
+import { fromTimeInput, toTimeInput } from "../lib/calendar";
+import { formatTime } from "../lib/format";
+import { homeForRole } from "../lib/roles";
+import { changeTableStatus, formatElapsed } from "../lib/tableStatus";
+import { validateWaitlistEntry } from "../lib/validation";
+import {
+  ACTIVE_WAITLIST,
+  averageTurnMinutes,
+  estimateWaits,
+  fittingTables,
+  formatQuote,
+  quoteWait,
+} from "../lib/waitlist";
+
+const TICK_INTERVAL = 30 * 1000;
+// Completed bookings the table turn time is averaged over
+const TURN_HISTORY = 50;
+
+const EMPTY_FORM = { name: "", phone: "", partySize: "2", arrivedAt: "", notes: "" };
+
+// Server field errors arrive under the entry's field names
+const FIELD_NAMES = {
+  customerName: "name",
+  customerPhone: "phone",
+};
+
+const useNow = () => {
+  const [now, setNow] = useState(() => Date.now());
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), TICK_INTERVAL);
+    return () => clearInterval(timer);
+  }, []);
+  return now;
+};
+
+const AddWalkInForm = ({ quoteFor }) => {
+  const [values, setValues] = useState(() => ({
+    ...EMPTY_FORM,
+    arrivedAt: toTimeInput(new Date()),
+  }));
+  const [errors, setErrors] = useState({});
+  const [formError, setFormError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const partySize = Number(values.partySize);
+  // undefined until the table lists have loaded
+  const quote = quoteFor && partySize >= 1 ? quoteFor(partySize) : undefined;
+
+  const setField = (field) => (e) => {
+    setValues({ ...values, [field]: e.target.value });
+    if (errors[field]) setErrors({ ...errors, [field]: undefined });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const found = validateWaitlistEntry(values);
+    setErrors(found);
+    if (Object.keys(found).length) return;
+
+    setIsSubmitting(true);
+    setFormError(null);
+    try {
+      await runMutation("waitlist.create", [
+        {
+          customerName: values.name.trim(),
+          customerPhone: values.phone.trim() || null,
+          partySize,
+          arrivedAt: fromTimeInput(values.arrivedAt).toISOString(),
+          quotedMinutes: quote,
+          notes: values.notes.trim() || null,
+        },
+      ]);
+      setValues({ ...EMPTY_FORM, arrivedAt: toTimeInput(new Date()) });
+    } catch (err) {
+      if (err.data?.errors) {
+        setErrors(
+          Object.fromEntries(
+            Object.entries(err.data.errors).map(([key, message]) => [
+              FIELD_NAMES[key] ?? key,
+              message,
+            ])
+          )
+        );
+      } else {
+        setFormError(err.message);
+      }
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const field = (name, label, props = {}) => (
+    <FormField label={label} name={name} error={errors[name]}>
+      <input
+        id={name}
+        value={values[name]}
+        onChange={setField(name)}
+        className={inputClass(errors[name])}
+        {...props}
+      />
+    </FormField>
+  );
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="bg-white rounded-xl shadow-md p-6 space-y-4"
+      noValidate
+    >
+      <h2 className="text-lg font-bold text-gray-800">Add walk-in</h2>
+      {field("name", "Name", { autoComplete: "off" })}
+      {field("phone", "Phone", { type: "tel", autoComplete: "off" })}
+      <div className="grid grid-cols-2 gap-3">
+        {field("partySize", "Guests", { type: "number", min: 1 })}
+        {field("arrivedAt", "Arrived", { type: "time" })}
+      </div>
+      {field("notes", "Notes", { placeholder: "High chair, booth..." })}
+
+      {quote !== undefined && (
+        <div className="bg-gray-50 rounded-lg p-3 text-sm text-gray-700">
+          Quote:{" "}
+          <span className="font-semibold text-gray-900">
+            {formatQuote(quote)}
+          </span>
+        </div>
+      )}
+      {formError && <p className="text-red-700 text-sm">{formError}</p>}
+
+      <button
+        type="submit"
+        disabled={isSubmitting}
+        className="w-full py-3 bg-red-800 text-white font-medium rounded-lg hover:bg-red-900 transition-colors disabled:opacity-60"
+      >
+        {isSubmitting ? "Adding..." : "Add to waitlist"}
+      </button>
+    </form>
+  );
+};
+
+const WaitlistRow = ({
+  entry,
+  position,
+  estimate,
+  available,
+  now,
+  busy,
+  onNotify,
+  onSeat,
+  onLeft,
+}) => {
+  const tables = fittingTables(available, entry.partySize);
+  const [tableId, setTableId] = useState("");
+  const table =
+    tables.find((t) => String(t.id) === tableId) ?? tables[0] ?? null;
+  const waited = Math.floor((now - new Date(entry.arrivedAt)) / 60000);
+  const overdue = entry.quotedMinutes != null && waited > entry.quotedMinutes;
+
+  return (
+    <div className="bg-white rounded-xl shadow-md p-4 space-y-3">
+      <div className="flex items-start justify-between gap-3">
+        <div>
+          <div className="flex items-center gap-2">
+            <span className="text-gray-400 font-semibold">{position}.</span>
+            <span className="text-lg font-bold text-gray-800">
+              {entry.customerName}
+            </span>
+            <StatusBadge status={entry.status} />
+          </div>
+          <p className="text-gray-500 text-sm">
+            {entry.partySize} {entry.partySize === 1 ? "guest" : "guests"}
+            {entry.customerPhone && ` · ${entry.customerPhone}`}
+            {` · arrived ${formatTime(entry.arrivedAt)}`}
+          </p>
+          {entry.notes && (
+            <p className="text-gray-500 text-sm">{entry.notes}</p>
+          )}
+        </div>
+        <div className="text-right text-sm">
+          <div className={overdue ? "text-red-700 font-semibold" : "text-gray-700"}>
+            Waiting {formatElapsed(entry.arrivedAt, now)}
+          </div>
+          <div className="text-gray-500">
+            Quoted{" "}
+            {entry.quotedMinutes == null
+              ? "-"
+              : formatQuote(entry.quotedMinutes)}
+          </div>
+          <div className="text-gray-500">Estimate {formatQuote(estimate)}</div>
+        </div>
+      </div>
+
+      {entry.status === "notified" && (
+        <p className="text-blue-800 text-sm">
+          Texted {formatElapsed(entry.notifiedAt, now)} ago
+        </p>
+      )}
+
+      <div className="flex flex-wrap items-center gap-2">
+        {tables.length > 0 ? (
+          <>
+            <select
+              value={table ? String(table.id) : ""}
+              onChange={(e) => setTableId(e.target.value)}
+              disabled={busy}
+              className="bg-white border border-gray-200 rounded-lg py-2 px-3 text-gray-700 text-sm focus:outline-none focus:ring-1 focus:ring-red-800"
+            >
+              {tables.map((t) => (
+                <option key={t.id} value={String(t.id)}>
+                  Table {t.number} ({t.capacity} seats)
+                </option>
+              ))}
+            </select>
+            <button
+              onClick={() => onSeat(entry, table)}
+              disabled={busy}
+              className="px-3 py-2 text-sm font-medium rounded-lg bg-red-800 text-white hover:bg-red-900 transition-colors disabled:opacity-60"
+            >
+              Seat now
+            </button>
+          </>
+        ) : (
+          <span className="text-gray-500 text-sm">No free table fits yet</span>
+        )}
+        <button
+          onClick={() => onNotify(entry)}
+          disabled={busy || !entry.customerPhone}
+          title={entry.customerPhone ? undefined : "No phone number"}
+          className="px-3 py-2 text-sm font-medium rounded-lg border-2 border-red-800 text-red-800 hover:bg-red-50 transition-colors disabled:opacity-60"
+        >
+          {entry.status === "notified" ? "Text again" : "Table ready"}
+        </button>
+        <button
+          onClick={() => onLeft(entry)}
+          disabled={busy}
+          className="px-3 py-2 text-sm font-medium rounded-lg text-gray-600 hover:bg-gray-100 transition-colors disabled:opacity-60"
+        >
+          Left
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// Host stand for walk-ins: quotes a wait on arrival, texts the party when a
+// table frees up and seats them in one step
+const WaitlistPage = () => {
+  const { user } = useCurrentUser();
+  const now = useNow();
+  const entries = useApiQuery(
+    "waitlist.getAll",
+    [{ status: ACTIVE_WAITLIST.join(",") }],
+    { live: true }
+  );
+  const available = useApiQuery("table.getAvailable", [], { live: true });
+  const occupied = useApiQuery("table.occupied", [], { live: true });
+  const history = usePaginatedList(lists.reservations, {
+    filters: [eq("status", "completed")],
+    sort: [desc("reservationTime")],
+    limit: TURN_HISTORY,
+  });
+  const [busyIds, setBusyIds] = useState(() => new Set());
+  const [message, setMessage] = useState(null);
+
+  const queue = entries.data ?? [];
+  const tables = { available: available.data, occupied: occupied.data };
+  const turn = averageTurnMinutes(history.page?.items);
+  const estimates = estimateWaits(queue, tables, turn, now);
+  const error = entries.error ?? available.error ?? occupied.error;
+
+  const withBusy = async (entry, action) => {
+    if (busyIds.has(entry.id)) return;
+    setBusyIds((ids) => new Set(ids).add(entry.id));
+    setMessage(null);
+    try {
+      await action();
+    } catch (err) {
+      setMessage({ tone: "error", text: `${entry.customerName}: ${err.message}` });
+    } finally {
+      setBusyIds((ids) => {
+        const next = new Set(ids);
+        next.delete(entry.id);
+        return next;
+      });
+    }
+  };
+
+  const handleNotify = (entry) =>
+    withBusy(entry, async () => {
+      await runMutation("waitlist.notify", [entry.id]);
+      setMessage({
+        tone: "info",
+        text: `Texted ${entry.customerName} that their table is ready`,
+      });
+    });
+
+  // The table goes to occupied first so two hosts cannot seat two parties
+  // at it; the entry is only closed once the table is really theirs
+  const handleSeat = (entry, table) =>
+    withBusy(entry, async () => {
+      let result;
+      try {
+        result = await changeTableStatus(table, "occupied");
+      } catch (err) {
+        if (err.status !== 409) throw err;
+        throw new Error(
+          `table ${table.number} was just taken on another device. Pick another table.`
+        );
+      }
+      // Queued offline: the table is not theirs yet, so the entry stays open
+      if (result?.queued) {
+        throw new Error(
+          `you are offline, so they stay on the list. Table ${table.number} will show as occupied once the connection is back.`
+        );
+      }
+      try {
+        await runMutation("waitlist.update", [
+          entry.id,
+          { status: "seated", tableId: table.id },
+        ]);
+      } catch (err) {
+        // Free the table again rather than hold it for a party still waiting
+        await changeTableStatus(table, "available").catch(() => {});
+        throw err;
+      }
+      setMessage({
+        tone: "info",
+        text: `${entry.customerName} seated at table ${table.number}`,
+      });
+    });
+
+  const handleLeft = (entry) =>
+    withBusy(entry, () =>
+      runMutation("waitlist.update", [entry.id, { status: "left" }])
+    );
+
+  return (
+    <PageShell
+      title="Waitlist"
+      subtitle={`${queue.length} ${
+        queue.length === 1 ? "party" : "parties"
+      } waiting · tables turn in about ${turn} min`}
+      actions={
+        <Link
+          href={homeForRole(user.role)}
+          className="px-4 py-2 border-2 border-red-800 text-red-800 font-medium rounded-lg hover:bg-red-50 transition-colors"
+        >
+          Back
+        </Link>
+      }
+    >
+      {error && (
+        <div className="bg-red-50 text-red-800 rounded-lg p-3 mb-4 text-sm">
+          {error.message}
+        </div>
+      )}
+      {message && (
+        <div
+          className={`rounded-lg p-3 mb-4 text-sm ${
+            message.tone === "error"
+              ? "bg-red-50 text-red-800"
+              : "bg-blue-50 text-blue-800"
+          }`}
+        >
+          {message.text}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 items-start">
+        <AddWalkInForm
+          quoteFor={
+            available.data && occupied.data
+              ? (partySize) => quoteWait(partySize, queue, tables, turn, now)
+              : null
+          }
+        />
+        <div className="lg:col-span-2 space-y-4">
+          {!entries.data ? (
+            <div className="text-center text-gray-500 p-6">
+              Loading waitlist...
+            </div>
+          ) : !queue.length ? (
+            <div className="bg-white rounded-xl shadow-md p-6 text-center text-gray-500">
+              Nobody is waiting
+            </div>
+          ) : (
+            queue.map((entry, index) => (
+              <WaitlistRow
+                key={entry.id}
+                entry={entry}
+                position={index + 1}
+                estimate={estimates.get(entry.id)}
+                available={available.data}
+                now={now}
+                busy={busyIds.has(entry.id)}
+                onNotify={handleNotify}
+                onSeat={handleSeat}
+                onLeft={handleLeft}
+              />
+            ))
+          )}
+        </div>
+      </div>
+    </PageShell>
+  );
+};
+
+export default WaitlistPage;
@@ -0,0 +1,54 @@
+// middleware.js - Route protection at the edge. Only the httpOnly cookie
+// session is visible here, so this enforces only with
+// NEXT_PUBLIC_TOKEN_STORE=cookie; other stores rely on the client RouteGuard.
+import { NextResponse } from "next/server";
+import { TOKEN_KEY } from "./app/api/tokenStore";
+import {
+  FORBIDDEN_PATH,
+  LOGIN_PATH,
+  canAccess,
+  isPublicRoute,
+} from "./app/lib/permissions";
+
+const ENFORCE = process.env.NEXT_PUBLIC_TOKEN_STORE === "cookie";
+
+// Reads the role claim when the token is a JWT. Nothing is verified here:
+// the backend still checks every API call, this only avoids rendering a
+// page the user is bound to be refused.
+function readRole(token) {
+  try {
+    const [, payload] = token.split(".");
+    const claims = JSON.parse(
+      atob(payload.replace(/-/g, "+").replace(/_/g, "/"))
+    );
+    return claims.role ?? claims.user?.role ?? null;
+  } catch {
+    return null;
+  }
+}
+
+export function middleware(request) {
+  const { pathname, search } = request.nextUrl;
+  if (!ENFORCE || isPublicRoute(pathname)) return NextResponse.next();
+
+  const token = request.cookies.get(TOKEN_KEY)?.value;
+  if (!token) {
+    const url = new URL(LOGIN_PATH, request.url);
+    url.searchParams.set("next", pathname + search);
+    return NextResponse.redirect(url);
+  }
+
+  // Opaque tokens carry no role; the RouteGuard decides once the profile loads
+  const role = readRole(token);
+  if (role && !canAccess(role, pathname)) {
+    return NextResponse.rewrite(new URL(FORBIDDEN_PATH, request.url), {
+      status: 403,
+    });
+  }
+  return NextResponse.next();
+}
+
+export const config = {
+  // Pages only: skip API routes, build assets and files in public/
+  matcher: ["/((?!api|_next/static|_next/image|.*\\.\\w+$).*)"],
+};
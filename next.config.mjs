@@ -1,4 +1,16 @@
 /** @type {import('next').NextConfig} */
-const nextConfig = {};
+const nextConfig = {
+  // Manage-booking links already sent to guests before the guest portal
+  // replaced the per-booking manage page
+  async redirects() {
+    return [
+      {
+        source: "/book/manage/:id",
+        destination: "/my-reservations?booking=:id",
+        permanent: true,
+      },
+    ];
+  },
+};
 
 export default nextConfig;
@@ -0,0 +1,45 @@
+/*
+ * DineFlow booking widget. Add this where the widget should appear:
+ *
+ *   <script src="https://your-dineflow-host/embed.js" async></script>
+ *
+ * or point it at an element with data-target="#booking". The frame grows to
+ * fit its content, and a "dineflow:booked" DOM event with
+ * detail.reservationId fires on the iframe after each booking.
+ */
+(function () {
+  var script = document.currentScript;
+  if (!script) return;
+  var origin = new URL(script.src).origin;
+  var selector = script.getAttribute("data-target");
+  var container = selector ? document.querySelector(selector) : null;
+
+  var iframe = document.createElement("iframe");
+  iframe.src = origin + "/book/embed";
+  iframe.title = "Book a table";
+  iframe.loading = "lazy";
+  iframe.style.width = "100%";
+  iframe.style.maxWidth = "480px";
+  iframe.style.minHeight = "560px";
+  iframe.style.border = "0";
+
+  if (container) container.appendChild(iframe);
+  else script.parentNode.insertBefore(iframe, script.nextSibling);
+
+  window.addEventListener("message", function (event) {
+    if (event.origin !== origin || event.source !== iframe.contentWindow) {
+      return;
+    }
+    var data = event.data || {};
+    if (data.type === "dineflow:resize" && data.height) {
+      iframe.style.height = data.height + "px";
+    } else if (data.type === "dineflow:booked") {
+      iframe.dispatchEvent(
+        new CustomEvent("dineflow:booked", {
+          bubbles: true,
+          detail: { reservationId: data.reservationId },
+        })
+      );
+    }
+  });
+})();